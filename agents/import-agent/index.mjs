@@ -20,7 +20,9 @@ import createDownloadArxiv from './tools/download-arxiv.mjs'
 import createReadFile from './tools/read-file.mjs'
 import createWriteFile from './tools/write-file.mjs'
 import createRenderKatex from './tools/render-katex.mjs'
+import createParseBibliography from './tools/parse-bibliography.mjs'
 import createBash from './tools/bash.mjs'
+import references from '../../tools/references.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -31,7 +33,7 @@ const DOCS_DIR = path.join(PROJECT_DIR, 'docs')
 function loadSoul(arxivId) {
     const soulPath = path.join(__dirname, 'prompts', 'paper-agent-soul.md')
     let content = fs.readFileSync(soulPath, 'utf-8')
-    const slug = arxivId.replace(/\./g, '-')
+    const slug = references.arxivDocId(arxivId)
     content = content.replaceAll('{{docsDir}}', DOCS_DIR)
     content = content.replaceAll('{{slug}}', slug)
     return content
@@ -50,6 +52,7 @@ function createPaperAgent(arxivId) {
         createReadFile({ workspaceDir }),
         createWriteFile({ workspaceDir }),
         createRenderKatex({ workspaceDir }),
+        createParseBibliography({ workspaceDir }),
         createBash({ workspaceDir }),
     ]
 
@@ -73,15 +76,19 @@ function createPaperAgent(arxivId) {
 /**
  * Import an arXiv paper using the LLM-native agent pipeline.
  * @param {string} arxivId - arXiv paper ID (e.g. "1706.03762")
- * @param {function} onProgress - optional progress callback
- * @returns {Promise<{id: string, path: string}>}
+ * @param {function} onProgress - optional progress callback: (message, event), where event is
+ *   { type: 'stage' | 'turn' | 'tool' | 'warning', ... } for structured consumers
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] - aborts the agent run
+ * @param {function} [opts.onLogFile] - called with the path of this run's llm-log-*.jsonl
+ * @returns {Promise<{id: string, path: string, logFile: string}>}
  */
-export async function importPaperWithAgent(arxivId, onProgress) {
+export async function importPaperWithAgent(arxivId, onProgress, opts = {}) {
     const progress = onProgress || ((msg) => console.log(`  → ${msg}`))
-    const slug = arxivId.replace(/\./g, '-')
+    const slug = references.arxivDocId(arxivId)
     const outputDir = path.join(DOCS_DIR, slug)
 
-    progress('Starting agent pipeline...')
+    progress('Starting agent pipeline...', { type: 'stage', stage: 'agent' })
     const agent = createPaperAgent(arxivId)
 
     // ── JSONL logging ──
@@ -89,6 +96,7 @@ export async function importPaperWithAgent(arxivId, onProgress) {
     const logFile = path.join(outputDir, `llm-log-${runTs}.jsonl`)
     fs.mkdirSync(outputDir, { recursive: true })
     const logStream = fs.createWriteStream(logFile, { flags: 'a' })
+    opts.onLogFile?.(logFile)
     const provider = process.env.PI_PROVIDER || 'anthropic'
     const modelId = process.env.PI_MODEL || 'claude-sonnet-4-6'
     let turnIndex = 0
@@ -111,11 +119,13 @@ export async function importPaperWithAgent(arxivId, onProgress) {
     agent.subscribe((event) => {
         if (event.type === 'turn_start') {
             turnIndex++
+            progress(`Turn ${turnIndex}`, { type: 'turn', turn: turnIndex })
             turnStartTime = new Date().toISOString()
             logEntry({ event: 'turn_start', ts: turnStartTime, turn: turnIndex })
         }
         if (event.type === 'tool_execution_start') {
-            progress(`🔧 ${event.toolName}(${JSON.stringify(event.args).substring(0, 80)}...)`)
+            progress(`🔧 ${event.toolName}(${JSON.stringify(event.args).substring(0, 80)}...)`,
+                { type: 'tool', tool: event.toolName, turn: turnIndex })
             logEntry({
                 event: 'tool_call',
                 ts: new Date().toISOString(),
@@ -124,6 +134,9 @@ export async function importPaperWithAgent(arxivId, onProgress) {
                 args: event.args,
             })
         }
+        if (event.type === 'tool_execution_end' && event.isError) {
+            progress(`⚠️ ${event.toolName} failed`, { type: 'warning', tool: event.toolName, turn: turnIndex })
+        }
         if (event.type === 'message_end' && event.message) {
             logEntry({
                 event: 'message',
@@ -134,7 +147,6 @@ export async function importPaperWithAgent(arxivId, onProgress) {
             })
         }
         if (event.type === 'turn_end') {
-            progress(`Turn complete.`)
             logEntry({
                 event: 'turn_end',
                 ts: new Date().toISOString(),
@@ -158,9 +170,14 @@ Remember:
 - Copy ALL figures to the figures/ subdirectory
 - Write paper.html and metadata.yaml`
 
+    const onAbort = () => agent.abort()
+    opts.signal?.addEventListener('abort', onAbort)
+
     try {
+        if (opts.signal?.aborted) throw new Error('Import cancelled')
         await agent.prompt(prompt)
-        progress('Agent pipeline complete!')
+        if (opts.signal?.aborted) throw new Error('Import cancelled')
+        progress('Agent pipeline complete!', { type: 'stage', stage: 'verify' })
 
         // Check outputs
         const htmlPath = path.join(outputDir, 'paper.html')
@@ -174,7 +191,7 @@ Remember:
 
         logEntry({ event: 'run_end', ts: new Date().toISOString(), turns: turnIndex, success: true })
         logStream.end()
-        progress(`📝 LLM log: ${logFile}`)
+        progress(`📝 LLM log: ${logFile}`, { type: 'log', logFile })
 
         return {
             id: slug,
@@ -182,12 +199,15 @@ Remember:
             path: htmlPath,
             hasMetadata: hasMeta,
             outputDir,
+            logFile,
         }
     } catch (err) {
         logEntry({ event: 'run_end', ts: new Date().toISOString(), turns: turnIndex, success: false, error: err.message })
         logStream.end()
-        progress(`❌ Agent error: ${err.message}`)
+        progress(`❌ Agent error: ${err.message}`, { type: 'warning' })
         throw err
+    } finally {
+        opts.signal?.removeEventListener('abort', onAbort)
     }
 }
 
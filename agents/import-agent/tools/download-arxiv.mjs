@@ -21,11 +21,11 @@ export default function createDownloadArxiv(ctx = {}) {
                 .replace('https://arxiv.org/pdf/', '')
                 .trim()
 
-            const tmpDir = path.join(TEMP_DIR, cleanId)
-            if (fs.existsSync(tmpDir)) fs.rmSync(tmpDir, { recursive: true })
-            fs.mkdirSync(tmpDir, { recursive: true })
+            // Unique per run: concurrent imports of one paper must not share a directory
+            fs.mkdirSync(TEMP_DIR, { recursive: true })
+            const tmpDir = fs.mkdtempSync(path.join(TEMP_DIR, `${cleanId.replace(/[^\w.-]+/g, '_')}-`))
 
-            const tarPath = path.join(tmpDir, `${cleanId}.tar.gz`)
+            const tarPath = path.join(tmpDir, 'source.tar.gz')
             const url = `https://arxiv.org/e-print/${cleanId}`
 
             onUpdate?.({ content: [{ type: 'text', text: `Downloading ${url}...` }] })
@@ -0,0 +1,69 @@
+// ── Tool: parse_bibliography ── Numbered references from .bib / .bbl / thebibliography
+import fs from 'fs'
+import path from 'path'
+import { Type } from '@sinclair/typebox'
+import bibtex from '../../../tools/bibtex.js'
+
+// \input chains deeper than this are not followed
+const MAX_INPUT_DEPTH = 8
+
+export default function createParseBibliography(ctx = {}) {
+    const { workspaceDir } = ctx
+    return {
+        name: 'parse_bibliography',
+        description: `Resolve the citations of a TeX paper into numbered references.
+Reads the main TeX file (with its \\input files), the .bib files it names with \\bibliography / \\addbibresource, its .bbl, and any thebibliography environment.
+Returns one line per reference — "[N] citekey: Authors. Title. Venue, Year. arXiv/DOI" — followed by the <ol class="references"> list to put at the end of paper.html.
+Use the number N for every \\cite{citekey} badge (data-ref="N").`,
+        label: 'Parse Bibliography',
+        parameters: Type.Object({
+            path: Type.String({ description: 'Main TeX file (absolute or relative to workspace)' }),
+        }),
+        execute: async (toolCallId, params) => {
+            const mainFile = workspaceDir
+                ? path.resolve(workspaceDir, params.path)
+                : path.resolve(params.path)
+
+            if (!fs.existsSync(mainFile)) {
+                throw new Error(`File not found: ${mainFile}`)
+            }
+
+            const dir = path.dirname(mainFile)
+            // Inputs stay inside the paper's folder, and a file inputting itself is not followed again
+            const readInputs = (file, parents = []) => fs.readFileSync(file, 'utf-8').replace(/\\(?:input|include)\{([^}]+)\}/g, (match, name) => {
+                const inputPath = path.resolve(dir, name.endsWith('.tex') ? name : `${name}.tex`)
+                const relative = path.relative(dir, inputPath)
+                if (relative.startsWith('..') || path.isAbsolute(relative)) return match
+                if (inputPath === file || parents.includes(inputPath) || parents.length >= MAX_INPUT_DEPTH) return match
+                return fs.existsSync(inputPath) ? readInputs(inputPath, [...parents, file]) : match
+            })
+            const tex = readInputs(mainFile)
+
+            const sources = bibtex.findBibliographySources(tex, dir, mainFile)
+            const bibliography = bibtex.resolveBibliography(tex, sources)
+            if (!bibliography.references.length) {
+                return {
+                    content: [{ type: 'text', text: 'No bibliography found (no .bib, .bbl or thebibliography). Keep citations as [key].' }],
+                    details: { count: 0, bib: sources.bib.length, bbl: sources.bbl.length },
+                }
+            }
+
+            const text = `${bibliography.references.length} references (${sources.bib.length} .bib, ${sources.bbl.length} .bbl):
+
+${bibtex.promptBibliography(bibliography)}
+
+References list for paper.html:
+${bibtex.referencesHtml(bibliography)}`
+
+            return {
+                content: [{ type: 'text', text }],
+                details: {
+                    count: bibliography.references.length,
+                    bib: sources.bib.length,
+                    bbl: sources.bbl.length,
+                    references: bibliography.references.map(ref => ({ num: ref.num, key: ref.key, title: ref.title, url: bibtex.referenceUrl(ref) })),
+                },
+            }
+        },
+    }
+}
@@ -2,21 +2,27 @@
  * arxiv-pipeline.js — Download arXiv TeX source → Fully rendered document
  *
  * Pipeline v2 stages:
- *   1. Download & extract arXiv e-print source
+ *   1. Download & extract arXiv e-print source (or unpack an uploaded archive)
  *   2. Parse TeX (resolve \input, extract structure)
- *   3. Process with tools: figures, math, tables, cross-refs
- *   4. LLM annotation (if API key available)
+ *      — PDFs (uploads, PDF-only arXiv submissions) go through tools/extract-pdf.js instead
+ *   3. Process with tools: figures, math, tables, cross-refs, citations
+ *      (numbered from the .bib / .bbl / thebibliography by tools/bibtex.js)
+ *   4. LLM annotation (if an LLM provider is configured — see tools/llm-providers.js)
  *   5. Assemble into doc folder with metadata.yaml + rendered HTML
  *
  * Usage:
  *   node arxiv-pipeline.js 1706.03762
+ *   node arxiv-pipeline.js ./draft.tar.gz
+ *   node arxiv-pipeline.js ./paper.pdf
  *   const { importArxiv } = require('./arxiv-pipeline'); await importArxiv('1706.03762');
+ *   const { importTexUpload } = require('./arxiv-pipeline'); await importTexUpload(buffer, 'draft.zip');
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const zlib = require('zlib');
+const { execSync, execFileSync } = require('child_process');
 const yaml = require('js-yaml');
 
 const DOCS_DIR = path.join(__dirname, 'docs');
@@ -28,30 +34,176 @@ const { renderAllMath } = require('./tools/render-math');
 const { extractFigures, replaceFiguresInText } = require('./tools/extract-figures');
 const { convertTables } = require('./tools/convert-tables');
 const { collectLabels, resolveRefs } = require('./tools/resolve-refs');
+const { findBibliographySources, resolveBibliography, stripBibliography, replaceCitations, citationBadges, referencesHtml,
+    promptBibliography, markdownReferences } = require('./tools/bibtex');
+const { pdfToPages, pdfInfo, structurePdfText, renderFigurePages, pdfStructureToHtml } = require('./tools/extract-pdf');
+const { resolveProvider } = require('./tools/llm-providers');
+const { arxivDocId } = require('./tools/references');
+
+// ─── Progress Events ────────────────────────────────────────
+//
+// Progress callbacks are called as progress(message, event): the message is
+// the human-readable line (all the CLI prints), the event its structured form
+// for the import job stream — { type: 'stage', stage, step, steps },
+// { type: 'section', index, total, title, phase } or { type: 'warning' }.
+
+const STAGE_COUNT = 5;
+
+function reportStage(progress, step, stage, message) {
+    progress(message, { type: 'stage', stage, step, steps: STAGE_COUNT });
+}
 
 // ─── Stage 1: Download ──────────────────────────────────────
 
 async function downloadArxivSource(arxivId) {
     const cleanId = arxivId.replace('https://arxiv.org/abs/', '').replace('https://arxiv.org/pdf/', '').trim();
-    const tmpDir = path.join(TEMP_DIR, cleanId);
-
-    if (fs.existsSync(tmpDir)) fs.rmSync(tmpDir, { recursive: true });
-    fs.mkdirSync(tmpDir, { recursive: true });
+    const tmpDir = makeTempDir(cleanId);
 
-    const tarPath = path.join(tmpDir, `${cleanId}.tar.gz`);
+    const tarPath = path.join(tmpDir, 'source.tar.gz');
     const url = `https://arxiv.org/e-print/${cleanId}`;
 
     console.log(`[1/5] Downloading arXiv source: ${url}`);
-    execSync(`curl -L -s -o "${tarPath}" "${url}"`, { timeout: 60000 });
+    try {
+        execSync(`curl -L -s -o "${tarPath}" "${url}"`, { timeout: 60000 });
+    } catch (err) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        throw Object.assign(new Error(`Failed to download arXiv source for ${cleanId}: ${err.message}`), { transient: true });
+    }
 
     if (!fs.existsSync(tarPath) || fs.statSync(tarPath).size < 100) {
-        throw new Error(`Failed to download arXiv source for ${cleanId}`);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        throw Object.assign(new Error(`Failed to download arXiv source for ${cleanId}`), { transient: true });
     }
 
     console.log(`[1/5] Extracting...`);
     execSync(`tar xzf "${tarPath}" -C "${tmpDir}" 2>/dev/null || true`, { timeout: 30000 });
+    removeSymlinks(tmpDir);
+
+    return { cleanId, tmpDir, archivePath: tarPath };
+}
+
+/**
+ * A fresh scratch directory under docs/.arxiv-tmp — unique per run, so two
+ * imports (even of the same paper) never extract into the same place
+ */
+function makeTempDir(label) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    return fs.mkdtempSync(path.join(TEMP_DIR, `${String(label).replace(/[^\w.-]+/g, '_')}-`));
+}
+
+// ─── Stage 1 (alt): Unpack an upload ────────────────────────
+
+const UPLOAD_EXTENSIONS = /\.(tar\.gz|tgz|tar|zip|tex|gz|pdf)$/i;
+
+/**
+ * Work out what an uploaded file is from its magic bytes, falling back to the name
+ * @returns {'pdf'|'zip'|'gzip'|'tar'|'tex'|null}
+ */
+function detectSourceKind(buffer, filename = '') {
+    if (buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return 'zip';
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'gzip';
+    if (buffer.length > 262 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    if (/\.tex$/i.test(filename)) return 'tex';
+    if (/\\(documentclass|begin\{document\}|section\*?\{)/.test(buffer.toString('utf-8', 0, 65536))) return 'tex';
+    return null;
+}
+
+/**
+ * Extract an uploaded .tar.gz / .tgz / .tar / .zip / .tex into tmpDir
+ */
+function unpackUpload(buffer, filename, tmpDir) {
+    const kind = detectSourceKind(buffer, filename);
+    const archivePath = `${tmpDir}.upload`;
+
+    try {
+        if (kind === 'zip') {
+            fs.writeFileSync(archivePath, buffer);
+            execFileSync('unzip', ['-q', '-o', archivePath, '-d', tmpDir], { timeout: 60000, stdio: 'pipe' });
+        } else if (kind === 'gzip' || kind === 'tar') {
+            const tar = kind === 'gzip' ? zlib.gunzipSync(buffer) : buffer;
+            if (detectSourceKind(tar) === 'tar') {
+                fs.writeFileSync(archivePath, tar);
+                execFileSync('tar', ['xf', archivePath, '-C', tmpDir], { timeout: 60000, stdio: 'pipe' });
+            } else {
+                // Like arXiv e-prints, a gzipped single .tex file
+                fs.writeFileSync(path.join(tmpDir, 'main.tex'), tar);
+            }
+        } else if (kind === 'tex') {
+            const name = path.basename(filename || '').replace(/[^\w.-]/g, '_');
+            fs.writeFileSync(path.join(tmpDir, name.endsWith('.tex') ? name : 'main.tex'), buffer);
+        } else {
+            throw new Error('Unsupported upload — expected a .tar.gz, .tgz, .tar, .zip or .tex file');
+        }
+    } finally {
+        fs.rmSync(archivePath, { force: true });
+    }
+    removeSymlinks(tmpDir);
+}
+
+/**
+ * Delete every symlink under dir: archives are untrusted, and a link would
+ * let \input or \includegraphics read files from anywhere on the server
+ */
+function removeSymlinks(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isSymbolicLink()) {
+            console.warn(`  ⚠️  Skipping symlink in sources: ${path.relative(dir, entryPath)}`);
+            fs.unlinkSync(entryPath);
+        } else if (entry.isDirectory()) {
+            removeSymlinks(entryPath);
+        }
+    }
+}
+
+/**
+ * Whether target is inside dir (sources may only reference their own files)
+ */
+function isInsideDir(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Archives often wrap everything in one top-level folder (and zips add
+ * __MACOSX); descend until we reach the folder holding the .tex files.
+ */
+function findSourceRoot(dir) {
+    let current = dir;
+    for (let depth = 0; depth < 4; depth++) {
+        const entries = fs.readdirSync(current, { withFileTypes: true })
+            .filter(e => !e.name.startsWith('.') && e.name !== '__MACOSX');
+        if (entries.some(e => e.isFile() && e.name.endsWith('.tex'))) return current;
+        const dirs = entries.filter(e => e.isDirectory());
+        if (dirs.length !== 1) break;
+        current = path.join(current, dirs[0].name);
+    }
+    return current;
+}
+
+/**
+ * Pick a docs/{id} folder name for an upload: the file name slugified,
+ * suffixed (-2, -3, …) rather than overwriting an existing document
+ */
+function uploadDocId(filename) {
+    const base = path.basename(filename || '').replace(UPLOAD_EXTENSIONS, '');
+    const slug = slugifyDocId(base) || 'upload';
+    let id = slug;
+    for (let n = 2; fs.existsSync(path.join(DOCS_DIR, id)); n++) id = `${slug}-${n}`;
+    return id;
+}
+
+/**
+ * Remove what a failed build left in docs/{id}, so a retry gets the same id
+ * back from uploadDocId() — only for folders the failed import created
+ */
+function removeDocFolder(id) {
+    fs.rmSync(path.join(DOCS_DIR, id), { recursive: true, force: true });
+}
 
-    return { cleanId, tmpDir };
+function slugifyDocId(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
 }
 
 // ─── Stage 2: Parse TeX Structure ───────────────────────────
@@ -68,16 +220,27 @@ function findMainTexFile(dir) {
         files.sort((a, b) => fs.statSync(path.join(dir, b)).size - fs.statSync(path.join(dir, a)).size);
         return path.join(dir, files[0]);
     }
-    throw new Error('No .tex file found in arXiv source');
+    throw new Error('No .tex file found in TeX source');
 }
 
-function resolveInputs(filePath, baseDir) {
+// \input chains deeper than this are not followed (sources are untrusted)
+const MAX_INPUT_DEPTH = 8;
+
+/**
+ * Inline \input files, which must stay inside baseDir; a file already being
+ * inlined (one that inputs itself) is skipped rather than followed forever
+ */
+function resolveInputs(filePath, baseDir, parents = []) {
     let content = fs.readFileSync(filePath, 'utf-8');
     content = content.replace(/\\input\{([^}]+)\}/g, (_, filename) => {
-        let inputPath = path.join(baseDir, filename);
+        let inputPath = path.resolve(baseDir, filename);
         if (!inputPath.endsWith('.tex')) inputPath += '.tex';
+        if (!isInsideDir(baseDir, inputPath)) return `% Skipped \\input{${filename}} outside the source folder`;
+        if (inputPath === filePath || parents.includes(inputPath) || parents.length >= MAX_INPUT_DEPTH) {
+            return `% Skipped \\input{${filename}} nested too deeply`;
+        }
         try {
-            return resolveInputs(inputPath, baseDir);
+            return resolveInputs(inputPath, baseDir, [...parents, filePath]);
         } catch {
             return `% Could not resolve \\input{${filename}}`;
         }
@@ -136,11 +299,20 @@ function extractSections(body) {
 
 // ─── Stage 3: Process with tools ────────────────────────────
 
-function processSection(content) {
+/**
+ * Mechanical LaTeX → Markdown for one section
+ *
+ * @param {string} content
+ * @param {Object} bibliography - resolveBibliography() result
+ * @param {Object} [opts]
+ * @param {boolean} [opts.footnotes] - Cite as [^N] (markdown documents) instead of ref badges
+ */
+function processSection(content, bibliography, { footnotes = false } = {}) {
     let result = content;
 
-    // Strip LaTeX comments
+    // Strip LaTeX comments and the bibliography (listed once, after the sections)
     result = result.replace(/(?<!\\)%.*$/gm, '');
+    result = stripBibliography(result);
 
     // Convert subsections
     result = result.replace(/\\subsection\*?\{([^}]+)\}/g, '### $1');
@@ -165,8 +337,10 @@ function processSection(content) {
     });
 
     // Convert citations
-    result = result.replace(/\\cite[pt]?\{([^}]+)\}/g, (_, keys) => {
-        return keys.split(',').map(k => `[${k.trim()}]`).join('');
+    result = replaceCitations(result, (keys, command) => {
+        if (command === 'nocite') return '';
+        if (!footnotes) return citationBadges(keys, bibliography);
+        return keys.map(key => (bibliography.numbers.has(key) ? `[^${bibliography.numbers.get(key)}]` : `[${key}]`)).join('');
     });
 
     return result;
@@ -175,23 +349,26 @@ function processSection(content) {
 // ─── Stage 4: LLM Annotation ───────────────────────────────
 
 async function annotateWithLLM(sections, bibliography, onProgress) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-        console.warn('[4/5] No OPENAI_API_KEY — using mechanical + tool-enhanced conversion');
+    let llm;
+    try {
+        llm = resolveProvider();
+    } catch (err) {
+        console.warn(`[4/5] ${err.message} — using mechanical + tool-enhanced conversion`);
+        if (onProgress) onProgress(`${err.message} — skipping LLM annotation`, { type: 'warning' });
         return null; // Will be handled by processSection + tools
     }
 
-    const OpenAI = require('openai');
-    const openai = new OpenAI({ apiKey });
-    const model = process.env.OPENAI_MODEL || 'gpt-4o';
     const systemPrompt = fs.readFileSync(PROMPT_PATH, 'utf-8');
 
     const annotatedSections = [];
 
     for (let i = 0; i < sections.length; i++) {
         const sec = sections[i];
-        if (onProgress) onProgress(`Annotating section ${i + 1}/${sections.length}: ${sec.title}`);
-        console.log(`[4/5] LLM annotating: ${sec.number}. ${sec.title}`);
+        if (onProgress) {
+            onProgress(`Annotating section ${i + 1}/${sections.length}: ${sec.title}`,
+                { type: 'section', phase: 'annotate', index: i + 1, total: sections.length, title: sec.title });
+        }
+        console.log(`[4/5] LLM annotating (${llm.name}/${llm.model}): ${sec.number}. ${sec.title}`);
 
         const userPrompt = `Convert this LaTeX section to annotated Markdown.
 
@@ -202,27 +379,23 @@ async function annotateWithLLM(sections, bibliography, onProgress) {
 ${sec.content}
 \`\`\`
 
-### Bibliography (for citation resolution):
-\`\`\`latex
-${bibliography.substring(0, 4000)}
+### Bibliography (cite key → reference number):
+\`\`\`
+${promptBibliography(bibliography) || '(no bibliography found — keep citations as [key])'}
 \`\`\`
 
 Output ONLY the Markdown — no code fences, no explanation. Start with the ## heading.`;
 
         try {
-            const response = await openai.chat.completions.create({
-                model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt },
-                ],
-                temperature: 0.1,
-                max_tokens: 4096,
-            });
-
-            annotatedSections.push(response.choices[0].message.content.trim());
+            const markdown = await llm.complete([
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt },
+            ], { temperature: 0.1, maxTokens: 4096 });
+
+            annotatedSections.push(markdown.trim());
         } catch (err) {
             console.error(`[4/5] LLM error on section ${sec.title}: ${err.message}`);
+            if (onProgress) onProgress(`LLM annotation failed for "${sec.title}": ${err.message}`, { type: 'warning', section: i + 1 });
             annotatedSections.push(null); // Will fall back
         }
     }
@@ -232,7 +405,7 @@ Output ONLY the Markdown — no code fences, no explanation. Start with the ## h
 
 // ─── Stage 5: Assemble ──────────────────────────────────────
 
-function assembleHtml(meta, sections, figures, outputDir) {
+function assembleHtml(meta, sections, figures, outputDir, bibliography) {
     let html = '';
 
     // Title + metadata
@@ -255,9 +428,7 @@ function assembleHtml(meta, sections, figures, outputDir) {
     }
 
     // References
-    html += '<h2>References</h2>\n<ol class="references">\n';
-    // (references are embedded in sections via citations)
-    html += '</ol>\n';
+    html += `<h2>References</h2>\n${referencesHtml(bibliography) || '<ol class="references">\n</ol>\n'}`;
 
     return html;
 }
@@ -272,47 +443,243 @@ async function importArxiv(arxivId, onProgress) {
     const progress = onProgress || ((msg) => console.log(`  → ${msg}`));
 
     // Stage 1: Download
-    progress('Downloading arXiv source...');
-    const { cleanId, tmpDir } = await downloadArxivSource(arxivId);
+    reportStage(progress, 1, 'download', 'Downloading arXiv source...');
+    const { cleanId, tmpDir, archivePath } = await downloadArxivSource(arxivId);
+    const provenance = {
+        url: `https://arxiv.org/abs/${cleanId}`,
+        pdf: `https://arxiv.org/pdf/${cleanId}`,
+        arxiv_id: cleanId,
+        archive: 'arxiv',
+        archive_url: `https://arxiv.org/abs/${cleanId}`,
+        source: 'arxiv-pipeline',
+        tags: ['auto-imported', 'arxiv-pipeline'],
+    };
+
+    const id = arxivDocId(cleanId);
+    const isNew = !fs.existsSync(path.join(DOCS_DIR, id));
+    try {
+        // Some submissions only have a PDF; arXiv then serves it as the e-print
+        if (detectSourceKind(fs.readFileSync(archivePath)) === 'pdf') {
+            return await buildPdfDocument({ id, pdfPath: archivePath, provenance }, progress);
+        }
+        return await buildDocument({ id, tmpDir, provenance }, progress);
+    } catch (err) {
+        if (isNew) removeDocFolder(id);
+        throw err;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Import TeX sources uploaded from disk (preprints and drafts not on arXiv)
+ *
+ * @param {Buffer} buffer - .tar.gz, .tgz, .tar, .zip or a single .tex file
+ * @param {string} filename - Original file name; names the doc folder and is the fallback title
+ * @param {Object} [opts]
+ * @param {string} [opts.id] - Re-import into this docs/{id} instead of creating a new folder
+ * @param {Function} [onProgress]
+ * @returns {Promise<Object>} Same shape as importArxiv()
+ */
+async function importTexUpload(buffer, filename, opts = {}, onProgress) {
+    const progress = onProgress || ((msg) => console.log(`  → ${msg}`));
+    const id = slugifyDocId(opts.id) || uploadDocId(filename);
+
+    reportStage(progress, 1, 'unpack', 'Unpacking upload...');
+    console.log(`[1/5] Unpacking ${filename || 'upload'} (${buffer.length} bytes)`);
+    const isNew = !fs.existsSync(path.join(DOCS_DIR, id));
+    const tmpDir = makeTempDir(`upload-${id}`);
+    try {
+        unpackUpload(buffer, filename, tmpDir);
+        return await buildDocument({
+            id,
+            tmpDir,
+            fallbackTitle: path.basename(filename || '').replace(UPLOAD_EXTENSIONS, ''),
+            keepSource: true,
+            provenance: {
+                source: 'upload',
+                original_filename: path.basename(filename || ''),
+                tags: ['uploaded', 'arxiv-pipeline'],
+            },
+        }, progress);
+    } catch (err) {
+        if (isNew) removeDocFolder(id);
+        throw err;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Import a PDF uploaded from disk (papers without TeX source)
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @param {string} filename - Original file name; names the doc folder and is the fallback title
+ * @param {Object} [opts]
+ * @param {string} [opts.id] - Re-import into this docs/{id} instead of creating a new folder
+ * @param {Object} [opts.provenance] - metadata.yaml fields replacing the upload's (e.g. a DOI it was fetched for)
+ * @param {Function} [onProgress]
+ * @returns {Promise<Object>} Same shape as importArxiv()
+ */
+async function importPdfUpload(buffer, filename, opts = {}, onProgress) {
+    const progress = onProgress || ((msg) => console.log(`  → ${msg}`));
+    const id = slugifyDocId(opts.id) || uploadDocId(filename);
+
+    const isNew = !fs.existsSync(path.join(DOCS_DIR, id));
+    const tmpDir = makeTempDir(`upload-${id}`);
+    const pdfPath = path.join(tmpDir, 'paper.pdf');
+    fs.writeFileSync(pdfPath, buffer);
+    try {
+        return await buildPdfDocument({
+            id,
+            pdfPath,
+            fallbackTitle: path.basename(filename || '').replace(UPLOAD_EXTENSIONS, ''),
+            provenance: {
+                pdf: `/docs/${id}/paper.pdf`,
+                ...(opts.provenance || {
+                    source: 'upload',
+                    original_filename: path.basename(filename || ''),
+                    tags: ['uploaded', 'pdf-import'],
+                }),
+            },
+        }, progress);
+    } catch (err) {
+        if (isNew) removeDocFolder(id);
+        throw err;
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * PDF variant of stages 2–5: text → structure → paper.html, keeping the PDF itself
+ *
+ * @param {Object} opts
+ * @param {string} opts.id - Document folder name
+ * @param {string} opts.pdfPath - PDF to import (copied into the doc folder as paper.pdf)
+ * @param {Object} opts.provenance - Extra metadata.yaml fields describing where the paper came from
+ * @param {string} [opts.fallbackTitle] - Title when none can be recovered
+ */
+async function buildPdfDocument({ id, pdfPath, provenance, fallbackTitle }, progress) {
+    reportStage(progress, 2, 'parse', 'Extracting text from PDF...');
+    console.log('[2/5] Extracting PDF text (pdftotext)...');
+    const pages = pdfToPages(pdfPath);
+    const doc = structurePdfText(pages, pdfInfo(pdfPath));
+    if (doc.title === 'Untitled Paper' && fallbackTitle) doc.title = fallbackTitle;
+    if (!doc.sections.length && !doc.abstract) {
+        throw new Error('No text found in PDF — scanned PDFs need OCR before import');
+    }
+    console.log(`[2/5] Found ${doc.sections.length} sections, ${doc.references.length} references`);
+
+    const outputDir = path.join(DOCS_DIR, id);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.copyFileSync(pdfPath, path.join(outputDir, 'paper.pdf'));
+
+    reportStage(progress, 3, 'figures', 'Rendering figure pages...');
+    const images = renderFigurePages(pdfPath, doc.figures, outputDir);
+    if (doc.figures.length && !images.size) {
+        progress('pdftoppm not found — figures are kept as captions only', { type: 'warning' });
+    }
+    console.log(`[3/5] Found ${doc.figures.length} figure captions (${images.size} rendered)`);
+
+    reportStage(progress, 5, 'assemble', 'Assembling document...');
+    const html = pdfStructureToHtml(doc, images);
+    fs.writeFileSync(path.join(outputDir, 'paper.html'), html, 'utf-8');
+
+    const metadataYaml = {
+        title: doc.title,
+        short_title: doc.title.length > 40 ? doc.title.substring(0, 40) + '…' : doc.title,
+        type: 'journal-article',
+        authors: metadataAuthors(doc.authors),
+        date: new Date().toISOString().split('T')[0],
+        ...provenance,
+        pipeline_version: '2.0',
+        abstract: doc.abstract.substring(0, 500),
+        files: [
+            { name: 'paper.html', format: 'html', description: 'Text, headings and references extracted from the PDF', primary: true },
+            { name: 'paper.pdf', format: 'pdf', description: 'Original PDF' },
+        ],
+        variable_count: 0,
+        equation_count: 0,
+        reference_count: doc.references.length,
+        sections: doc.sections.filter(s => s.level === 2).length,
+        figures: doc.figures.length,
+        pages: pages.length,
+    };
+    fs.writeFileSync(path.join(outputDir, 'metadata.yaml'), yaml.dump(metadataYaml, { lineWidth: 100 }), 'utf-8');
+
+    console.log(`[5/5] ✅ Saved to ${outputDir}/ (${html.length} bytes, ${pages.length} pages)`);
+    return {
+        id,
+        filename: 'paper.html',
+        path: path.join(outputDir, 'paper.html'),
+        sections: metadataYaml.sections,
+        figures: doc.figures.length,
+        equations: 0,
+        bytes: html.length,
+    };
+}
+
+function metadataAuthors(names) {
+    return names.map(name => {
+        const parts = name.split(' ');
+        return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
+    });
+}
 
+/**
+ * Stages 2–5: turn extracted TeX sources in tmpDir into docs/{id}
+ *
+ * @param {Object} opts
+ * @param {string} opts.id - Document folder name
+ * @param {string} opts.tmpDir - Extracted sources (the caller removes them)
+ * @param {Object} opts.provenance - Extra metadata.yaml fields describing where the paper came from
+ * @param {string} [opts.fallbackTitle] - Title when the TeX has no \title
+ * @param {boolean} [opts.keepSource] - Also save the flattened TeX as paper.tex, with its bibliography as paper.bib / paper.bbl
+ */
+async function buildDocument({ id, tmpDir, provenance, fallbackTitle, keepSource }, progress) {
     // Stage 2: Parse
-    progress('Parsing TeX structure...');
-    const mainFile = findMainTexFile(tmpDir);
-    const fullTex = resolveInputs(mainFile, tmpDir);
+    reportStage(progress, 2, 'parse', 'Parsing TeX structure...');
+    const sourceDir = findSourceRoot(tmpDir);
+    const mainFile = findMainTexFile(sourceDir);
+    const fullTex = resolveInputs(mainFile, sourceDir);
 
     const docMatch = fullTex.match(/\\begin\{document\}([\s\S]*?)\\end\{document\}/);
     const body = docMatch ? docMatch[1] : fullTex;
 
     const meta = extractMetadata(fullTex);
+    if (!/\\title\{/.test(fullTex) && fallbackTitle) meta.title = fallbackTitle;
     const sections = extractSections(body);
-    const bibMatch = body.match(/\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/);
-    const bibliography = bibMatch ? bibMatch[0] : '';
+    const bibSources = findBibliographySources(fullTex, sourceDir, mainFile);
+    const bibliography = resolveBibliography(fullTex, bibSources);
 
     console.log(`[2/5] Found ${sections.length} sections: ${sections.map(s => s.title).join(', ')}`);
+    console.log(`[2/5] Resolved ${bibliography.references.length} references (${bibSources.bib.length} .bib, ${bibSources.bbl.length} .bbl)`);
 
     // Create output folder
-    const slug = cleanId.replace(/\./g, '-');
-    const outputDir = path.join(DOCS_DIR, slug);
+    const outputDir = path.join(DOCS_DIR, id);
     fs.mkdirSync(outputDir, { recursive: true });
 
     // Stage 3: Process with tools
-    progress('Extracting figures...');
+    reportStage(progress, 3, 'figures', 'Extracting figures...');
     console.log('[3/5] Extracting figures...');
-    const figures = extractFigures(fullTex, tmpDir, outputDir);
+    const figures = extractFigures(fullTex, sourceDir, outputDir);
     console.log(`[3/5] Extracted ${figures.length} figures (${figures.reduce((n, f) => n + f.images.length, 0)} images)`);
 
-    progress('Resolving cross-references...');
+    reportStage(progress, 3, 'refs', 'Resolving cross-references...');
     const labels = collectLabels(fullTex);
     console.log(`[3/5] Found ${labels.size} labels`);
 
     // Process each section with tools
-    progress('Processing sections with tools...');
+    reportStage(progress, 3, 'sections', 'Processing sections with tools...');
     const processedSections = [];
-    for (const sec of sections) {
+    for (const [i, sec] of sections.entries()) {
+        progress(`Section ${i + 1}/${sections.length}: ${sec.title}`,
+            { type: 'section', phase: 'convert', index: i + 1, total: sections.length, title: sec.title });
         let content = sec.content;
 
         // Basic LaTeX → Markdown conversion
-        content = processSection(content);
+        content = processSection(content, bibliography);
 
         // Replace figures with Markdown image refs
         content = replaceFiguresInText(content, figures);
@@ -345,14 +712,14 @@ async function importArxiv(arxivId, onProgress) {
     }
 
     // Stage 4: LLM Annotation (optional)
-    progress('LLM annotation phase...');
+    reportStage(progress, 4, 'annotate', 'LLM annotation phase...');
     const llmSections = await annotateWithLLM(sections, bibliography, progress);
     // If LLM produced results, we could merge them, but for now the tool-processed version
     // is the primary output since it has rendered math and figures
 
     // Stage 5: Assemble
-    progress('Assembling document...');
-    const html = assembleHtml(meta, processedSections, figures, outputDir);
+    reportStage(progress, 5, 'assemble', 'Assembling document...');
+    const html = assembleHtml(meta, processedSections, figures, outputDir, bibliography);
 
     // Write paper.html
     fs.writeFileSync(path.join(outputDir, 'paper.html'), html, 'utf-8');
@@ -362,26 +729,17 @@ async function importArxiv(arxivId, onProgress) {
         title: meta.title,
         short_title: meta.title.length > 40 ? meta.title.substring(0, 40) + '…' : meta.title,
         type: 'journal-article',
-        authors: meta.authors.map(name => {
-            const parts = name.split(' ');
-            return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
-        }),
+        authors: metadataAuthors(meta.authors),
         date: new Date().toISOString().split('T')[0],
-        url: `https://arxiv.org/abs/${cleanId}`,
-        pdf: `https://arxiv.org/pdf/${cleanId}`,
-        arxiv_id: cleanId,
-        archive: 'arxiv',
-        archive_url: `https://arxiv.org/abs/${cleanId}`,
-        source: 'arxiv-pipeline',
+        ...provenance,
         pipeline_version: '2.0',
-        tags: ['auto-imported', 'arxiv-pipeline'],
         abstract: meta.abstract.substring(0, 500),
         files: [
             { name: 'paper.html', format: 'html', description: 'Rendered with KaTeX math and extracted figures', primary: true },
         ],
         variable_count: 0,
         equation_count: processedSections.reduce((n, s) => n + (s.html.match(/math-display/g) || []).length, 0),
-        reference_count: bibliography ? (bibliography.match(/\\bibitem/g) || []).length : 0,
+        reference_count: bibliography.references.length,
         sections: sections.length,
         figures: figures.length,
     };
@@ -391,25 +749,36 @@ async function importArxiv(arxivId, onProgress) {
         let md = `# ${meta.title}\n\n`;
         md += `> **Authors:** ${meta.authors.join(', ')}\n\n---\n\n`;
         if (meta.abstract) md += `## Abstract\n\n${meta.abstract}\n\n---\n\n`;
+        // Sections keep their [^N] citations; their @references blocks become one, keeping the quotes
+        const quotes = {};
         for (let i = 0; i < sections.length; i++) {
             const llm = llmSections[i];
             if (llm) {
-                md += llm + '\n\n---\n\n';
+                const [text, refs = ''] = llm.split(/<!--\s*@references\s*-->/);
+                for (const m of refs.matchAll(/^\[\^(\d+)\]:.*?\bquote="([^"]*)"/gm)) quotes[m[1]] = quotes[m[1]] || m[2];
+                md += text.trim() + '\n\n---\n\n';
             } else {
-                md += `## ${sections[i].number}. ${sections[i].title}\n\n${processSection(sections[i].content)}\n\n---\n\n`;
+                md += `## ${sections[i].number}. ${sections[i].title}\n\n${processSection(sections[i].content, bibliography, { footnotes: true })}\n\n---\n\n`;
             }
         }
+        md += markdownReferences(bibliography, quotes);
         fs.writeFileSync(path.join(outputDir, 'paper.md'), md, 'utf-8');
         metadataYaml.files.push({ name: 'paper.md', format: 'markdown', description: 'LLM-annotated Markdown with @var-defs' });
     }
 
-    fs.writeFileSync(path.join(outputDir, 'metadata.yaml'), yaml.dump(metadataYaml, { lineWidth: 100 }), 'utf-8');
+    // Uploaded sources can't be fetched again, so keep them (rendered on demand by tex2html.js)
+    if (keepSource) {
+        fs.writeFileSync(path.join(outputDir, 'paper.tex'), fullTex, 'utf-8');
+        // Found again by tex2html.js under the name of the main file
+        if (bibSources.bib.length) fs.writeFileSync(path.join(outputDir, 'paper.bib'), bibSources.bib.join('\n\n'), 'utf-8');
+        if (bibSources.bbl.length) fs.writeFileSync(path.join(outputDir, 'paper.bbl'), bibSources.bbl.join('\n\n'), 'utf-8');
+        metadataYaml.files.push({ name: 'paper.tex', format: 'tex', description: 'Uploaded TeX source (\\input files inlined)' });
+    }
 
-    // Cleanup temp
-    try { fs.rmSync(tmpDir, { recursive: true }); } catch { }
+    fs.writeFileSync(path.join(outputDir, 'metadata.yaml'), yaml.dump(metadataYaml, { lineWidth: 100 }), 'utf-8');
 
     const result = {
-        id: slug,
+        id,
         filename: 'paper.html',
         path: path.join(outputDir, 'paper.html'),
         sections: sections.length,
@@ -426,11 +795,19 @@ async function importArxiv(arxivId, onProgress) {
 if (require.main === module) {
     const arxivId = process.argv[2];
     if (!arxivId) {
-        console.error('Usage: node arxiv-pipeline.js <arxiv-id>');
+        console.error('Usage: node arxiv-pipeline.js <arxiv-id | path/to/source.tar.gz|.zip|.tex|.pdf>');
         console.error('  e.g.: node arxiv-pipeline.js 1706.03762');
         process.exit(1);
     }
-    importArxiv(arxivId).then(result => {
+    let run;
+    if (UPLOAD_EXTENSIONS.test(arxivId) && fs.existsSync(arxivId)) {
+        const buffer = fs.readFileSync(arxivId);
+        const importUpload = detectSourceKind(buffer, arxivId) === 'pdf' ? importPdfUpload : importTexUpload;
+        run = importUpload(buffer, path.basename(arxivId));
+    } else {
+        run = importArxiv(arxivId);
+    }
+    run.then(result => {
         console.log('\nResult:', JSON.stringify(result, null, 2));
     }).catch(err => {
         console.error('Pipeline failed:', err.message);
@@ -438,4 +815,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { importArxiv };
+module.exports = { importArxiv, importTexUpload, importPdfUpload, detectSourceKind, slugifyDocId };
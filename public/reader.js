@@ -37,10 +37,17 @@
         pinnedVars: new Set(), // currently pinned variable names
         highlights: [],  // persisted user highlights
         collapses: [],   // persisted text collapses
+        orphanedIds: new Set(), // annotations whose text could not be re-anchored
+        currentUser: null,      // { id, name, color } from /api/me
+        defaultUserId: 'local', // owner of annotations without an author
+        users: {},              // id → { id, name, color }
+        hiddenAuthors: new Set(JSON.parse(localStorage.getItem('scholarly-hidden-layers') || '[]')),
         historyTree: {
             rootId: 'root',
-            nodes: {},
-            headId: 'root'
+            nodes: {},       // { id, parentId, childrenIds, patches, annotationDelta, description, timestamp }
+            headId: 'root',
+            baseHtml: '',    // article HTML when the tree was started
+            baseAnnotations: [],
         },
     };
 
@@ -76,9 +83,13 @@
         // For backward compat, keep state.filename as an alias
         state.filename = state.docId;
 
-        // Load document HTML + annotations
+        await loadIdentity();
+
+        // Load document HTML + annotations (?file= picks a file other than the
+        // primary one, e.g. v2.md of a studio artifact)
+        const file = params.get('file');
         const [docData, annotations] = await Promise.all([
-            fetchJSON(`/api/doc/${state.docId}`),
+            fetchJSON(`/api/doc/${state.docId}${file ? `?file=${encodeURIComponent(file)}` : ''}`),
             fetchJSON(`/api/annotations/${state.docId}`).catch(() => []),
         ]);
 
@@ -95,6 +106,7 @@
         extractVariables();
         extractReferences();
         setupMathToggles();
+        loadLibraryReferences();
 
         // Set document title
         const docTitle = docData.title || article.querySelector('h1')?.textContent || state.docId;
@@ -125,9 +137,32 @@
         setupFocusMode();
         setupAnnotations();
         setupAnnotationClick();
-        setupHistoryTree();
+        setupAnnotationExchange();
+        await setupHistoryTree();
+        setupCollaboration();
         setupEraserMode();
         setupSplitViews();
+        applyDeepLink(params);
+    }
+
+    /**
+     * Honour search-result links: /?doc={id}&annotation={annId}#{anchor}
+     */
+    function applyDeepLink(params) {
+        const annId = params.get('annotation');
+        const ann = annId ? state.annotations.find(a => a.id === annId) : null;
+        if (ann && jumpToAnnotationEvidence(ann)) return;
+        const anchor = decodeURIComponent(window.location.hash.slice(1));
+        if (anchor) scrollToAnchor(anchor);
+    }
+
+    function scrollToAnchor(anchor) {
+        const target = anchor && document.getElementById(anchor);
+        if (!target || !article.contains(target)) return false;
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        target.classList.add('evidence-focus');
+        setTimeout(() => target.classList.remove('evidence-focus'), 1400);
+        return true;
     }
 
     // ═══════════════════════════════════════════════
@@ -264,7 +299,12 @@
         }
 
         function buildMenuHTML() {
-            menu.innerHTML = cachedDocs.map(d => {
+            const searchRow = `
+                <div class="doc-search">
+                    <input type="text" class="doc-search-input" id="doc-search-input" placeholder="Search papers, notes, variables…" autocomplete="off" value="${esc(searchQuery)}" />
+                </div>
+                <div class="doc-search-results" id="doc-search-results"></div>`;
+            menu.innerHTML = searchRow + cachedDocs.map(d => {
                 const isActive = d.id === state.docId;
                 const badge = d.conference ? `<span class="doc-item-badge">${d.conference}</span>` : '';
                 const authorLine = d.authors ? `<span class="doc-item-authors">${esc(d.authors).substring(0, 50)}</span>` : '';
@@ -290,6 +330,62 @@
                 </div>`;
             }).join('');
             attachMenuListeners();
+            attachSearchListeners();
+            if (searchQuery) runLibrarySearch();
+        }
+
+        // ── Library-wide search (GET /api/search) ──
+        let searchQuery = '';
+        let searchTimer = null;
+
+        function attachSearchListeners() {
+            const input = menu.querySelector('#doc-search-input');
+            input.addEventListener('click', (e) => e.stopPropagation());
+            input.addEventListener('input', () => {
+                searchQuery = input.value.trim();
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(runLibrarySearch, 200);
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    menu.querySelector('.doc-search-hit')?.click();
+                }
+                if (e.key === 'Escape') picker.classList.remove('open');
+            });
+        }
+
+        async function runLibrarySearch() {
+            const results = menu.querySelector('#doc-search-results');
+            if (!results) return;
+            menu.classList.toggle('searching', searchQuery.length > 0);
+            if (!searchQuery) {
+                results.innerHTML = '';
+                return;
+            }
+
+            const query = searchQuery;
+            let data;
+            try {
+                data = await fetchJSON(`/api/search?q=${encodeURIComponent(query)}&limit=12`);
+            } catch (e) {
+                results.innerHTML = '<p class="panel-empty">Search failed.</p>';
+                return;
+            }
+            if (query !== searchQuery) return; // a newer query is in flight
+
+            if (data.hits.length === 0) {
+                results.innerHTML = `<p class="panel-empty">No matches for “${esc(query)}”.</p>`;
+                return;
+            }
+            results.innerHTML = data.hits.map(hit => renderSearchHit(hit, data.terms)).join('');
+            results.querySelectorAll('.doc-search-hit').forEach(el => {
+                el.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    picker.classList.remove('open');
+                    openSearchHit(el.dataset);
+                });
+            });
         }
 
         function attachMenuListeners() {
@@ -1061,6 +1157,7 @@
     function buildRefsPanel() {
         const refList = $('#ref-list');
         const nums = Object.keys(state.references).sort((a, b) => a - b);
+        refList.innerHTML = '';
 
         if (nums.length === 0) {
             refList.innerHTML = '<li class="panel-empty">No references in this document.</li>';
@@ -1070,9 +1167,10 @@
         nums.forEach(num => {
             const ref = state.references[num];
             const li = document.createElement('li');
-            li.className = 'ref-list-item';
+            li.className = `ref-list-item${ref.libraryDoc ? ' in-library' : ''}`;
             li.dataset.ref = num;
             li.innerHTML = `<span class="ref-num">[${num}]</span> <span class="ref-title">${esc(ref.title)}</span>`;
+            if (ref.libraryDoc) li.title = 'In your library';
             li.addEventListener('click', () => showRefDetail(num));
             refList.appendChild(li);
         });
@@ -1087,13 +1185,116 @@
         const noteHtml = userNote
             ? `<div class="ref-user-note"><div class="ref-user-note-label">Your Note</div>${esc(userNote)}</div>`
             : '';
+        const doiUrl = !ref.url && ref.doi ? `https://doi.org/${ref.doi}` : '';
         $('#ref-detail-view').innerHTML = `
             <div class="ref-detail">
                 <div class="ref-detail-title">[${num}] ${esc(ref.title)}</div>
                 ${ref.url ? `<a class="ref-detail-link" href="${esc(ref.url)}" target="_blank">${esc(ref.url)}</a>` : ''}
+                ${doiUrl ? `<a class="ref-detail-link" href="${esc(doiUrl)}" target="_blank">doi:${esc(ref.doi)}</a>` : ''}
+                ${refLibraryAction(ref)}
                 ${ref.quote ? `<div class="ref-detail-quote">${esc(ref.quote)}</div>` : ''}
                 ${noteHtml}
             </div>`;
+        $('#ref-detail-view [data-action="import-ref"]')?.addEventListener('click', () => importReference(num));
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Cited Papers in the Library (/api/doc/:id/references)
+    // ═══════════════════════════════════════════════
+
+    /**
+     * Which references are library documents, and which can be imported
+     * (arXiv id or DOI); badges of library documents link to them
+     */
+    async function loadLibraryReferences() {
+        let resolved;
+        try {
+            resolved = await fetchJSON(`/api/doc/${encodeURIComponent(state.docId)}/references`);
+        } catch {
+            return;
+        }
+        for (const r of resolved) {
+            const ref = state.references[r.num];
+            if (!ref) continue;
+            Object.assign(ref, { arxivId: r.arxivId, doi: r.doi, libraryDoc: r.docId, importable: r.importable });
+            if (!ref.url && r.url) ref.url = r.url;
+            if (r.importJob) followReferenceImport(r.num, r.importJob, r.importDocId);
+        }
+        linkLibraryBadges();
+        buildRefsPanel();
+        if (state.activeRef) showRefDetail(state.activeRef);
+    }
+
+    function refLibraryAction(ref) {
+        if (ref.libraryDoc) {
+            return `<a class="ref-detail-library" href="/?doc=${encodeURIComponent(ref.libraryDoc)}">Open in library →</a>`;
+        }
+        if (ref.importStatus) return `<div class="ref-detail-import-status">${esc(ref.importStatus)}</div>`;
+        if (ref.importable) {
+            const source = ref.arxivId ? `arXiv:${ref.arxivId}` : `doi:${ref.doi}`;
+            return `<button class="ref-detail-import" data-action="import-ref" title="Import ${esc(source)} into the library">Import into library</button>`;
+        }
+        return '';
+    }
+
+    function linkLibraryBadges() {
+        article.querySelectorAll('.ref-badge[data-ref]').forEach(badge => {
+            const ref = state.references[badge.dataset.ref];
+            if (!ref || !ref.libraryDoc || badge.querySelector('.ref-badge-link')) return;
+            badge.classList.add('in-library');
+            const link = document.createElement('a');
+            link.className = 'ref-badge-link';
+            link.href = `/?doc=${encodeURIComponent(ref.libraryDoc)}`;
+            link.title = `${ref.title} — open in library`;
+            link.append(...badge.childNodes);
+            badge.appendChild(link);
+        });
+    }
+
+    async function importReference(num) {
+        const ref = state.references[num];
+        if (!ref) return;
+        ref.importStatus = 'Starting import...';
+        showRefDetail(num);
+        try {
+            const body = await fetchJSON(`/api/doc/${encodeURIComponent(state.docId)}/references/${encodeURIComponent(num)}/import`, { method: 'POST' });
+            if (body.jobId) {
+                followReferenceImport(num, body.jobId, body.docId);
+            } else {
+                importedReference(num, body.docId);
+            }
+        } catch (err) {
+            ref.importStatus = `❌ Import failed (${err.message})`;
+            if (state.activeRef === String(num)) showRefDetail(String(num));
+        }
+    }
+
+    function followReferenceImport(num, jobId, docId) {
+        const ref = state.references[num];
+        ref.importStatus = ref.importStatus || 'Importing...';
+        const refresh = () => { if (state.activeRef === String(num)) showRefDetail(String(num)); };
+        followImportJob(jobId, {
+            onEvent(entry) {
+                ref.importStatus = `⏳ ${entry.message}`;
+                refresh();
+            },
+            onResult(entry) {
+                if (entry.status === 'done') {
+                    importedReference(num, (entry.result && entry.result.id) || docId);
+                    return;
+                }
+                ref.importStatus = entry.status === 'cancelled' ? '❌ Import cancelled' : `❌ ${entry.error || 'Import failed'}`;
+                refresh();
+            },
+        });
+    }
+
+    function importedReference(num, docId) {
+        const ref = state.references[num];
+        Object.assign(ref, { libraryDoc: docId, importable: false, importStatus: null });
+        linkLibraryBadges();
+        buildRefsPanel();
+        if (state.activeRef === String(num)) showRefDetail(String(num));
     }
 
     // ═══════════════════════════════════════════════
@@ -1159,6 +1360,7 @@
     }
 
     function pinVar(name) {
+        if (!state.pinnedVars.has(name)) sendCollab({ type: 'pin', name });
         state.pinnedVars.add(name);
         highlightVar(name);
         article.querySelectorAll(`.var[data-var="${CSS.escape(name)}"]`).forEach(el => {
@@ -1167,6 +1369,7 @@
     }
 
     function unpinVar(name) {
+        if (state.pinnedVars.has(name)) sendCollab({ type: 'unpin', name });
         state.pinnedVars.delete(name);
         article.querySelectorAll(`.var-pinned[data-var="${CSS.escape(name)}"]`).forEach(el => {
             el.classList.remove('var-pinned');
@@ -1557,9 +1760,11 @@
                     replacementText,
                     anchorSelector: anchor.selector,
                     anchorOffset: anchor.offset,
+                    selectors: anchor.selectors,
                 }),
             });
             wrapper.dataset.collapseId = ann.id;
+            applyAuthorLayer(wrapper, ann);
             state.annotations.push(ann);
 
             sel.removeAllRanges();
@@ -1615,7 +1820,7 @@
             const sourceInput = editor.querySelector('input[name="note-source"]:checked');
             const source = sourceInput ? sourceInput.value : 'human';
             const annType = source === 'ai' ? 'ai_note' : 'human_note';
-            const anchor = state.pendingNoteRange ? buildAnchorFromRange(state.pendingNoteRange) : { selector: '', offset: 0 };
+            const anchor = state.pendingNoteRange ? buildAnchorFromRange(state.pendingNoteRange) : { selector: '', offset: 0, selectors: [] };
 
             // Wrap the text in the DOM immediately
             let mark = null;
@@ -1640,10 +1845,14 @@
                     color: 'note',
                     anchorSelector: anchor.selector,
                     anchorOffset: anchor.offset,
+                    selectors: anchor.selectors,
                 }),
             });
             state.annotations.push(ann);
-            if (mark) mark.dataset.hlId = ann.id;
+            if (mark) {
+                mark.dataset.hlId = ann.id;
+                applyAuthorLayer(mark, ann);
+            }
 
             editor.remove();
             state.pendingNoteText = null;
@@ -1657,16 +1866,21 @@
     function renderAnnotationsList() {
         const list = $('#notes-list');
         const editor = $('#active-note-editor');
+        renderLayerControls();
         const notes = [...state.annotations]
             .filter(isNoteAnnotation)
+            .filter(isLayerVisible)
             .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
 
-        if (notes.length === 0 && !editor) {
+        const orphans = state.annotations.filter(a => state.orphanedIds.has(a.id));
+
+        if (notes.length === 0 && orphans.length === 0 && !editor) {
             list.innerHTML = '<p class="panel-empty">Select text to add a note.</p>';
             return;
         }
 
         let html = editor ? editor.outerHTML : '';
+        if (orphans.length) html += renderOrphanReport(orphans);
         notes.forEach(ann => {
             const date = ann.createdAt
                 ? new Date(ann.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
@@ -1674,20 +1888,27 @@
             const source = getNoteSource(ann);
             const sourceLabel = source === 'ai' ? 'AI' : 'Human';
             const sourceCls = source === 'ai' ? 'ai' : 'human';
+            // Chat answers saved as notes carry the model and prompt that produced them
+            const badgeLabel = ann.ai && ann.ai.model ? `${sourceLabel} · ${esc(ann.ai.model)}` : sourceLabel;
+            const aiTitle = ann.ai ? esc(`${ann.ai.model || ''}${ann.ai.prompt ? ` — prompt: ${ann.ai.prompt.slice(0, 300)}` : ''}`).replace(/"/g, '&quot;') : '';
             const selectedText = ann.selectedText || '';
-            const hasJump = !!(ann.anchorSelector || selectedText);
+            const orphaned = state.orphanedIds.has(ann.id);
+            const hasJump = !orphaned && !!(ann.anchorSelector || selectedText);
+            const author = getAuthor(getAuthorId(ann));
             html += `
-                <div class="note-card">
+                <div class="note-card ${orphaned ? 'orphaned' : ''}" data-author="${esc(author.id)}" style="--author-color:${esc(author.color)}">
                     ${selectedText ? `<div class="note-selected-text">"${esc(selectedText.substring(0, 120))}${selectedText.length > 120 ? '…' : ''}"</div>` : ''}
                     <div class="note-content">${esc(ann.note)}</div>
                     <div class="note-meta">
                         <span class="note-meta-left">
-                            <span class="note-source-badge ${sourceCls}">${sourceLabel}</span>
+                            <span class="note-author"><span class="layer-dot"></span>${esc(author.name)}</span>
+                            <span class="note-source-badge ${sourceCls}" title="${aiTitle}">${badgeLabel}</span>
+                            ${orphaned ? '<span class="note-orphan-badge" title="The quoted text is no longer in this document">Detached</span>' : ''}
                             <span>${date}</span>
                         </span>
                         <span class="note-meta-actions">
                             ${hasJump ? `<button class="note-jump" data-id="${ann.id}">Jump</button>` : ''}
-                            <button class="note-delete" data-id="${ann.id}">Delete</button>
+                            ${isOwnAnnotation(ann) ? `<button class="note-delete" data-id="${ann.id}">Delete</button>` : ''}
                         </span>
                     </div>
                 </div>`;
@@ -1715,12 +1936,71 @@
                     parent.normalize();
                 }
                 state.annotations = state.annotations.filter(a => a.id !== btn.dataset.id);
+                state.orphanedIds.delete(btn.dataset.id);
                 renderAnnotationsList();
                 showToast('Note deleted');
             });
         });
     }
 
+    /**
+     * Notes panel export/import in W3C Web Annotation JSON-LD
+     * (interoperable with Hypothesis and other annotation tools)
+     */
+    function setupAnnotationExchange() {
+        const fileInput = $('#notes-import-file');
+
+        $('#notes-export')?.addEventListener('click', () => {
+            const a = document.createElement('a');
+            a.href = `/api/annotations/${encodeURIComponent(state.docId)}/export?format=w3c`;
+            a.download = `${state.docId}-annotations.jsonld`;
+            a.click();
+        });
+
+        $('#notes-import')?.addEventListener('click', () => fileInput?.click());
+
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const payload = JSON.parse(await file.text());
+                const result = await fetchJSON(`/api/annotations/${encodeURIComponent(state.docId)}/import`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/ld+json' },
+                    body: JSON.stringify(payload),
+                });
+                showToast(`Imported ${result.imported} annotation${result.imported !== 1 ? 's' : ''}${result.updated ? `, updated ${result.updated}` : ''}`);
+                // Re-render from the server copy so imported highlights get anchored
+                setTimeout(() => window.location.reload(), 600);
+            } catch (err) {
+                showToast('Import failed: ' + err.message);
+            }
+        });
+    }
+
+    /**
+     * Annotations that could not be re-attached after the document changed
+     * (e.g. the import agent regenerated paper.html).
+     */
+    function renderOrphanReport(orphans) {
+        const typeLabels = { highlight: 'Highlight', collapse: 'Collapse', note: 'Note', human_note: 'Note', ai_note: 'AI note' };
+        return `
+            <div class="orphan-report">
+                <div class="orphan-report-title">⚠ ${orphans.length} annotation${orphans.length !== 1 ? 's' : ''} could not be re-attached</div>
+                <div class="orphan-report-hint">The document text changed since they were made.</div>
+                ${orphans.map(ann => {
+                    const quote = ann.selectedText || window.TextAnchor.getSelector(ann.selectors, 'TextQuoteSelector')?.exact || '';
+                    return `
+                        <div class="orphan-item">
+                            <span class="orphan-type">${typeLabels[ann.type] || esc(ann.type)}</span>
+                            <span class="orphan-quote">"${esc(quote.substring(0, 80))}${quote.length > 80 ? '…' : ''}"</span>
+                            ${isOwnAnnotation(ann) ? `<button class="note-delete" data-id="${ann.id}">Delete</button>` : ''}
+                        </div>`;
+                }).join('')}
+            </div>`;
+    }
+
     // ═══════════════════════════════════════════════
     //  Utilities
     // ═══════════════════════════════════════════════
@@ -1790,13 +2070,56 @@
         }
     }
 
+    /**
+     * Text nodes of `root` with their offsets in the concatenated text.
+     * Reader chrome injected into the article (collapse summaries and
+     * toggles) is skipped so offsets match the served document.
+     */
+    function collectTextNodes(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement && node.parentElement.closest('.collapsed-summary, .collapsed-toggle')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT),
+        });
+        const nodes = [];
+        let text = '';
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const start = text.length;
+            text += node.textContent;
+            nodes.push({ node, start, end: text.length });
+        }
+        return { nodes, text };
+    }
+
+    function globalOffsetOf(nodes, container, offset) {
+        if (container.nodeType === Node.TEXT_NODE) {
+            const entry = nodes.find(n => n.node === container);
+            return entry ? entry.start + offset : null;
+        }
+        // Element boundary: the offset falls before the first text node at or after it
+        const probe = document.createRange();
+        probe.setStart(container, offset);
+        probe.collapse(true);
+        const after = nodes.find(entry => probe.comparePoint(entry.node, 0) >= 0);
+        if (after) return after.start;
+        return nodes.length ? nodes[nodes.length - 1].end : null;
+    }
+
     function buildAnchorFromRange(range) {
-        if (!range) return { selector: '', offset: 0 };
+        if (!range) return { selector: '', offset: 0, selectors: [] };
         const container = getAnchorContainer(range.startContainer);
-        if (!container) return { selector: '', offset: 0 };
+        if (!container) return { selector: '', offset: 0, selectors: [] };
+
+        const { nodes, text } = collectTextNodes(article);
+        const start = globalOffsetOf(nodes, range.startContainer, range.startOffset);
+        const end = globalOffsetOf(nodes, range.endContainer, range.endOffset);
         return {
             selector: buildCssPath(container),
             offset: getTextOffsetInContainer(container, range),
+            selectors: start !== null && end !== null && end > start
+                ? window.TextAnchor.describeTextRange(text, start, end)
+                : [],
         };
     }
 
@@ -1830,15 +2153,7 @@
         const target = selectedText.trim();
         if (!target) return null;
 
-        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
-        const nodes = [];
-        let fullText = '';
-        while (walker.nextNode()) {
-            const node = walker.currentNode;
-            const start = fullText.length;
-            fullText += node.textContent;
-            nodes.push({ node, start, end: fullText.length });
-        }
+        const { nodes, text: fullText } = collectTextNodes(container);
         if (!fullText) return null;
 
         const candidates = [];
@@ -1860,7 +2175,20 @@
     }
 
     function findRangeForAnnotation(ann) {
-        if (!ann || !ann.selectedText) return null;
+        if (!ann) return null;
+
+        // W3C quote/position selectors survive re-imports that change markup
+        if (Array.isArray(ann.selectors) && ann.selectors.length) {
+            const { nodes, text } = collectTextNodes(article);
+            const match = window.TextAnchor.locateTextRange(text, ann.selectors, ann.selectedText);
+            if (match) {
+                const range = createRangeFromGlobalOffsets(nodes, match.start, match.end);
+                if (range) return range;
+            }
+        }
+
+        // Legacy anchors: CSS path + offset within the container
+        if (!ann.selectedText) return null;
         const preferredOffset = Number.isFinite(Number(ann.anchorOffset)) ? Number(ann.anchorOffset) : null;
 
         if (ann.anchorSelector) {
@@ -1885,9 +2213,49 @@
         return true;
     }
 
+    const SEARCH_KIND_LABELS = { text: 'Text', note: 'Note', variable: 'Variable' };
+
+    function renderSearchHit(hit, terms) {
+        return `
+            <div class="doc-search-hit" data-doc-id="${esc(hit.docId)}" data-anchor="${esc(hit.anchor || '')}" data-annotation-id="${esc(hit.annotationId || '')}">
+                <div class="doc-search-hit-head">
+                    <span class="doc-search-kind ${esc(hit.kind)}">${SEARCH_KIND_LABELS[hit.kind] || esc(hit.kind)}</span>
+                    <span class="doc-search-doc">${esc(hit.docTitle)}</span>
+                </div>
+                ${hit.section ? `<div class="doc-search-section">${esc(hit.section)}</div>` : ''}
+                <div class="doc-search-snippet">${highlightTerms(hit.snippet, terms)}</div>
+            </div>`;
+    }
+
+    function highlightTerms(text, terms) {
+        const escaped = esc(text);
+        if (!terms || terms.length === 0) return escaped;
+        const pattern = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        return escaped.replace(new RegExp(`(?<![\\p{L}\\p{N}_])(${pattern})`, 'giu'), '<mark>$1</mark>');
+    }
+
+    /**
+     * Navigate to a search hit — in place when it belongs to the open document
+     */
+    function openSearchHit({ docId, anchor, annotationId }) {
+        if (docId === state.docId) {
+            const ann = annotationId ? state.annotations.find(a => a.id === annotationId) : null;
+            if (ann && jumpToAnnotationEvidence(ann)) return;
+            if (!scrollToAnchor(anchor)) showToast('Section not found');
+            return;
+        }
+        const query = new URLSearchParams({ doc: docId });
+        if (annotationId) query.set('annotation', annotationId);
+        window.location.href = `/?${query}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`;
+    }
+
     async function fetchJSON(url, opts = {}) {
+        const userId = localStorage.getItem(USER_STORAGE_KEY);
+        if (userId) opts = { ...opts, headers: { ...opts.headers, 'X-Scholarly-User': userId } };
+        // Lets the collaboration hub skip echoing our own annotation changes back to us
+        if (collab.clientId) opts = { ...opts, headers: { ...opts.headers, 'X-Collab-Client': collab.clientId } };
         const res = await fetch(url, opts);
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
         return res.json();
     }
 
@@ -1897,6 +2265,150 @@
         return d.innerHTML;
     }
 
+    /**
+     * Follow an import job over its event stream: `onEvent(entry)` gets each
+     * step (stage, section, retry, cancel, …), `onResult(entry)` the final
+     * { status, result, error } — also when the job is unknown or the server
+     * stays unreachable, so callers never wait forever
+     */
+    function followImportJob(jobId, { onEvent, onResult }) {
+        const events = new EventSource(`/api/import-jobs/${encodeURIComponent(jobId)}/events`);
+        let failures = 0;
+        events.onmessage = (e) => {
+            failures = 0;
+            const entry = JSON.parse(e.data);
+            if (entry.type === 'result') {
+                events.close();
+                onResult(entry);
+            } else if (onEvent) {
+                onEvent(entry);
+            }
+        };
+        // A 404 closes the stream at once; a dropped connection is retried a few times
+        events.onerror = () => {
+            if (events.readyState !== EventSource.CLOSED && ++failures < 3) return;
+            events.close();
+            onResult({ type: 'result', status: 'error', error: 'Lost connection to the import' });
+        };
+        return events;
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Users & Annotation Layers
+    // ═══════════════════════════════════════════════
+
+    const USER_STORAGE_KEY = 'scholarly-user';
+
+    async function loadIdentity() {
+        try {
+            const [me, users] = await Promise.all([fetchJSON('/api/me'), fetchJSON('/api/users')]);
+            state.currentUser = me;
+            state.defaultUserId = me.defaultUserId || 'local';
+            state.users = Object.fromEntries(users.map(u => [u.id, u]));
+            state.users[me.id] = state.users[me.id] || me;
+        } catch {
+            state.currentUser = null;
+        }
+    }
+
+    // Annotations from before authorship was recorded belong to the default user
+    function getAuthorId(ann) {
+        return ann.author || state.defaultUserId || 'local';
+    }
+
+    function getAuthor(id) {
+        return state.users[id] || { id, name: id, color: 'var(--text-faint)' };
+    }
+
+    // Only the author may edit or delete an annotation (the server enforces it too)
+    function isOwnAnnotation(ann) {
+        return !state.currentUser || getAuthorId(ann) === state.currentUser.id;
+    }
+
+    function showNotOwnToast(ann) {
+        showToast(`${getAuthor(getAuthorId(ann)).name}'s annotation — only they can change it`);
+    }
+
+    function isLayerVisible(ann) {
+        return !state.hiddenAuthors.has(getAuthorId(ann));
+    }
+
+    /**
+     * Tag a highlight/collapse element with its author's layer
+     */
+    function applyAuthorLayer(el, ann) {
+        if (!el || !ann) return;
+        const author = getAuthor(getAuthorId(ann));
+        el.dataset.author = author.id;
+        el.style.setProperty('--author-color', author.color);
+        el.classList.toggle('layer-hidden', !isLayerVisible(ann));
+    }
+
+    function refreshAuthorLayers() {
+        article.querySelectorAll('.user-hl[data-hl-id], .collapsed-block[data-collapse-id]').forEach(el => {
+            const id = el.dataset.hlId || el.dataset.collapseId;
+            const ann = state.annotations.find(a => a.id === id);
+            if (ann) applyAuthorLayer(el, ann);
+        });
+        try { localStorage.setItem('scholarly-hidden-layers', JSON.stringify([...state.hiddenAuthors])); } catch { }
+    }
+
+    function renderLayerControls() {
+        const container = $('#notes-layers');
+        if (!container) return;
+
+        const authorIds = [...new Set(state.annotations.map(getAuthorId))];
+        const me = state.currentUser;
+        if (me && !authorIds.includes(me.id)) authorIds.unshift(me.id);
+
+        container.innerHTML = `
+            ${me ? `
+                <div class="notes-identity">
+                    <span>Reading as</span>
+                    <span class="notes-identity-name" style="color:${esc(me.color)}">${esc(me.name)}</span>
+                    <button class="notes-identity-switch" id="notes-identity-switch">switch</button>
+                </div>` : ''}
+            ${authorIds.length > 1 ? authorIds.map(id => {
+                const author = getAuthor(id);
+                const count = state.annotations.filter(a => getAuthorId(a) === id).length;
+                return `
+                    <button class="layer-chip ${state.hiddenAuthors.has(id) ? 'off' : ''}" data-author="${esc(id)}" style="--author-color:${esc(author.color)}" title="Show/hide ${esc(author.name)}'s annotations">
+                        <span class="layer-dot"></span>${esc(author.name)} · ${count}
+                    </button>`;
+            }).join('') : ''}`;
+
+        container.querySelectorAll('.layer-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const id = chip.dataset.author;
+                if (state.hiddenAuthors.has(id)) state.hiddenAuthors.delete(id);
+                else state.hiddenAuthors.add(id);
+                refreshAuthorLayers();
+                renderAnnotationsList();
+            });
+        });
+
+        $('#notes-identity-switch')?.addEventListener('click', switchIdentity);
+    }
+
+    async function switchIdentity() {
+        const name = prompt('Your name (annotations you make will be attributed to it):', state.currentUser?.name || '');
+        if (!name || !name.trim()) return;
+        try {
+            const user = await fetchJSON('/api/users', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() }),
+            });
+            localStorage.setItem(USER_STORAGE_KEY, user.id);
+            state.currentUser = user;
+            state.users[user.id] = user;
+            renderAnnotationsList();
+            showToast(`Reading as ${user.name}`);
+        } catch (err) {
+            showToast('Could not switch user: ' + err.message);
+        }
+    }
+
     // ═══════════════════════════════════════════════
     //  Unified Annotations System
     // ═══════════════════════════════════════════════
@@ -1904,51 +2416,64 @@
     // (Replaced localStorage with backend API for highlights and collapses)
 
     function setupAnnotations() {
+        state.orphanedIds = new Set();
         if (!state.annotations || !state.annotations.length) return;
 
-        state.annotations.forEach(ann => {
-            const range = findRangeForAnnotation(ann);
-            if (!range) return;
-            const anchorEl = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer.parentElement : range.startContainer;
-            if (anchorEl && anchorEl.closest('.user-hl, .collapsed-block')) return;
-
-            if (ann.type === 'collapse') {
-                const wrapper = document.createElement('span');
-                wrapper.className = 'collapsed-block';
-                wrapper.dataset.collapseId = ann.id;
-
-                const summaryEl = document.createElement('span');
-                summaryEl.className = 'collapsed-summary';
-                summaryEl.textContent = `📦 ${ann.replacementText || ann.selectedText.substring(0, 40) + '…'}`;
-                summaryEl.title = ann.selectedText.substring(0, 200) + (ann.selectedText.length > 200 ? '…' : '');
-                summaryEl.addEventListener('click', () => wrapper.classList.add('expanded'));
-
-                const fullEl = document.createElement('span');
-                fullEl.className = 'collapsed-full';
-                try {
-                    fullEl.appendChild(range.extractContents());
-                } catch {
-                    fullEl.textContent = ann.selectedText;
-                }
+        state.annotations.forEach(renderAnnotation);
 
-                const toggleBtn = document.createElement('button');
-                toggleBtn.className = 'collapsed-toggle';
-                toggleBtn.textContent = '▼ collapse';
-                toggleBtn.addEventListener('click', () => wrapper.classList.remove('expanded'));
-                fullEl.appendChild(toggleBtn);
+        if (state.orphanedIds.size) renderAnnotationsList();
+    }
+
+    /**
+     * Wrap one annotation's text in a highlight mark or collapsed block
+     */
+    function renderAnnotation(ann) {
+        const range = findRangeForAnnotation(ann);
+        if (!range) {
+            if (ann.selectedText || (ann.selectors && ann.selectors.length)) state.orphanedIds.add(ann.id);
+            return;
+        }
+        const anchorEl = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer.parentElement : range.startContainer;
+        if (anchorEl && anchorEl.closest('.user-hl, .collapsed-block')) return;
 
-                wrapper.appendChild(summaryEl);
-                wrapper.appendChild(fullEl);
-                range.insertNode(wrapper);
+        if (ann.type === 'collapse') {
+            const wrapper = document.createElement('span');
+            wrapper.className = 'collapsed-block';
+            wrapper.dataset.collapseId = ann.id;
 
-            } else {
-                const mark = document.createElement('span');
-                mark.className = 'user-hl';
-                mark.dataset.hl = getHighlightModeForAnnotation(ann);
-                mark.dataset.hlId = ann.id;
-                try { range.surroundContents(mark); } catch { }
+            const summaryEl = document.createElement('span');
+            summaryEl.className = 'collapsed-summary';
+            summaryEl.textContent = `📦 ${ann.replacementText || ann.selectedText.substring(0, 40) + '…'}`;
+            summaryEl.title = ann.selectedText.substring(0, 200) + (ann.selectedText.length > 200 ? '…' : '');
+            summaryEl.addEventListener('click', () => wrapper.classList.add('expanded'));
+
+            const fullEl = document.createElement('span');
+            fullEl.className = 'collapsed-full';
+            try {
+                fullEl.appendChild(range.extractContents());
+            } catch {
+                fullEl.textContent = ann.selectedText;
             }
-        });
+
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'collapsed-toggle';
+            toggleBtn.textContent = '▼ collapse';
+            toggleBtn.addEventListener('click', () => wrapper.classList.remove('expanded'));
+            fullEl.appendChild(toggleBtn);
+
+            wrapper.appendChild(summaryEl);
+            wrapper.appendChild(fullEl);
+            range.insertNode(wrapper);
+            applyAuthorLayer(wrapper, ann);
+
+        } else {
+            const mark = document.createElement('span');
+            mark.className = 'user-hl';
+            mark.dataset.hl = getHighlightModeForAnnotation(ann);
+            mark.dataset.hlId = ann.id;
+            applyAuthorLayer(mark, ann);
+            try { range.surroundContents(mark); } catch { }
+        }
     }
 
     // ═══════════════════════════════════════════════
@@ -1976,6 +2501,7 @@
         const rect = hlElement.getBoundingClientRect();
 
         let existingAnn = state.annotations.find(a => a.id === hlId);
+        if (existingAnn && !isOwnAnnotation(existingAnn)) return showNotOwnToast(existingAnn);
         let noteText = existingAnn ? existingAnn.note : '';
 
         const popup = document.createElement('div');
@@ -2039,20 +2565,34 @@
             const newNote = ta ? ta.value.trim() : '';
 
             if (existingAnn) {
-                existingAnn.note = newNote;
-                await fetchJSON(`/api/annotations/${state.docId}/${existingAnn.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        note: existingAnn.note,
-                        color: existingAnn.color,
-                        replacementText: existingAnn.replacementText,
-                        type: existingAnn.type,
-                        selectedText: existingAnn.selectedText,
-                        anchorSelector: existingAnn.anchorSelector,
-                        anchorOffset: existingAnn.anchorOffset,
-                    })
-                });
+                // If-Match: the server refuses the save if someone edited this note since we loaded it
+                const headers = { 'Content-Type': 'application/json' };
+                if (existingAnn.rev) headers['If-Match'] = `"${existingAnn.id}-r${existingAnn.rev}"`;
+                try {
+                    const saved = await fetchJSON(`/api/annotations/${state.docId}/${existingAnn.id}`, {
+                        method: 'PUT',
+                        headers,
+                        body: JSON.stringify({
+                            note: newNote,
+                            color: existingAnn.color,
+                            replacementText: existingAnn.replacementText,
+                            type: existingAnn.type,
+                            selectedText: existingAnn.selectedText,
+                            anchorSelector: existingAnn.anchorSelector,
+                            anchorOffset: existingAnn.anchorOffset,
+                            selectors: existingAnn.selectors,
+                        })
+                    });
+                    Object.assign(existingAnn, saved);
+                } catch (err) {
+                    if (err.status !== 412) throw err;
+                    const latest = (await fetchJSON(`/api/annotations/${state.docId}`)).find(a => a.id === existingAnn.id);
+                    if (latest) Object.assign(existingAnn, latest);
+                    renderAnnotationsList();
+                    popup.remove();
+                    showToast('Someone else edited this note — reopen it to see their version');
+                    return;
+                }
             } else {
                 // Convert pure DOM highlight to a fully backed annotation
                 const range = document.createRange();
@@ -2068,10 +2608,12 @@
                         color: type,
                         anchorSelector: anchor.selector,
                         anchorOffset: anchor.offset,
+                        selectors: anchor.selectors,
                     })
                 });
                 state.annotations.push(existingAnn);
                 hlElement.dataset.hlId = existingAnn.id;
+                applyAuthorLayer(hlElement, existingAnn);
             }
 
             if (existingAnn) {
@@ -2120,6 +2662,8 @@
             const hl = e.target.closest('.user-hl');
             if (!hl) return;
             e.stopPropagation();
+            const ann = state.annotations.find(a => a.id === hl.dataset.hlId);
+            if (ann && !isOwnAnnotation(ann)) return showNotOwnToast(ann);
 
             // Unwrap
             const parent = hl.parentNode;
@@ -2135,44 +2679,388 @@
         });
     }
 
+    // ═══════════════════════════════════════════════
+    //  Collaborative Reading (WebSocket)
+    // ═══════════════════════════════════════════════
+
+    // Everyone reading the same document joins a room on /ws (see
+    // tools/collab-hub.js). Annotation changes still go through the REST API;
+    // the server re-broadcasts what it stored, tagged with a `rev`, so peers
+    // apply changes in the server's order and drop anything older than what
+    // they already hold.
+
+    const collab = {
+        socket: null,
+        clientId: null,
+        peers: [],
+        following: null,     // clientId whose scroll position we mirror
+        retryDelay: 1000,
+        applyingRemote: false,
+        lastFollowScroll: 0,
+    };
+
+    const COLLAB_MAX_RETRY_DELAY = 30000;
+
+    function setupCollaboration() {
+        if (!('WebSocket' in window)) return;
+        connectCollab();
+
+        let scrollTimer = null;
+        window.addEventListener('scroll', () => {
+            if (scrollTimer) return;
+            scrollTimer = setTimeout(() => { scrollTimer = null; broadcastScroll(); }, 200);
+        }, { passive: true });
+
+        // Scrolling by hand stops following
+        const stopFollowing = () => {
+            if (!collab.following) return;
+            collab.following = null;
+            renderPresence();
+        };
+        window.addEventListener('wheel', stopFollowing, { passive: true });
+        window.addEventListener('touchmove', stopFollowing, { passive: true });
+    }
+
+    function connectCollab() {
+        const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const query = new URLSearchParams({ doc: state.docId, user: localStorage.getItem(USER_STORAGE_KEY) || '' });
+        const socket = new WebSocket(`${proto}//${location.host}/ws?${query}`);
+        collab.socket = socket;
+
+        socket.addEventListener('open', () => { collab.retryDelay = 1000; });
+        socket.addEventListener('message', (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch { return; }
+            handleCollabMessage(msg);
+        });
+        socket.addEventListener('close', () => {
+            collab.socket = null;
+            collab.clientId = null;
+            collab.peers = [];
+            renderPresence();
+            setTimeout(connectCollab, collab.retryDelay);
+            collab.retryDelay = Math.min(collab.retryDelay * 2, COLLAB_MAX_RETRY_DELAY);
+        });
+    }
+
+    function sendCollab(msg) {
+        if (collab.applyingRemote || !collab.socket || collab.socket.readyState !== WebSocket.OPEN) return;
+        collab.socket.send(JSON.stringify(msg));
+    }
+
+    function handleCollabMessage(msg) {
+        switch (msg.type) {
+            case 'welcome':
+                collab.clientId = msg.clientId;
+                collab.peers = msg.peers || [];
+                withRemote(() => (msg.pins || []).forEach(name => { if (state.variables[name]) pinVar(name); }));
+                rebuildVarEntries();
+                renderPresence();
+                break;
+            case 'presence':
+                collab.peers = msg.peers || [];
+                if (collab.following && !collab.peers.some(p => p.clientId === collab.following)) collab.following = null;
+                renderPresence();
+                break;
+            case 'annotation':
+                applyRemoteAnnotation(msg);
+                break;
+            case 'scroll':
+                if (msg.clientId === collab.following) followScroll(msg);
+                break;
+            case 'pin':
+            case 'unpin':
+                if (!state.variables[msg.name]) return;
+                withRemote(() => (msg.type === 'pin' ? pinVar(msg.name) : unpinVar(msg.name)));
+                rebuildVarEntries();
+                break;
+        }
+    }
+
+    function withRemote(fn) {
+        collab.applyingRemote = true;
+        try { fn(); } finally { collab.applyingRemote = false; }
+    }
+
+    function findAnnotationElements(id) {
+        return article.querySelectorAll(`.user-hl[data-hl-id="${escapeCss(id)}"], .collapsed-block[data-collapse-id="${escapeCss(id)}"]`);
+    }
+
+    function unwrapAnnotationElement(el) {
+        const parent = el.parentNode;
+        if (!parent) return;
+        const content = el.classList.contains('collapsed-block') ? el.querySelector('.collapsed-full') : el;
+        if (content) {
+            content.querySelector(':scope > .collapsed-toggle')?.remove();
+            while (content.firstChild) parent.insertBefore(content.firstChild, el);
+        }
+        el.remove();
+        parent.normalize();
+    }
+
+    /**
+     * Apply an annotation change another reader stored on the server
+     */
+    function applyRemoteAnnotation(msg) {
+        const author = msg.by ? getAuthor(msg.by).name : 'Someone';
+
+        if (msg.action === 'created' && msg.annotation) {
+            if (state.annotations.some(a => a.id === msg.annotation.id)) return;
+            state.annotations.push(msg.annotation);
+            renderAnnotation(msg.annotation);
+            showToast(`${author} added a ${msg.annotation.type === 'highlight' ? 'highlight' : 'note'}`);
+
+        } else if (msg.action === 'updated' && msg.annotation) {
+            const ann = msg.annotation;
+            const idx = state.annotations.findIndex(a => a.id === ann.id);
+            if (idx === -1) {
+                state.annotations.push(ann);
+                renderAnnotation(ann);
+            } else {
+                // Same annotation edited twice: the higher server revision wins
+                if ((state.annotations[idx].rev || 0) >= (ann.rev || 0)) return;
+                state.annotations[idx] = ann;
+                findAnnotationElements(ann.id).forEach(el => {
+                    if (el.classList.contains('user-hl')) el.dataset.hl = getHighlightModeForAnnotation(ann);
+                    applyAuthorLayer(el, ann);
+                });
+            }
+
+        } else if (msg.action === 'deleted' && msg.id) {
+            findAnnotationElements(msg.id).forEach(unwrapAnnotationElement);
+            state.annotations = state.annotations.filter(a => a.id !== msg.id);
+            state.orphanedIds.delete(msg.id);
+
+        } else if (msg.action === 'replaced' && Array.isArray(msg.annotations)) {
+            article.querySelectorAll('.user-hl[data-hl-id], .collapsed-block[data-collapse-id]').forEach(unwrapAnnotationElement);
+            state.annotations = msg.annotations;
+            setupAnnotations();
+            showToast(`${author} updated the annotations`);
+
+        } else {
+            return;
+        }
+
+        if (msg.by && !state.users[msg.by]) {
+            fetchJSON('/api/users')
+                .then(users => { users.forEach(u => { state.users[u.id] = u; }); refreshAuthorLayers(); renderAnnotationsList(); })
+                .catch(() => { });
+        }
+        renderAnnotationsList();
+    }
+
+    /**
+     * Tell the room where we are: the nearest section heading above the
+     * viewport plus the distance past it (falls back to the scroll ratio)
+     */
+    function broadcastScroll() {
+        if (!collab.clientId || Date.now() - collab.lastFollowScroll < 400) return;
+        const headings = article.querySelectorAll('h1[id], h2[id], h3[id], h4[id]');
+        let anchor = null;
+        headings.forEach(h => {
+            if (h.getBoundingClientRect().top <= 80) anchor = h;
+        });
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        sendCollab({
+            type: 'scroll',
+            anchor: anchor ? anchor.id : null,
+            offset: anchor ? Math.round(-anchor.getBoundingClientRect().top) : 0,
+            ratio: scrollable > 0 ? window.scrollY / scrollable : 0,
+        });
+    }
+
+    function followScroll(msg) {
+        const target = msg.anchor && document.getElementById(msg.anchor);
+        let top;
+        if (target && article.contains(target)) {
+            top = target.getBoundingClientRect().top + window.scrollY + msg.offset;
+        } else {
+            top = msg.ratio * (document.documentElement.scrollHeight - window.innerHeight);
+        }
+        collab.lastFollowScroll = Date.now();
+        window.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+    }
+
+    function renderPresence() {
+        const container = $('#collab-presence');
+        if (!container) return;
+        const others = collab.peers.filter(p => p.clientId !== collab.clientId);
+        container.hidden = others.length === 0;
+        container.innerHTML = others.map(p => {
+            const name = (p.user && p.user.name) || 'Reader';
+            const following = p.clientId === collab.following;
+            return `
+                <button class="presence-chip ${following ? 'following' : ''}" data-client="${esc(p.clientId)}"
+                    style="--author-color:${esc((p.user && p.user.color) || 'var(--text-faint)')}"
+                    title="${esc(name)} — ${following ? 'stop following' : 'follow their scroll position'}">${esc(name.charAt(0).toUpperCase())}</button>`;
+        }).join('');
+
+        container.querySelectorAll('.presence-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const id = chip.dataset.client;
+                collab.following = collab.following === id ? null : id;
+                renderPresence();
+                if (collab.following) showToast(`Following ${chip.title.split(' — ')[0]}`);
+            });
+        });
+    }
+
     // ═══════════════════════════════════════════════
     //  Tree-based Edit History (Undo / Redo)
     // ═══════════════════════════════════════════════
 
+    // Nodes hold diffs from their parent, not snapshots (see /api/history in
+    // server.js). `historySnapshot` caches the checked-out node's HTML and
+    // annotations so the next push only has to diff against it.
+    let historySnapshot = null;
+    let historySync = Promise.resolve();
+
+    function persistHistory(url, method, body) {
+        historySync = historySync
+            .then(() => fetchJSON(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            }))
+            .catch(err => console.warn('History sync failed:', err.message));
+        return historySync;
+    }
+
+    /**
+     * Single splice turning `before` into `after` (common prefix/suffix trimmed)
+     */
+    function diffText(before, after) {
+        if (before === after) return null;
+        const max = Math.min(before.length, after.length);
+        let start = 0;
+        while (start < max && before[start] === after[start]) start++;
+        let end = 0;
+        while (end < max - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+        return {
+            start,
+            deleteCount: before.length - start - end,
+            insert: after.slice(start, after.length - end),
+        };
+    }
+
+    function applyPatches(text, patches) {
+        return (patches || []).reduce((acc, p) => acc.slice(0, p.start) + p.insert + acc.slice(p.start + p.deleteCount), text);
+    }
+
+    function diffAnnotations(before, after) {
+        const prev = new Map(before.map(a => [a.id, JSON.stringify(a)]));
+        const nextIds = new Set(after.map(a => a.id));
+        return {
+            upserted: after.filter(a => prev.get(a.id) !== JSON.stringify(a)),
+            removed: before.filter(a => !nextIds.has(a.id)).map(a => a.id),
+        };
+    }
+
+    function applyAnnotationDelta(annotations, delta) {
+        if (!delta) return annotations;
+        const removed = new Set(delta.removed || []);
+        const result = annotations.filter(a => !removed.has(a.id));
+        (delta.upserted || []).forEach(ann => {
+            const idx = result.findIndex(a => a.id === ann.id);
+            if (idx === -1) result.push(ann);
+            else result[idx] = ann;
+        });
+        return result;
+    }
+
+    /**
+     * Rebuild a node's HTML and annotations by replaying diffs from the root
+     */
+    function reconstructHistoryNode(nodeId) {
+        const path = [];
+        for (let id = nodeId; id && state.historyTree.nodes[id]; id = state.historyTree.nodes[id].parentId) {
+            path.unshift(state.historyTree.nodes[id]);
+        }
+        let html = state.historyTree.baseHtml;
+        let annotations = JSON.parse(JSON.stringify(state.historyTree.baseAnnotations));
+        path.forEach(node => {
+            html = applyPatches(html, node.patches);
+            annotations = applyAnnotationDelta(annotations, node.annotationDelta);
+        });
+        return { html, annotations };
+    }
+
     function pushHistory(description) {
-        const id = Date.now().toString(36);
+        // The tree is shared by every reader of the document: a random suffix
+        // keeps two pushes in the same millisecond from colliding
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
         const html = article.innerHTML;
         // Deep clone current annotations for this history state
         const branchAnnotations = JSON.parse(JSON.stringify(state.annotations));
+        const parent = historySnapshot || reconstructHistoryNode(state.historyTree.headId);
+        const patch = diffText(parent.html, html);
 
         const node = {
             id,
             parentId: state.historyTree.headId,
             childrenIds: [],
-            html,
-            annotations: branchAnnotations,
+            patches: patch ? [patch] : [],
+            annotationDelta: diffAnnotations(parent.annotations, branchAnnotations),
             description,
             timestamp: Date.now()
         };
         state.historyTree.nodes[id] = node;
         state.historyTree.nodes[state.historyTree.headId].childrenIds.push(id);
         state.historyTree.headId = id;
+        historySnapshot = { html, annotations: branchAnnotations };
+
+        const { childrenIds, ...payload } = node;
+        persistHistory(`/api/history/${encodeURIComponent(state.docId)}/nodes`, 'POST', payload);
+
         renderHistoryTree();
         savePanelState(); // Save history panel state
     }
 
-    function setupHistoryTree() {
-        // Initialize root if empty
-        if (!state.historyTree.nodes['root']) {
-            state.historyTree.nodes['root'] = {
-                id: 'root',
-                parentId: null,
-                childrenIds: [],
-                html: article.innerHTML,
-                annotations: JSON.parse(JSON.stringify(state.annotations)),
-                description: 'Initial State',
-                timestamp: Date.now()
+    async function setupHistoryTree() {
+        // Restore the persisted tree, or start one from the current state
+        let saved = null;
+        try {
+            saved = await fetchJSON(`/api/history/${encodeURIComponent(state.docId)}`);
+        } catch { }
+
+        if (saved && saved.nodes && saved.nodes.root) {
+            Object.values(saved.nodes).forEach(n => { n.childrenIds = n.childrenIds || []; });
+            state.historyTree = {
+                rootId: 'root',
+                nodes: saved.nodes,
+                headId: saved.nodes[saved.headId] ? saved.headId : 'root',
+                baseHtml: saved.baseHtml,
+                baseAnnotations: saved.baseAnnotations || [],
+            };
+            // Diffs must chain exactly, so the next push diffs against the
+            // reconstructed head rather than the freshly rendered page
+            historySnapshot = reconstructHistoryNode(state.historyTree.headId);
+        } else {
+            const timestamp = Date.now();
+            state.historyTree = {
+                rootId: 'root',
+                headId: 'root',
+                baseHtml: article.innerHTML,
+                baseAnnotations: JSON.parse(JSON.stringify(state.annotations)),
+                nodes: {
+                    root: {
+                        id: 'root',
+                        parentId: null,
+                        childrenIds: [],
+                        description: 'Initial State',
+                        timestamp
+                    }
+                },
+            };
+            historySnapshot = {
+                html: state.historyTree.baseHtml,
+                annotations: state.historyTree.baseAnnotations,
             };
+            persistHistory(`/api/history/${encodeURIComponent(state.docId)}`, 'POST', {
+                baseHtml: state.historyTree.baseHtml,
+                baseAnnotations: state.historyTree.baseAnnotations,
+                timestamp,
+            });
         }
 
         renderHistoryTree();
@@ -2229,19 +3117,20 @@
     async function checkoutHistoryNode(nodeId) {
         const node = state.historyTree.nodes[nodeId];
         if (!node) return;
+        const snapshot = reconstructHistoryNode(nodeId);
         state.historyTree.headId = nodeId;
-        article.innerHTML = node.html;
+        historySnapshot = snapshot;
+        article.innerHTML = snapshot.html;
+        persistHistory(`/api/history/${encodeURIComponent(state.docId)}/head`, 'PUT', { headId: nodeId });
 
         // Sync the history node's annotations back to the active state and the backend
-        if (node.annotations) {
-            state.annotations = JSON.parse(JSON.stringify(node.annotations));
-            await fetchJSON(`/api/annotations/${state.docId}/all`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ annotations: state.annotations })
-            });
-            renderAnnotationsList();
-        }
+        state.annotations = JSON.parse(JSON.stringify(snapshot.annotations));
+        await fetchJSON(`/api/annotations/${state.docId}/all`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ annotations: state.annotations })
+        });
+        renderAnnotationsList();
 
         reattachDynamicListeners();
         renderHistoryTree();
@@ -2626,31 +3515,78 @@
         const messages = $('#chat-messages');
         if (!widget || !toggle) return;
 
-        toggle.addEventListener('click', () => widget.classList.add('open'));
+        // Chats are kept as threads per paper (/api/conversations); opening the
+        // widget resumes the latest one, "New" starts another
+        let conversationId = null;
+        let threadLoad = null;
+
+        function appendMessage(role, text) {
+            const el = document.createElement('div');
+            el.className = `chat-msg ${role}`;
+            el.textContent = text;
+            messages.appendChild(el);
+            messages.scrollTop = messages.scrollHeight;
+            return el;
+        }
+
+        function loadThread() {
+            if (!threadLoad) threadLoad = (async () => {
+                if (!state.docId) return;
+                try {
+                    const [latest] = await fetchJSON(`/api/conversations?docId=${encodeURIComponent(state.docId)}&origin=reader`);
+                    if (!latest) return;
+                    const conv = await fetchJSON(`/api/conversations/${latest.id}`);
+                    conversationId = conv.id;
+                    for (const m of conv.messages) {
+                        const el = appendMessage(m.role, m.content);
+                        if (m.citations && m.citations.length) renderCitations(el, m.content, m.citations);
+                        if (m.role === 'assistant') addSaveAction(el, conv.id, m.id, !!(m.notes && m.notes.length));
+                    }
+                } catch { }
+            })();
+            return threadLoad;
+        }
+
+        toggle.addEventListener('click', () => {
+            widget.classList.add('open');
+            loadThread();
+        });
         if (closeBtn) closeBtn.addEventListener('click', () => widget.classList.remove('open'));
+        $('#chat-new')?.addEventListener('click', async () => {
+            await loadThread();
+            conversationId = null;
+            messages.querySelectorAll('.chat-msg:not(.chat-intro)').forEach(el => el.remove());
+        });
 
         async function sendMessage(text, context) {
             if (!text.trim()) return;
+            await loadThread();
 
-            // Add user message
-            const userMsg = document.createElement('div');
-            userMsg.className = 'chat-msg user';
-            userMsg.textContent = text;
-            messages.appendChild(userMsg);
+            appendMessage('user', text);
             if (input) input.value = '';
-
-            // Add assistant placeholder
-            const assistantMsg = document.createElement('div');
-            assistantMsg.className = 'chat-msg assistant';
-            assistantMsg.textContent = '...';
-            messages.appendChild(assistantMsg);
-            messages.scrollTop = messages.scrollHeight;
+            const assistantMsg = appendMessage('assistant', '...');
 
             try {
+                if (!conversationId && state.docId) {
+                    const conv = await fetchJSON('/api/conversations', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ docIds: [state.docId], origin: 'reader' }),
+                    });
+                    conversationId = conv.id;
+                }
+
+                const userId = localStorage.getItem(USER_STORAGE_KEY);
                 const res = await fetch('/api/chat', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ question: text, context: context || '', docId: currentDoc }),
+                    headers: { 'Content-Type': 'application/json', ...(userId ? { 'X-Scholarly-User': userId } : {}) },
+                    body: JSON.stringify({
+                        question: text,
+                        context: context || '',
+                        docId: state.docId,
+                        conversationId: conversationId || undefined,
+                        provider: localStorage.getItem('scholarly-llm-provider') || undefined, // picked in the workspace
+                    }),
                 });
 
                 if (!res.ok) {
@@ -2664,6 +3600,9 @@
                 const reader = res.body.getReader();
                 const decoder = new TextDecoder();
                 let buffer = '';
+                let answer = '';
+                let citations = [];
+                let answerId = null;
 
                 while (true) {
                     const { value, done } = await reader.read();
@@ -2677,22 +3616,89 @@
                         if (line.startsWith('data: ')) {
                             try {
                                 const data = JSON.parse(line.slice(6));
+                                if (data.citations) citations = data.citations;
+                                if (data.messageIds) answerId = data.messageIds[1];
                                 if (data.content) {
-                                    assistantMsg.textContent += data.content;
+                                    answer += data.content;
+                                    assistantMsg.textContent = answer;
                                     messages.scrollTop = messages.scrollHeight;
                                 }
                                 if (data.error) {
-                                    assistantMsg.textContent += `\n⚠️ ${data.error}`;
+                                    answer += `\n⚠️ ${data.error}`;
+                                    assistantMsg.textContent = answer;
                                 }
                             } catch { }
                         }
                     }
                 }
+                if (citations.length) renderCitations(assistantMsg, answer, citations);
+                if (answerId) addSaveAction(assistantMsg, conversationId, answerId, false);
             } catch (err) {
                 assistantMsg.textContent = `⚠️ ${err.message}`;
             }
         }
 
+        /**
+         * "Save as note": store the answer as an AI note on the passage it
+         * was asked about (or the first passage it cites), with model and prompt
+         */
+        function addSaveAction(msgEl, convId, messageId, saved) {
+            const btn = document.createElement('button');
+            btn.className = 'chat-save-note';
+            btn.textContent = saved ? '✓ Saved as note' : '📌 Save as note';
+            btn.disabled = saved;
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                try {
+                    const { annotation } = await fetchJSON(`/api/conversations/${convId}/messages/${messageId}/annotation`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ docId: state.docId }),
+                    });
+                    state.annotations.push(annotation);
+                    renderAnnotation(annotation);
+                    renderAnnotationsList();
+                    btn.textContent = '✓ Saved as note';
+                    showToast('Answer saved as an AI note');
+                } catch (err) {
+                    btn.disabled = false;
+                    showToast(err.status === 422 ? 'Could not find the passage this answer is about' : `Save failed: ${err.message}`);
+                }
+            });
+            msgEl.appendChild(btn);
+        }
+
+        /**
+         * Turn [n] markers into links and list the retrieved excerpts under
+         * the answer; both scroll the article to the cited section/equation.
+         */
+        function renderCitations(msgEl, answer, citations) {
+            const byN = new Map(citations.map(c => [c.n, c]));
+            msgEl.innerHTML = escapeHtml(answer).replace(/\[(\d+)\]/g, (m, n) =>
+                byN.has(Number(n)) ? `<a href="#" class="chat-cite" data-n="${n}">${m}</a>` : m);
+
+            const list = document.createElement('div');
+            list.className = 'chat-citations';
+            list.innerHTML = citations.map(c => {
+                const label = c.kind === 'variable' ? c.variable : c.kind === 'equation' ? `Eq. in ${c.section || 'text'}` : c.section || 'Text';
+                return `<a href="#" class="chat-cite-chip chat-cite-${c.kind}" data-n="${c.n}" title="${escapeHtml(c.snippet).replace(/"/g, '&quot;')}">[${c.n}] ${escapeHtml(label)}</a>`;
+            }).join('');
+            msgEl.appendChild(list);
+
+            msgEl.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-n]');
+                if (!link) return;
+                e.preventDefault();
+                const cite = byN.get(Number(link.dataset.n));
+                const varEl = cite.kind === 'variable' && article.querySelector(`.var[data-var="${CSS.escape(cite.variable)}"]`);
+                if (varEl) {
+                    varEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                } else if (!scrollToAnchor(cite.anchor)) {
+                    showToast('That passage is not in this view');
+                }
+            });
+        }
+
         if (sendBtn) sendBtn.addEventListener('click', () => sendMessage(input.value));
         if (input) input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -2745,7 +3751,19 @@
             observer.observe(pickerMenu, { childList: true });
         }
 
-        if (cancelBtn) cancelBtn.addEventListener('click', () => {
+        // While an import runs, Cancel cancels it (as in the workspace); otherwise it closes the dialog
+        let activeJob = null;
+        if (cancelBtn) cancelBtn.addEventListener('click', async () => {
+            if (activeJob) {
+                cancelBtn.disabled = true;
+                try {
+                    await fetchJSON(`/api/import-jobs/${encodeURIComponent(activeJob)}/cancel`, { method: 'POST' });
+                } catch (err) {
+                    if (progressText) progressText.textContent = `❌ Could not cancel (${err.message})`;
+                    cancelBtn.disabled = false;
+                }
+                return;
+            }
             overlay.style.display = 'none';
             if (progressEl) progressEl.style.display = 'none';
         });
@@ -2757,50 +3775,69 @@
             }
         });
 
-        if (submitBtn) submitBtn.addEventListener('click', async () => {
-            const arxivId = inputEl.value.trim();
-            if (!arxivId) return;
+        function watchImportJob(jobId) {
+            activeJob = jobId;
+            followImportJob(jobId, {
+                onEvent(entry) {
+                    if (!progressText) return;
+                    progressText.textContent = entry.type === 'retry' || entry.type === 'cancel' ? `⚠️ ${entry.message}` : entry.message;
+                },
+                onResult(entry) {
+                    activeJob = null;
+                    submitBtn.disabled = false;
+                    if (cancelBtn) cancelBtn.disabled = false;
+                    if (entry.status === 'done') {
+                        overlay.style.display = 'none';
+                        if (progressEl) progressEl.style.display = 'none';
+                        // Load the new document
+                        if (entry.result && entry.result.id) {
+                            window.location.href = `/?doc=${encodeURIComponent(entry.result.id)}`;
+                        }
+                    } else if (progressText) {
+                        progressText.textContent = entry.status === 'cancelled' ? '⚠️ Import cancelled' : `❌ ${entry.error || 'Import failed'}`;
+                    }
+                },
+            });
+        }
 
+        async function runImport(startRequest) {
             submitBtn.disabled = true;
             if (progressEl) progressEl.style.display = 'flex';
             if (progressText) progressText.textContent = 'Starting import...';
 
             try {
-                const res = await fetch('/api/import-arxiv', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ arxivId }),
-                });
-                const { jobId } = await res.json();
-
-                // Poll for completion
-                const poll = setInterval(async () => {
-                    try {
-                        const statusRes = await fetch(`/api/import-status/${jobId}`);
-                        const job = await statusRes.json();
-
-                        if (progressText) progressText.textContent = job.progress || job.status;
-
-                        if (job.status === 'done') {
-                            clearInterval(poll);
-                            overlay.style.display = 'none';
-                            if (progressEl) progressEl.style.display = 'none';
-                            submitBtn.disabled = false;
-                            // Load the new document
-                            if (job.result && job.result.filename) {
-                                window.location.href = `/?doc=${encodeURIComponent(job.result.filename)}`;
-                            }
-                        } else if (job.status === 'error') {
-                            clearInterval(poll);
-                            if (progressText) progressText.textContent = `❌ ${job.error}`;
-                            submitBtn.disabled = false;
-                        }
-                    } catch { }
-                }, 1500);
+                const res = await startRequest();
+                const body = await res.json();
+                if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+                watchImportJob(body.jobId);
             } catch (err) {
                 if (progressText) progressText.textContent = `❌ ${err.message}`;
                 submitBtn.disabled = false;
             }
+        }
+
+        if (submitBtn) submitBtn.addEventListener('click', () => {
+            const arxivId = inputEl.value.trim();
+            if (!arxivId) return;
+            runImport(() => fetch('/api/import-arxiv', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ arxivId }),
+            }));
+        });
+
+        // Local TeX sources (drafts, preprints not on arXiv)
+        const fileInput = $('#import-file');
+        $('#import-upload')?.addEventListener('click', () => fileInput.click());
+        if (fileInput) fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            runImport(() => fetch(`/api/import-upload?filename=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file,
+            }));
         });
 
         if (inputEl) inputEl.addEventListener('keydown', (e) => {
@@ -0,0 +1,202 @@
+/**
+ * Scholarly Reader — Text Anchoring
+ *
+ * Re-attaches annotations to a document whose markup may have changed since
+ * the annotation was made (e.g. after the import agent regenerates
+ * paper.html). Anchors follow the W3C Web Annotation selector model:
+ *
+ *   TextQuoteSelector    { exact, prefix, suffix } — the quoted text plus context
+ *   TextPositionSelector { start, end }            — character offsets, used as a hint
+ *
+ * Offsets are measured over the document's concatenated text (what
+ * `textContent` yields), so the same module runs in the reader and, via
+ * require(), in server.js for the post-import re-anchoring pass.
+ */
+
+(function (root) {
+    'use strict';
+
+    const CONTEXT_LENGTH = 32;
+    const MIN_CONTEXT_MATCH = 8;
+    const MAX_CANDIDATES = 500;
+
+    /**
+     * Describe text[start, end) with quote + position selectors
+     */
+    function describeTextRange(text, start, end) {
+        return [
+            {
+                type: 'TextQuoteSelector',
+                exact: text.slice(start, end),
+                prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+                suffix: text.slice(end, end + CONTEXT_LENGTH),
+            },
+            { type: 'TextPositionSelector', start, end },
+        ];
+    }
+
+    function getSelector(selectors, type) {
+        return (Array.isArray(selectors) ? selectors : []).find(s => s && s.type === type) || null;
+    }
+
+    /**
+     * Keep only well-formed quote/position selectors (request bodies are untrusted)
+     */
+    function normalizeSelectors(selectors) {
+        if (!Array.isArray(selectors)) return [];
+        const out = [];
+        const quote = getSelector(selectors, 'TextQuoteSelector');
+        if (quote && typeof quote.exact === 'string' && quote.exact) {
+            out.push({
+                type: 'TextQuoteSelector',
+                exact: quote.exact,
+                prefix: typeof quote.prefix === 'string' ? quote.prefix : '',
+                suffix: typeof quote.suffix === 'string' ? quote.suffix : '',
+            });
+        }
+        const position = getSelector(selectors, 'TextPositionSelector');
+        if (position && Number.isInteger(position.start) && Number.isInteger(position.end)
+            && position.start >= 0 && position.end >= position.start) {
+            out.push({ type: 'TextPositionSelector', start: position.start, end: position.end });
+        }
+        return out;
+    }
+
+    function commonPrefixLength(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    function commonSuffixLength(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+        return n;
+    }
+
+    /**
+     * Pick the occurrence of `exact` whose surroundings best agree with the
+     * stored prefix/suffix; ties go to the one nearest the position hint.
+     */
+    function bestOccurrence(text, exact, prefix, suffix, hint) {
+        let best = null;
+        let bestScore = -1;
+        let bestDistance = Infinity;
+        let count = 0;
+        let idx = text.indexOf(exact);
+        while (idx !== -1 && count < MAX_CANDIDATES) {
+            const score = commonSuffixLength(text.slice(Math.max(0, idx - prefix.length), idx), prefix)
+                + commonPrefixLength(text.slice(idx + exact.length, idx + exact.length + suffix.length), suffix);
+            const distance = hint === null ? 0 : Math.abs(idx - hint);
+            if (score > bestScore || (score === bestScore && distance < bestDistance)) {
+                best = idx;
+                bestScore = score;
+                bestDistance = distance;
+            }
+            count++;
+            idx = text.indexOf(exact, idx + 1);
+        }
+        return best;
+    }
+
+    /**
+     * Collapse whitespace runs to one space, remembering where each
+     * character of the collapsed string came from.
+     */
+    function collapseWhitespace(text) {
+        let out = '';
+        const map = [];
+        let inSpace = false;
+        for (let i = 0; i < text.length; i++) {
+            if (/\s/.test(text[i])) {
+                if (inSpace) continue;
+                inSpace = true;
+                out += ' ';
+            } else {
+                inSpace = false;
+                out += text[i];
+            }
+            map.push(i);
+        }
+        return { text: out, map };
+    }
+
+    /**
+     * Find where an annotation now lives in `text`.
+     *
+     * Strategies, in order:
+     *   position   — the stored offsets still hold the exact quote
+     *   quote      — exact quote found, disambiguated by prefix/suffix context
+     *   normalized — quote found after collapsing whitespace on both sides
+     *   context    — quote text changed, but prefix and suffix still bracket it
+     *
+     * @param {string} text - Document text
+     * @param {Object[]} selectors - W3C selectors stored on the annotation
+     * @param {string} [fallbackExact] - Quote to use when no TextQuoteSelector exists (legacy selectedText)
+     * @returns {{start: number, end: number, method: string}|null}
+     */
+    function locateTextRange(text, selectors, fallbackExact) {
+        const quote = getSelector(selectors, 'TextQuoteSelector');
+        const position = getSelector(selectors, 'TextPositionSelector');
+        const exact = (quote && quote.exact) || (fallbackExact || '').trim();
+        const prefix = (quote && quote.prefix) || '';
+        const suffix = (quote && quote.suffix) || '';
+        const hint = position ? position.start : null;
+
+        if (!exact) return null;
+
+        if (position && text.slice(position.start, position.end) === exact) {
+            return { start: position.start, end: position.end, method: 'position' };
+        }
+
+        const found = bestOccurrence(text, exact, prefix, suffix, hint);
+        if (found !== null) return { start: found, end: found + exact.length, method: 'quote' };
+
+        const collapsed = collapseWhitespace(text);
+        const normExact = collapseWhitespace(exact).text.trim();
+        if (normExact) {
+            const normHit = bestOccurrence(
+                collapsed.text, normExact,
+                collapseWhitespace(prefix).text, collapseWhitespace(suffix).text, null
+            );
+            if (normHit !== null) {
+                return {
+                    start: collapsed.map[normHit],
+                    end: collapsed.map[normHit + normExact.length - 1] + 1,
+                    method: 'normalized',
+                };
+            }
+        }
+
+        const normPrefix = collapseWhitespace(prefix).text;
+        const normSuffix = collapseWhitespace(suffix).text;
+        if (normPrefix.trim().length >= MIN_CONTEXT_MATCH && normSuffix.trim().length >= MIN_CONTEXT_MATCH) {
+            const maxGap = normExact.length * 2 + CONTEXT_LENGTH;
+            let idx = collapsed.text.indexOf(normPrefix);
+            let count = 0;
+            while (idx !== -1 && count < MAX_CANDIDATES) {
+                const from = idx + normPrefix.length;
+                const sIdx = collapsed.text.indexOf(normSuffix, from);
+                if (sIdx > from && sIdx - from <= maxGap) {
+                    return {
+                        start: collapsed.map[from],
+                        end: collapsed.map[sIdx - 1] + 1,
+                        method: 'context',
+                    };
+                }
+                count++;
+                idx = collapsed.text.indexOf(normPrefix, idx + 1);
+            }
+        }
+
+        return null;
+    }
+
+    const TextAnchor = { describeTextRange, locateTextRange, normalizeSelectors, getSelector };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TextAnchor;
+    } else {
+        root.TextAnchor = TextAnchor;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -13,6 +13,10 @@
     const $ = (s) => document.querySelector(s);
     const $$ = (s) => [...document.querySelectorAll(s)];
 
+    const LLM_PROVIDER_KEY = 'scholarly-llm-provider';
+    const CONVERSATION_KEY = 'scholarly-workspace-conversation';
+    const USER_KEY = 'scholarly-user'; // picked in the reader
+
     // ═══════════════════════════════════════════════
     //  State
     // ═══════════════════════════════════════════════
@@ -20,8 +24,14 @@
     const state = {
         sources: [],            // { id, title, short_title, checked, ... }
         chatMessages: [],       // { role: 'user'|'assistant', content }
-        operations: [],         // { id, type, status: 'running'|'done', result }
+        conversationId: localStorage.getItem(CONVERSATION_KEY) || null, // thread being shown (/api/conversations)
+        operations: [],         // studio runs in flight: { id, label, status: 'running'|'error' }
+        artifacts: [],          // saved studio outputs (/api/artifacts summaries)
+        templates: [],          // custom operations and customized built-ins (/api/studio/templates)
+        templateVariables: {},  // {{name}} → description, for the template editor
+        searchResults: null,    // { query, terms, hits } from /api/search
         streaming: false,
+        llmProvider: localStorage.getItem(LLM_PROVIDER_KEY) || '', // '' = server default
     };
 
     // ═══════════════════════════════════════════════
@@ -32,6 +42,7 @@
         await loadSources();
         setupSourceInteractions();
         setupChat();
+        setupProviderSelect();
         setupStudio();
         setupResultModal();
         setupImport();
@@ -80,7 +91,58 @@
                     <div class="source-meta">${s.authors ? s.authors.split(',')[0] + (s.authors.includes(',') ? ' et al.' : '') : ''}${s.year ? ' · ' + s.year : ''}${s.type === 'arxiv-paper' ? ' · arXiv' : ''}</div>
                 </div>
             </div>
-        `).join('');
+        `).join('') + renderSearchHits();
+    }
+
+    function renderSearchHits() {
+        const results = state.searchResults;
+        if (!results) return '';
+        if (results.hits.length === 0) {
+            return `<div class="source-hits-empty">No passages match “${escHtml(results.query)}”</div>`;
+        }
+        return `
+            <div class="source-hits-header">In your library</div>
+            ${results.hits.map(hit => `
+                <div class="source-hit" data-doc-id="${escHtml(hit.docId)}" data-anchor="${escHtml(hit.anchor || '')}" data-annotation-id="${escHtml(hit.annotationId || '')}">
+                    <div class="source-hit-title">
+                        <span class="source-hit-kind ${hit.kind}">${hit.kind}</span>
+                        ${escHtml(hit.docTitle)}${hit.section ? ' · ' + escHtml(hit.section) : ''}
+                    </div>
+                    <div class="source-hit-snippet">${highlightTerms(hit.snippet, results.terms)}</div>
+                </div>
+            `).join('')}`;
+    }
+
+    function highlightTerms(text, terms) {
+        const escaped = escHtml(text);
+        if (!terms || terms.length === 0) return escaped;
+        const pattern = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        return escaped.replace(new RegExp(`(?<![\\p{L}\\p{N}_])(${pattern})`, 'giu'), '<mark>$1</mark>');
+    }
+
+    async function searchLibrary(query) {
+        if (query.length < 2) {
+            state.searchResults = null;
+            renderSources();
+            return;
+        }
+        try {
+            const res = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=15`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            if (($('#source-search')?.value || '').trim() !== query) return; // stale
+            state.searchResults = data;
+        } catch (err) {
+            console.error('Library search failed:', err);
+            state.searchResults = null;
+        }
+        renderSources();
+    }
+
+    function openSearchHit({ docId, anchor, annotationId }) {
+        const query = new URLSearchParams({ doc: docId });
+        if (annotationId) query.set('annotation', annotationId);
+        window.open(`/?${query}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`, '_blank');
     }
 
     function setupSourceInteractions() {
@@ -91,6 +153,12 @@
 
         // Checkbox toggle
         list.addEventListener('click', (e) => {
+            const hit = e.target.closest('.source-hit');
+            if (hit) {
+                openSearchHit(hit.dataset);
+                return;
+            }
+
             const item = e.target.closest('.source-item');
             if (!item) return;
 
@@ -115,8 +183,13 @@
             updateSourceCount();
         });
 
-        // Search filter
-        searchInput.addEventListener('input', () => renderSources());
+        // Search filter — titles filter instantly, full-text hits follow
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            renderSources();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => searchLibrary(searchInput.value.trim()), 250);
+        });
 
         // Select all
         selectAllBtn.addEventListener('click', () => {
@@ -140,6 +213,7 @@
 
         if (indicator) indicator.textContent = `${count} source${count !== 1 ? 's' : ''}`;
         if (counter) counter.textContent = `${count} source${count !== 1 ? 's' : ''} selected`;
+        refreshFlashcardsDue();
     }
 
     function getSelectedSourceIds() {
@@ -170,6 +244,131 @@
         });
 
         sendBtn.addEventListener('click', sendMessage);
+
+        $('#chat-new').addEventListener('click', () => {
+            if (state.streaming) return;
+            showConversation(null);
+            $('#chat-threads').hidden = true;
+            $('#chat-threads-toggle').classList.remove('active');
+        });
+        $('#chat-threads-toggle').addEventListener('click', () => {
+            const panel = $('#chat-threads');
+            panel.hidden = !panel.hidden;
+            $('#chat-threads-toggle').classList.toggle('active', !panel.hidden);
+            if (!panel.hidden) loadThreads();
+        });
+
+        if (state.conversationId) openConversation(state.conversationId);
+    }
+
+    // ─── Conversation threads ───────────────────────────
+
+    function userHeaders(headers = {}) {
+        const userId = localStorage.getItem(USER_KEY);
+        return userId ? { ...headers, 'X-Scholarly-User': userId } : headers;
+    }
+
+    async function loadThreads() {
+        const panel = $('#chat-threads');
+        try {
+            const res = await fetch('/api/conversations?origin=workspace', { headers: userHeaders() });
+            const threads = await res.json();
+            if (!threads.length) {
+                panel.innerHTML = '<div class="chat-threads-empty">No earlier conversations yet.</div>';
+                return;
+            }
+            const titles = new Map(state.sources.map(s => [s.id, s.short_title || s.title]));
+            panel.innerHTML = threads.map(t => {
+                const papers = t.docIds.map(id => titles.get(id) || id);
+                const about = papers.length > 2 ? `${papers.length} sources` : papers.join(', ');
+                const when = new Date(t.updatedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+                return `
+                    <div class="chat-thread ${t.id === state.conversationId ? 'active' : ''}" data-id="${t.id}">
+                        <div class="chat-thread-main">
+                            <div class="chat-thread-title">${escHtml(t.title || 'Untitled conversation')}</div>
+                            <div class="chat-thread-meta">${escHtml([when, `${t.messageCount} messages`, about].filter(Boolean).join(' · '))}</div>
+                        </div>
+                        <button class="chat-thread-delete" title="Delete conversation">×</button>
+                    </div>
+                `;
+            }).join('');
+        } catch (err) {
+            panel.innerHTML = `<div class="chat-threads-empty">Failed to load conversations: ${escHtml(err.message)}</div>`;
+            return;
+        }
+
+        panel.querySelectorAll('.chat-thread').forEach(row => {
+            row.onclick = () => {
+                if (state.streaming) return;
+                openConversation(row.dataset.id);
+                panel.hidden = true;
+                $('#chat-threads-toggle').classList.remove('active');
+            };
+            row.querySelector('.chat-thread-delete').onclick = async (e) => {
+                e.stopPropagation();
+                if (!confirm('Delete this conversation?')) return;
+                await fetch(`/api/conversations/${row.dataset.id}`, { method: 'DELETE', headers: userHeaders() });
+                if (row.dataset.id === state.conversationId) showConversation(null);
+                loadThreads();
+            };
+        });
+    }
+
+    async function openConversation(id) {
+        try {
+            const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`, { headers: userHeaders() });
+            if (!res.ok) throw new Error(res.status === 404 ? 'not found' : `HTTP ${res.status}`);
+            showConversation(await res.json());
+        } catch (err) {
+            console.warn('Failed to open conversation:', err);
+            showConversation(null);
+        }
+    }
+
+    /**
+     * Replace the chat with a stored thread (null = a fresh, empty chat) and
+     * select the sources it was about
+     */
+    function showConversation(conv) {
+        state.conversationId = conv ? conv.id : null;
+        if (conv) localStorage.setItem(CONVERSATION_KEY, conv.id);
+        else localStorage.removeItem(CONVERSATION_KEY);
+
+        $$('#chat-messages .msg, #chat-messages .followup-row').forEach(el => el.remove());
+        state.chatMessages = [];
+        const emptyEl = $('#chat-empty');
+        if (emptyEl) emptyEl.style.display = conv && conv.messages.length ? 'none' : '';
+        if (!conv) return;
+
+        for (const m of conv.messages) {
+            const msgEl = addMessage(m.role, m.content);
+            if (m.role === 'assistant') {
+                state.chatMessages.push({ role: 'assistant', content: m.content });
+                if (m.citations && m.citations.length) renderCitations(msgEl, msgEl.querySelector('.msg-content'), m.content, m.citations);
+                enableSaveNote(msgEl, m.id, !!(m.notes && m.notes.length));
+            }
+        }
+
+        if (conv.docIds.length) {
+            const ids = new Set(conv.docIds);
+            state.sources.forEach(s => { s.checked = ids.has(s.id); });
+            renderSources();
+            updateSourceCount();
+        }
+    }
+
+    async function ensureConversation(docIds) {
+        if (state.conversationId) return state.conversationId;
+        const res = await fetch('/api/conversations', {
+            method: 'POST',
+            headers: userHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ docIds, origin: 'workspace' }),
+        });
+        if (!res.ok) throw new Error(`Could not start a conversation (HTTP ${res.status})`);
+        const conv = await res.json();
+        state.conversationId = conv.id;
+        localStorage.setItem(CONVERSATION_KEY, conv.id);
+        return conv.id;
     }
 
     async function sendMessage() {
@@ -187,34 +386,8 @@
         input.style.height = 'auto';
         $('#chat-send').classList.remove('active');
 
-        // Build context from selected sources
+        // The server retrieves passages from the selected sources itself
         const selectedIds = getSelectedSourceIds();
-        let context = '';
-        if (selectedIds.length > 0 && selectedIds.length <= 3) {
-            // Fetch first few source contents for context
-            try {
-                const contents = await Promise.all(
-                    selectedIds.slice(0, 3).map(async id => {
-                        const res = await fetch(`/api/doc/${id}`);
-                        const data = await res.json();
-                        // Strip HTML tags for context
-                        const textContent = data.content
-                            .replace(/<[^>]+>/g, ' ')
-                            .replace(/\s+/g, ' ')
-                            .trim()
-                            .slice(0, 4000);
-                        return `--- ${data.title} ---\n${textContent}`;
-                    })
-                );
-                context = contents.join('\n\n');
-            } catch (err) {
-                console.warn('Failed to fetch source context:', err);
-            }
-        } else if (selectedIds.length > 3) {
-            // Too many sources, just use titles
-            const titles = state.sources.filter(s => s.checked).map(s => s.title);
-            context = `Selected sources: ${titles.join(', ')}`;
-        }
 
         // Stream response
         state.streaming = true;
@@ -222,10 +395,11 @@
         const contentEl = msgEl.querySelector('.msg-content');
 
         try {
+            const conversationId = await ensureConversation(selectedIds);
             const res = await fetch('/api/chat', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ question: text, context }),
+                headers: userHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ question: text, docIds: selectedIds, conversationId, provider: state.llmProvider || undefined }),
             });
 
             if (!res.ok) {
@@ -238,6 +412,8 @@
             const reader = res.body.getReader();
             const decoder = new TextDecoder();
             let fullContent = '';
+            let citations = [];
+            let answerId = null;
 
             while (true) {
                 const { done, value } = await reader.read();
@@ -250,6 +426,8 @@
                     if (!line.startsWith('data: ')) continue;
                     try {
                         const data = JSON.parse(line.slice(6));
+                        if (data.citations) citations = data.citations;
+                        if (data.messageIds) answerId = data.messageIds[1];
                         if (data.done) break;
                         if (data.error) {
                             contentEl.innerHTML += `<em style="color: var(--text-warning)">Error: ${escHtml(data.error)}</em>`;
@@ -263,6 +441,9 @@
                 }
             }
 
+            if (citations.length) renderCitations(msgEl, contentEl, fullContent, citations);
+            if (answerId) enableSaveNote(msgEl, answerId, false);
+
             // Add follow-up suggestions
             state.chatMessages.push({ role: 'assistant', content: fullContent });
             addFollowUpSuggestions(fullContent);
@@ -274,6 +455,59 @@
         state.streaming = false;
     }
 
+    /**
+     * Link [n] markers in an answer to the reader at the cited anchor and
+     * list the retrieved excerpts under it
+     */
+    function renderCitations(msgEl, contentEl, content, citations) {
+        const href = (c) => `/?doc=${encodeURIComponent(c.docId)}${c.anchor ? `#${encodeURIComponent(c.anchor)}` : ''}`;
+        const byN = new Map(citations.map(c => [c.n, c]));
+        contentEl.innerHTML = renderMarkdown(content).replace(/\[(\d+)\]/g, (m, n) => {
+            const c = byN.get(Number(n));
+            return c ? `<a class="msg-cite" href="${href(c)}" target="_blank" title="${escHtml(c.snippet).replace(/"/g, '&quot;')}">${m}</a>` : m;
+        });
+
+        const list = document.createElement('div');
+        list.className = 'msg-citations';
+        list.innerHTML = citations.map(c => {
+            const label = c.kind === 'variable' ? c.variable : c.kind === 'equation' ? `Eq. · ${c.section || 'text'}` : c.section || 'Text';
+            const doc = new Set(citations.map(x => x.docId)).size > 1 ? `${c.docTitle} · ` : '';
+            return `<a class="msg-cite-chip msg-cite-${c.kind}" href="${href(c)}" target="_blank" title="${escHtml(c.snippet).replace(/"/g, '&quot;')}">[${c.n}] ${escHtml(doc + label)}</a>`;
+        }).join('');
+        msgEl.insertBefore(list, msgEl.querySelector('.msg-actions'));
+    }
+
+    /**
+     * Show the save-as-note action once an answer is stored in the thread
+     */
+    function enableSaveNote(msgEl, messageId, saved) {
+        const btn = msgEl.querySelector('[data-action="save-note"]');
+        msgEl.dataset.messageId = messageId;
+        btn.hidden = false;
+        btn.classList.toggle('saved', saved);
+        if (saved) btn.title = 'Saved as an AI note';
+    }
+
+    // Anchored on the first passage the answer cites; the note keeps model and prompt
+    async function saveAnswerAsNote(msgEl) {
+        const btn = msgEl.querySelector('[data-action="save-note"]');
+        if (!state.conversationId || !msgEl.dataset.messageId || btn.classList.contains('saved')) return;
+        try {
+            const res = await fetch(`/api/conversations/${state.conversationId}/messages/${msgEl.dataset.messageId}/annotation`, {
+                method: 'POST',
+                headers: userHeaders({ 'Content-Type': 'application/json' }),
+                body: '{}',
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+            const title = state.sources.find(s => s.id === data.docId)?.short_title || data.docId;
+            btn.classList.add('saved');
+            btn.title = `Saved as an AI note on ${title}`;
+        } catch (err) {
+            alert('Could not save the note: ' + err.message);
+        }
+    }
+
     function addMessage(role, content) {
         const container = $('#chat-messages');
         const div = document.createElement('div');
@@ -292,6 +526,11 @@
                             <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"></path>
                         </svg>
                     </button>
+                    <button class="msg-action-btn" data-action="save-note" title="Save as an AI note on the paper" hidden>
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M19 21l-7-5-7 5V5a2 2 0 012-2h10a2 2 0 012 2z"></path>
+                        </svg>
+                    </button>
                     <button class="msg-action-btn" data-action="like" title="Good response">
                         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M14 9V5a3 3 0 00-3-3l-4 9v11h11.28a2 2 0 002-1.7l1.38-9a2 2 0 00-2-2.3H14z"></path>
@@ -310,6 +549,8 @@
                 const text = div.querySelector('.msg-content').textContent;
                 navigator.clipboard.writeText(text);
             });
+
+            div.querySelector('[data-action="save-note"]')?.addEventListener('click', () => saveAnswerAsNote(div));
         }
 
         container.appendChild(div);
@@ -390,6 +631,31 @@
         });
     }
 
+    // Which LLM answers chat and studio requests (see /api/llm/providers)
+    async function setupProviderSelect() {
+        const select = $('#llm-provider');
+        if (!select) return;
+        try {
+            const res = await fetch('/api/llm/providers');
+            const { default: def, providers } = await res.json();
+            select.options[0].textContent = def ? `Default (${def})` : 'Default model';
+            for (const p of providers) {
+                const opt = document.createElement('option');
+                opt.value = p.name;
+                opt.textContent = p.configured ? p.name : `${p.name} (not configured)`;
+                opt.disabled = !p.configured;
+                select.appendChild(opt);
+            }
+        } catch { }
+        select.value = state.llmProvider;
+        if (select.value !== state.llmProvider) select.value = '';
+
+        select.addEventListener('change', () => {
+            state.llmProvider = select.value;
+            try { localStorage.setItem(LLM_PROVIDER_KEY, select.value); } catch { }
+        });
+    }
+
     // ═══════════════════════════════════════════════
     //  Studio Operations
     // ═══════════════════════════════════════════════
@@ -537,16 +803,44 @@ Start with a recommended reading order if non-linear reading would help.`,
         },
     };
 
+    const CUSTOM_OP_ICON = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="12 2 15 9 22 9 16.5 13.5 18.5 21 12 16.5 5.5 21 7.5 13.5 2 9 9 9 12 2"></polygon></svg>';
+    const EDIT_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>';
+
     function setupStudio() {
-        $$('.studio-card').forEach(card => {
-            card.addEventListener('click', (e) => {
-                if (e.target.closest('.studio-card-edit')) return;
-                const op = card.dataset.op;
-                if (op && OPERATIONS[op]) {
-                    runOperation(op);
-                }
-            });
+        // Delegated: custom operation cards come and go with loadTemplates()
+        $('.studio-grid').addEventListener('click', (e) => {
+            const card = e.target.closest('.studio-card');
+            if (!card) return;
+            if (e.target.closest('.studio-card-edit')) {
+                editTemplate(card);
+                return;
+            }
+            if (card.dataset.templateId) {
+                runTemplate(card.dataset.templateId);
+            } else if (OPERATIONS[card.dataset.op]) {
+                runOperation(card.dataset.op);
+            }
         });
+        setupTemplateEditor();
+        $('#btn-review-flashcards').addEventListener('click', startReview);
+        $('#btn-compare-papers').addEventListener('click', comparePapers);
+        $('#btn-citation-graph').addEventListener('click', showCitationGraph);
+        loadTemplates();
+        loadArtifacts();
+    }
+
+    /**
+     * Saved studio outputs (/api/artifacts), most recently run first
+     */
+    async function loadArtifacts() {
+        try {
+            const res = await fetch('/api/artifacts');
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            state.artifacts = await res.json();
+        } catch (err) {
+            console.warn('Could not load studio artifacts:', err.message);
+        }
+        renderOperations();
     }
 
     async function runOperation(opType) {
@@ -559,40 +853,105 @@ Start with a recommended reading order if non-linear reading would help.`,
             return;
         }
 
+        // A customized built-in runs its saved template instead
+        const custom = state.templates.find(t => t.base === opType);
+        if (custom) {
+            await startTemplate(custom, selectedIds);
+            return;
+        }
+
+        // The server reads the sources and saves the result as a new artifact
+        await streamStudio(op.label, {
+            operation: opType,
+            label: op.label,
+            prompt: op.prompt,
+            docIds: selectedIds,
+        }, { hideOutput: opType === 'quiz' });
+    }
+
+    async function runTemplate(templateId) {
+        const template = state.templates.find(t => t.id === templateId);
+        if (!template) return;
+
+        const selectedIds = getSelectedSourceIds();
+        if (selectedIds.length === 0) {
+            alert('Please select at least one source to generate content.');
+            return;
+        }
+        await startTemplate(template, selectedIds);
+    }
+
+    /**
+     * Run a template; one that uses {{section}} first asks which section
+     */
+    async function startTemplate(template, docIds) {
+        const body = { templateId: template.id, docIds };
+        const options = { hideOutput: template.base === 'quiz' };
+        if (!/\{\{\s*section\s*\}\}/.test(template.prompt)) {
+            await streamStudio(template.label, body, options);
+            return;
+        }
+        pickSection(template.label, docIds, (section) => streamStudio(template.label, { ...body, section }, options));
+    }
+
+    /**
+     * List the sections of the selected sources in the result modal and call
+     * onPick({ docId, anchor }) with the one clicked
+     */
+    async function pickSection(label, docIds, onPick) {
+        openResultModal(`${label} — pick a section`, '<div class="result-loading"><div class="studio-op-spinner"></div><span>Loading sections...</span></div>');
+
+        const groups = await Promise.all(docIds.slice(0, 5).map(async id => {
+            const source = state.sources.find(src => src.id === id);
+            try {
+                const res = await fetch(`/api/doc/${encodeURIComponent(id)}/sections`);
+                return { id, title: source ? source.title : id, sections: res.ok ? await res.json() : [] };
+            } catch {
+                return { id, title: source ? source.title : id, sections: [] };
+            }
+        }));
+
+        const body = $('#result-modal-body');
+        body.innerHTML = groups.map(g => `
+            <div class="section-pick-group">
+                <div class="section-pick-doc">${escHtml(g.title)}</div>
+                ${g.sections.map(sec => `<button class="section-pick" data-doc-id="${escHtml(g.id)}" data-anchor="${escHtml(sec.anchor).replace(/"/g, '&quot;')}">${escHtml(sec.title)}</button>`).join('') || '<em>No sections</em>'}
+            </div>
+        `).join('');
+        body.querySelectorAll('.section-pick').forEach(btn => {
+            btn.addEventListener('click', () => onPick({ docId: btn.dataset.docId, anchor: btn.dataset.anchor }));
+        });
+    }
+
+    /**
+     * Run a saved artifact's operation again over its own sources; the
+     * output becomes its next version
+     */
+    async function rerunArtifact(artifact) {
+        await streamStudio(artifact.label, { artifactId: artifact.id }, { hideOutput: artifact.operation === 'quiz' });
+    }
+
+    /**
+     * POST /api/studio and stream the output into the result modal; once it's
+     * saved, show the artifact version it became. With `hideOutput` (quizzes,
+     * whose answers shouldn't show) only progress is shown, and a quiz that
+     * parsed starts right away.
+     */
+    async function streamStudio(label, body, { hideOutput = false } = {}) {
         // Add to running operations
-        const opId = Date.now().toString(36);
-        const opEntry = { id: opId, type: opType, label: op.label, status: 'running', result: '' };
+        const opEntry = { id: Date.now().toString(36), label, status: 'running' };
         state.operations.push(opEntry);
         renderOperations();
 
         // Open modal with loading state
-        openResultModal(op.label, '<div class="result-loading"><div class="studio-op-spinner"></div><span>Generating...</span></div>');
+        openResultModal(label, '<div class="result-loading"><div class="studio-op-spinner"></div><span>Generating...</span></div>');
 
+        let saved = null;
         try {
-            // Fetch source content for context
-            const contents = await Promise.all(
-                selectedIds.slice(0, 5).map(async id => {
-                    const res = await fetch(`/api/doc/${id}`);
-                    const data = await res.json();
-                    const textContent = data.content
-                        .replace(/<[^>]+>/g, ' ')
-                        .replace(/\s+/g, ' ')
-                        .trim()
-                        .slice(0, 6000);
-                    return `--- ${data.title} ---\n${textContent}`;
-                })
-            );
-            const context = contents.join('\n\n');
-
-            // Call the studio API
             const res = await fetch('/api/studio', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    operation: opType,
-                    prompt: op.prompt,
-                    context,
-                }),
+                headers: userHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ ...body, provider: state.llmProvider || undefined }),
             });
 
             if (!res.ok) {
@@ -616,53 +975,1232 @@ Start with a recommended reading order if non-linear reading would help.`,
                     if (!line.startsWith('data: ')) continue;
                     try {
                         const data = JSON.parse(line.slice(6));
-                        if (data.done) break;
+                        if (data.error) throw new Error(data.error);
+                        if (data.done) {
+                            if (data.artifactId) saved = data;
+                            break;
+                        }
                         if (data.content) {
                             fullResult += data.content;
-                            updateResultModal(renderMarkdown(fullResult));
+                            updateResultModal(hideOutput
+                                ? `<div class="result-loading"><div class="studio-op-spinner"></div><span>Writing... ${fullResult.length.toLocaleString()} characters</span></div>`
+                                : renderMarkdown(fullResult));
                         }
-                    } catch { }
+                    } catch (err) {
+                        if (!(err instanceof SyntaxError)) throw err;
+                    }
                 }
             }
 
-            opEntry.status = 'done';
-            opEntry.result = fullResult;
-
+            state.operations = state.operations.filter(o => o !== opEntry);
         } catch (err) {
             opEntry.status = 'error';
             updateResultModal(`<em style="color: var(--text-warning)">Error: ${escHtml(err.message)}</em>`);
         }
 
-        renderOperations();
+        await loadArtifacts();
+        if (saved && saved.quiz) startQuiz(saved.quiz.id);
+        else if (saved) openArtifact(saved.artifactId, saved.version);
+        if (saved && saved.flashcards) refreshFlashcardsDue();
     }
 
     function renderOperations() {
         const container = $('#studio-operations');
-        container.innerHTML = state.operations.map(op => `
+        const checkIcon = '<svg class="studio-op-check" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>';
+        const errorIcon = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="var(--text-warning)" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>';
+
+        const running = state.operations.map(op => `
             <div class="studio-op-item" data-op-id="${op.id}">
-                ${op.status === 'running'
-                ? '<div class="studio-op-spinner"></div>'
-                : op.status === 'done'
-                    ? '<svg class="studio-op-check" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>'
-                    : '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="var(--text-warning)" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>'
-            }
+                ${op.status === 'running' ? '<div class="studio-op-spinner"></div>' : errorIcon}
+                <div class="studio-op-info">
+                    <div class="studio-op-title">${op.status === 'running' ? `Generating ${escHtml(op.label)}...` : escHtml(op.label)}</div>
+                    <div class="studio-op-meta">${op.status === 'running' ? 'in progress' : 'failed'}</div>
+                </div>
+            </div>
+        `).join('');
+
+        const saved = state.artifacts.map(a => `
+            <div class="studio-op-item" data-artifact-id="${a.id}">
+                ${checkIcon}
                 <div class="studio-op-info">
-                    <div class="studio-op-title">${op.status === 'running' ? 'Generating' : ''} ${escHtml(op.label)}${op.status === 'running' ? '...' : ''}</div>
-                    <div class="studio-op-meta">based on ${getSelectedSourceIds().length} source${getSelectedSourceIds().length !== 1 ? 's' : ''}</div>
+                    <div class="studio-op-title">${escHtml(a.label)}</div>
+                    <div class="studio-op-meta">v${a.latest ? a.latest.n : 0} · based on ${a.docIds.length} source${a.docIds.length !== 1 ? 's' : ''} · ${new Date(a.updatedAt).toLocaleDateString()}</div>
                 </div>
             </div>
         `).join('');
 
-        // Click completed operations to re-open
-        container.querySelectorAll('.studio-op-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const opId = item.dataset.opId;
-                const op = state.operations.find(o => o.id === opId);
-                if (op && op.result) {
-                    openResultModal(op.label, renderMarkdown(op.result));
+        container.innerHTML = running + saved;
+
+        // Click saved artifacts to re-open
+        container.querySelectorAll('.studio-op-item[data-artifact-id]').forEach(item => {
+            item.addEventListener('click', () => openArtifact(item.dataset.artifactId));
+        });
+    }
+
+    /**
+     * Show one version of an artifact (the latest by default) with its
+     * version picker, re-run, compare, open-in-reader and delete actions
+     */
+    async function openArtifact(id, n = null) {
+        let artifact;
+        try {
+            const res = await fetch(`/api/artifacts/${encodeURIComponent(id)}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            artifact = await res.json();
+        } catch (err) {
+            alert(`Could not open artifact: ${err.message}`);
+            return;
+        }
+
+        const versions = artifact.versions;
+        const version = versions.find(v => v.n === n) || versions[versions.length - 1];
+        if (!version) return;
+
+        openResultModal(artifact.label, renderMarkdown(version.content));
+        const actions = $('#result-modal-actions');
+        actions.innerHTML = `
+            <select class="result-version-select" title="Version">
+                ${versions.slice().reverse().map(v => `<option value="${v.n}"${v.n === version.n ? ' selected' : ''}>v${v.n} · ${escHtml(v.model || v.provider || '')} · ${new Date(v.createdAt).toLocaleString()}</option>`).join('')}
+            </select>
+            <button class="chat-header-btn" data-action="compare"${version.n > versions[0].n ? '' : ' hidden'}>Compare with previous</button>
+            <button class="chat-header-btn" data-action="rerun">Re-run</button>
+            ${artifact.operation === 'flashcards' ? '<button class="chat-header-btn" data-action="add-to-deck" title="Add this version\'s cards to the review decks">Add to review</button>' : ''}
+            ${artifact.operation === 'quiz' ? '<button class="chat-header-btn active" data-action="take-quiz" title="Answer this version\'s questions one at a time">Take quiz</button>' : ''}
+            ${artifact.operation === 'data_table' ? `
+                <button class="chat-header-btn" data-action="tables-markdown" hidden>Markdown</button>
+                <button class="chat-header-btn" data-action="compare-tables" title="Merge the latest data tables of the selected sources">Compare selected papers</button>
+            ` : ''}
+            ${artifact.operation === 'mind_map' ? `
+                <button class="chat-header-btn" data-action="outline" hidden>Outline</button>
+                <button class="chat-header-btn" data-action="export-svg" hidden>Export SVG</button>
+                <a class="chat-header-btn" data-action="export-opml" href="/api/artifacts/${encodeURIComponent(artifact.id)}/mindmap?version=${version.n}&format=opml" download hidden>Export OPML</a>
+            ` : ''}
+            <a class="chat-header-btn" href="/?doc=artifact-${encodeURIComponent(artifact.id)}&file=v${version.n}.md" target="_blank">Open in reader</a>
+            <button class="chat-header-btn" data-action="delete">Delete</button>
+        `;
+        actions.hidden = false;
+
+        actions.querySelector('.result-version-select').addEventListener('change', (e) => openArtifact(artifact.id, Number(e.target.value)));
+        actions.querySelector('[data-action="compare"]').addEventListener('click', () => {
+            const previous = versions.filter(v => v.n < version.n).pop();
+            if (previous) showArtifactDiff(artifact, previous.n, version.n);
+        });
+        actions.querySelector('[data-action="rerun"]').addEventListener('click', () => rerunArtifact(artifact));
+        const addToDeck = actions.querySelector('[data-action="add-to-deck"]');
+        if (addToDeck) {
+            addToDeck.addEventListener('click', async () => {
+                const res = await fetch('/api/flashcards/import', {
+                    method: 'POST',
+                    headers: userHeaders({ 'Content-Type': 'application/json' }),
+                    body: JSON.stringify({ artifactId: artifact.id, version: version.n }),
+                });
+                const result = await res.json();
+                if (!res.ok) {
+                    alert(`Could not add the cards: ${result.error}`);
+                    return;
+                }
+                addToDeck.textContent = `Added ${result.added} · updated ${result.updated}`;
+                addToDeck.disabled = true;
+                refreshFlashcardsDue();
+            });
+        }
+        const takeQuiz = actions.querySelector('[data-action="take-quiz"]');
+        if (takeQuiz) {
+            takeQuiz.addEventListener('click', async () => {
+                const res = await fetch('/api/quizzes', {
+                    method: 'POST',
+                    headers: userHeaders({ 'Content-Type': 'application/json' }),
+                    body: JSON.stringify({ artifactId: artifact.id, version: version.n }),
+                });
+                const quiz = await res.json();
+                if (!res.ok) {
+                    alert(`Could not start the quiz: ${quiz.error}`);
+                    return;
                 }
+                startQuiz(quiz.id);
+            });
+        }
+        if (artifact.operation === 'mind_map') showMindMap(artifact, version);
+        if (artifact.operation === 'data_table') {
+            actions.querySelector('[data-action="compare-tables"]').addEventListener('click', compareTables);
+            showDataTables(artifact, version);
+        }
+        actions.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            if (!confirm(`Delete "${artifact.label}" and all ${versions.length} version${versions.length !== 1 ? 's' : ''}?`)) return;
+            await fetch(`/api/artifacts/${encodeURIComponent(artifact.id)}`, { method: 'DELETE' });
+            closeResultModal();
+            loadArtifacts();
+        });
+    }
+
+    async function showArtifactDiff(artifact, from, to) {
+        try {
+            const res = await fetch(`/api/artifacts/${encodeURIComponent(artifact.id)}/diff?from=${from}&to=${to}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            const diff = await res.json();
+            const cls = { '+': 'diff-add', '-': 'diff-del', '=': '' };
+            $('#result-modal-title').textContent = `${artifact.label} — v${diff.from} → v${diff.to}`;
+            $('#result-modal-body').innerHTML = `
+                <div class="result-diff-stats"><span class="diff-add">+${diff.added}</span> <span class="diff-del">−${diff.removed}</span> lines</div>
+                <div class="result-diff">${diff.lines.map(l => `<div class="diff-line ${cls[l.op]}"><span class="diff-op">${l.op === '=' ? ' ' : escHtml(l.op)}</span>${escHtml(l.text) || ' '}</div>`).join('')}</div>
+            `;
+        } catch (err) {
+            alert(`Could not compare versions: ${err.message}`);
+        }
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Mind Maps (/api/artifacts/:id/mindmap)
+    // ═══════════════════════════════════════════════
+
+    const MINDMAP_LAYOUT = { row: 32, gap: 56, height: 22, padX: 10, charWidth: 7, maxChars: 40, fontSize: 12 };
+    const BRANCH_COLORS = ['--accent-blue', '--accent-green', '--accent-purple', '--accent-orange', '--accent-pink', '--accent-teal'];
+
+    let mindMap = null; // { root, collapsed: Set, fileName }
+
+    /**
+     * Replace a mind map artifact's markdown with its collapsible map; the
+     * markdown stays one click away under "Outline"
+     */
+    async function showMindMap(artifact, version) {
+        const actions = $('#result-modal-actions');
+        const outline = actions.querySelector('[data-action="outline"]');
+        let data;
+        try {
+            const res = await fetch(`/api/artifacts/${encodeURIComponent(artifact.id)}/mindmap?version=${version.n}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            data = await res.json();
+        } catch (err) {
+            console.warn('Mind map unavailable:', err.message);
+            return;
+        }
+        // The modal moved on (another version or artifact) while loading
+        if (!outline.isConnected) return;
+
+        const body = $('#result-modal-body');
+        mindMap = { root: data.root, collapsed: new Set(), fileName: `mindmap-${artifact.id}-v${version.n}` };
+        body.innerHTML = '<div class="mindmap"></div>';
+        body.querySelector('.mindmap').addEventListener('click', onMindMapClick);
+        renderMindMap();
+
+        const exportSvg = actions.querySelector('[data-action="export-svg"]');
+        [outline, exportSvg, actions.querySelector('[data-action="export-opml"]')].forEach(el => { el.hidden = false; });
+        outline.addEventListener('click', () => {
+            const showingMap = !!body.querySelector('.mindmap');
+            if (showingMap) {
+                body.innerHTML = renderMarkdown(version.content);
+            } else {
+                body.innerHTML = '<div class="mindmap"></div>';
+                body.querySelector('.mindmap').addEventListener('click', onMindMapClick);
+                renderMindMap();
+            }
+            outline.textContent = showingMap ? 'Map' : 'Outline';
+            exportSvg.hidden = showingMap;
+        });
+        exportSvg.addEventListener('click', exportMindMapSvg);
+    }
+
+    function mindMapLink(node) {
+        if (!node.docId) return null;
+        return `${location.origin}/?doc=${encodeURIComponent(node.docId)}${node.anchor ? `#${encodeURIComponent(node.anchor)}` : ''}`;
+    }
+
+    /**
+     * Draw the map left to right: one column per depth, leaves on their own
+     * rows and each parent centred on its children. Colours are written into
+     * the SVG so an export looks the same outside the workspace.
+     */
+    function renderMindMap() {
+        const container = $('#result-modal-body .mindmap');
+        if (!container || !mindMap) return;
+        const L = MINDMAP_LAYOUT;
+        const { root, collapsed } = mindMap;
+        const css = getComputedStyle(document.documentElement);
+        const color = name => css.getPropertyValue(name).trim();
+        const short = text => (text.length > L.maxChars ? `${text.slice(0, L.maxChars - 1)}…` : text);
+        const widthOf = node => short(node.text).length * L.charWidth + 2 * L.padX;
+        const isOpen = node => node.children.length > 0 && !collapsed.has(node.id);
+
+        const visible = [];
+        const collect = (node, branch) => {
+            node.branch = branch;
+            visible.push(node);
+            if (isOpen(node)) node.children.forEach((child, i) => collect(child, node.depth === 0 ? i : branch));
+        };
+        collect(root, -1);
+
+        const columns = [];
+        visible.forEach(node => { columns[node.depth] = Math.max(columns[node.depth] || 0, widthOf(node)); });
+        const columnX = [];
+        let x = L.padX;
+        columns.forEach((w, depth) => { columnX[depth] = x; x += w + L.gap; });
+
+        let row = 0;
+        const place = (node) => {
+            node.x = columnX[node.depth];
+            if (isOpen(node)) {
+                node.children.forEach(place);
+                node.y = (node.children[0].y + node.children[node.children.length - 1].y) / 2;
+            } else {
+                node.y = row++ * L.row + L.row / 2;
+            }
+        };
+        place(root);
+
+        const branchColor = node => (node.branch < 0 ? color('--text-accent') : color(BRANCH_COLORS[node.branch % BRANCH_COLORS.length]));
+        const width = x - L.gap + L.padX + 16;
+        const height = Math.max(row, 1) * L.row;
+
+        const links = visible.filter(isOpen).flatMap(node => node.children.map(child => {
+            const x1 = node.x + widthOf(node);
+            const x2 = child.x;
+            const mid = (x1 + x2) / 2;
+            return `<path d="M${x1} ${node.y} C${mid} ${node.y} ${mid} ${child.y} ${x2} ${child.y}" fill="none" stroke="${branchColor(child)}" stroke-opacity="0.6" stroke-width="1.5"/>`;
+        }));
+
+        const nodes = visible.map(node => {
+            const w = widthOf(node);
+            const href = mindMapLink(node);
+            const title = `${node.text}${node.section ? ` — § ${node.section}` : ''}`;
+            const box = `
+                <rect x="${node.x}" y="${node.y - L.height / 2}" width="${w}" height="${L.height}" rx="6"
+                    fill="${node.depth === 0 ? branchColor(node) : color('--bg-tertiary')}" stroke="${branchColor(node)}"/>
+                <text x="${node.x + L.padX}" y="${node.y + L.fontSize / 3}" font-size="${L.fontSize}" font-family="${escHtml(color('--font-body')).replace(/"/g, '&quot;')}"
+                    fill="${node.depth === 0 ? color('--bg-primary') : color('--text-primary')}">${escHtml(short(node.text))}</text>`;
+            const toggle = node.children.length ? `
+                <g class="mindmap-toggle" data-toggle="${escHtml(node.id)}">
+                    <circle cx="${node.x + w + 8}" cy="${node.y}" r="6" fill="${color('--bg-secondary')}" stroke="${branchColor(node)}"/>
+                    <text x="${node.x + w + 8}" y="${node.y + 4}" font-size="11" text-anchor="middle" fill="${color('--text-secondary')}">${collapsed.has(node.id) ? '+' : '−'}</text>
+                </g>` : '';
+            const label = href
+                ? `<a href="${escHtml(href).replace(/"/g, '&quot;')}" target="_blank">${box}</a>`
+                : box;
+            return `<g class="mindmap-node${href ? ' linked' : ''}${node.children.length ? ' branch' : ''}" data-id="${escHtml(node.id)}"><title>${escHtml(title)}</title>${label}${toggle}</g>`;
+        });
+
+        container.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <rect width="100%" height="100%" fill="${color('--bg-secondary')}"/>
+                ${links.join('')}
+                ${nodes.join('')}
+            </svg>
+        `;
+    }
+
+    // Toggles collapse a branch; a node without a section link toggles too
+    function onMindMapClick(e) {
+        const toggle = e.target.closest('[data-toggle]');
+        const node = e.target.closest('.mindmap-node');
+        if (!toggle && (!node || node.classList.contains('linked'))) return;
+        const id = toggle ? toggle.dataset.toggle : node.dataset.id;
+        if (mindMap.collapsed.has(id)) mindMap.collapsed.delete(id);
+        else mindMap.collapsed.add(id);
+        renderMindMap();
+    }
+
+    function exportMindMapSvg() {
+        const svg = $('#result-modal-body .mindmap svg');
+        if (!svg) return;
+        const text = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+        downloadText(text, 'image/svg+xml', `${mindMap.fileName}.svg`);
+    }
+
+    function downloadText(text, type, fileName) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Data Tables (/api/artifacts/:id/tables, /api/tables)
+    // ═══════════════════════════════════════════════
+
+    /**
+     * Replace a data table artifact's markdown with sortable, filterable
+     * grids; "Markdown" switches back
+     */
+    async function showDataTables(artifact, version) {
+        const toggle = $('#result-modal-actions [data-action="tables-markdown"]');
+        let data;
+        try {
+            const res = await fetch(`/api/artifacts/${encodeURIComponent(artifact.id)}/tables?version=${version.n}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            data = await res.json();
+        } catch (err) {
+            console.warn('Data tables unavailable:', err.message);
+            return;
+        }
+        // Another version or artifact was opened meanwhile, or there's nothing to grid
+        if (!toggle.isConnected || !data.tables.length) return;
+
+        const body = $('#result-modal-body');
+        let showingGrids = true;
+        renderDataGrids(body, data.tables);
+        toggle.hidden = false;
+        toggle.addEventListener('click', () => {
+            showingGrids = !showingGrids;
+            if (showingGrids) renderDataGrids(body, data.tables);
+            else body.innerHTML = renderMarkdown(version.content);
+            toggle.textContent = showingGrids ? 'Markdown' : 'Tables';
+        });
+    }
+
+    /**
+     * One comparison table per table title from the selected sources' latest
+     * data tables, with a Paper column
+     */
+    async function compareTables() {
+        const docIds = getSelectedSourceIds();
+        if (docIds.length === 0) {
+            alert('Please select the sources to compare.');
+            return;
+        }
+
+        openResultModal('Compare data tables', '<div class="result-loading"><div class="studio-op-spinner"></div><span>Linking cells to their papers...</span></div>');
+        let data;
+        try {
+            const res = await fetch(`/api/tables?docIds=${docIds.map(encodeURIComponent).join(',')}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            data = await res.json();
+        } catch (err) {
+            updateResultModal(`<em style="color: var(--text-warning)">Error: ${escHtml(err.message)}</em>`);
+            return;
+        }
+
+        const titleOf = id => {
+            const source = state.sources.find(src => src.id === id);
+            return source ? source.title : id;
+        };
+        const intro = data.missing.length
+            ? `<div class="data-grid-note">No data table yet for ${data.missing.map(id => `<strong>${escHtml(titleOf(id))}</strong>`).join(', ')} — run <strong>Data Table</strong> on ${data.missing.length === 1 ? 'it' : 'them'} to include ${data.missing.length === 1 ? 'it' : 'them'}.</div>`
+            : '';
+        if (!data.tables.length) {
+            updateResultModal(intro || '<div class="data-grid-note">No tables found.</div>');
+            return;
+        }
+        renderDataGrids($('#result-modal-body'), data.tables, intro);
+    }
+
+    function renderDataGrids(container, tables, intro = '') {
+        container.innerHTML = intro;
+        tables.forEach(table => container.appendChild(dataGrid(table)));
+    }
+
+    // Numbers before text, empty cells last whichever way the column is sorted
+    function compareCells(a, b, dir) {
+        if (!a.text || !b.text) return (a.text ? 0 : 1) - (b.text ? 0 : 1);
+        if (a.value !== null && b.value !== null) return (a.value - b.value) * dir;
+        if (a.value !== null || b.value !== null) return a.value !== null ? -1 : 1;
+        return a.text.localeCompare(b.text, undefined, { numeric: true }) * dir;
+    }
+
+    function dataCellHtml(cell) {
+        const text = escHtml(cell.text);
+        const src = cell.source;
+        if (!src || !src.docId || !text) return text;
+        const href = `/?doc=${encodeURIComponent(src.docId)}${src.anchor ? `#${encodeURIComponent(src.anchor)}` : ''}`;
+        const title = src.kind === 'paper' ? 'Open the paper' : `${src.label || src.kind}: ${src.text}`;
+        return `<a class="data-cell-link ${escHtml(src.kind)}" href="${escHtml(href)}" target="_blank" title="${escHtml(title).replace(/"/g, '&quot;')}">${text}</a>`;
+    }
+
+    function tableCsv(columns, rows) {
+        const field = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        return [columns, ...rows.map(row => row.cells.map(c => c.text))]
+            .map(line => line.map(v => field(String(v))).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * A table as a grid: click a header to sort (again to reverse), type to
+     * filter rows, CSV exports the rows shown
+     */
+    function dataGrid(table) {
+        const el = document.createElement('div');
+        el.className = 'data-grid';
+        el.innerHTML = `
+            <div class="data-grid-header">
+                <span class="data-grid-title">${escHtml(table.title)}</span>
+                <span class="data-grid-count"></span>
+                <input class="data-grid-filter" type="search" placeholder="Filter rows...">
+                <button class="chat-header-btn" data-action="csv" title="Download the rows shown as CSV">CSV</button>
+            </div>
+            <div class="data-grid-scroll"><table><thead></thead><tbody></tbody></table></div>
+        `;
+        const view = { column: null, dir: 1, filter: '' };
+
+        const visibleRows = () => {
+            const terms = view.filter.toLowerCase().split(/\s+/).filter(Boolean);
+            const rows = table.rows.filter(row => {
+                const text = row.cells.map(c => c.text).join(' ').toLowerCase();
+                return terms.every(t => text.includes(t));
             });
+            if (view.column !== null) rows.sort((a, b) => compareCells(a.cells[view.column], b.cells[view.column], view.dir));
+            return rows;
+        };
+
+        const render = () => {
+            const rows = visibleRows();
+            el.querySelector('thead').innerHTML = `<tr>${table.columns.map((name, i) => `
+                <th data-column="${i}" class="${view.column === i ? (view.dir > 0 ? 'sorted-asc' : 'sorted-desc') : ''}">${escHtml(name)}</th>
+            `).join('')}</tr>`;
+            el.querySelector('tbody').innerHTML = rows.map(row => `
+                <tr>${row.cells.map(cell => `<td class="${cell.value !== null ? 'numeric' : ''}">${dataCellHtml(cell)}</td>`).join('')}</tr>
+            `).join('') || `<tr><td colspan="${table.columns.length}" class="data-grid-empty">No matching rows</td></tr>`;
+            el.querySelector('.data-grid-count').textContent = rows.length === table.rows.length
+                ? `${rows.length} row${rows.length !== 1 ? 's' : ''}`
+                : `${rows.length} of ${table.rows.length} rows`;
+        };
+
+        el.querySelector('thead').addEventListener('click', (e) => {
+            const th = e.target.closest('th');
+            if (!th) return;
+            const column = Number(th.dataset.column);
+            view.dir = view.column === column ? -view.dir : 1;
+            view.column = column;
+            render();
+        });
+        el.querySelector('.data-grid-filter').addEventListener('input', (e) => {
+            view.filter = e.target.value;
+            render();
         });
+        el.querySelector('[data-action="csv"]').addEventListener('click', () => {
+            const name = table.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'table';
+            downloadText(tableCsv(table.columns, visibleRows()), 'text/csv', `${name}.csv`);
+        });
+
+        render();
+        return el;
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Paper Comparison (/api/compare)
+    // ═══════════════════════════════════════════════
+
+    /**
+     * The selected sources side by side: sections aligned by role, their
+     * notation and the references they share
+     */
+    async function comparePapers() {
+        const docIds = getSelectedSourceIds();
+        if (docIds.length < 2) {
+            alert('Please select at least two sources to compare.');
+            return;
+        }
+
+        openResultModal('Compare papers', '<div class="result-loading"><div class="studio-op-spinner"></div><span>Lining up the papers...</span></div>', { wide: true });
+        let data;
+        try {
+            const res = await fetch(`/api/compare?docIds=${docIds.map(encodeURIComponent).join(',')}`);
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            data = await res.json();
+        } catch (err) {
+            updateResultModal(`<em style="color: var(--text-warning)">Error: ${escHtml(err.message)}</em>`);
+            return;
+        }
+        $('#result-modal-body').innerHTML = renderComparison(data);
+    }
+
+    function paperHref(docId, anchor) {
+        return `/?doc=${encodeURIComponent(docId)}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`;
+    }
+
+    function renderComparison(data) {
+        const titleOf = docId => (data.papers.find(p => p.docId === docId) || {}).title || docId;
+        const head = `<tr><th></th>${data.papers.map(p =>
+            `<th><a href="${escHtml(paperHref(p.docId))}" target="_blank">${escHtml(p.title)}</a>${p.year ? ` <span class="compare-year">${escHtml(String(p.year))}</span>` : ''}</th>`
+        ).join('')}</tr>`;
+
+        // Sections by role
+        const sectionRows = data.sections.map(row => `<tr><th class="compare-role">${escHtml(row.label)}</th>${row.cells.map(cell => `<td>${
+            cell.sections.length ? cell.sections.map(sec => `
+                <div class="compare-section">
+                    <a href="${escHtml(paperHref(cell.docId, sec.anchor))}" target="_blank">${escHtml(sec.title)}</a>
+                    ${sec.subsections.length ? `<div class="compare-subsections">${sec.subsections.map(escHtml).join(' · ')}</div>` : ''}
+                    <div class="compare-snippet">${escHtml(sec.snippet)}</div>
+                </div>`).join('') : '<span class="compare-missing">—</span>'
+        }</td>`).join('')}</tr>`).join('');
+
+        // Notation: symbols in several papers, then each paper's own
+        const variable = (docId, v) => {
+            if (!v) return '<span class="compare-missing">—</span>';
+            const text = escHtml(v.description || '—');
+            return v.anchor ? `<a href="${escHtml(paperHref(docId, v.anchor))}" target="_blank">${text}</a>` : text;
+        };
+        const sharedRows = data.notation.shared.map(s => `<tr class="${s.differs ? 'compare-differs' : ''}">
+            <th><code>${escHtml(s.symbol)}</code>${s.differs ? ' <span class="compare-flag" title="The papers describe this symbol differently">differs</span>' : ''}</th>
+            ${data.papers.map(p => `<td>${variable(p.docId, s.entries.find(e => e.docId === p.docId))}</td>`).join('')}
+        </tr>`).join('');
+        const uniqueRow = `<tr><th class="compare-role">Only here</th>${data.papers.map(p => {
+            const own = data.notation.unique[p.docId] || [];
+            return `<td>${own.length ? own.map(v => `<code title="${escHtml(v.description).replace(/"/g, '&quot;')}">${escHtml(v.symbol)}</code>`).join(' ') : '<span class="compare-missing">—</span>'}</td>`;
+        }).join('')}</tr>`;
+
+        // References cited by more than one paper
+        const refs = data.references.shared.map(ref => {
+            const id = ref.arxivId ? ` <span class="compare-year">arXiv:${escHtml(ref.arxivId)}</span>` : ref.doi ? ` <span class="compare-year">doi:${escHtml(ref.doi)}</span>` : '';
+            const cites = ref.entries.map(e =>
+                `<a href="${escHtml(paperHref(e.docId, `ref-${e.num}`))}" target="_blank" title="${escHtml(titleOf(e.docId)).replace(/"/g, '&quot;')}">${escHtml(titleOf(e.docId))} [${e.num}]</a>`
+            ).join(', ');
+            return `<li><span class="compare-ref-title">${escHtml(ref.title)}</span>${ref.year ? ` (${ref.year})` : ''}${id}<div class="compare-cites">${cites}</div></li>`;
+        }).join('');
+        const counts = data.papers.map(p => `${escHtml(p.title)}: ${data.references.counts[p.docId] || 0}`).join(' · ');
+
+        return `
+            <h3>Sections</h3>
+            ${data.sections.length ? `<div class="compare-scroll"><table class="compare-table">${head}${sectionRows}</table></div>` : '<div class="data-grid-note">No sections could be matched by role.</div>'}
+            <h3>Notation</h3>
+            <div class="compare-scroll"><table class="compare-table">${head}${sharedRows}${uniqueRow}</table></div>
+            <h3>Shared references</h3>
+            <div class="data-grid-note">${data.references.shared.length} cited by more than one paper (${counts})</div>
+            ${refs ? `<ul class="compare-refs">${refs}</ul>` : ''}`;
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Citation Graph (/api/graph)
+    // ═══════════════════════════════════════════════
+
+    const GRAPH_LAYOUT = { row: 30, height: 22, column: 260, gap: 90, padX: 8, charWidth: 6.6, maxChars: 36, fontSize: 12 };
+
+    let citationGraph = null; // { nodes: Map, edges, focus, back: [], libraryOnly }
+
+    /**
+     * The library's citation graph around one paper: what cites it on the
+     * left, what it cites on the right; clicking a node moves there
+     */
+    async function showCitationGraph() {
+        openResultModal('Citation graph', '<div class="result-loading"><div class="studio-op-spinner"></div><span>Resolving references...</span></div>', { wide: true });
+        let data;
+        try {
+            const res = await fetch('/api/graph');
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            data = await res.json();
+        } catch (err) {
+            updateResultModal(`<em style="color: var(--text-warning)">Error: ${escHtml(err.message)}</em>`);
+            return;
+        }
+
+        const library = data.nodes.filter(n => n.inLibrary);
+        if (!library.length) {
+            updateResultModal('<div class="data-grid-note">No documents in the library yet.</div>');
+            return;
+        }
+        const selected = getSelectedSourceIds().find(id => library.some(n => n.id === id));
+        citationGraph = {
+            nodes: new Map(data.nodes.map(n => [n.id, n])),
+            edges: data.edges,
+            focus: selected || library[0].id,
+            back: [],
+            libraryOnly: false,
+        };
+
+        const body = $('#result-modal-body');
+        body.innerHTML = `
+            <div class="graph-toolbar">
+                <button class="chat-header-btn" data-graph="back" title="Previous paper" disabled>← Back</button>
+                <select class="graph-library" title="Papers in the library">
+                    ${library.map(n => `<option value="${escHtml(n.id)}">${escHtml(n.title)} (cites ${n.cites}, cited by ${n.citedBy})</option>`).join('')}
+                </select>
+                <label class="graph-filter"><input type="checkbox" data-graph="library-only"> Library only</label>
+            </div>
+            <div class="graph-details"></div>
+            <div class="graph-view"></div>
+        `;
+        body.querySelector('.graph-library').addEventListener('change', e => focusGraphNode(e.target.value));
+        body.querySelector('[data-graph="library-only"]').addEventListener('change', e => {
+            citationGraph.libraryOnly = e.target.checked;
+            renderCitationGraph();
+        });
+        body.querySelector('[data-graph="back"]').addEventListener('click', () => {
+            if (!citationGraph.back.length) return;
+            citationGraph.focus = citationGraph.back.pop();
+            renderCitationGraph();
+        });
+        body.querySelector('.graph-view').addEventListener('click', e => {
+            const node = e.target.closest('.graph-node[data-id]');
+            if (node && node.dataset.id !== citationGraph.focus) focusGraphNode(node.dataset.id);
+        });
+        renderCitationGraph();
+    }
+
+    function focusGraphNode(id) {
+        if (!citationGraph.nodes.has(id)) return;
+        citationGraph.back.push(citationGraph.focus);
+        citationGraph.focus = id;
+        renderCitationGraph();
+    }
+
+    function graphNodeLink(node) {
+        return node.inLibrary
+            ? `<a href="/?doc=${encodeURIComponent(node.docId)}" target="_blank">Open in reader</a>`
+            : node.url ? `<a href="${escHtml(node.url).replace(/"/g, '&quot;')}" target="_blank">${node.arxivId ? `arXiv:${escHtml(node.arxivId)}` : `doi:${escHtml(node.doi || '')}`}</a>` : '';
+    }
+
+    function renderCitationGraph() {
+        const body = $('#result-modal-body');
+        const view = body.querySelector('.graph-view');
+        if (!view || !citationGraph) return;
+        const L = GRAPH_LAYOUT;
+        const { nodes, edges, focus, libraryOnly } = citationGraph;
+        const center = nodes.get(focus);
+        const keep = node => node && (!libraryOnly || node.inLibrary);
+        // Library papers first, then by title
+        const order = (a, b) => (b.node.inLibrary - a.node.inLibrary) || a.node.title.localeCompare(b.node.title);
+        const citedBy = edges.filter(e => e.target === focus).map(e => ({ node: nodes.get(e.source), edge: e })).filter(x => keep(x.node)).sort(order);
+        const cites = edges.filter(e => e.source === focus).map(e => ({ node: nodes.get(e.target), edge: e })).filter(x => keep(x.node)).sort(order);
+
+        body.querySelector('[data-graph="back"]').disabled = !citationGraph.back.length;
+        const select = body.querySelector('.graph-library');
+        if (center.inLibrary) select.value = center.id;
+        body.querySelector('.graph-details').innerHTML = `
+            <span class="graph-details-title">${escHtml(center.title)}</span>${center.year ? ` <span class="compare-year">${center.year}</span>` : ''}
+            <span class="graph-details-meta">${center.inLibrary ? 'In library' : 'Not in library'} · cites ${center.cites} · cited by ${center.citedBy}</span>
+            ${graphNodeLink(center)}`;
+
+        const short = text => (text.length > L.maxChars ? `${text.slice(0, L.maxChars - 1)}…` : text);
+        const leftX = L.padX;
+        const centerX = leftX + L.column + L.gap;
+        const rightX = centerX + L.column + L.gap;
+        const rows = Math.max(citedBy.length, cites.length, 1);
+        const height = rows * L.row + L.row;
+        const centerY = height / 2;
+        const yOf = (i, count) => centerY + (i - (count - 1) / 2) * L.row;
+
+        const box = (node, x, y, extra, refs) => {
+            const cls = `graph-node${node.inLibrary ? ' in-library' : ''}${extra}`;
+            const tip = `${node.title}${node.year ? ` (${node.year})` : ''}${refs ? ` — ref. ${refs}` : ''}`;
+            return `<g class="${cls}" data-id="${escHtml(node.id).replace(/"/g, '&quot;')}"><title>${escHtml(tip)}</title>
+                <rect x="${x}" y="${y - L.height / 2}" width="${L.column}" height="${L.height}" rx="6"/>
+                <text x="${x + L.padX}" y="${y + L.fontSize / 3}" font-size="${L.fontSize}">${escHtml(short(node.title))}</text>
+            </g>`;
+        };
+        const curve = (x1, y1, x2, y2) => {
+            const mid = (x1 + x2) / 2;
+            return `<path class="graph-edge" d="M${x1} ${y1} C${mid} ${y1} ${mid} ${y2} ${x2 - 4} ${y2}" marker-end="url(#graph-arrow)"/>`;
+        };
+
+        const parts = [];
+        citedBy.forEach(({ node, edge }, i) => {
+            const y = yOf(i, citedBy.length);
+            parts.push(curve(leftX + L.column, y, centerX, centerY), box(node, leftX, y, '', edge.refs.join(', ')));
+        });
+        cites.forEach(({ node, edge }, i) => {
+            const y = yOf(i, cites.length);
+            parts.push(curve(centerX + L.column, centerY, rightX, y), box(node, rightX, y, '', edge.refs.join(', ')));
+        });
+        parts.push(box(center, centerX, centerY, ' focus'));
+
+        const width = rightX + L.column + L.padX;
+        view.innerHTML = `
+            <div class="graph-columns" style="width: ${width}px">
+                <span>Cited by (${citedBy.length})</span><span></span><span>Cites (${cites.length})</span>
+            </div>
+            <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <defs><marker id="graph-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M0 0 L8 4 L0 8 z" class="graph-arrow"/></marker></defs>
+                ${parts.join('')}
+            </svg>`;
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Flashcard Review (/api/flashcards, SM-2)
+    // ═══════════════════════════════════════════════
+
+    const GRADES = [
+        { grade: 1, label: 'Again' },
+        { grade: 3, label: 'Hard' },
+        { grade: 4, label: 'Good' },
+        { grade: 5, label: 'Easy' },
+    ];
+
+    const NEW_CARDS_PER_SESSION = 20; // the server's default newLimit
+
+    let review = null; // { queue, index, reviewed, requeued: Set, stats }
+
+    function flashcardsQuery() {
+        const ids = getSelectedSourceIds();
+        return ids.length ? `?docIds=${ids.map(encodeURIComponent).join(',')}` : '';
+    }
+
+    async function refreshFlashcardsDue() {
+        const badge = $('#flashcards-due');
+        if (!badge) return;
+        try {
+            const res = await fetch(`/api/flashcards${flashcardsQuery()}`, { headers: userHeaders() });
+            const { stats } = await res.json();
+            const count = stats.due + Math.min(stats.new, NEW_CARDS_PER_SESSION);
+            badge.textContent = count;
+            badge.title = `${stats.due} due · ${stats.new} new`;
+            badge.hidden = count === 0;
+        } catch {
+            badge.hidden = true;
+        }
+    }
+
+    /**
+     * Link to the paper section a card or quiz answer comes from
+     */
+    function sourceLink(docId, anchor, section) {
+        if (!docId) return '';
+        return anchor
+            ? `<a href="/?doc=${encodeURIComponent(docId)}#${encodeURIComponent(anchor)}" target="_blank">§ ${escHtml(section || anchor)}</a>`
+            : `<a href="/?doc=${encodeURIComponent(docId)}" target="_blank">${escHtml(docId)}</a>`;
+    }
+
+    function statsLine(stats) {
+        return `${stats.due} due · ${stats.new} new · ${stats.learning} learning · ${stats.mature} mature`;
+    }
+
+    async function startReview() {
+        let session;
+        try {
+            const res = await fetch(`/api/flashcards/review${flashcardsQuery()}`, { headers: userHeaders() });
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            session = await res.json();
+        } catch (err) {
+            alert(`Could not load flashcards: ${err.message}`);
+            return;
+        }
+
+        openResultModal('Flashcard review', '');
+        const actions = $('#result-modal-actions');
+        actions.innerHTML = `<a class="chat-header-btn" href="/api/flashcards/export${flashcardsQuery()}${flashcardsQuery() ? '&' : '?'}format=anki" download title="Anki: File → Import">Export to Anki</a>`;
+        actions.hidden = session.stats.total === 0;
+
+        if (session.stats.total === 0) {
+            updateResultModal('<div class="review-empty">No flashcards for the selected sources yet. Run <strong>Flashcards</strong> in the studio to create some.</div>');
+            return;
+        }
+
+        review = { queue: session.cards, index: 0, reviewed: 0, requeued: new Set(), stats: session.stats };
+        renderReviewCard();
+    }
+
+    function renderReviewCard() {
+        const body = $('#result-modal-body');
+        const card = review.queue[review.index];
+        if (!card) {
+            finishReview();
+            return;
+        }
+
+        const source = sourceLink(card.docId, card.anchor, card.section);
+        const variables = (card.variables || []).map(v => `<span class="review-var">${escHtml(v)}</span>`).join('');
+
+        body.innerHTML = `
+            <div class="review-header">
+                <span>${statsLine(review.stats)}</span>
+                <span>Card ${review.index + 1} of ${review.queue.length}${card.review ? '' : ' · new'}</span>
+            </div>
+            <div class="review-card">
+                <div class="review-front">${renderMarkdown(card.front)}</div>
+                <div class="review-back" hidden>
+                    ${renderMarkdown(card.back)}
+                    <div class="review-source">${source}${variables}</div>
+                </div>
+            </div>
+            <div class="review-actions">
+                <button class="chat-header-btn active" data-action="show">Show answer</button>
+                <div class="review-grades" hidden>
+                    ${GRADES.map(g => `<button class="chat-header-btn review-grade-${g.label.toLowerCase()}" data-grade="${g.grade}">${g.label}</button>`).join('')}
+                </div>
+            </div>
+        `;
+        body.scrollTop = 0;
+
+        body.querySelector('[data-action="show"]').addEventListener('click', (e) => {
+            e.target.hidden = true;
+            body.querySelector('.review-back').hidden = false;
+            body.querySelector('.review-grades').hidden = false;
+        });
+        body.querySelectorAll('[data-grade]').forEach(btn => {
+            btn.addEventListener('click', () => gradeCard(card, Number(btn.dataset.grade)));
+        });
+    }
+
+    async function gradeCard(card, grade) {
+        try {
+            const res = await fetch(`/api/flashcards/${encodeURIComponent(card.docId)}/${encodeURIComponent(card.id)}/review`, {
+                method: 'POST',
+                headers: userHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ grade }),
+            });
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+        } catch (err) {
+            alert(`Could not save the review: ${err.message}`);
+            return;
+        }
+
+        review.reviewed++;
+        // A missed card comes back once more at the end of the session
+        if (grade < 3 && !review.requeued.has(card.id)) {
+            review.requeued.add(card.id);
+            review.queue.push(card);
+        }
+        review.index++;
+        renderReviewCard();
+    }
+
+    async function finishReview() {
+        let stats = review.stats;
+        try {
+            const res = await fetch(`/api/flashcards${flashcardsQuery()}`, { headers: userHeaders() });
+            stats = (await res.json()).stats;
+        } catch { }
+
+        const next = stats.nextDue ? new Date(stats.nextDue).toLocaleString() : null;
+        $('#result-modal-body').innerHTML = `
+            <div class="review-done">
+                <h3>${review.reviewed ? `Reviewed ${review.reviewed} card${review.reviewed !== 1 ? 's' : ''}` : 'Nothing to review right now'}</h3>
+                <p>${statsLine(stats)} · ${stats.total} total</p>
+                ${stats.due === 0 && next ? `<p>Next review: ${escHtml(next)}</p>` : ''}
+            </div>
+        `;
+        review = null;
+        refreshFlashcardsDue();
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Quiz Runner (/api/quizzes)
+    // ═══════════════════════════════════════════════
+
+    let quizRun = null; // { quiz, attempt, index, correct }
+
+    /**
+     * Start a new attempt at a quiz and show its first question
+     */
+    async function startQuiz(quizId) {
+        let quiz;
+        let attempt;
+        try {
+            const res = await fetch(`/api/quizzes/${encodeURIComponent(quizId)}`, { headers: userHeaders() });
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            quiz = await res.json();
+            const started = await fetch(`/api/quizzes/${encodeURIComponent(quizId)}/attempts`, { method: 'POST', headers: userHeaders() });
+            if (!started.ok) throw new Error((await started.json()).error || started.statusText);
+            attempt = await started.json();
+        } catch (err) {
+            alert(`Could not start the quiz: ${err.message}`);
+            return;
+        }
+
+        openResultModal(quiz.title, '');
+        const actions = $('#result-modal-actions');
+        actions.innerHTML = quiz.artifactId
+            ? `<button class="chat-header-btn" data-action="show-artifact" title="The generated markdown, answers included">Show quiz text</button>`
+            : '';
+        actions.hidden = !quiz.artifactId;
+        const showArtifact = actions.querySelector('[data-action="show-artifact"]');
+        if (showArtifact) showArtifact.addEventListener('click', () => openArtifact(quiz.artifactId, quiz.version));
+
+        quizRun = { quiz, attempt, index: 0, correct: 0 };
+        renderQuizQuestion();
+    }
+
+    function renderQuizQuestion() {
+        const body = $('#result-modal-body');
+        const { quiz, index } = quizRun;
+        const question = quiz.questions[index];
+        if (!question) {
+            finishQuiz();
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="review-header">
+                <span>Question ${index + 1} of ${quiz.questions.length}</span>
+                <span>${quizRun.correct} correct so far</span>
+            </div>
+            <div class="quiz-question">${renderMarkdown(question.question)}</div>
+            <div class="quiz-options">
+                ${question.options.map(o => `
+                    <button class="quiz-option" data-key="${escHtml(o.key)}">
+                        <span class="quiz-option-key">${escHtml(o.key)}</span>
+                        <span class="quiz-option-text">${renderMarkdown(o.text)}</span>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="quiz-feedback" hidden></div>
+        `;
+        body.scrollTop = 0;
+
+        body.querySelectorAll('.quiz-option').forEach(btn => {
+            btn.addEventListener('click', () => answerQuestion(question, btn.dataset.key));
+        });
+    }
+
+    async function answerQuestion(question, choice) {
+        const body = $('#result-modal-body');
+        const buttons = body.querySelectorAll('.quiz-option');
+        buttons.forEach(btn => { btn.disabled = true; });
+
+        let result;
+        try {
+            const { quiz, attempt } = quizRun;
+            const res = await fetch(`/api/quizzes/${encodeURIComponent(quiz.id)}/attempts/${encodeURIComponent(attempt.id)}/answers`, {
+                method: 'POST',
+                headers: userHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ questionId: question.id, choice }),
+            });
+            result = await res.json();
+            if (!res.ok) throw new Error(result.error || res.statusText);
+        } catch (err) {
+            buttons.forEach(btn => { btn.disabled = false; });
+            alert(`Could not save the answer: ${err.message}`);
+            return;
+        }
+
+        if (result.correct) quizRun.correct++;
+        buttons.forEach(btn => {
+            if (btn.dataset.key === result.answer) btn.classList.add('correct');
+            else if (btn.dataset.key === choice) btn.classList.add('wrong');
+        });
+
+        const last = quizRun.index === quizRun.quiz.questions.length - 1;
+        const feedback = body.querySelector('.quiz-feedback');
+        feedback.innerHTML = `
+            <div class="quiz-verdict ${result.correct ? 'correct' : 'wrong'}">${result.correct ? 'Correct' : `Incorrect — the answer is ${escHtml(result.answer)}`}</div>
+            ${result.explanation ? `<div class="quiz-explanation">${renderMarkdown(result.explanation)}</div>` : ''}
+            <div class="review-source">${sourceLink(result.docId, result.anchor, result.section)}</div>
+            <div class="review-actions">
+                <button class="chat-header-btn active" data-action="next">${last ? 'See score' : 'Next question'}</button>
+            </div>
+        `;
+        feedback.hidden = false;
+        feedback.querySelector('[data-action="next"]').addEventListener('click', () => {
+            quizRun.index++;
+            renderQuizQuestion();
+        });
+        feedback.scrollIntoView({ block: 'nearest' });
+    }
+
+    async function finishQuiz() {
+        const { quiz, correct } = quizRun;
+        const total = quiz.questions.length;
+
+        // Earlier finished attempts, and how the caller does on these papers overall
+        let best = null;
+        let scores = [];
+        try {
+            const res = await fetch(`/api/quizzes/${encodeURIComponent(quiz.id)}`, { headers: userHeaders() });
+            const finished = (await res.json()).attempts.filter(a => a.finishedAt && a.id !== quizRun.attempt.id);
+            if (finished.length) best = Math.max(...finished.map(a => a.correct));
+            const all = await fetch('/api/quizzes/scores?mine=1', { headers: userHeaders() });
+            scores = (await all.json()).filter(row => quiz.docIds.includes(row.docId));
+        } catch { }
+
+        const percent = Math.round((correct / total) * 100);
+        $('#result-modal-body').innerHTML = `
+            <div class="review-done">
+                <h3>You scored ${correct} / ${total} (${percent}%)</h3>
+                ${best !== null ? `<p>Previous best: ${best} / ${total}</p>` : ''}
+                ${scores.map(row => {
+                    const source = state.sources.find(src => src.id === row.docId);
+                    return `<p>${escHtml(source ? source.title : row.docId)}: ${Math.round(row.accuracy * 100)}% of ${row.answered} answer${row.answered !== 1 ? 's' : ''} correct over ${row.attempts} attempt${row.attempts !== 1 ? 's' : ''}</p>`;
+                }).join('')}
+                <div class="review-actions">
+                    <button class="chat-header-btn active" data-action="retry">Try again</button>
+                </div>
+            </div>
+        `;
+        const quizId = quiz.id;
+        quizRun = null;
+        $('#result-modal-body [data-action="retry"]').addEventListener('click', () => startQuiz(quizId));
+    }
+
+    // ═══════════════════════════════════════════════
+    //  Custom Operations (/api/studio/templates)
+    // ═══════════════════════════════════════════════
+
+    let editingTemplate = null; // template in the editor; no id yet when new
+
+    async function loadTemplates() {
+        try {
+            const res = await fetch('/api/studio/templates');
+            if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+            const data = await res.json();
+            state.templates = data.templates;
+            state.templateVariables = data.variables;
+        } catch (err) {
+            console.warn('Could not load studio templates:', err.message);
+        }
+        renderTemplateCards();
+    }
+
+    /**
+     * Label customized built-in cards and add a card per custom operation
+     */
+    function renderTemplateCards() {
+        const grid = $('.studio-grid');
+        grid.querySelectorAll('.studio-card[data-template-id]').forEach(card => card.remove());
+
+        $$('.studio-card[data-op]').forEach(card => {
+            const label = card.querySelector('.studio-card-label');
+            if (!card.dataset.defaultLabel) card.dataset.defaultLabel = label.textContent;
+            const custom = state.templates.find(t => t.base === card.dataset.op);
+            label.textContent = custom ? custom.label : card.dataset.defaultLabel;
+            card.classList.toggle('customized', !!custom);
+            card.title = custom ? `Customized${custom.description ? ` — ${custom.description}` : ''}` : '';
+        });
+
+        grid.insertAdjacentHTML('beforeend', state.templates.filter(t => !t.base).map(t => `
+            <div class="studio-card" data-template-id="${t.id}" title="${escHtml(t.description || '').replace(/"/g, '&quot;')}">
+                <div class="studio-card-icon">${CUSTOM_OP_ICON}</div>
+                <div class="studio-card-body">
+                    <span class="studio-card-label">${escHtml(t.label)}</span>
+                </div>
+                <button class="studio-card-edit" title="Edit">${EDIT_ICON}</button>
+            </div>
+        `).join(''));
+    }
+
+    function setupTemplateEditor() {
+        const overlay = $('#template-overlay');
+        const form = $('#template-form');
+
+        $('#template-modal-close').addEventListener('click', closeTemplateEditor);
+        $('#template-cancel').addEventListener('click', closeTemplateEditor);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeTemplateEditor();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && overlay.classList.contains('open')) closeTemplateEditor();
+        });
+
+        // Variable chips insert {{name}} at the cursor
+        $('#template-vars').addEventListener('click', (e) => {
+            const chip = e.target.closest('.template-var');
+            if (!chip) return;
+            const textarea = form.elements.prompt;
+            const placeholder = `{{${chip.dataset.var}}}`;
+            textarea.setRangeText(placeholder, textarea.selectionStart, textarea.selectionEnd, 'end');
+            textarea.focus();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveTemplate();
+        });
+        $('#template-delete').addEventListener('click', deleteTemplate);
+
+        $('#btn-new-operation').addEventListener('click', () => openTemplateEditor({ label: '', description: '', prompt: '', base: null }));
+
+        const fileInput = $('#template-import-file');
+        $('#btn-import-templates').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) importTemplates(file);
+        });
+    }
+
+    /**
+     * Edit a card's operation: a custom operation's template, or a built-in's
+     * customization (starting from its default prompt)
+     */
+    function editTemplate(card) {
+        if (card.dataset.templateId) {
+            const template = state.templates.find(t => t.id === card.dataset.templateId);
+            if (template) openTemplateEditor(template);
+            return;
+        }
+        const op = OPERATIONS[card.dataset.op];
+        if (!op) return;
+        const custom = state.templates.find(t => t.base === card.dataset.op);
+        openTemplateEditor(custom || { label: op.label, description: '', prompt: op.prompt, base: card.dataset.op });
+    }
+
+    function openTemplateEditor(template) {
+        editingTemplate = template;
+        const form = $('#template-form');
+        form.elements.label.value = template.label || '';
+        form.elements.description.value = template.description || '';
+        form.elements.prompt.value = template.prompt || '';
+
+        $('#template-modal-title').textContent = template.id
+            ? `Edit ${template.label}`
+            : template.base ? `Customize ${OPERATIONS[template.base].label}` : 'New operation';
+
+        const del = $('#template-delete');
+        del.hidden = !template.id;
+        del.textContent = template.base ? 'Reset to default' : 'Delete';
+
+        $('#template-vars').innerHTML = Object.entries(state.templateVariables).map(([name, desc]) =>
+            `<button type="button" class="template-var" data-var="${name}" title="${escHtml(desc).replace(/"/g, '&quot;')}">{{${name}}}</button>`
+        ).join('');
+
+        $('#template-overlay').classList.add('open');
+        form.elements.label.focus();
+    }
+
+    function closeTemplateEditor() {
+        $('#template-overlay').classList.remove('open');
+        editingTemplate = null;
+    }
+
+    async function saveTemplate() {
+        if (!editingTemplate) return;
+        const form = $('#template-form');
+        const fields = {
+            label: form.elements.label.value,
+            description: form.elements.description.value,
+            prompt: form.elements.prompt.value,
+            base: editingTemplate.base || null,
+        };
+
+        const id = editingTemplate.id;
+        const res = await fetch(id ? `/api/studio/templates/${encodeURIComponent(id)}` : '/api/studio/templates', {
+            method: id ? 'PATCH' : 'POST',
+            headers: userHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(fields),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            alert(`Could not save operation: ${data.error}`);
+            return;
+        }
+        closeTemplateEditor();
+        loadTemplates();
+    }
+
+    async function deleteTemplate() {
+        if (!editingTemplate || !editingTemplate.id) return;
+        const question = editingTemplate.base
+            ? `Reset "${OPERATIONS[editingTemplate.base].label}" to its default prompt?`
+            : `Delete the operation "${editingTemplate.label}"?`;
+        if (!confirm(question)) return;
+
+        await fetch(`/api/studio/templates/${encodeURIComponent(editingTemplate.id)}`, { method: 'DELETE' });
+        closeTemplateEditor();
+        loadTemplates();
+    }
+
+    async function importTemplates(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            alert(`${file.name} is not a studio template file (invalid JSON).`);
+            return;
+        }
+
+        const res = await fetch('/api/studio/templates/import', {
+            method: 'POST',
+            headers: userHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(data),
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            alert(`Import failed: ${result.error}`);
+            return;
+        }
+
+        const lines = [`Imported ${result.created} new and updated ${result.updated} operation${result.created + result.updated !== 1 ? 's' : ''}.`];
+        for (const err of result.errors) lines.push(`• ${err.label || `#${err.index + 1}`}: ${err.error}`);
+        alert(lines.join('\n'));
+        loadTemplates();
     }
 
     // ═══════════════════════════════════════════════
@@ -685,8 +2223,10 @@ Start with a recommended reading order if non-linear reading would help.`,
         });
     }
 
-    function openResultModal(title, content) {
+    function openResultModal(title, content, { wide = false } = {}) {
         $('#result-modal-title').textContent = title;
+        $('#result-overlay .result-modal').classList.toggle('wide', wide);
+        $('#result-modal-actions').hidden = true;
         $('#result-modal-body').innerHTML = content;
         $('#result-overlay').classList.add('open');
     }
@@ -718,6 +2258,17 @@ Start with a recommended reading order if non-linear reading would help.`,
 
             startImport(arxivId);
         });
+
+        // Local TeX sources (.tar.gz / .zip / .tex) for papers not on arXiv
+        const fileInput = $('#upload-file');
+        $('#btn-upload').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) startUpload(file);
+        });
+
+        resumeImportJobs();
     }
 
     async function startImport(arxivId) {
@@ -728,29 +2279,129 @@ Start with a recommended reading order if non-linear reading would help.`,
                 body: JSON.stringify({ arxivId }),
             });
             const { jobId } = await res.json();
-
-            // Poll until done
-            const pollInterval = setInterval(async () => {
-                try {
-                    const statusRes = await fetch(`/api/import-status/${jobId}`);
-                    const status = await statusRes.json();
-
-                    if (status.status === 'done') {
-                        clearInterval(pollInterval);
-                        await loadSources();
-                        generateSuggestions();
-                    } else if (status.status === 'error') {
-                        clearInterval(pollInterval);
-                        alert('Import failed: ' + (status.error || 'Unknown error'));
-                    }
-                } catch { }
-            }, 2000);
-
+            watchImportJob(jobId, arxivId);
         } catch (err) {
             alert('Import failed: ' + err.message);
         }
     }
 
+    async function startUpload(file) {
+        try {
+            const res = await fetch(`/api/import-upload?filename=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file,
+            });
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+            watchImportJob(body.jobId, file.name);
+        } catch (err) {
+            alert('Upload failed: ' + err.message);
+        }
+    }
+
+    // Imports still queued or running (e.g. started before a reload) get their card back
+    async function resumeImportJobs() {
+        try {
+            const res = await fetch('/api/import-jobs');
+            const { jobs } = await res.json();
+            jobs.filter(j => j.status === 'queued' || j.status === 'running')
+                .reverse()
+                .forEach(j => watchImportJob(j.id, importJobLabel(j)));
+        } catch { }
+    }
+
+    function importJobLabel(job) {
+        return job.input.arxivId || job.input.filename || job.id;
+    }
+
+    /**
+     * Follow an import over its SSE stream and render each event as a step
+     */
+    function watchImportJob(jobId, label) {
+        if (document.querySelector(`.import-job[data-job="${jobId}"]`)) return;
+
+        const card = document.createElement('div');
+        card.className = 'import-job running';
+        card.dataset.job = jobId;
+        card.innerHTML = `
+            <div class="import-job-head">
+                <span class="import-job-title" title="${escHtml(label)}">${escHtml(label)}</span>
+                <span class="import-job-status">queued</span>
+                <button class="import-job-btn" data-action="cancel">Cancel</button>
+            </div>
+            <ol class="import-steps"></ol>`;
+        $('#import-jobs').prepend(card);
+
+        // finishImportJob() turns this into Open / Dismiss
+        card.querySelector('[data-action="cancel"]').onclick = async (e) => {
+            e.target.disabled = true;
+            try {
+                await fetch(`/api/import-jobs/${jobId}/cancel`, { method: 'POST' });
+            } catch { }
+        };
+
+        const events = new EventSource(`/api/import-jobs/${jobId}/events`);
+        events.onmessage = (e) => {
+            const entry = JSON.parse(e.data);
+            renderImportStep(card, entry);
+            if (entry.type === 'result') {
+                events.close();
+                finishImportJob(card, entry);
+            }
+        };
+    }
+
+    function renderImportStep(card, entry) {
+        const steps = card.querySelector('.import-steps');
+        const status = card.querySelector('.import-job-status');
+
+        if (entry.type === 'attempt') status.textContent = entry.attempt > 1 ? `attempt ${entry.attempt}` : 'running';
+        if (entry.type === 'retry') status.textContent = 'retrying';
+        if (entry.type === 'stage') {
+            steps.querySelectorAll('.import-step.stage:not(.complete)').forEach(li => li.classList.add('complete'));
+        }
+
+        // "Section i/n" events update one line per phase instead of adding one each
+        let li = entry.type === 'section'
+            ? steps.querySelector(`.import-step.section[data-phase="${entry.phase || ''}"]`)
+            : null;
+        if (!li) {
+            li = document.createElement('li');
+            li.className = `import-step ${entry.type}${entry.level === 'warn' ? ' warning' : ''}${entry.type === 'result' ? ` ${entry.status}` : ''}`;
+            if (entry.type === 'section') li.dataset.phase = entry.phase || '';
+            steps.appendChild(li);
+        }
+
+        if (entry.type === 'section' && entry.total) {
+            const pct = Math.round((entry.index / entry.total) * 100);
+            li.innerHTML = `<span class="import-step-bar"><span style="width:${pct}%"></span></span>${escHtml(entry.message)}`;
+        } else {
+            li.textContent = entry.message;
+        }
+        li.title = new Date(entry.ts).toLocaleTimeString();
+        steps.scrollTop = steps.scrollHeight;
+    }
+
+    async function finishImportJob(card, entry) {
+        card.classList.remove('running');
+        card.classList.add(entry.status);
+        card.querySelector('.import-job-status').textContent = entry.status;
+        card.querySelectorAll('.import-step.stage').forEach(li => li.classList.add('complete'));
+
+        const btn = card.querySelector('[data-action="cancel"]');
+        btn.disabled = false;
+        if (entry.status === 'done' && entry.result && entry.result.id) {
+            btn.textContent = 'Open';
+            btn.onclick = () => window.open(`/?doc=${encodeURIComponent(entry.result.id)}`, '_blank');
+            await loadSources();
+            generateSuggestions();
+        } else {
+            btn.textContent = 'Dismiss';
+            btn.onclick = () => card.remove();
+        }
+    }
+
     // ═══════════════════════════════════════════════
     //  Utilities
     // ═══════════════════════════════════════════════
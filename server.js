@@ -6,10 +6,73 @@
  * Routes:
  *   GET  /                          — serves the reader UI
  *   GET  /api/docs                  — list available documents (.html, .md)
- *   GET  /api/doc/:filename         — read a document from docs/
- *   GET  /api/annotations/:docId    — get annotations for a doc
- *   POST /api/annotations/:docId    — save a new annotation
+ *   GET  /api/doc/:filename         — read a document from docs/ (artifact-{id}?file=v{n}.md: a studio artifact version)
+ *   GET  /api/doc/:id/sections      — a document's sections ({ title, anchor })
+ *   GET  /api/search?q=             — full-text search across the library
+ *   GET  /api/me                    — identity of the caller (X-Scholarly-User header)
+ *   GET  /api/users                 — local accounts / known annotation authors
+ *   POST /api/users                 — create a local account
+ *   GET  /api/annotations/:docId    — get annotations for a doc (ETag; writes honour If-Match → 412)
+ *   POST /api/annotations/:docId    — save a new annotation (ai_note may carry ai: { provider, model, prompt })
+ *   POST /api/annotations/:docId/reanchor — re-resolve anchors against the current text
+ *   GET  /api/annotations/:docId/export?format=w3c — W3C Web Annotation JSON-LD
+ *   POST /api/annotations/:docId/import — import W3C Web Annotations (merge|replace)
  *   DELETE /api/annotations/:docId/:id — delete an annotation
+ *   WS   /ws?doc=&user=             — live annotation events, shared scroll, pinned variables
+ *   GET  /api/history/:docId        — edit-history tree (base snapshot + per-node diffs)
+ *   POST /api/history/:docId        — start a history tree from a base snapshot
+ *   POST /api/history/:docId/nodes  — append a history node
+ *   PUT  /api/history/:docId/head   — move the checked-out node
+ *   DELETE /api/history/:docId      — discard a document's history
+ *   GET  /api/llm/providers         — LLM providers (openai, anthropic, local, mock) and the default
+ *   POST /api/chat                  — streamed (SSE) answer grounded in { docId | docIds } (first event: { citations }); { conversationId } continues a thread; body may pick { provider, model }
+ *   GET  /api/conversations?docId=&origin= — the caller's chat threads, most recent first
+ *   POST /api/conversations         — start a thread ({ title, docIds, origin: reader|workspace })
+ *   GET  /api/conversations/:id     — a thread with its messages (and their citations)
+ *   PATCH /api/conversations/:id    — rename a thread or change its docIds
+ *   DELETE /api/conversations/:id   — delete a thread
+ *   POST /api/conversations/:id/messages/:messageId/annotation — save an answer as an ai_note ({ docId, quote })
+ *   POST /api/studio                — streamed (SSE) studio output over { docIds }, saved as an artifact version (done: { artifactId, version }, flashcards also { flashcards: { added, updated } }, quizzes { quiz: { id, questions } }); { artifactId } re-runs one, { templateId } runs a custom operation, { section: { docId, anchor } } fills {{section}}; body may pick { provider, model }
+ *   GET  /api/studio/templates      — custom operation templates and the {{variables}} their prompts may use
+ *   POST /api/studio/templates      — create a template ({ label, description, prompt, base? }; base customizes a built-in)
+ *   PATCH /api/studio/templates/:id — edit a template
+ *   DELETE /api/studio/templates/:id — delete a template (a customized built-in goes back to its default)
+ *   GET  /api/studio/templates/export?ids= — shareable template file
+ *   POST /api/studio/templates/import — merge a template file ({ created, updated, errors })
+ *   GET  /api/artifacts?docId=&operation= — saved studio outputs, most recently run first
+ *   GET  /api/artifacts/:id         — an artifact with all its versions
+ *   GET  /api/artifacts/:id/diff?from=&to= — line diff between two versions (default: latest vs the one before)
+ *   GET  /api/artifacts/:id/mindmap?version=&format= — a mind map version as a tree of nodes linked to paper sections (format=opml downloads OPML)
+ *   GET  /api/artifacts/:id/tables?version= — a data table version as structured tables; cells link to the paper table or sentence they come from
+ *   GET  /api/tables?docIds=        — comparison tables merged from each paper's latest data table artifact
+ *   GET  /api/compare?docIds=a,b    — papers side by side: sections aligned by role, shared/differing notation, shared references
+ *   GET  /api/graph?external=0     — library citation graph: documents and the works they cite ({ nodes, edges }; external=0 keeps library documents only)
+ *   GET  /api/graph/:id             — a node with what it cites and what cites it (id: docId or ref:{key})
+ *   GET  /api/doc/:id/references    — a document's references with the library document each resolves to, or the arXiv id to import it from
+ *   POST /api/doc/:id/references/:num/import — import a cited paper by its arXiv id or arXiv DOI (202 { jobId, docId }; { docId } when already in the library; 422 otherwise)
+ *   PATCH /api/artifacts/:id        — rename an artifact or change its prompt
+ *   DELETE /api/artifacts/:id       — delete an artifact
+ *   GET  /api/flashcards?docIds=    — flashcards of some documents (all when absent) with the caller's SM-2 state and stats
+ *   GET  /api/flashcards/review?docIds=&newLimit= — the caller's review session: due cards, then new ones
+ *   POST /api/flashcards/import     — add a flashcards artifact version's cards to their documents' decks ({ artifactId, version })
+ *   POST /api/flashcards/:docId/:cardId/review — grade a card (0–5) and reschedule it for the caller
+ *   PATCH /api/flashcards/:docId/:cardId — edit a card's front/back
+ *   DELETE /api/flashcards/:docId/:cardId — delete a card
+ *   GET  /api/flashcards/export?docIds=&format=anki — Anki tab-separated import file
+ *   GET  /api/quizzes?docId=        — quizzes (optionally about one document) with the caller's attempts
+ *   POST /api/quizzes               — make a quiz from a quiz artifact version ({ artifactId, version }); 422 when nothing parses
+ *   GET  /api/quizzes/scores?docId=&user=&mine=1 — answers and best scores summed per user and document
+ *   GET  /api/quizzes/:id           — a quiz's questions and options, answers hidden
+ *   POST /api/quizzes/:id/attempts  — start an attempt for the caller
+ *   POST /api/quizzes/:id/attempts/:attemptId/answers — answer a question ({ questionId, choice }); reveals answer, explanation and section
+ *   DELETE /api/quizzes/:id         — delete a quiz and its attempts
+ *   POST /api/import-arxiv          — queue an arXiv import ({ arxivId, legacy })
+ *   POST /api/import-upload?filename= — queue an import of a .tar.gz/.zip/.tex/.pdf upload (raw body)
+ *   GET  /api/import-jobs?status=   — import jobs, newest first (persisted across restarts)
+ *   GET  /api/import-jobs/:jobId    — one job (also /api/import-status/:jobId)
+ *   GET  /api/import-jobs/:jobId/log — per-attempt progress log + links to llm-log-*.jsonl
+ *   GET  /api/import-jobs/:jobId/events — SSE stream of the job's structured progress events
+ *   POST /api/import-jobs/:jobId/cancel — cancel a queued or running import
  */
 
 require('dotenv').config({ quiet: true });
@@ -18,8 +81,12 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { marked } = require('marked');
+const TextAnchor = require('./public/text-anchor');
 
 const app = express();
+// History base snapshots carry whole documents; every other JSON route keeps
+// the default limit (the first parser to run wins, so this one goes first)
+app.use('/api/history', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 // --- Static files ---
@@ -33,29 +100,27 @@ app.get('/workspace', (req, res) => {
 
 // --- Storage ---
 const DOCS_DIR = path.join(__dirname, 'docs');
-const ANNOTATIONS_DIR = path.join(__dirname, 'data', 'annotations');
+const DATA_DIR = process.env.SCHOLARLY_DATA_DIR ? path.resolve(process.env.SCHOLARLY_DATA_DIR) : path.join(__dirname, 'data');
+const ANNOTATIONS_DIR = path.join(DATA_DIR, 'annotations');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+const CONVERSATIONS_DIR = path.join(DATA_DIR, 'conversations');
+const ARTIFACTS_DIR = path.join(DATA_DIR, 'artifacts');
+const STUDIO_TEMPLATES_DIR = path.join(DATA_DIR, 'studio-templates');
+const FLASHCARDS_DIR = path.join(DATA_DIR, 'flashcards');
+const QUIZZES_DIR = path.join(DATA_DIR, 'quizzes');
 
 fs.mkdirSync(DOCS_DIR, { recursive: true });
-fs.mkdirSync(ANNOTATIONS_DIR, { recursive: true });
+fs.mkdirSync(HISTORY_DIR, { recursive: true });
 
-// --- Helpers ---
-function getAnnotationsPath(docId) {
-    // Sanitize docId to prevent path traversal
-    const safe = docId.replace(/[^a-zA-Z0-9_\-]/g, '_');
-    return path.join(ANNOTATIONS_DIR, `${safe}.json`);
-}
+// Atomic writes, per-document locking, ETags and corrupted-file backups
+// live in tools/annotation-store.js; writes go through annotationStore.update()
+const { AnnotationStore, writeFileAtomic, etagMatches, annotationETag, preconditionFailed, aiProvenance } = require('./tools/annotation-store');
+const annotationStore = new AnnotationStore(ANNOTATIONS_DIR);
 
+// --- Helpers ---
 function loadAnnotations(docId) {
-    const p = getAnnotationsPath(docId);
-    if (fs.existsSync(p)) {
-        try { return JSON.parse(fs.readFileSync(p, 'utf-8')); }
-        catch { return []; }
-    }
-    return [];
-}
-
-function saveAnnotations(docId, annotations) {
-    fs.writeFileSync(getAnnotationsPath(docId), JSON.stringify(annotations, null, 2));
+    return annotationStore.load(docId);
 }
 
 // ============================================================
@@ -296,92 +361,309 @@ function stripToFragment(html) {
         .trim();
 }
 
-// Read a document (folder-based: docs/{id}/{file})
-app.get('/api/doc/:id', (req, res) => {
-    const yaml = require('js-yaml');
-    const { id } = req.params;
-    const fileOverride = req.query.file; // optional: ?file=paper.md
-
-    if (id.includes('..')) return res.status(400).json({ error: 'Invalid id' });
+// Load a document's metadata and rendered content (folder-based: docs/{id}/{file})
+// Markdown is rendered with renderMarkdownDoc, TeX with tex2html, PDFs are embedded; HTML is returned as-is.
+// Studio artifacts open as `artifact-{id}` (see loadArtifactDocument).
+function loadDocument(id, fileOverride) {
+    if (id.startsWith(ARTIFACT_DOC_PREFIX)) return loadArtifactDocument(id.slice(ARTIFACT_DOC_PREFIX.length), fileOverride);
 
+    const yaml = require('js-yaml');
     const docDir = path.join(DOCS_DIR, id);
     const metaPath = path.join(docDir, 'metadata.yaml');
 
-    if (!fs.existsSync(metaPath)) {
-        return res.status(404).json({ error: 'Document not found' });
+    if (!fs.existsSync(metaPath)) throw httpError(404, 'Document not found');
+
+    const meta = yaml.load(fs.readFileSync(metaPath, 'utf-8'));
+    const files = meta.files || [];
+
+    // Determine which file to serve
+    let targetFile;
+    if (fileOverride) {
+        targetFile = files.find(f => f.name === fileOverride);
+    }
+    if (!targetFile) {
+        targetFile = files.find(f => f.primary) || files[0];
     }
 
-    try {
-        const meta = yaml.load(fs.readFileSync(metaPath, 'utf-8'));
-        const files = meta.files || [];
+    if (!targetFile) throw httpError(404, 'No files in this document');
 
-        // Determine which file to serve
-        let targetFile;
-        if (fileOverride) {
-            targetFile = files.find(f => f.name === fileOverride);
-        }
-        if (!targetFile) {
-            targetFile = files.find(f => f.primary) || files[0];
-        }
+    const filepath = path.join(docDir, targetFile.name);
+    if (!fs.existsSync(filepath)) throw httpError(404, `File not found: ${targetFile.name}`);
 
-        if (!targetFile) {
-            return res.status(404).json({ error: 'No files in this document' });
-        }
+    // PDFs are shown by the browser's own viewer
+    if (targetFile.format === 'pdf' || targetFile.name.endsWith('.pdf')) {
+        const src = `/docs/${encodeURIComponent(id)}/${encodeURIComponent(targetFile.name)}`;
+        const title = String(meta.title || id).replace(/"/g, '&quot;');
+        return { meta, file: targetFile, content: `<iframe class="pdf-embed" src="${src}" title="${title}"></iframe>` };
+    }
 
-        const filepath = path.join(docDir, targetFile.name);
-        if (!fs.existsSync(filepath)) {
-            return res.status(404).json({ error: `File not found: ${targetFile.name}` });
+    let content = fs.readFileSync(filepath, 'utf-8');
+
+    // Rewrite relative figure paths to absolute paths for serving
+    content = content.replace(/\.\/figures\//g, `/docs/${id}/figures/`);
+
+    // Convert based on format
+    if (targetFile.format === 'markdown' || targetFile.name.endsWith('.md')) {
+        content = renderMarkdownDoc(content);
+    } else if (targetFile.format === 'tex' || targetFile.name.endsWith('.tex')) {
+        try {
+            const { convertTexToHtml } = require('./tex2html');
+            content = convertTexToHtml(filepath);
+        } catch (e) {
+            throw httpError(500, 'TeX conversion failed: ' + e.message);
         }
+    }
 
-        let content = fs.readFileSync(filepath, 'utf-8');
+    return { meta, file: targetFile, content: stripToFragment(content) };
+}
 
-        // Rewrite relative figure paths to absolute paths for serving
-        content = content.replace(/\.\/figures\//g, `/docs/${id}/figures/`);
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
 
-        // Convert based on format
-        if (targetFile.format === 'markdown' || targetFile.name.endsWith('.md')) {
-            content = renderMarkdownDoc(content);
-        } else if (targetFile.format === 'tex' || targetFile.name.endsWith('.tex')) {
-            try {
-                const { convertTexToHtml } = require('./tex2html');
-                content = convertTexToHtml(filepath);
-            } catch (e) {
-                return res.status(500).json({ error: 'TeX conversion failed: ' + e.message });
-            }
-        }
+// Read a document (folder-based: docs/{id}/{file})
+app.get('/api/doc/:id', (req, res) => {
+    const { id } = req.params;
+    const fileOverride = req.query.file; // optional: ?file=paper.md
+
+    if (id.includes('..')) return res.status(400).json({ error: 'Invalid id' });
 
+    try {
+        const { meta, file, content } = loadDocument(id, fileOverride);
         res.json({
             id,
-            filename: targetFile.name,
-            format: targetFile.format,
+            filename: file.name,
+            format: file.format,
             title: meta.title,
             url: meta.url || '',
             pdf: meta.pdf || '',
             arxiv_id: meta.arxiv_id || '',
-            content: stripToFragment(content),
+            content,
         });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Get annotations
-app.get('/api/annotations/:docId', (req, res) => {
-    res.json(loadAnnotations(req.params.docId));
+// A document's sections ({ title, anchor }, TOC order) — for picking one to work on
+app.get('/api/doc/:id/sections', (req, res) => {
+    const { id } = req.params;
+    if (id.includes('..')) return res.status(400).json({ error: 'Invalid id' });
+
+    try {
+        const { splitSections } = require('./tools/search-index');
+        const seen = new Set();
+        const sections = [];
+        for (const sec of splitSections(loadDocument(id).content)) {
+            if (!sec.title || !sec.anchor || seen.has(sec.anchor)) continue;
+            seen.add(sec.anchor);
+            sections.push({ title: sec.title, anchor: sec.anchor });
+        }
+        res.json(sections);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
 });
 
-// Add annotation
-app.post('/api/annotations/:docId', (req, res) => {
-    const { docId } = req.params;
-    const { type, selectedText, note, color, replacementText, anchorSelector, anchorOffset } = req.body;
+// ─── Library Search ─────────────────────────────────────────
 
-    if (!type && !note && !selectedText) {
-        return res.status(400).json({ error: 'type, note or selectedText required' });
+// The index is rebuilt lazily whenever a document or annotation file changes
+let searchIndexCache = { signature: null, index: null };
+
+function listDocIds() {
+    return fs.readdirSync(DOCS_DIR, { withFileTypes: true })
+        .filter(d => d.isDirectory() && !d.name.startsWith('.'))
+        .filter(d => fs.existsSync(path.join(DOCS_DIR, d.name, 'metadata.yaml')))
+        .map(d => d.name);
+}
+
+// mtimes of a document's metadata and source files
+function docSignature(id) {
+    const dir = path.join(DOCS_DIR, id);
+    return fs.readdirSync(dir)
+        .filter(name => /\.(ya?ml|html|md|tex|bib|bbl)$/.test(name))
+        .map(name => `${id}/${name}:${fs.statSync(path.join(dir, name)).mtimeMs}`)
+        .join('|');
+}
+
+function librarySignature() {
+    const parts = listDocIds().map(docSignature);
+    for (const name of fs.readdirSync(ANNOTATIONS_DIR)) {
+        if (!name.endsWith('.json') || name.startsWith('.')) continue;
+        parts.push(`@${name}:${fs.statSync(path.join(ANNOTATIONS_DIR, name)).mtimeMs}`);
+    }
+    return parts.join('|');
+}
+
+function getSearchIndex() {
+    const signature = librarySignature();
+    if (searchIndexCache.index && searchIndexCache.signature === signature) return searchIndexCache.index;
+
+    const { SearchIndex } = require('./tools/search-index');
+    const index = new SearchIndex();
+    for (const id of listDocIds()) {
+        try {
+            const { meta, content } = loadDocument(id);
+            const title = meta.short_title || meta.title || id;
+            index.addDocument(id, { title, html: content, variables: meta.variables || [] });
+            index.addAnnotations(id, title, loadAnnotations(id));
+        } catch (e) {
+            console.warn(`  ⚠️  Search index skipped ${id}: ${e.message}`);
+        }
+    }
+    searchIndexCache = { signature, index };
+    return index;
+}
+
+// Full-text search across documents, annotation notes and variable descriptions
+app.get('/api/search', (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q required' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    try {
+        const result = getSearchIndex().search(q, {
+            limit,
+            docId: req.query.docId || null,
+            kind: req.query.kind || null,
+        });
+        res.json({ query: q, ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
+
+// ─── Users ──────────────────────────────────────────────────
+//
+// Lightweight identities: the reader sends X-Scholarly-User (a local account
+// picked in the UI); behind an auth proxy set SCHOLARLY_USER_HEADER to the
+// header it injects (e.g. X-Forwarded-User). Requests without an identity act
+// as the default user, which also owns annotations made before authorship
+// was recorded.
+
+const USER_HEADER = (process.env.SCHOLARLY_USER_HEADER || 'X-Scholarly-User').toLowerCase();
+const DEFAULT_USER_ID = process.env.SCHOLARLY_DEFAULT_USER || 'local';
+
+function slugifyUserId(name) {
+    return String(name).trim().toLowerCase()
+        .replace(/[^a-z0-9_\-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+function loadUsers() {
+    if (!fs.existsSync(USERS_PATH)) return [];
+    try { return JSON.parse(fs.readFileSync(USERS_PATH, 'utf-8')); }
+    catch { return []; }
+}
+
+function saveUsers(users) {
+    writeFileAtomic(USERS_PATH, JSON.stringify(users, null, 2));
+}
+
+// Stable per-user color from the variable palette
+function userColor(id) {
+    let hash = 0;
+    for (const ch of id) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return VAR_COLORS[hash % VAR_COLORS.length];
+}
+
+function describeUser(id, name) {
+    return { id, name: name || (id === DEFAULT_USER_ID ? 'Local user' : id), color: userColor(id) };
+}
+
+/**
+ * Resolve a raw identity (header value or WebSocket `user` param) to a user
+ * @returns {{id: string, name: string, color: string}}
+ */
+function resolveUser(raw) {
+    raw = String(raw || '').trim();
+    const id = raw ? slugifyUserId(raw) : '';
+    if (!id) return describeUser(DEFAULT_USER_ID);
+    return loadUsers().find(u => u.id === id) || describeUser(id, raw);
+}
+
+function getRequestUser(req) {
+    return resolveUser(req.get(USER_HEADER));
+}
+
+// Record header-provided identities the first time they write
+function ensureUser(user) {
+    const users = loadUsers();
+    if (users.some(u => u.id === user.id)) return;
+    users.push({ ...user, createdAt: new Date().toISOString() });
+    saveUsers(users);
+}
+
+function annotationAuthor(ann) {
+    return ann.author || DEFAULT_USER_ID;
+}
+
+app.get('/api/me', (req, res) => {
+    res.json({ ...getRequestUser(req), defaultUserId: DEFAULT_USER_ID });
+});
+
+app.get('/api/users', (req, res) => {
+    const users = loadUsers();
+    if (!users.some(u => u.id === DEFAULT_USER_ID)) users.unshift(describeUser(DEFAULT_USER_ID));
+    res.json(users);
+});
+
+app.post('/api/users', (req, res) => {
+    const { name, color } = req.body;
+    const id = slugifyUserId(name || '');
+    if (!id) return res.status(400).json({ error: 'name required' });
 
-    const annotations = loadAnnotations(docId);
+    const users = loadUsers();
+    const existing = users.find(u => u.id === id);
+    if (existing) return res.json(existing);
+
+    const user = {
+        ...describeUser(id, String(name).trim()),
+        ...(typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? { color } : {}),
+        createdAt: new Date().toISOString(),
+    };
+    users.push(user);
+    saveUsers(users);
+    res.json(user);
+});
+
+// ─── Collaboration ──────────────────────────────────────────
+//
+// Readers on the same document share a WebSocket room (tools/collab-hub.js).
+// Annotation routes publish every stored change after saving; the reader
+// sends X-Collab-Client so its own changes aren't echoed back to it.
+
+const { CollabHub } = require('./tools/collab-hub');
+const collab = new CollabHub({ resolveUser });
+
+function publishAnnotationChange(req, docId, action, payload) {
+    collab.publishAnnotation(docId, action, payload, {
+        by: getRequestUser(req).id,
+        origin: req.get('X-Collab-Client') || null,
+    });
+}
+
+function sendStoreError(res, err) {
+    res.status(err.status || 500).json({ error: err.message });
+}
+
+// Get annotations (ETag identifies this version of the whole list)
+app.get('/api/annotations/:docId', (req, res) => {
+    const { annotations, etag } = annotationStore.read(req.params.docId);
+    res.set('ETag', etag).json(annotations);
+});
+
+/**
+ * Build a new annotation owned by the request user
+ */
+function newAnnotation(user, { type, selectedText, note, color, replacementText, anchorSelector, anchorOffset, selectors, ai }) {
     const annotation = {
         id: uuidv4().slice(0, 8),
+        rev: 1,
+        author: user.id,
         type: type || 'note',
         selectedText: selectedText || '',
         note: note || '',
@@ -389,226 +671,1587 @@ app.post('/api/annotations/:docId', (req, res) => {
         replacementText: replacementText || '',
         anchorSelector: anchorSelector || '',
         anchorOffset: anchorOffset || 0,
+        selectors: TextAnchor.normalizeSelectors(selectors),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
     };
-    annotations.push(annotation);
-    saveAnnotations(docId, annotations);
-    res.json(annotation);
+    const provenance = annotation.type === 'ai_note' ? aiProvenance(ai) : null;
+    if (provenance) annotation.ai = provenance;
+    return annotation;
+}
+
+// Add annotation
+app.post('/api/annotations/:docId', async (req, res) => {
+    const { docId } = req.params;
+    const { type, note, selectedText } = req.body;
+
+    if (!type && !note && !selectedText) {
+        return res.status(400).json({ error: 'type, note or selectedText required' });
+    }
+
+    const user = getRequestUser(req);
+    if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+
+    const annotation = newAnnotation(user, req.body);
+    try {
+        await annotationStore.update(docId, annotations => { annotations.push(annotation); }, { ifMatch: req.get('If-Match') });
+    } catch (err) {
+        return sendStoreError(res, err);
+    }
+    publishAnnotationChange(req, docId, 'created', { annotation });
+    res.set('ETag', annotationETag(annotation)).json(annotation);
 });
 
-// Update annotation
-app.put('/api/annotations/:docId/:id', (req, res) => {
-    const { docId, id } = req.params;
-    const { note, color, replacementText, type, selectedText, anchorSelector, anchorOffset } = req.body;
-    const annotations = loadAnnotations(docId);
-    const idx = annotations.findIndex(a => a.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Annotation not found' });
-
-    if (note !== undefined) annotations[idx].note = note;
-    if (color !== undefined) annotations[idx].color = color;
-    if (replacementText !== undefined) annotations[idx].replacementText = replacementText;
-    if (type !== undefined) annotations[idx].type = type;
-    if (selectedText !== undefined) annotations[idx].selectedText = selectedText;
-    if (anchorSelector !== undefined) annotations[idx].anchorSelector = anchorSelector;
-    if (anchorOffset !== undefined) annotations[idx].anchorOffset = anchorOffset;
-
-    annotations[idx].updatedAt = new Date().toISOString();
-    saveAnnotations(docId, annotations);
-    res.json(annotations[idx]);
-});
-
-// Bulk replace all annotations (used for jumping history branches)
-app.put('/api/annotations/:docId/all', (req, res) => {
+// Bulk replace the caller's annotations (used for jumping history branches).
+// Other users' layers are left untouched. Registered before /:id so "all"
+// isn't taken for an annotation id.
+app.put('/api/annotations/:docId/all', async (req, res) => {
     const { docId } = req.params;
     const { annotations } = req.body;
     if (!Array.isArray(annotations)) {
         return res.status(400).json({ error: 'annotations must be an array' });
     }
-    saveAnnotations(docId, annotations);
-    res.json({ ok: true, count: annotations.length });
+    const user = getRequestUser(req);
+    const own = annotations.filter(a => a && annotationAuthor(a) === user.id);
+    let saved;
+    try {
+        saved = await annotationStore.update(docId,
+            current => [...current.filter(a => annotationAuthor(a) !== user.id), ...own],
+            { ifMatch: req.get('If-Match') });
+    } catch (err) {
+        return sendStoreError(res, err);
+    }
+    publishAnnotationChange(req, docId, 'replaced', { annotations: saved.annotations });
+    res.set('ETag', saved.etag).json({ ok: true, count: own.length });
 });
 
-// Delete annotation
-app.delete('/api/annotations/:docId/:id', (req, res) => {
+// Update annotation (If-Match takes the annotation's own ETag, "{id}-r{rev}").
+// Only its author may change it — other users' layers are read-only.
+app.put('/api/annotations/:docId/:id', async (req, res) => {
     const { docId, id } = req.params;
-    let annotations = loadAnnotations(docId);
-    annotations = annotations.filter(a => a.id !== id);
-    saveAnnotations(docId, annotations);
-    res.json({ ok: true });
-});
+    const { note, color, replacementText, type, selectedText, anchorSelector, anchorOffset, selectors } = req.body;
+    const ifMatch = req.get('If-Match');
+    const updatedBy = getRequestUser(req).id;
+    let annotation;
 
-// ─── Studio Operations ─────────────────────────────────────
+    try {
+        await annotationStore.update(docId, annotations => {
+            annotation = annotations.find(a => a.id === id);
+            if (!annotation) throw httpError(404, 'Annotation not found');
+            if (annotationAuthor(annotation) !== updatedBy) throw httpError(403, 'Only the author can edit this annotation');
+            if (!etagMatches(ifMatch, annotationETag(annotation))) {
+                throw preconditionFailed('Annotation was changed by someone else — reload and retry');
+            }
 
-app.post('/api/studio', async (req, res) => {
-    const { operation, prompt, context } = req.body;
-    if (!operation || !prompt) return res.status(400).json({ error: 'operation and prompt required' });
+            if (note !== undefined) annotation.note = note;
+            if (color !== undefined) annotation.color = color;
+            if (replacementText !== undefined) annotation.replacementText = replacementText;
+            if (type !== undefined) annotation.type = type;
+            if (selectedText !== undefined) annotation.selectedText = selectedText;
+            if (anchorSelector !== undefined) annotation.anchorSelector = anchorSelector;
+            if (anchorOffset !== undefined) annotation.anchorOffset = anchorOffset;
+            if (selectors !== undefined) {
+                annotation.selectors = TextAnchor.normalizeSelectors(selectors);
+                delete annotation.anchorStatus;
+            }
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-        return res.status(503).json({ error: 'No OPENAI_API_KEY configured. Add it to .env file.' });
+            annotation.updatedAt = new Date().toISOString();
+            annotation.updatedBy = updatedBy;
+            annotation.rev = (annotation.rev || 0) + 1;
+        });
+    } catch (err) {
+        return sendStoreError(res, err);
     }
+    publishAnnotationChange(req, docId, 'updated', { annotation });
+    res.set('ETag', annotationETag(annotation)).json(annotation);
+});
 
-    try {
-        const OpenAI = require('openai');
-        const openai = new OpenAI({ apiKey });
-        const model = process.env.OPENAI_MODEL || 'gpt-4o';
+// Export annotations as a W3C Web Annotation collection (JSON-LD)
+app.get('/api/annotations/:docId/export', (req, res) => {
+    const { docId } = req.params;
+    const format = req.query.format || 'w3c';
+    if (format !== 'w3c') return res.status(400).json({ error: `Unsupported format: ${format}` });
+
+    const { toW3CCollection } = require('./tools/w3c-annotations');
+    let title = docId;
+    try { title = loadDocument(docId).meta.title || docId; } catch { }
+
+    const collection = toW3CCollection(loadAnnotations(docId), {
+        docId,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        title,
+        users: Object.fromEntries(loadUsers().map(u => [u.id, u])),
+    });
+    res.type('application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"');
+    res.send(JSON.stringify(collection, null, 2));
+});
 
-        // Set up SSE
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+// Import W3C Web Annotations (collection, page, array or single annotation)
+app.post('/api/annotations/:docId/import', express.json({ type: 'application/ld+json', limit: '20mb' }), async (req, res) => {
+    const { docId } = req.params;
+    const mode = req.query.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be merge or replace' });
+    }
 
-        const systemMsg = `You are a helpful assistant for Scholarly Reader. You produce high-quality, well-structured outputs for academic paper analysis. Use markdown formatting. Be thorough and precise.`;
+    const { fromW3C, extractW3CItems } = require('./tools/w3c-annotations');
+    const user = getRequestUser(req);
+    const items = extractW3CItems(req.body);
+    if (items.length === 0) return res.status(400).json({ error: 'No annotations found in payload' });
+    if (user.id !== DEFAULT_USER_ID) ensureUser(user);
 
-        const messages = [
-            { role: 'system', content: systemMsg },
-        ];
+    let imported = 0;
+    let updated = 0;
+    let skipped = 0;
 
-        if (context) {
-            messages.push({ role: 'user', content: `Here are the source papers:\n\n${context}` });
-            messages.push({ role: 'assistant', content: 'I\'ve read the source material. What would you like me to generate?' });
-        }
+    let saved;
+    try {
+        // Imports land in the caller's layer: replace drops only their annotations,
+        // and an id taken by someone else's annotation is imported as a new one
+        saved = await annotationStore.update(docId, current => {
+            const annotations = mode === 'replace' ? current.filter(a => annotationAuthor(a) !== user.id) : current;
+            for (const item of items) {
+                const ann = fromW3C(item);
+                if (!ann) { skipped++; continue; }
+                ann.author = user.id;
+                const idx = ann.id ? annotations.findIndex(a => a.id === ann.id) : -1;
+                if (idx !== -1 && annotationAuthor(annotations[idx]) === user.id) {
+                    annotations[idx] = { ...annotations[idx], ...ann, rev: (annotations[idx].rev || 0) + 1 };
+                    updated++;
+                } else {
+                    const id = ann.id && idx === -1 ? ann.id : uuidv4().slice(0, 8);
+                    annotations.push({ ...ann, id, rev: 1 });
+                    imported++;
+                }
+            }
+            return annotations;
+        }, { ifMatch: req.get('If-Match') });
+    } catch (err) {
+        return sendStoreError(res, err);
+    }
 
-        messages.push({ role: 'user', content: prompt });
+    publishAnnotationChange(req, docId, 'replaced', { annotations: saved.annotations });
+    res.set('ETag', saved.etag).json({ ok: true, mode, imported, updated, skipped, count: saved.annotations.length });
+});
 
-        const stream = await openai.chat.completions.create({
-            model,
-            messages,
-            stream: true,
-            max_tokens: 4096,
-        });
+// Re-anchor annotations against the document's current text
+app.post('/api/annotations/:docId/reanchor', async (req, res) => {
+    try {
+        const report = await reanchorAnnotations(req.params.docId);
+        publishAnnotationChange(req, req.params.docId, 'replaced', { annotations: loadAnnotations(req.params.docId) });
+        res.json(report);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
-        for await (const chunk of stream) {
-            const content = chunk.choices[0]?.delta?.content;
-            if (content) {
-                res.write(`data: ${JSON.stringify({ content })}\n\n`);
+/**
+ * Re-resolve every annotation of a document against its current text.
+ *
+ * Runs after an import regenerates a document. Matched annotations get fresh
+ * quote/position selectors (legacy CSS-path anchors are upgraded on the way);
+ * the rest are flagged `anchorStatus: 'orphaned'` for the notes panel.
+ *
+ * @returns {Promise<{docId: string, checked: number, anchored: number, orphaned: string[]}>}
+ */
+async function reanchorAnnotations(docId) {
+    const report = { docId, checked: 0, anchored: 0, orphaned: [] };
+    await annotationStore.update(docId, annotations => {
+        if (annotations.length === 0) return false;
+
+        const { htmlTextContent } = require('./tools/search-index');
+        const text = htmlTextContent(loadDocument(docId).content);
+        const checkedAt = new Date().toISOString();
+
+        for (const ann of annotations) {
+            const selectors = Array.isArray(ann.selectors) ? ann.selectors : [];
+            if (!ann.selectedText && selectors.length === 0) continue;
+            report.checked++;
+
+            const match = TextAnchor.locateTextRange(text, selectors, ann.selectedText);
+            if (match) {
+                ann.selectors = TextAnchor.describeTextRange(text, match.start, match.end);
+                ann.anchorStatus = 'anchored';
+                report.anchored++;
+            } else {
+                ann.anchorStatus = 'orphaned';
+                report.orphaned.push(ann.id);
             }
+            ann.anchorCheckedAt = checkedAt;
         }
+    });
+    return report;
+}
 
-        res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-        res.end();
+// Delete annotation (only its author may)
+app.delete('/api/annotations/:docId/:id', async (req, res) => {
+    const { docId, id } = req.params;
+    const ifMatch = req.get('If-Match');
+    const user = getRequestUser(req);
+    try {
+        await annotationStore.update(docId, annotations => {
+            const annotation = annotations.find(a => a.id === id);
+            if (!annotation) return false;
+            if (annotationAuthor(annotation) !== user.id) throw httpError(403, 'Only the author can delete this annotation');
+            if (!etagMatches(ifMatch, annotationETag(annotation))) {
+                throw preconditionFailed('Annotation was changed by someone else — reload and retry');
+            }
+            return annotations.filter(a => a.id !== id);
+        });
     } catch (err) {
-        if (!res.headersSent) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-            res.end();
+        return sendStoreError(res, err);
+    }
+    publishAnnotationChange(req, docId, 'deleted', { id });
+    res.json({ ok: true });
+});
+
+// ─── Edit History ───────────────────────────────────────────
+//
+// The reader's branching undo tree, persisted per document. The tree keeps
+// one base snapshot (article HTML + annotations at creation); every node
+// stores only its diff from the parent:
+//   patches          — [{ start, deleteCount, insert }] splices on the parent's HTML
+//   annotationDelta  — { upserted: [annotation], removed: [id] }
+// The reader replays diffs from the root to check out any node.
+
+function getHistoryPath(docId) {
+    const safe = docId.replace(/[^a-zA-Z0-9_\-]/g, '_');
+    return path.join(HISTORY_DIR, `${safe}.json`);
+}
+
+function loadHistory(docId) {
+    const p = getHistoryPath(docId);
+    if (!fs.existsSync(p)) return null;
+    try {
+        const history = JSON.parse(fs.readFileSync(p, 'utf-8'));
+        history.nodes = Object.assign(Object.create(null), history.nodes);
+        return history;
+    } catch {
+        return null;
+    }
+}
+
+function saveHistory(docId, history) {
+    writeFileAtomic(getHistoryPath(docId), JSON.stringify(history));
+}
+
+// Node ids are client-generated slugs (timestamp + random suffix). `nodes` is
+// loaded without a prototype, so "__proto__" or "constructor" are never known nodes
+const HISTORY_NODE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function hasHistoryNode(history, id) {
+    return typeof id === 'string' && HISTORY_NODE_ID.test(id) && Object.hasOwn(history.nodes, id);
+}
+
+function isValidPatch(p) {
+    return p && Number.isInteger(p.start) && p.start >= 0
+        && Number.isInteger(p.deleteCount) && p.deleteCount >= 0
+        && typeof p.insert === 'string';
+}
+
+app.get('/api/history/:docId', (req, res) => {
+    const history = loadHistory(req.params.docId);
+    if (!history) return res.status(404).json({ error: 'No history for this document' });
+    res.json(history);
+});
+
+// Start (or restart) a history tree from the reader's current state
+app.post('/api/history/:docId', (req, res) => {
+    const { baseHtml, baseAnnotations, timestamp } = req.body;
+    if (typeof baseHtml !== 'string') return res.status(400).json({ error: 'baseHtml required' });
+
+    const history = {
+        docId: req.params.docId,
+        rootId: 'root',
+        headId: 'root',
+        baseHtml,
+        baseAnnotations: Array.isArray(baseAnnotations) ? baseAnnotations : [],
+        nodes: {
+            root: {
+                id: 'root',
+                parentId: null,
+                childrenIds: [],
+                description: 'Initial State',
+                timestamp: timestamp || Date.now(),
+            },
+        },
+        createdAt: new Date().toISOString(),
+    };
+    saveHistory(req.params.docId, history);
+    res.json({ ok: true, headId: history.headId });
+});
+
+app.post('/api/history/:docId/nodes', (req, res) => {
+    const { id, parentId, description, timestamp, patches, annotationDelta } = req.body;
+    const history = loadHistory(req.params.docId);
+    if (!history) return res.status(404).json({ error: 'No history for this document' });
+    if (typeof id !== 'string' || !HISTORY_NODE_ID.test(id)) {
+        return res.status(400).json({ error: 'id must be 1-64 letters, digits, "-" or "_"' });
+    }
+    if (!hasHistoryNode(history, parentId)) return res.status(400).json({ error: `Unknown parent node: ${parentId}` });
+    if (!Array.isArray(patches) || !patches.every(isValidPatch)) {
+        return res.status(400).json({ error: 'patches must be an array of { start, deleteCount, insert }' });
+    }
+
+    // A retried request is idempotent; a different node under a taken id is a conflict
+    if (hasHistoryNode(history, id)) {
+        const stored = history.nodes[id];
+        if (stored.parentId === parentId && JSON.stringify(stored.patches) === JSON.stringify(patches)) {
+            return res.json({ ok: true, headId: history.headId });
         }
+        return res.status(409).json({ error: `Node id already taken: ${id}` });
     }
+
+    const delta = annotationDelta || {};
+    history.nodes[id] = {
+        id,
+        parentId,
+        childrenIds: [],
+        description: String(description || ''),
+        timestamp: timestamp || Date.now(),
+        patches,
+        annotationDelta: {
+            upserted: Array.isArray(delta.upserted) ? delta.upserted : [],
+            removed: Array.isArray(delta.removed) ? delta.removed : [],
+        },
+    };
+    history.nodes[parentId].childrenIds.push(id);
+    history.headId = id;
+    saveHistory(req.params.docId, history);
+    res.json({ ok: true, headId: id });
 });
 
-// --- Start ---
-const PORT = process.env.SCHOLARLY_PORT || 3003;
+app.put('/api/history/:docId/head', (req, res) => {
+    const { headId } = req.body;
+    const history = loadHistory(req.params.docId);
+    if (!history) return res.status(404).json({ error: 'No history for this document' });
+    if (!hasHistoryNode(history, headId)) return res.status(400).json({ error: `Unknown node: ${headId}` });
+    history.headId = headId;
+    saveHistory(req.params.docId, history);
+    res.json({ ok: true, headId });
+});
 
-// ─── ArXiv Import Pipeline ──────────────────────────────────
+app.delete('/api/history/:docId', (req, res) => {
+    fs.rmSync(getHistoryPath(req.params.docId), { force: true });
+    res.json({ ok: true });
+});
 
-const importJobs = new Map(); // id → { status, progress, result, error }
+// ─── LLM Providers ──────────────────────────────────────────
 
-app.post('/api/import-arxiv', async (req, res) => {
-    const { arxivId, legacy } = req.body;
-    if (!arxivId) return res.status(400).json({ error: 'arxivId required' });
+// Chat and studio take { provider, model } in the request body to override
+// the default (LLM_PROVIDER or whichever API key is set) — see tools/llm-providers.js
+const { resolveProvider, describeProviders } = require('./tools/llm-providers');
 
-    const jobId = uuidv4().slice(0, 8);
-    importJobs.set(jobId, { status: 'running', progress: 'Starting...', result: null, error: null });
+app.get('/api/llm/providers', (req, res) => {
+    res.json(describeProviders());
+});
+
+/**
+ * Stream a completion as SSE: { content } chunks, then { done, provider, model }
+ * or { error }. Stops generating when the client disconnects. `events` are
+ * written before the first chunk (e.g. chat's { citations }); `onComplete(text)`
+ * runs before the done event and may add fields to it.
+ *
+ * @returns {Promise<{text: string, error: string|null, aborted: boolean}>}
+ */
+async function streamCompletion(req, res, llm, messages, { events = [], onComplete, ...opts } = {}) {
+    const abort = new AbortController();
+    res.on('close', () => abort.abort());
 
-    res.json({ jobId, status: 'running' });
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
 
-    // Run pipeline asynchronously
+    let text = '';
     try {
-        if (legacy) {
-            // Legacy static pipeline
-            const { importArxiv } = require('./arxiv-pipeline');
-            const result = await importArxiv(arxivId, (msg) => {
-                const job = importJobs.get(jobId);
-                if (job) job.progress = msg;
-            });
-            const job = importJobs.get(jobId);
-            if (job) { job.status = 'done'; job.result = result; }
-        } else {
-            // LLM-native agent pipeline
-            const { importPaperWithAgent } = await import('./agents/import-agent/index.mjs');
-            const result = await importPaperWithAgent(arxivId, (msg) => {
-                const job = importJobs.get(jobId);
-                if (job) job.progress = msg;
-            });
-            const job = importJobs.get(jobId);
-            if (job) { job.status = 'done'; job.result = result; }
+        for (const event of events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+        for await (const content of llm.stream(messages, { ...opts, signal: abort.signal })) {
+            text += content;
+            res.write(`data: ${JSON.stringify({ content })}\n\n`);
         }
+        const extra = onComplete ? await onComplete(text) : {};
+        res.write(`data: ${JSON.stringify({ done: true, provider: llm.name, model: llm.model, ...extra })}\n\n`);
     } catch (err) {
-        const job = importJobs.get(jobId);
-        if (job) { job.status = 'error'; job.error = err.message; }
+        if (abort.signal.aborted) return { text, error: null, aborted: true };
+        res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+        res.end();
+        return { text, error: err.message, aborted: false };
     }
-});
+    res.end();
+    return { text, error: null, aborted: false };
+}
 
-app.get('/api/import-status/:jobId', (req, res) => {
-    const job = importJobs.get(req.params.jobId);
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
-});
+// ─── Studio Operations ─────────────────────────────────────
 
-// ─── AI Chat ────────────────────────────────────────────────
+// Every studio run is saved as a version of an artifact (data/artifacts/):
+// re-running appends a version, versions can be diffed, and the reader
+// opens an artifact as the markdown document `artifact-{id}` (file v{n}.md).
+const { ArtifactStore, ARTIFACT_DOC_PREFIX } = require('./tools/artifact-store');
+const artifactStore = new ArtifactStore(ARTIFACTS_DIR);
+
+// Custom operations and customized built-ins (data/studio-templates/);
+// their prompts' {{variables}} are filled in by studioVariables()
+const { TemplateStore, TEMPLATE_VARIABLES, templateVariables, renderTemplate } = require('./tools/studio-templates');
+const templateStore = new TemplateStore(STUDIO_TEMPLATES_DIR);
+
+const STUDIO_MAX_DOCS = 5;
+const STUDIO_DOC_CHARS = 6000;
+const STUDIO_SECTION_CHARS = 12000;
+const STUDIO_MAX_ANNOTATIONS = 200;
+
+// The first STUDIO_DOC_CHARS of each source's text, as the prompt's context
+function studioContext(docIds) {
+    const { htmlTextContent } = require('./tools/search-index');
+    return docIds.slice(0, STUDIO_MAX_DOCS).map(id => {
+        try {
+            const { meta, content } = loadDocument(id);
+            const text = htmlTextContent(content).replace(/\s+/g, ' ').trim().slice(0, STUDIO_DOC_CHARS);
+            return `--- ${meta.title || id} ---\n${text}`;
+        } catch (e) {
+            console.warn(`  ⚠️  Studio skipped ${id}: ${e.message}`);
+            return null;
+        }
+    }).filter(Boolean).join('\n\n');
+}
 
-app.post('/api/chat', async (req, res) => {
-    const { question, context, docId } = req.body;
-    if (!question) return res.status(400).json({ error: 'question required' });
+/**
+ * Values for the {{variables}} a prompt uses
+ *
+ * @param {string[]} names - Variables in the prompt (templateVariables)
+ * @param {string[]} docIds - Selected sources
+ * @param {Object|null} section - { docId, anchor } picked when the operation ran
+ */
+function studioVariables(names, docIds, section) {
+    const { htmlTextContent } = require('./tools/search-index');
+    const values = {};
+    const docs = docIds.slice(0, STUDIO_MAX_DOCS);
+    const titleOf = (id) => {
+        try { return loadDocument(id).meta.title || id; } catch { return id; }
+    };
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-        return res.status(503).json({ error: 'No OPENAI_API_KEY configured. Add it to .env file.' });
+    if (names.includes('sources')) values.sources = studioContext(docs);
+    if (names.includes('titles')) values.titles = docs.map(titleOf).join('\n');
+    if (names.includes('section') && section) {
+        const { splitSections } = require('./tools/search-index');
+        const parts = splitSections(loadDocument(section.docId).content).filter(sec => sec.anchor === section.anchor);
+        if (!parts.length) throw httpError(404, 'Section not found');
+        // Subsections below the TOC level share their parent's anchor
+        const text = parts.map((sec, i) => (i ? `### ${sec.title}\n${sec.text}` : sec.text)).join('\n\n').slice(0, STUDIO_SECTION_CHARS);
+        values.section = `## ${parts[0].title} (${titleOf(section.docId)})\n${text}`;
+    }
+    if (names.includes('annotations')) {
+        values.annotations = docs.map(id => {
+            const notes = loadAnnotations(id).slice(0, STUDIO_MAX_ANNOTATIONS).map(ann => {
+                const quote = ann.selectedText ? `"${htmlTextContent(ann.selectedText).slice(0, 300)}"` : '';
+                return `- [${ann.type}] ${[quote, ann.note].filter(Boolean).join(' — ')}`;
+            });
+            return notes.length ? `--- ${titleOf(id)} ---\n${notes.join('\n')}` : null;
+        }).filter(Boolean).join('\n\n') || '(no annotations)';
     }
+    return values;
+}
+
+function loadArtifactDocument(artifactId, fileOverride) {
+    const match = /^v(\d+)\.md$/.exec(fileOverride || '');
+    const { artifact, version } = artifactStore.version(artifactId, match ? Number(match[1]) : null);
+    const sources = artifact.docIds.map(id => `[${id}](/?doc=${encodeURIComponent(id)})`).join(', ');
+    const header = `# ${artifact.label}\n\n*Version ${version.n} · ${version.model || version.provider || 'unknown model'} · ${version.createdAt.slice(0, 10)}${sources ? ` · from ${sources}` : ''}*\n\n`;
+    return {
+        meta: { title: `${artifact.label} (v${version.n})`, type: 'studio-artifact', artifact: artifact.id },
+        file: { name: `v${version.n}.md`, format: 'markdown' },
+        content: stripToFragment(renderMarkdownDoc(header + version.content)),
+    };
+}
 
+app.post('/api/studio', async (req, res) => {
+    const user = getRequestUser(req);
+
+    // { artifactId } re-runs a saved artifact over its own sources;
+    // { templateId } runs a custom operation
+    let artifact = null;
+    let template = null;
     try {
-        const OpenAI = require('openai');
-        const openai = new OpenAI({ apiKey });
-        const model = process.env.OPENAI_MODEL || 'gpt-4o';
+        if (req.body.artifactId) artifact = artifactStore.get(req.body.artifactId);
+        else if (req.body.templateId) template = templateStore.get(req.body.templateId);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
 
-        // Set up SSE
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+    const operation = artifact ? artifact.operation : template ? (template.base || 'custom') : req.body.operation;
+    const prompt = req.body.prompt || (artifact && artifact.prompt) || (template && template.prompt);
+    const docIds = artifact ? artifact.docIds : (Array.isArray(req.body.docIds) ? req.body.docIds : [])
+        .filter(id => typeof id === 'string' && !id.includes('..'));
+    const section = artifact ? artifact.section : (req.body.section || null);
+    if (!operation || !prompt) return res.status(400).json({ error: 'operation and prompt required' });
 
-        const systemMsg = `You are a helpful assistant for the Scholarly Reader application. You help users understand academic papers. Be concise and precise. Use LaTeX notation when referencing math (e.g., $d_k$, $\\text{softmax}$).`;
+    const names = templateVariables(prompt).filter(name => TEMPLATE_VARIABLES[name]);
+    if (names.includes('section') && !(section && docIds.includes(section.docId) && section.anchor)) {
+        return res.status(400).json({ error: 'This operation needs a section ({ docId, anchor }) of one of its sources' });
+    }
 
-        const messages = [
-            { role: 'system', content: systemMsg },
-        ];
+    let llm;
+    let values;
+    try {
+        llm = resolveProvider(req.body);
+        values = studioVariables(names, docIds, section);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
 
-        if (context) {
-            messages.push({ role: 'user', content: `Here is the relevant passage from the paper:\n\n${context}` });
-            messages.push({ role: 'assistant', content: 'I\'ve read the passage. What would you like to know?' });
-        }
+    // Prompts that place {{sources}} themselves don't get the preamble
+    const context = names.includes('sources') ? null : docIds.length ? studioContext(docIds) : req.body.context;
 
-        messages.push({ role: 'user', content: question });
+    const systemMsg = `You are a helpful assistant for Scholarly Reader. You produce high-quality, well-structured outputs for academic paper analysis. Use markdown formatting. Be thorough and precise.`;
 
-        const stream = await openai.chat.completions.create({
-            model,
-            messages,
-            stream: true,
-            max_tokens: 1024,
-        });
+    const messages = [
+        { role: 'system', content: systemMsg },
+    ];
 
-        for await (const chunk of stream) {
-            const content = chunk.choices[0]?.delta?.content;
-            if (content) {
-                res.write(`data: ${JSON.stringify({ content })}\n\n`);
-            }
-        }
+    if (context) {
+        messages.push({ role: 'user', content: `Here are the source papers:\n\n${context}` });
+        messages.push({ role: 'assistant', content: 'I\'ve read the source material. What would you like me to generate?' });
+    }
 
-        res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-        res.end();
-    } catch (err) {
-        if (!res.headersSent) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
-            res.end();
+    messages.push({ role: 'user', content: renderTemplate(prompt, values) });
+
+    await streamCompletion(req, res, llm, messages, {
+        maxTokens: 4096,
+        onComplete: (text) => {
+            if (!text.trim()) return {};
+            if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+            if (!artifact) {
+                artifact = artifactStore.create({
+                    operation,
+                    label: req.body.label || (template && template.label),
+                    prompt,
+                    docIds,
+                    section,
+                    templateId: template ? template.id : (req.body.templateId || null),
+                    createdBy: user.id,
+                });
+            }
+            const version = artifactStore.addVersion(artifact.id, { content: text, prompt, provider: llm.name, model: llm.model, createdBy: user.id });
+            if (operation === 'flashcards') {
+                // Flashcards also go straight into their documents' review decks
+                const { added, updated } = importFlashcards(artifact, version, user.id);
+                return { artifactId: artifact.id, version: version.n, flashcards: { added, updated } };
+            }
+            if (operation === 'quiz') {
+                // Quizzes become runnable when their questions parse
+                const quiz = importQuiz(artifact, version, user.id);
+                return { artifactId: artifact.id, version: version.n, quiz: quiz ? { id: quiz.id, questions: quiz.questions.length } : null };
+            }
+            return { artifactId: artifact.id, version: version.n };
+        },
+    });
+});
+
+app.get('/api/studio/templates', (req, res) => {
+    res.json({ variables: TEMPLATE_VARIABLES, templates: templateStore.list() });
+});
+
+app.post('/api/studio/templates', (req, res) => {
+    const user = getRequestUser(req);
+    try {
+        const template = templateStore.create(req.body || {}, user.id);
+        if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+        res.status(201).json(template);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Shareable file with every template (or ?ids=a,b)
+app.get('/api/studio/templates/export', (req, res) => {
+    const ids = req.query.ids ? String(req.query.ids).split(',') : null;
+    res.setHeader('Content-Disposition', 'attachment; filename="studio-templates.json"');
+    res.json(templateStore.exportTemplates(ids));
+});
+
+app.post('/api/studio/templates/import', (req, res) => {
+    const user = getRequestUser(req);
+    try {
+        const result = templateStore.importTemplates(req.body, user.id);
+        if (result.created && user.id !== DEFAULT_USER_ID) ensureUser(user);
+        res.json(result);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/studio/templates/:id', (req, res) => {
+    try {
+        res.json(templateStore.update(req.params.id, req.body || {}));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/studio/templates/:id', (req, res) => {
+    try {
+        templateStore.remove(req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/artifacts', (req, res) => {
+    const { docId, operation } = req.query;
+    res.json(artifactStore.list({ docId: docId || null, operation: operation || null }));
+});
+
+app.get('/api/artifacts/:id', (req, res) => {
+    try {
+        res.json(artifactStore.get(req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/artifacts/:id/diff', (req, res) => {
+    const { from, to } = req.query;
+    try {
+        res.json(artifactStore.diff(req.params.id, from || null, to || null));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// A mind map artifact version as a tree whose nodes link to the paper
+// sections they're about; ?format=opml downloads it as an OPML outline
+app.get('/api/artifacts/:id/mindmap', (req, res) => {
+    const { parseMindMap, walkMindMap, toOpml } = require('./tools/mindmap');
+    const format = req.query.format || 'json';
+    if (!['json', 'opml'].includes(format)) return res.status(400).json({ error: 'Unsupported format (json, opml)' });
+
+    try {
+        const { artifact, version } = artifactStore.version(req.params.id, req.query.version || null);
+        const root = parseMindMap(version.content, { title: artifact.label });
+        if (!root) return res.status(422).json({ error: 'No outline found' });
+
+        // Each node is matched with its own text, what's under it and its parent's text
+        for (const { node, parent } of walkMindMap(root)) {
+            const below = walkMindMap(node).slice(1).map(n => n.node.text).join(' ').slice(0, 500);
+            const [passage] = retrieveExcerpts(`${node.text} ${below} ${parent ? parent.text : ''}`, artifact.docIds, { passage: 1, equation: 0, variable: 0 });
+            node.docId = passage ? passage.docId : null;
+            node.anchor = passage ? passage.anchor : null;
+            node.section = passage ? passage.section : null;
+        }
+
+        if (format === 'opml') {
+            const origin = `${req.protocol}://${req.get('host')}`;
+            res.setHeader('Content-Type', 'text/x-opml; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="mindmap-${artifact.id}-v${version.n}.opml"`);
+            return res.send(toOpml(root, {
+                link: node => node.docId && `${origin}/?doc=${encodeURIComponent(node.docId)}${node.anchor ? `#${encodeURIComponent(node.anchor)}` : ''}`,
+            }));
+        }
+        res.json({ artifactId: artifact.id, version: version.n, root });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/artifacts/:id', (req, res) => {
+    try {
+        res.json(artifactStore.update(req.params.id, req.body || {}));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/artifacts/:id', (req, res) => {
+    try {
+        artifactStore.remove(req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// --- Start ---
+const PORT = process.env.SCHOLARLY_PORT || 3003;
+
+// ─── ArXiv Import Pipeline ──────────────────────────────────
+
+// Imports run as jobs in a persistent queue (data/import-jobs/): bounded
+// concurrency, one job per target doc at a time, retries with backoff.
+const { ImportQueue } = require('./tools/import-queue');
+// docs/{id} folder an arXiv (or DOI) import writes to — the queue key for that job
+const { arxivDocId, doiDocId } = require('./tools/references');
+const IMPORT_JOBS_DIR = path.join(DATA_DIR, 'import-jobs');
+
+const importQueue = new ImportQueue(IMPORT_JOBS_DIR, {
+    concurrency: Number(process.env.SCHOLARLY_IMPORT_CONCURRENCY) || 2,
+    maxAttempts: Number(process.env.SCHOLARLY_IMPORT_ATTEMPTS) || 3,
+    runners: {
+        // Legacy static pipeline
+        arxiv: async (job, { progress }) => {
+            const { importArxiv } = require('./arxiv-pipeline');
+            return withReanchorReport(await importArxiv(job.input.arxivId, progress));
+        },
+        // LLM-native agent pipeline
+        agent: async (job, ctx) => withReanchorReport(await importWithAgent(job.input.arxivId, ctx)),
+        // A cited DOI: its arXiv preprint through the agent, else its open-access PDF
+        doi: async (job, ctx) => {
+            const { resolveDoi, fetchPdf } = require('./tools/doi-resolver');
+            const { doi } = job.input;
+            ctx.progress(`Resolving doi:${doi}...`, { type: 'stage', stage: 'resolve' });
+            const source = await resolveDoi(doi, { signal: ctx.signal });
+            if (source.arxivId) {
+                ctx.progress(`doi:${doi} is arXiv:${source.arxivId}`);
+                return withReanchorReport(await importWithAgent(source.arxivId, ctx));
+            }
+            ctx.progress(`Downloading ${source.pdfUrl}...`, { type: 'stage', stage: 'download' });
+            const buffer = await fetchPdf(source.pdfUrl, { signal: ctx.signal });
+            const { importPdfUpload } = require('./arxiv-pipeline');
+            return withReanchorReport(await importPdfUpload(buffer, `${source.title || doi}.pdf`, {
+                id: doiDocId(doi),
+                provenance: {
+                    doi,
+                    url: `https://doi.org/${doi}`,
+                    source: 'doi',
+                    original_url: source.pdfUrl,
+                    tags: ['auto-imported', 'pdf-import'],
+                },
+            }, ctx.progress));
+        },
+        upload: async (job, { progress, attachment }) => {
+            const { importTexUpload, importPdfUpload, detectSourceKind } = require('./arxiv-pipeline');
+            const buffer = attachment();
+            const importUpload = detectSourceKind(buffer, job.input.filename) === 'pdf' ? importPdfUpload : importTexUpload;
+            return withReanchorReport(await importUpload(buffer, job.input.filename, { id: job.input.id }, progress));
+        },
+    },
+}).resume();
+
+// Run the import agent on an arXiv id, linking its llm-log to the job
+async function importWithAgent(arxivId, { progress, signal, linkLog }) {
+    const { importPaperWithAgent } = await import('./agents/import-agent/index.mjs');
+    return importPaperWithAgent(arxivId, progress, {
+        signal,
+        onLogFile: (file) => linkLog(`/docs/${path.relative(DOCS_DIR, file).split(path.sep).join('/')}`),
+    });
+}
+
+app.post('/api/import-arxiv', (req, res) => {
+    const { arxivId, legacy } = req.body;
+    if (!arxivId) return res.status(400).json({ error: 'arxivId required' });
+
+    const job = importQueue.add(legacy ? 'arxiv' : 'agent', { arxivId }, { key: arxivDocId(arxivId) });
+    res.json({ jobId: job.id, status: job.status });
+});
+
+// Import TeX sources or PDFs that aren't on arXiv. The file is the raw request body
+// (Content-Type: application/octet-stream); ?filename= names the new doc and
+// ?id= re-imports into an existing one.
+app.post('/api/import-upload', express.raw({ type: () => true, limit: '200mb' }), (req, res) => {
+    const filename = String(req.query.filename || req.get('X-Filename') || 'upload.tex');
+    const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (buffer.length === 0) return res.status(400).json({ error: 'Empty upload' });
+
+    const { detectSourceKind, slugifyDocId } = require('./arxiv-pipeline');
+    if (!detectSourceKind(buffer, filename)) {
+        return res.status(400).json({ error: 'Unsupported file — upload a .tar.gz, .tgz, .tar, .zip, .tex or .pdf' });
+    }
+
+    // Uploads with the same name are serialized so the second picks a fresh folder
+    const key = slugifyDocId(req.query.id) || `upload:${slugifyDocId(path.basename(filename).replace(/\..*$/, ''))}`;
+    const job = importQueue.add('upload', { filename, id: req.query.id || null }, { key, attachment: buffer });
+    res.json({ jobId: job.id, status: job.status });
+});
+
+// A re-import replaces paper.html — re-attach existing annotations to the new text
+async function withReanchorReport(result) {
+    if (!result || !result.id) return result;
+    try {
+        return { ...result, reanchor: await reanchorAnnotations(result.id) };
+    } catch (err) {
+        return { ...result, reanchor: { docId: result.id, error: err.message } };
+    }
+}
+
+app.get('/api/import-status/:jobId', (req, res) => {
+    const job = importQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+});
+
+app.get('/api/import-jobs', (req, res) => {
+    res.json({ jobs: importQueue.list({ status: req.query.status }) });
+});
+
+app.get('/api/import-jobs/:jobId', (req, res) => {
+    const job = importQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+});
+
+// Progress log of every attempt, plus the agent's LLM transcripts
+app.get('/api/import-jobs/:jobId/log', (req, res) => {
+    const job = importQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ jobId: job.id, entries: importQueue.readLog(job.id), llmLogs: job.llmLogs });
+});
+
+// Live event stream (SSE): replays the job's log, then follows it until the
+// 'result' event. Each message is one log entry; `id:` is its seq, so a
+// reconnecting EventSource (Last-Event-ID) only gets what it missed.
+app.get('/api/import-jobs/:jobId/events', (req, res) => {
+    const job = importQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+
+    const after = Number(req.get('Last-Event-ID')) || 0;
+    const send = (entry) => {
+        if (entry.seq > after) res.write(`id: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
+    };
+
+    const history = importQueue.readLog(job.id);
+    history.forEach(send);
+    if (['done', 'error', 'cancelled'].includes(job.status)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const onEvent = (eventJob, entry) => {
+        if (eventJob.id !== job.id) return;
+        send(entry);
+        if (entry.type === 'result') close();
+    };
+    const close = () => {
+        clearInterval(heartbeat);
+        importQueue.off('event', onEvent);
+        res.end();
+    };
+    importQueue.on('event', onEvent);
+    req.on('close', close);
+});
+
+app.post('/api/import-jobs/:jobId/cancel', (req, res) => {
+    try {
+        res.json(importQueue.cancel(req.params.jobId));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// ─── AI Chat ────────────────────────────────────────────────
+
+// Chat about whole papers: the question retrieves passages, equations and
+// variable definitions from the named documents (tools/retrieval.js), which
+// are numbered in the prompt and sent back as citations to section anchors.
+const { PaperRetriever, formatExcerpts, toCitation } = require('./tools/retrieval');
+const paperRetriever = new PaperRetriever();
+
+/**
+ * Retrieve excerpts for a question from the given documents
+ * @param {Object} [limits] - Max chunks per kind (see PaperRetriever.retrieve)
+ * @returns {Object[]} Numbered chunks (see PaperRetriever.retrieve)
+ */
+function retrieveExcerpts(question, docIds, limits = {}) {
+    const ids = [...new Set(docIds)].filter(id => id && !id.includes('..') && !id.includes('/'));
+    const found = [];
+    for (const id of ids) {
+        if (!fs.existsSync(path.join(DOCS_DIR, id, 'metadata.yaml'))) continue;
+        try {
+            paperRetriever.ensure(id, docSignature(id), () => {
+                const { meta, content } = loadDocument(id);
+                return { title: meta.short_title || meta.title || id, html: content, variables: meta.variables || [] };
+            });
+            found.push(id);
+        } catch (e) {
+            console.warn(`  ⚠️  Retrieval skipped ${id}: ${e.message}`);
+        }
+    }
+    if (!found.length) return [];
+    return paperRetriever.retrieve(question, { docIds: found, limits });
+}
+
+// ─── Conversations ──────────────────────────────────────────
+
+// Chat threads, private to the request user (data/conversations/). /api/chat
+// takes a conversationId to continue one: earlier turns go to the model and
+// the new question and answer are appended.
+const { ConversationStore } = require('./tools/conversation-store');
+const conversationStore = new ConversationStore(CONVERSATIONS_DIR);
+
+// Earlier messages sent back to the model with each question
+const CHAT_HISTORY_MESSAGES = 20;
+
+app.get('/api/conversations', (req, res) => {
+    const { docId, origin } = req.query;
+    res.json(conversationStore.list(getRequestUser(req).id, { docId: docId || null, origin: origin || null }));
+});
+
+app.post('/api/conversations', (req, res) => {
+    const user = getRequestUser(req);
+    if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+    res.status(201).json(conversationStore.create(user.id, req.body || {}));
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+    try {
+        res.json(conversationStore.get(getRequestUser(req).id, req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/conversations/:id', (req, res) => {
+    try {
+        res.json(conversationStore.update(getRequestUser(req).id, req.params.id, req.body || {}));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+    try {
+        conversationStore.remove(getRequestUser(req).id, req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+/**
+ * Find a quote in a document's text and describe it with W3C selectors
+ * @returns {{selectedText: string, selectors: Object[]}|null}
+ */
+function anchorQuote(docId, quote) {
+    if (!quote || !quote.trim()) return null;
+    const { htmlTextContent } = require('./tools/search-index');
+    const text = htmlTextContent(loadDocument(docId).content);
+    const match = TextAnchor.locateTextRange(text, [], quote);
+    if (!match) return null;
+    return { selectedText: text.slice(match.start, match.end), selectors: TextAnchor.describeTextRange(text, match.start, match.end) };
+}
+
+// Sentences of a cited passage to anchor on; ones carrying TeX (the
+// snippet has math as source, the page as rendered glyphs) are skipped
+function citationQuotes(citation) {
+    return citation.snippet.replace(/…$/, '')
+        .split(/(?<=[.!?])\s+/)
+        .filter(sentence => sentence.length >= 30 && !/[\\^_{}$]/.test(sentence))
+        .map(sentence => sentence.slice(0, 160));
+}
+
+// Save a chat answer as an AI note on the passage it discusses: the text
+// selected when asking ({ quote } or the question's context), else the
+// answer's first cited passage. Model and prompt go into annotation.ai.
+app.post('/api/conversations/:id/messages/:messageId/annotation', async (req, res) => {
+    const user = getRequestUser(req);
+    const { quote } = req.body || {};
+    let conv;
+    try {
+        conv = conversationStore.get(user.id, req.params.id);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    const index = conv.messages.findIndex(m => m.id === req.params.messageId);
+    const answer = conv.messages[index];
+    if (!answer || answer.role !== 'assistant') return res.status(404).json({ error: 'Answer not found' });
+    const question = conv.messages.slice(0, index).reverse().find(m => m.role === 'user');
+
+    const passages = (answer.citations || []).filter(c => c.kind === 'passage');
+    const selected = quote || (question && question.context);
+    const docId = req.body.docId || (!selected && passages[0] ? passages[0].docId : conv.docIds[0]);
+    if (!docId || docId.includes('..')) return res.status(400).json({ error: 'docId required' });
+
+    let anchor = null;
+    try {
+        const candidates = [quote, question && question.context, ...passages.filter(c => c.docId === docId).flatMap(citationQuotes)];
+        for (const candidate of candidates) {
+            anchor = anchorQuote(docId, candidate);
+            if (anchor) break;
+        }
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    if (!anchor) return res.status(422).json({ error: 'Could not find the passage this answer is about in the document' });
+
+    if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+    const annotation = newAnnotation(user, {
+        type: 'ai_note',
+        note: answer.content,
+        color: 'note',
+        ...anchor,
+        ai: {
+            provider: answer.provider,
+            model: answer.model,
+            prompt: question ? question.content : '',
+            conversationId: conv.id,
+            messageId: answer.id,
+        },
+    });
+    try {
+        await annotationStore.update(docId, annotations => { annotations.push(annotation); });
+    } catch (err) {
+        return sendStoreError(res, err);
+    }
+    conversationStore.updateMessage(user.id, conv.id, answer.id, {
+        notes: [...(answer.notes || []), { docId, annotationId: annotation.id }],
+    });
+    publishAnnotationChange(req, docId, 'created', { annotation });
+    res.status(201).json({ docId, annotation });
+});
+
+app.post('/api/chat', async (req, res) => {
+    const { question, context, docId, docIds, conversationId } = req.body;
+    if (!question) return res.status(400).json({ error: 'question required' });
+
+    const owner = getRequestUser(req).id;
+    let llm;
+    let conversation = null;
+    try {
+        llm = resolveProvider(req.body);
+        if (conversationId) conversation = conversationStore.get(owner, conversationId);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    // A thread remembers its papers; a request naming others moves it to them
+    let sources = [docId, ...(Array.isArray(docIds) ? docIds : [])].filter(Boolean);
+    if (conversation) {
+        if (sources.length && sources.join() !== conversation.docIds.join()) {
+            conversation = conversationStore.update(owner, conversation.id, { docIds: sources });
         }
+        sources = conversation.docIds;
+    }
+
+    let excerpts = [];
+    try {
+        excerpts = retrieveExcerpts(question, sources);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    let systemMsg = `You are a helpful assistant for the Scholarly Reader application. You help users understand academic papers. Be concise and precise. Use LaTeX notation when referencing math (e.g., $d_k$, $\\text{softmax}$).`;
+    if (excerpts.length) {
+        systemMsg += ` Ground your answer in the numbered excerpts you are given and cite them inline as [n]. If the excerpts don't cover the question, say so.`;
+    }
+
+    const messages = [
+        { role: 'system', content: systemMsg },
+    ];
+
+    if (conversation) {
+        for (const m of conversation.messages.slice(-CHAT_HISTORY_MESSAGES)) {
+            messages.push({ role: m.role, content: m.content });
+        }
+    }
+
+    if (excerpts.length) {
+        messages.push({ role: 'user', content: `Excerpts from the paper${new Set(excerpts.map(c => c.docId)).size > 1 ? 's' : ''}:\n\n${formatExcerpts(excerpts)}` });
+        messages.push({ role: 'assistant', content: 'I\'ve read the excerpts and will cite them by number.' });
+    }
+
+    if (context) {
+        messages.push({ role: 'user', content: `Here is the relevant passage from the paper:\n\n${context}` });
+        messages.push({ role: 'assistant', content: 'I\'ve read the passage. What would you like to know?' });
+    }
+
+    messages.push({ role: 'user', content: question });
+
+    const citations = excerpts.map(toCitation);
+    await streamCompletion(req, res, llm, messages, {
+        maxTokens: 1024,
+        events: citations.length ? [{ citations }] : [],
+        onComplete: (answer) => {
+            if (!conversation) return {};
+            const [asked, answered] = conversationStore.append(owner, conversation.id, [
+                { role: 'user', content: question, ...(context ? { context } : {}) },
+                { role: 'assistant', content: answer, citations, provider: llm.name, model: llm.model },
+            ]);
+            return { conversationId: conversation.id, messageIds: [asked.id, answered.id] };
+        },
+    });
+});
+
+// ─── Flashcards ─────────────────────────────────────────────
+
+// Cards parsed from flashcards artifacts, kept per document
+// (data/flashcards/{docId}.json) with the passage and variables each is
+// about. Review state is per user, scheduled with SM-2.
+const { FlashcardStore, parseFlashcards, mentionsSymbol, deckStats, dueCards, forUser, toAnkiText } = require('./tools/flashcards');
+const flashcardStore = new FlashcardStore(FLASHCARDS_DIR);
+
+/**
+ * Add an artifact version's cards to the decks of the documents they come
+ * from: each card goes to the source whose passage best matches it
+ *
+ * @returns {Object} { added, updated, docIds }
+ */
+function importFlashcards(artifact, version, createdBy) {
+    const byDoc = new Map();
+    for (const card of parseFlashcards(version.content)) {
+        const text = `${card.front}\n${card.back}`;
+        const [passage] = retrieveExcerpts(text, artifact.docIds, { passage: 1, equation: 0, variable: 0 });
+        const docId = passage ? passage.docId : artifact.docIds[0];
+        if (!docId) continue;
+
+        const variables = paperRetriever.variables(docId).filter(v => mentionsSymbol(text, v.variable)).map(v => v.variable);
+        if (!byDoc.has(docId)) byDoc.set(docId, []);
+        byDoc.get(docId).push({
+            ...card,
+            anchor: passage ? passage.anchor : null,
+            section: passage ? passage.section : null,
+            variables,
+            artifactId: artifact.id,
+            version: version.n,
+        });
+    }
+
+    const result = { added: 0, updated: 0, docIds: [...byDoc.keys()] };
+    for (const [docId, cards] of byDoc) {
+        const { added, updated } = flashcardStore.add(docId, cards, createdBy);
+        result.added += added;
+        result.updated += updated;
+    }
+    return result;
+}
+
+// ?docIds=a,b (all decks when absent)
+function flashcardDocIds(req) {
+    if (!req.query.docIds) return null;
+    return String(req.query.docIds).split(',').filter(id => /^[\w.-]+$/.test(id) && !id.includes('..'));
+}
+
+app.get('/api/flashcards', (req, res) => {
+    const userId = getRequestUser(req).id;
+    const cards = flashcardStore.cards(flashcardDocIds(req));
+    res.json({ cards: cards.map(card => forUser(card, userId)), stats: deckStats(cards, userId) });
+});
+
+// The caller's review session: due cards, then new ones (?newLimit=)
+app.get('/api/flashcards/review', (req, res) => {
+    const userId = getRequestUser(req).id;
+    const cards = flashcardStore.cards(flashcardDocIds(req));
+    const newLimit = req.query.newLimit !== undefined ? Math.max(0, Number(req.query.newLimit) || 0) : undefined;
+    res.json({
+        cards: dueCards(cards, userId, { newLimit }).map(card => forUser(card, userId)),
+        stats: deckStats(cards, userId),
+    });
+});
+
+app.get('/api/flashcards/export', (req, res) => {
+    if ((req.query.format || 'anki') !== 'anki') return res.status(400).json({ error: 'Unsupported format (anki)' });
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const text = toAnkiText(flashcardStore.cards(flashcardDocIds(req)), {
+        sourceLink: card => `${origin}/?doc=${encodeURIComponent(card.docId)}${card.anchor ? `#${encodeURIComponent(card.anchor)}` : ''}`,
+    });
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="scholarly-flashcards.txt"');
+    res.send(text);
+});
+
+// Re-import a flashcards artifact (e.g. an earlier version)
+app.post('/api/flashcards/import', (req, res) => {
+    const { artifactId, version } = req.body || {};
+    if (!artifactId) return res.status(400).json({ error: 'artifactId required' });
+    const user = getRequestUser(req);
+    try {
+        const found = artifactStore.version(artifactId, version == null ? null : Number(version));
+        if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+        res.status(201).json(importFlashcards(found.artifact, found.version, user.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/flashcards/:docId/:cardId/review', (req, res) => {
+    const user = getRequestUser(req);
+    try {
+        const card = flashcardStore.review(req.params.docId, req.params.cardId, user.id, (req.body || {}).grade);
+        if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+        res.json(forUser(card, user.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.patch('/api/flashcards/:docId/:cardId', (req, res) => {
+    try {
+        const card = flashcardStore.update(req.params.docId, req.params.cardId, req.body || {});
+        res.json(forUser(card, getRequestUser(req).id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/flashcards/:docId/:cardId', (req, res) => {
+    try {
+        flashcardStore.remove(req.params.docId, req.params.cardId);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// ─── Quizzes ────────────────────────────────────────────────
+
+// Multiple-choice questions parsed from quiz artifacts
+// (data/quizzes/{id}.json), each linked to the paper section its
+// explanation comes from. Answers stay on the server until the question is
+// answered; attempts and scores are per user.
+const { QuizStore, parseQuiz, publicQuiz } = require('./tools/quizzes');
+const quizStore = new QuizStore(QUIZZES_DIR);
+
+/**
+ * The quiz for an artifact version, created on first use
+ *
+ * @returns {Object|null} The stored quiz, or null when no questions parse
+ */
+function importQuiz(artifact, version, createdBy) {
+    const existing = quizStore.forArtifact(artifact.id, version.n);
+    if (existing) return existing;
+
+    const questions = parseQuiz(version.content).map(q => {
+        const correct = q.options.find(o => o.key === q.answer);
+        const text = `${q.question}\n${correct.text}\n${q.explanation}`;
+        const [passage] = retrieveExcerpts(text, artifact.docIds, { passage: 1, equation: 0, variable: 0 });
+        return {
+            ...q,
+            docId: passage ? passage.docId : artifact.docIds[0] || null,
+            anchor: passage ? passage.anchor : null,
+            section: passage ? passage.section : null,
+        };
+    });
+    if (!questions.length) return null;
+    return quizStore.create({ artifactId: artifact.id, version: version.n, title: artifact.label, docIds: artifact.docIds, questions }, createdBy);
+}
+
+app.get('/api/quizzes', (req, res) => {
+    const docId = req.query.docId ? String(req.query.docId) : null;
+    res.json(quizStore.list({ docId, userId: getRequestUser(req).id }));
+});
+
+// Make a quiz from a quiz artifact version (the latest by default)
+app.post('/api/quizzes', (req, res) => {
+    const { artifactId, version } = req.body || {};
+    if (!artifactId) return res.status(400).json({ error: 'artifactId required' });
+    const user = getRequestUser(req);
+    try {
+        const found = artifactStore.version(artifactId, version == null ? null : Number(version));
+        if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+        const quiz = importQuiz(found.artifact, found.version, user.id);
+        if (!quiz) return res.status(422).json({ error: 'No multiple-choice questions found' });
+        res.status(201).json(publicQuiz(quiz, user.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Scores summed per user and document (?docId=, ?user= or ?mine=1 for the caller)
+app.get('/api/quizzes/scores', (req, res) => {
+    const userId = req.query.mine ? getRequestUser(req).id : req.query.user ? String(req.query.user) : null;
+    res.json(quizStore.scores({ docId: req.query.docId ? String(req.query.docId) : null, userId }));
+});
+
+app.get('/api/quizzes/:id', (req, res) => {
+    try {
+        res.json(publicQuiz(quizStore.get(req.params.id), getRequestUser(req).id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/quizzes/:id/attempts', (req, res) => {
+    const user = getRequestUser(req);
+    try {
+        const attempt = quizStore.startAttempt(req.params.id, user.id);
+        if (user.id !== DEFAULT_USER_ID) ensureUser(user);
+        res.status(201).json(attempt);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Answer one question; the response reveals the answer and explanation
+app.post('/api/quizzes/:id/attempts/:attemptId/answers', (req, res) => {
+    const { questionId, choice } = req.body || {};
+    if (!questionId || !choice) return res.status(400).json({ error: 'questionId and choice required' });
+    try {
+        res.json(quizStore.answer(req.params.id, req.params.attemptId, getRequestUser(req).id, questionId, choice));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/quizzes/:id', (req, res) => {
+    try {
+        quizStore.remove(req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// ─── Data Tables ────────────────────────────────────────────
+
+// Tables from data_table artifacts as structured rows whose cells link to
+// the paper table row or sentence stating them; /api/tables merges the
+// latest tables of several papers into comparison tables.
+const { parseTables, paperSources, linkCell, mergeTables } = require('./tools/data-tables');
+
+const paperSourcesCache = new Map(); // docId → { signature, sources }
+
+function paperSourcesFor(docId) {
+    if (!fs.existsSync(path.join(DOCS_DIR, docId, 'metadata.yaml'))) return null;
+    const signature = docSignature(docId);
+    const cached = paperSourcesCache.get(docId);
+    if (cached && cached.signature === signature) return cached.sources;
+    const sources = paperSources(loadDocument(docId).content, docId);
+    paperSourcesCache.set(docId, { signature, sources });
+    return sources;
+}
+
+/**
+ * An artifact version's tables with each cell's source and each row's paper
+ *
+ * Numeric cells link to where the paper states the value; text cells share
+ * their row's table link, or the passage that best matches the row.
+ */
+function linkedTables(artifact, version) {
+    const papers = artifact.docIds.map(paperSourcesFor).filter(Boolean);
+    const tables = parseTables(version.content);
+    for (const table of tables) {
+        for (const row of table.rows) {
+            const rowText = row.cells.map(c => c.text).join(' ');
+            row.cells.forEach((cell, i) => {
+                cell.source = linkCell(cell.text, `${rowText} ${table.columns[i]} ${table.title}`, papers);
+            });
+
+            const linked = row.cells.map(c => c.source).filter(Boolean);
+            let rowSource = linked.find(l => l.kind === 'table') || null;
+            if (!rowSource && rowText.trim()) {
+                const [passage] = retrieveExcerpts(`${rowText} ${table.title}`, artifact.docIds, { passage: 1, equation: 0, variable: 0 });
+                if (passage) rowSource = { kind: 'passage', docId: passage.docId, anchor: passage.anchor, label: passage.section, text: passage.text.slice(0, 240) };
+            }
+            row.cells.forEach(cell => { if (!cell.source && cell.text && rowSource) cell.source = rowSource; });
+
+            // The row belongs to the paper most of its cells come from
+            const counts = new Map();
+            row.cells.forEach(c => { if (c.source) counts.set(c.source.docId, (counts.get(c.source.docId) || 0) + 1); });
+            row.docId = [...counts].sort((a, b) => b[1] - a[1]).map(([docId]) => docId)[0]
+                || (artifact.docIds.length === 1 ? artifact.docIds[0] : null);
+        }
+    }
+    return tables;
+}
+
+app.get('/api/artifacts/:id/tables', (req, res) => {
+    try {
+        const { artifact, version } = artifactStore.version(req.params.id, req.query.version || null);
+        res.json({ artifactId: artifact.id, version: version.n, docIds: artifact.docIds, tables: linkedTables(artifact, version) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Comparison tables for ?docIds=a,b from each paper's latest data_table artifact
+app.get('/api/tables', (req, res) => {
+    const docIds = String(req.query.docIds || '').split(',').filter(id => /^[\w.-]+$/.test(id) && !id.includes('..'));
+    if (!docIds.length) return res.status(400).json({ error: 'docIds required' });
+
+    try {
+        const byArtifact = new Map();
+        const sets = [];
+        const sources = [];
+        const missing = [];
+        for (const docId of docIds) {
+            const [latest] = artifactStore.list({ docId, operation: 'data_table' });
+            if (!latest || !latest.latest) {
+                missing.push(docId);
+                continue;
+            }
+            if (!byArtifact.has(latest.id)) {
+                const { artifact, version } = artifactStore.version(latest.id);
+                byArtifact.set(latest.id, linkedTables(artifact, version));
+            }
+            // A multi-paper artifact contributes each paper's own rows
+            const tables = byArtifact.get(latest.id)
+                .map(table => ({ ...table, rows: table.rows.filter(row => row.docId === docId || (latest.docIds.length === 1 && !row.docId)) }))
+                .filter(table => table.rows.length);
+            let title = docId;
+            try {
+                const { meta } = loadDocument(docId);
+                title = meta.short_title || meta.title || docId;
+            } catch { }
+            sets.push({ docId, title, tables });
+            sources.push({ docId, artifactId: latest.id, version: latest.latest.n });
+        }
+        res.json({ tables: mergeTables(sets), sources, missing });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// ─── Paper Comparison ───────────────────────────────────────
+
+// Papers side by side: sections aligned by role, shared and differing
+// notation from their variable registries, and the references they share.
+const { comparePapers } = require('./tools/paper-compare');
+const { extractReferences } = require('./tools/references');
+
+app.get('/api/compare', (req, res) => {
+    const docIds = [...new Set(String(req.query.docIds || '').split(',').filter(id => /^[\w.-]+$/.test(id) && !id.includes('..')))];
+    if (docIds.length < 2) return res.status(400).json({ error: 'At least two docIds required' });
+
+    try {
+        const papers = docIds.map(docId => {
+            const { meta, content } = loadDocument(docId);
+            return {
+                docId,
+                title: meta.short_title || meta.title || docId,
+                year: meta.year,
+                html: content,
+                abstract: meta.abstract,
+                variables: meta.variables,
+                references: extractReferences(content),
+            };
+        });
+        res.json(comparePapers(papers));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// ─── Citation Graph ─────────────────────────────────────────
+
+// References of every library document resolved against the library:
+// edges between documents, plus the external works they cite.
+const { buildCitationGraph, neighbourhood, documentKeys } = require('./tools/citation-graph');
+
+const citationCache = new Map(); // docId → { signature, meta, references }
+
+function citationsFor(docId) {
+    const signature = docSignature(docId);
+    const cached = citationCache.get(docId);
+    if (cached && cached.signature === signature) return cached;
+    const { meta, content } = loadDocument(docId);
+    const entry = { signature, meta, references: extractReferences(content) };
+    citationCache.set(docId, entry);
+    return entry;
+}
+
+function citationGraph() {
+    const docs = [];
+    for (const docId of listDocIds()) {
+        try {
+            const { meta, references } = citationsFor(docId);
+            docs.push({ docId, meta, references });
+        } catch (err) {
+            console.warn(`Citation graph: skipping ${docId}: ${err.message}`);
+        }
+    }
+    return buildCitationGraph(docs);
+}
+
+app.get('/api/graph', (req, res) => {
+    try {
+        let graph = citationGraph();
+        if (req.query.external === '0') {
+            graph = { nodes: graph.nodes.filter(n => n.inLibrary), edges: graph.edges.filter(e => !e.target.startsWith('ref:')) };
+        }
+        res.json(graph);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/graph/:id', (req, res) => {
+    try {
+        const graph = citationGraph();
+        if (!graph.nodes.some(n => n.id === req.params.id)) return res.status(404).json({ error: 'Not in the citation graph' });
+        res.json(neighbourhood(graph, req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// A document's references with the library document each resolves to, or
+// the arXiv id or DOI it can be imported from, the doc an arXiv import would
+// become (a DOI's is only known once resolved) and the import under way
+const { referenceKeys, referenceArxivId } = require('./tools/references');
+
+// Queue key of a reference's import: the arXiv doc id, or for other DOIs the
+// folder their PDF would be imported into
+function referenceImportKey(arxivId, doi) {
+    if (arxivId) return arxivDocId(arxivId);
+    return doi ? doiDocId(doi) : null;
+}
+
+function activeImport(key) {
+    return importQueue.list().find(job => job.key === key && (job.status === 'queued' || job.status === 'running')) || null;
+}
+
+function resolvedReferences(docId) {
+    const { meta, references } = citationsFor(docId);
+    const own = new Set(documentKeys(meta));
+    const inLibrary = new Map(); // num → docId
+    for (const edge of citationGraph().edges) {
+        if (edge.source !== docId || edge.target.startsWith('ref:')) continue;
+        edge.refs.forEach(num => { if (!inLibrary.has(num)) inLibrary.set(num, edge.target); });
+    }
+    // A paper citing itself is neither in the library elsewhere nor importable
+    return references.filter(ref => !referenceKeys(ref).some(k => own.has(k))).map(ref => {
+        const arxivId = referenceArxivId(ref);
+        const folder = referenceImportKey(arxivId, ref.doi);
+        let libraryDoc = inLibrary.get(ref.num) || null;
+        if (!libraryDoc && folder && fs.existsSync(path.join(DOCS_DIR, folder, 'metadata.yaml'))) libraryDoc = folder;
+        const job = !libraryDoc && folder ? activeImport(folder) : null;
+        return {
+            num: ref.num,
+            title: ref.title,
+            year: ref.year,
+            arxivId,
+            doi: ref.doi,
+            url: ref.url,
+            docId: libraryDoc,
+            importable: !libraryDoc && !!folder,
+            importDocId: !libraryDoc && arxivId ? folder : null,
+            importJob: job ? job.id : null,
+        };
+    });
+}
+
+app.get('/api/doc/:id/references', (req, res) => {
+    const { id } = req.params;
+    if (id.includes('..')) return res.status(400).json({ error: 'Invalid id' });
+    try {
+        res.json(resolvedReferences(id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Import a cited paper: an arXiv id (or arXiv DOI) goes to the import agent; other
+// DOIs are resolved to their arXiv preprint or open-access PDF by a 'doi' job
+app.post('/api/doc/:id/references/:num/import', (req, res) => {
+    const { id } = req.params;
+    if (id.includes('..')) return res.status(400).json({ error: 'Invalid id' });
+    try {
+        const ref = resolvedReferences(id).find(r => r.num === Number(req.params.num));
+        if (!ref) return res.status(404).json({ error: 'Reference not found' });
+        if (ref.docId) return res.json({ docId: ref.docId, status: 'done' });
+        if (!ref.importable) return res.status(422).json({ error: 'No arXiv id or DOI in this reference' });
+        const job = ref.importJob ? importQueue.get(ref.importJob)
+            : ref.arxivId ? importQueue.add('agent', { arxivId: ref.arxivId }, { key: arxivDocId(ref.arxivId) })
+                : importQueue.add('doi', { doi: ref.doi }, { key: doiDocId(ref.doi) });
+        res.status(ref.importJob ? 200 : 202).json({ jobId: job.id, status: job.status, arxivId: ref.arxivId, doi: ref.doi, docId: ref.importDocId });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
 if (require.main === module) {
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
         console.log(`📖 Scholarly Reader on http://localhost:${PORT}`);
         const yaml = require('js-yaml');
         const folders = fs.readdirSync(DOCS_DIR, { withFileTypes: true })
@@ -621,12 +2264,14 @@ if (require.main === module) {
                 console.log(`   • ${meta.short_title || meta.title} (${d.name}/)`);
             } catch { console.log(`   • ${d.name}/`); }
         });
-        if (process.env.OPENAI_API_KEY) {
-            console.log(`   🤖 AI features enabled (OpenAI)`);
+        const llmDefault = describeProviders().default;
+        if (llmDefault) {
+            console.log(`   🤖 AI features enabled (${llmDefault})`);
         } else {
-            console.log(`   ⚠️  No OPENAI_API_KEY — AI features disabled (set in .env)`);
+            console.log(`   ⚠️  No LLM provider configured — AI features disabled (set OPENAI_API_KEY, ANTHROPIC_API_KEY or LLM_PROVIDER in .env)`);
         }
     });
+    collab.attach(server);
 }
 
 module.exports = app;
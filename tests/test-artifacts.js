@@ -0,0 +1,88 @@
+/**
+ * Studio artifact tests — tools/artifact-store.js
+ *
+ * Saves, versions and diffs artifacts in a temp directory.
+ *
+ * Usage: node tests/test-artifacts.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArtifactStore, diffLines } = require('../tools/artifact-store');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Studio Artifact Tests\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-artifacts-'));
+
+    try {
+        // Line diff
+        const ops = (lines) => lines.map(l => `${l.op}${l.text}`);
+        assert('Identical texts diff to unchanged lines', ops(diffLines('a\nb', 'a\nb')).join('|') === '=a|=b');
+        assert('Changed lines are a removal then an addition',
+            ops(diffLines('a\nb\nc', 'a\nB\nc')).join('|') === '=a|-b|+B|=c');
+        assert('Insertions and deletions keep the common lines in order',
+            ops(diffLines('one\ntwo\nthree\nfour', 'zero\none\nthree\nfour\nfive')).join('|') === '+zero|=one|-two|=three|=four|+five');
+        const a = Array.from({ length: 3000 }, (_, i) => `line ${i}`).join('\n');
+        const b = Array.from({ length: 3000 }, (_, i) => `row ${i}`).join('\n');
+        const big = diffLines(a, b);
+        assert('Very large diffs fall back to remove-all/add-all', big.length === 6000 && big[0].op === '-' && big[5999].op === '+');
+
+        // Store
+        const store = new ArtifactStore(dir);
+        const artifact = store.create({ operation: 'quiz', label: '  Quiz\n', prompt: 'Ask', docIds: ['p1', 'p1', '../x', 'p2'], createdBy: 'alice' });
+        assert('Artifacts are created without versions', artifact.id && artifact.versions.length === 0 && artifact.label === 'Quiz');
+        assert('Source ids are de-duplicated and sanitized', artifact.docIds.join() === 'p1,p2');
+
+        const v1 = store.addVersion(artifact.id, { content: 'Q1\nQ2', provider: 'mock', model: 'm', createdBy: 'alice' });
+        const v2 = store.addVersion(artifact.id, { content: 'Q1\nQ3', prompt: 'Ask harder', provider: 'mock', model: 'm', createdBy: 'bob' });
+        assert('Versions are numbered from 1', v1.n === 1 && v2.n === 2);
+        assert('A version keeps the artifact prompt unless the run overrides it', v1.prompt === 'Ask' && v2.prompt === 'Ask harder');
+        assert('version() returns the latest by default', store.version(artifact.id).version.n === 2 && store.version(artifact.id, 1).version.content === 'Q1\nQ2');
+
+        const diff = store.diff(artifact.id);
+        assert('diff() compares the latest version with the one before', diff.from === 1 && diff.to === 2 && diff.added === 1 && diff.removed === 1);
+
+        store.create({ operation: 'summary', docIds: ['p3'] });
+        const listed = store.list({ docId: 'p1' });
+        assert('list() filters by source document', listed.length === 1 && listed[0].id === artifact.id);
+        assert('Summaries carry the latest version but no contents', listed[0].versionCount === 2 && listed[0].latest.n === 2 &&
+            !listed[0].versions && !('prompt' in listed[0]));
+        assert('list() filters by operation', store.list({ operation: 'summary' }).length === 1);
+
+        let status = null;
+        try { store.version(artifact.id, 7); } catch (err) { status = err.status; }
+        assert('Missing versions are 404s', status === 404);
+        status = null;
+        try { store.get('../etc'); } catch (err) { status = err.status; }
+        assert('Invalid ids are rejected', status === 400);
+
+        store.remove(artifact.id);
+        status = null;
+        try { store.get(artifact.id); } catch (err) { status = err.status; }
+        assert('remove() deletes the artifact', status === 404);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,186 @@
+/**
+ * Bibliography tests — tools/bibtex.js
+ *
+ * .bib and .bbl parsing, TeX text, citation numbering and rendering.
+ *
+ * Usage: node tests/test-bibtex.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseBibtex, parseBbl, bibEntryReference, latexToText, citedKeys, findBibliographySources,
+    resolveBibliography, stripBibliography, citationBadges, referencesHtml, promptBibliography, markdownReferences,
+} = require('../tools/bibtex');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const BIB = `% A comment outside entries
+@string{nips = "Advances in Neural Information Processing Systems"}
+@comment{ @article{ignored, title = {Ignored}} }
+
+@inproceedings{vaswani2017,
+  author    = {Vaswani, Ashish and Shazeer, Noam and Parmar, Niki and others},
+  title     = {Attention is All you {Need}},
+  booktitle = nips # " 30",
+  year      = 2017,
+  month     = dec,
+  eprint    = {1706.03762},
+  archivePrefix = {arXiv},
+}
+
+@Article( he2016,
+  Author = "He, Kaiming and Zhang, Xiangyu",
+  Title = "Deep Residual Learning for Image Recognition",
+  Journal = {CVPR},
+  Year = {2016},
+  DOI = {https://doi.org/10.1109/CVPR.2016.90}
+)
+
+@misc{godel1931,
+  author = {G{\\"o}del, Kurt and Erd\\H{o}s, P\\'al},
+  title  = {{\\"U}ber formal unentscheidbare S\\"atze --- Teil~I},
+  year   = {1931},
+  url    = {https://example.org/godel}
+}
+`;
+
+const BBL = String.raw`\begin{thebibliography}{2}
+\providecommand{\natexlab}[1]{#1}
+\providecommand{\url}[1]{\texttt{#1}}
+
+\bibitem[He et~al.(2016)He, Zhang]{he2016}
+Kaiming He and Xiangyu Zhang.
+\newblock Deep residual learning for image recognition.
+\newblock In \emph{CVPR}, 2016.
+
+\bibitem[Vaswani et~al.(2017)]{vaswani2017}
+Ashish Vaswani, Noam Shazeer, and Niki Parmar.
+\newblock Attention is all you need.
+\newblock \emph{arXiv preprint arXiv:1706.03762}, 2017.
+
+\end{thebibliography}
+`;
+
+const BIBLATEX_BBL = String.raw`\refsection{0}
+  \datalist[entry]{nty/global//global/global}
+    \entry{vaswani2017}{inproceedings}{}
+      \name{author}{2}{}{%
+        {{hash=a1}{%
+           family={Vaswani},
+           familyi={V\bibinitperiod},
+           given={Ashish},
+           giveni={A\bibinitperiod}}}%
+        {{hash=b2}{%
+           family={Shazeer},
+           familyi={S\bibinitperiod},
+           given={Noam},
+           giveni={N\bibinitperiod}}}%
+      }
+      \field{booktitle}{NeurIPS}
+      \field{title}{Attention is all you need}
+      \field{year}{2017}
+      \verb{doi}
+      \verb 10.5555/3295222.3295349
+      \endverb
+    \endentry
+  \enddatalist
+\endrefsection
+`;
+
+const TEX = String.raw`\documentclass{article}
+\begin{document}
+Transformers \citep[see][p.~3]{vaswani2017} replace ResNets \citet{he2016, vaswani2017}.
+% \cite{commented}
+Unknown \cite{nobody}. \nocite{godel1931}
+\bibliographystyle{plainnat}
+\bibliography{refs}
+\end{document}`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Bibliography Tests\n');
+
+    try {
+        // .bib
+        const entries = parseBibtex(BIB);
+        assert('Entries are read in either delimiter style; @comment and @string are not entries',
+            entries.map(e => e.key).join() === 'vaswani2017,he2016,godel1931' && entries[1].type === 'article');
+        const [vaswani, he, godel] = entries.map(bibEntryReference);
+        assert('@string macros, # concatenation and month names are expanded',
+            vaswani.venue === 'Advances in Neural Information Processing Systems 30' && entries[0].fields.month === 'December');
+        assert('Authors become "First Last", with "others" as et al.',
+            vaswani.authors.join('|') === 'Ashish Vaswani|Noam Shazeer|Niki Parmar|et al.' && he.authors.join('|') === 'Kaiming He|Xiangyu Zhang');
+        assert('arXiv eprints, DOIs (without their resolver) and URLs are kept',
+            vaswani.arxivId === '1706.03762' && he.doi === '10.1109/CVPR.2016.90' && godel.url === 'https://example.org/godel' && vaswani.year === 2017);
+        assert('TeX accents, dashes and ties become text',
+            godel.authors.join('|') === 'Kurt Gödel|Pál Erdős' && godel.title === 'Über formal unentscheidbare Sätze — Teil I');
+        assert('latexToText drops braces and formatting', latexToText('{\\em Deep} \\textbf{Nets} \\& {GPUs}') === 'Deep Nets & GPUs');
+
+        // .bbl
+        const items = parseBbl(BBL);
+        assert('\\bibitem lists keep print order, authors, title and venue', items.map(r => r.key).join() === 'he2016,vaswani2017' &&
+            items[0].authors.join('|') === 'Kaiming He|Xiangyu Zhang' && items[0].title === 'Deep residual learning for image recognition' &&
+            items[0].venue === 'CVPR' && items[0].year === 2016);
+        assert('\\bibitem entries find arXiv ids in their text', items[1].arxivId === '1706.03762' && items[1].authors.length === 3);
+        const [blx] = parseBbl(BIBLATEX_BBL);
+        assert('biblatex .bbl entries read names, fields and verbatim DOIs', blx.key === 'vaswani2017' &&
+            blx.authors.join('|') === 'Ashish Vaswani|Noam Shazeer' && blx.venue === 'NeurIPS' && blx.doi === '10.5555/3295222.3295349');
+
+        // Resolving
+        assert('Cited keys in order of first citation, ignoring comments', citedKeys(TEX).join() === 'vaswani2017,he2016,nobody,godel1931');
+        const bib = resolveBibliography(TEX, { bib: [BIB] });
+        assert('With only a .bib, references are numbered by first citation', bib.references.map(r => `${r.num}:${r.key}`).join() === '1:vaswani2017,2:he2016,3:godel1931' &&
+            !bib.numbers.has('nobody'));
+        const printed = resolveBibliography(TEX, { bib: [BIB], bbl: [BBL] });
+        assert('A .bbl sets the numbers; the .bib fills in what it lacks', printed.references.map(r => r.key).join() === 'he2016,vaswani2017,godel1931' &&
+            printed.references[0].doi === '10.1109/CVPR.2016.90' && printed.references[0].title === 'Deep residual learning for image recognition');
+        const inline = resolveBibliography(`\\cite{vaswani2017}\n${BBL}`);
+        assert('An inline thebibliography is read as well', inline.references.length === 2 && inline.numbers.get('vaswani2017') === 2);
+        assert('stripBibliography removes the bibliography commands', !/bibliography|thebibliography/.test(stripBibliography(`${TEX}\n${BBL}`)));
+
+        // Sources on disk
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bibtex-test-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'refs.bib'), BIB);
+            fs.writeFileSync(path.join(dir, 'main.bbl'), BBL);
+            const sources = findBibliographySources(TEX, dir, path.join(dir, 'main.tex'));
+            assert('\\bibliography{} names the .bib; the .bbl is found by the main file name', sources.bib.length === 1 && sources.bbl.length === 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        // Rendering
+        const badges = citationBadges(['vaswani2017', 'nobody'], bib);
+        assert('Badges carry number, title and link; unknown keys stay as [key]',
+            badges === '<sup class="ref-badge" data-ref="1" data-title="Attention is All you Need" data-url="https://arxiv.org/abs/1706.03762">1</sup>[nobody]');
+        const list = referencesHtml(bib);
+        assert('The reference list is numbered ref-N with authors, venue and DOI link',
+            list.startsWith('<ol class="references">') && list.includes('<li id="ref-2"><strong>Kaiming He and Xiangyu Zhang.</strong> Deep Residual Learning for Image Recognition. <em>CVPR</em>, 2016.') &&
+            list.includes('href="https://doi.org/10.1109/CVPR.2016.90"') && referencesHtml({ references: [] }) === '');
+        assert('The prompt bibliography has one line per reference',
+            promptBibliography(bib).split('\n')[1] === '[2] he2016: Kaiming He and Xiangyu Zhang. Deep Residual Learning for Image Recognition. CVPR, 2016. doi:10.1109/CVPR.2016.90');
+        const md = markdownReferences(bib, { 1: 'We propose the "Transformer".' });
+        assert('Markdown @references use the same numbers and keep quotes', md.startsWith('<!-- @references -->\n[^1]: title="Attention is All you Need"') &&
+            md.includes("quote=\"We propose the 'Transformer'.\"") && md.includes('[^3]: title="Über formal'));
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
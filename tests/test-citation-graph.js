@@ -0,0 +1,90 @@
+/**
+ * Citation graph tests — tools/citation-graph.js
+ *
+ * Resolving references against library metadata, grouping external works
+ * and neighbourhoods.
+ *
+ * Usage: node tests/test-citation-graph.js
+ */
+
+const { buildCitationGraph, neighbourhood, documentKeys } = require('../tools/citation-graph');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const DOCS = [
+    {
+        docId: 'transformer',
+        meta: { title: 'Attention Is All You Need', arxiv_id: '1706.03762v5', year: 2017 },
+        references: [
+            { num: 1, title: 'Neural machine translation by jointly learning to align and translate', arxivId: '1409.0473' },
+            { num: 2, title: 'Long short-term memory', doi: '10.1162/neco.1997.9.8.1735' },
+            { num: 3, title: 'Attention is all you need', arxivId: null },
+        ],
+    },
+    {
+        docId: 'bert',
+        meta: { short_title: 'BERT', title: 'BERT: Pre-training of Deep Bidirectional Transformers', doi: '10.48550/arXiv.1810.04805', year: 2018 },
+        references: [
+            { num: 4, title: 'Attention is all you need', arxivId: '1706.03762' },
+            { num: 7, title: 'Neural Machine Translation by Jointly Learning to Align and Translate', arxivId: null },
+            { num: 9, title: 'Long short-term memory', doi: '10.1162/NECO.1997.9.8.1735' },
+            { num: 12, title: 'Attention is all you need (NeurIPS version)', doi: null },
+        ],
+    },
+    {
+        docId: 'roberta',
+        meta: { title: 'RoBERTa: A Robustly Optimized BERT Pretraining Approach', arxiv_id: '1907.11692' },
+        references: [{ num: 2, title: 'BERT', arxivId: '1810.04805' }],
+    },
+];
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Citation Graph Tests\n');
+
+    try {
+        assert('Documents are known by arXiv id, DOI and title', documentKeys(DOCS[0].meta).join() === 'arxiv:1706.03762,title:attention is all you need');
+        assert('arXiv DOIs also name the preprint', documentKeys(DOCS[1].meta).includes('arxiv:1810.04805'));
+
+        const graph = buildCitationGraph(DOCS);
+        const node = id => graph.nodes.find(n => n.id === id);
+        const edge = (source, target) => graph.edges.find(e => e.source === source && e.target === target);
+
+        assert('Every library document is a node', ['transformer', 'bert', 'roberta'].every(id => node(id) && node(id).inLibrary) &&
+            node('bert').title === 'BERT' && node('transformer').arxivId === '1706.03762');
+        assert('References to library documents become edges between them', edge('bert', 'transformer') && edge('roberta', 'bert') &&
+            edge('bert', 'transformer').refs.join() === '4');
+        assert('A paper citing its own title is not an edge', !edge('transformer', 'transformer'));
+        assert('External works are shared by the papers citing them', node('ref:arxiv:1409.0473').citedBy === 2 &&
+            edge('bert', 'ref:arxiv:1409.0473').refs.join() === '7' && node('ref:arxiv:1409.0473').url === 'https://arxiv.org/abs/1409.0473');
+        assert('DOIs match regardless of case and link to doi.org', node('ref:doi:10.1162/neco.1997.9.8.1735').citedBy === 2 &&
+            node('ref:doi:10.1162/neco.1997.9.8.1735').url.startsWith('https://doi.org/'));
+        assert('Unmatched references stay external by title', node('ref:title:attention is all you need neurips version') &&
+            !node('ref:title:attention is all you need neurips version').inLibrary);
+        assert('Nodes count what they cite and what cites them', node('transformer').citedBy === 1 && node('transformer').cites === 2 &&
+            node('bert').cites === 4 && node('bert').citedBy === 1);
+
+        const around = neighbourhood(graph, 'bert');
+        assert('A neighbourhood holds the node, what it cites and what cites it',
+            around.nodes.length === 6 && around.nodes.some(n => n.id === 'roberta') && around.edges.length === 5 &&
+            around.edges.every(e => e.source === 'bert' || e.target === 'bert'));
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
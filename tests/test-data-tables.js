@@ -0,0 +1,115 @@
+/**
+ * Data table tests — tools/data-tables.js
+ *
+ * Markdown table parsing, numbers, cell linking and merging across papers.
+ *
+ * Usage: node tests/test-data-tables.js
+ */
+
+const { parseTables, parseNumber, paperSources, linkCell, mergeTables } = require('../tools/data-tables');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const MARKDOWN = `Here is the extracted data.
+
+### Hyperparameters & Settings
+| Parameter | Value | Description |
+|-----------|:-----:|-------------|
+| **d_model** | 512 | Model width |
+| Dropout | 0.1 | Residual \\| attention |
+| ... | ... | ... |
+
+**Main Results**
+
+| Model | BLEU EN-DE | Cost |
+|---|---|---|
+| Transformer (big) | 28.4 | 2.3·10¹⁹ |
+| ConvS2S | ~25.2 |
+| GNMT | — | 1.4 × 10^20 |
+
+| Not a table
+`;
+
+const HTML = `
+<h2 id="sec-training">5. Training</h2>
+<p>We apply dropout with a rate of 0.1 to each sub-layer. The base model trains for 100,000 steps.</p>
+<h2 id="sec-results">6. Results</h2>
+<p class="table-caption"><strong>Table 2.</strong> BLEU scores on newstest2014.</p>
+<table class="article-table" id="tab-wmt">
+  <tr><th>Model</th><th>EN-DE</th></tr>
+  <tr><td>ConvS2S <sup class="ref-badge" data-ref="9">9</sup></td><td>25.16</td></tr>
+  <tr><td>Transformer (big)</td><td>28.4</td></tr>
+</table>
+<p>Our big model reaches 28.4 BLEU.</p>
+`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Data Table Tests\n');
+
+    try {
+        // Parsing
+        const tables = parseTables(MARKDOWN);
+        assert('Pipe tables are parsed with the heading above them as title',
+            tables.length === 2 && tables[0].title === 'Hyperparameters & Settings' && tables[1].title === 'Main Results');
+        assert('Header, emphasis and escaped pipes are handled', tables[0].columns.join() === 'Parameter,Value,Description' &&
+            tables[0].rows[0].cells[0].text === 'd_model' && tables[0].rows[1].cells[2].text === 'Residual | attention');
+        assert('Placeholder rows are dropped and short rows padded', tables[0].rows.length === 2 && tables[1].rows[1].cells.length === 3 &&
+            tables[1].rows[1].cells[2].text === '');
+        assert('Cells carry their numbers', tables[1].rows[0].cells[1].value === 28.4 && tables[1].rows[1].cells[1].value === 25.2 &&
+            tables[1].rows[0].cells[0].value === null);
+
+        assert('Numbers: estimates, units, suffixes and percentages', parseNumber('~3.5 days') === 3.5 && parseNumber('65M') === 65e6 &&
+            parseNumber('27.3%') === 27.3 && parseNumber('4,500') === 4500 && parseNumber('2e-4') === 0.0002);
+        assert('Numbers: powers of ten in plain text, TeX and superscripts', parseNumber('2.3·10¹⁹') === 2.3e19 &&
+            parseNumber('1.4 × 10^20') === 1.4e20 && parseNumber('$3.3 \\times 10^{18}$') === 3.3e18);
+        assert('Text, dashes and ranges are not numbers', parseNumber('Adam') === null && parseNumber('—') === null && parseNumber('0.1–0.3') === null);
+
+        // Linking
+        const sources = paperSources(HTML, 'paper');
+        assert('Paper table rows keep their table anchor and label, without reference badges',
+            sources.rows.some(r => r.anchor === 'tab-wmt' && r.label === 'Table 2' && r.text === 'ConvS2S | 25.16'));
+        assert('Sentences with numbers are kept with their section', sources.sentences.some(s => s.anchor === 'sec-training' && s.text.startsWith('We apply dropout')) &&
+            !sources.sentences.some(s => s.text.includes('25.16')));
+
+        const big = linkCell('28.4', 'Transformer (big) 28.4 BLEU EN-DE Main Results', [sources]);
+        assert('Values found in a paper table link to its row', big.kind === 'table' && big.anchor === 'tab-wmt' && big.docId === 'paper' && big.label === 'Table 2');
+        const dropout = linkCell('0.1', 'Dropout 0.1 Value', [sources]);
+        assert('Values stated in prose link to the sentence', dropout.kind === 'sentence' && dropout.anchor === 'sec-training' && dropout.label === '5. Training');
+        assert('Steps written with separators still match', linkCell('100,000', 'steps', [sources]).kind === 'sentence');
+        assert('Text and unknown values have no link', linkCell('Adam', 'optimizer', [sources]) === null && linkCell('99.9', 'x', [sources]) === null);
+
+        // Merging
+        const merged = mergeTables([
+            { docId: 'a', title: 'Paper A', tables: [{ title: 'Main Results', columns: ['Model', 'BLEU'], rows: [{ cells: [{ text: 'A1', value: null }, { text: '28', value: 28 }] }] }] },
+            { docId: 'b', title: 'Paper B', tables: [
+                { title: 'main results', columns: ['Method', 'Params', 'bleu'], rows: [{ cells: [{ text: 'B1', value: null }, { text: '65M', value: 65e6 }, { text: '26', value: 26 }] }] },
+                { title: 'Notation', columns: ['Symbol', 'Meaning'], rows: [{ cells: [{ text: 'h', value: null }, { text: 'heads', value: null }] }] },
+            ] },
+        ]);
+        const results = merged.find(t => t.title === 'Main Results');
+        assert('Tables with the same title merge across papers', merged.length === 2 && results.papers.join() === 'a,b' && results.rows.length === 2);
+        assert('Columns line up by name; the first columns line up', results.columns.join() === 'Paper,Model,BLEU,Params' &&
+            results.rows[1].cells.map(c => c.text).join() === 'Paper B,B1,26,65M');
+        assert('Missing cells are empty and the Paper column links the paper', results.rows[0].cells[3].text === '' &&
+            results.rows[0].cells[0].source.docId === 'a' && results.rows[0].docId === 'a');
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
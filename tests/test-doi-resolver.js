@@ -0,0 +1,112 @@
+/**
+ * DOI resolver tests — tools/doi-resolver.js
+ *
+ * Crossref, Unpaywall and PDF hosts are stood in for by a fake fetch.
+ *
+ * Usage: node tests/test-doi-resolver.js
+ */
+
+const { resolveDoi, fetchPdf, crossrefSources } = require('../tools/doi-resolver');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const CROSSREF = 'https://crossref.test';
+
+/**
+ * fetch() answering from a url → { status, json | body } table, recording the urls asked for
+ */
+function fakeFetch(routes) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        const route = Object.entries(routes).find(([prefix]) => url.startsWith(prefix));
+        if (!route) throw new Error('getaddrinfo ENOTFOUND');
+        const { status = 200, json, body = '' } = route[1];
+        const bytes = Buffer.from(json ? JSON.stringify(json) : body, 'latin1');
+        return {
+            status,
+            ok: status >= 200 && status < 300,
+            json: async () => json,
+            arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+        };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+const work = (message) => ({ json: { status: 'ok', message } });
+const rejects = (promise) => promise.then(() => null, err => err);
+
+async function run() {
+    console.log('\n🧪 Scholarly Reader — DOI Resolver Tests\n');
+
+    try {
+        // Crossref records
+        const sources = crossrefSources({
+            title: ['Deep Residual Learning'],
+            relation: { 'has-preprint': [{ 'id-type': 'doi', id: '10.48550/arXiv.1512.03385', 'asserted-by': 'subject' }] },
+            link: [{ URL: 'https://pub.test/paper.pdf', 'content-type': 'application/pdf' }, { URL: 'https://pub.test/paper.xml', 'content-type': 'text/xml' }],
+        });
+        assert('Crossref records give arXiv preprints, PDF links and the title', sources.arxivId === '1512.03385' &&
+            sources.pdfUrls.join() === 'https://pub.test/paper.pdf' && sources.title === 'Deep Residual Learning');
+        assert('arXiv-typed preprint relations keep old-style ids',
+            crossrefSources({ relation: { 'has-preprint': [{ 'id-type': 'arxiv', id: 'arXiv:hep-th/9711200v3' }] } }).arxivId === 'hep-th/9711200');
+
+        // Resolving
+        const none = fakeFetch({});
+        const arxivDoi = await resolveDoi('https://doi.org/10.48550/arXiv.1706.03762', { fetch: none, crossrefUrl: CROSSREF });
+        assert('arXiv DOIs resolve without a lookup', arxivDoi.arxivId === '1706.03762' && none.calls.length === 0);
+
+        const preprint = fakeFetch({ [`${CROSSREF}/works/`]: work({ relation: { 'has-preprint': [{ 'id-type': 'arxiv', id: '1512.03385' }] } }) });
+        const viaArxiv = await resolveDoi('10.1109/CVPR.2016.90', { fetch: preprint, crossrefUrl: CROSSREF });
+        assert('A DOI with an arXiv preprint resolves to the arXiv id', viaArxiv.arxivId === '1512.03385' && viaArxiv.doi === '10.1109/CVPR.2016.90' &&
+            preprint.calls[0] === `${CROSSREF}/works/10.1109%2FCVPR.2016.90`);
+
+        const linked = fakeFetch({ [`${CROSSREF}/works/`]: work({ title: ['Paper'], link: [{ URL: 'https://pub.test/p.pdf', 'content-type': 'application/pdf' }] }) });
+        const viaPdf = await resolveDoi('10.1000/xyz', { fetch: linked, crossrefUrl: CROSSREF });
+        assert('Without a preprint, Crossref\'s PDF link is used', viaPdf.pdfUrl === 'https://pub.test/p.pdf' && viaPdf.title === 'Paper');
+
+        const unpaywall = fakeFetch({
+            [`${CROSSREF}/works/`]: work({ link: [{ URL: 'https://pub.test/p.pdf', 'content-type': 'application/pdf' }] }),
+            'https://api.unpaywall.org/v2/': { json: { best_oa_location: { url_for_pdf: 'https://repo.test/oa.pdf' } } },
+        });
+        const viaUnpaywall = await resolveDoi('10.1000/xyz', { fetch: unpaywall, crossrefUrl: CROSSREF, unpaywallEmail: 'me@example.org' });
+        assert('Unpaywall\'s open-access PDF is preferred when an email is set', viaUnpaywall.pdfUrl === 'https://repo.test/oa.pdf' &&
+            unpaywall.calls[1].includes('email=me%40example.org'));
+
+        const bare = await rejects(resolveDoi('10.1000/xyz', { fetch: fakeFetch({ [`${CROSSREF}/works/`]: work({ title: ['Paper'] }) }), crossrefUrl: CROSSREF }));
+        assert('DOIs with neither fail for good, pointing to Upload', bare && bare.status === 422 && bare.transient === false && /Upload/.test(bare.message));
+        const missing = await rejects(resolveDoi('10.1000/gone', { fetch: fakeFetch({ [`${CROSSREF}/works/`]: { status: 404 } }), crossrefUrl: CROSSREF }));
+        assert('Unknown DOIs fail for good', missing && missing.transient === false && /not found/.test(missing.message));
+        const busy = await rejects(resolveDoi('10.1000/xyz', { fetch: fakeFetch({ [`${CROSSREF}/works/`]: { status: 503 } }), crossrefUrl: CROSSREF }));
+        const offline = await rejects(resolveDoi('10.1000/xyz', { fetch: fakeFetch({}), crossrefUrl: CROSSREF }));
+        assert('Outages and network errors are transient', busy && busy.transient === true && offline && offline.transient === true);
+        const invalid = await rejects(resolveDoi('not a doi', { fetch: none, crossrefUrl: CROSSREF }));
+        assert('Strings that are not DOIs are rejected', invalid && invalid.status === 400);
+
+        // PDFs
+        const pdf = await fetchPdf('https://repo.test/oa.pdf', { fetch: fakeFetch({ 'https://repo.test/': { body: '%PDF-1.4\n%%EOF\n' } }) });
+        assert('fetchPdf returns the PDF bytes', Buffer.isBuffer(pdf) && pdf.toString('latin1', 0, 5) === '%PDF-');
+        const paywall = await rejects(fetchPdf('https://pub.test/p.pdf', { fetch: fakeFetch({ 'https://pub.test/': { body: '<html>Sign in</html>' } }) }));
+        assert('Paywall pages are not taken for PDFs', paywall && paywall.status === 422 && paywall.transient === false);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
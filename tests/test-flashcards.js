@@ -0,0 +1,135 @@
+/**
+ * Flashcard tests — tools/flashcards.js
+ *
+ * Parsing, SM-2 scheduling, stats, per-document decks and Anki export.
+ *
+ * Usage: node tests/test-flashcards.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlashcardStore, parseFlashcards, mentionsSymbol, review, deckStats, dueCards, forUser, toAnkiText } = require('../tools/flashcards');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MARKDOWN = `Here are your flashcards.
+
+## Flashcard 1
+**Q:** What does the scaling factor divide by?
+**A:** The square root of $d_{k}$.
+It keeps the softmax out of small-gradient regions.
+
+---
+
+## Flashcard 2
+Question: How many layers does the encoder have?
+Answer: Six identical layers.
+
+## Flashcard 3
+**Q:** A question without an answer
+
+- **Q:** Which optimizer is used?
+- **A:** Adam with $\\beta_1 = 0.9$.
+`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Flashcard Tests\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-flashcards-'));
+
+    try {
+        // Parsing
+        const cards = parseFlashcards(MARKDOWN);
+        assert('Q/A pairs are parsed; cards without an answer are dropped', cards.length === 3);
+        assert('Answers run over several lines until the next card', cards[0].back === 'The square root of $d_{k}$.\nIt keeps the softmax out of small-gradient regions.');
+        assert('Question:/Answer: and list-item forms are accepted',
+            cards[1].front === 'How many layers does the encoder have?' && cards[2].back.startsWith('Adam'));
+
+        assert('Variables are found in TeX and plain text', mentionsSymbol(cards[0].back, 'd_k') && mentionsSymbol('uses d_k here', 'd_{k}'));
+        assert('Control words match their symbol', mentionsSymbol(cards[2].back, '\\beta_1'));
+        assert('Longer identifiers do not match', !mentionsSymbol('d_kv and d_model', 'd_k'));
+
+        // SM-2
+        const t0 = Date.UTC(2026, 0, 1);
+        let state = review(null, 4, t0);
+        assert('A first pass is due the next day', state.repetitions === 1 && state.interval === 1 && Date.parse(state.due) === t0 + DAY);
+        state = review(state, 4, t0 + DAY);
+        assert('A second pass waits six days', state.interval === 6);
+        state = review(state, 5, t0 + 7 * DAY);
+        assert('Later passes multiply by the ease', state.interval === Math.round(6 * 2.5) && state.ease === 2.6);
+        const hard = review(review(null, 3, t0), 3, t0);
+        assert('Hard answers lower the ease', hard.ease < 2.5);
+        const lapse = review(state, 1, t0 + 30 * DAY);
+        assert('A lapse restarts the card and keeps the ease', lapse.repetitions === 0 && lapse.interval === 1 && lapse.ease === state.ease && lapse.lapses === 1);
+        let floor = null;
+        for (let i = 0; i < 20; i++) floor = review(floor, 3, t0);
+        assert('Ease never drops below 1.3', floor.ease === 1.3);
+        let threw = false;
+        try { review(null, 6); } catch (err) { threw = err.status === 400; }
+        assert('Grades must be 0–5', threw);
+
+        // Stats and sessions
+        const deck = [
+            { id: 'a', reviews: { u: { ...review(null, 4, t0 - 3 * DAY) } } },              // overdue
+            { id: 'b', reviews: { u: { ...review(null, 4, t0), interval: 30, due: new Date(t0 + 30 * DAY).toISOString() } } }, // mature
+            { id: 'c', reviews: {} },
+            { id: 'd', reviews: { other: review(null, 4, t0) } },
+        ];
+        const stats = deckStats(deck, 'u', t0);
+        assert('Stats count new, due, learning and mature cards', stats.total === 4 && stats.new === 2 && stats.due === 1 &&
+            stats.learning === 1 && stats.mature === 1 && stats.nextDue === new Date(t0 + 30 * DAY).toISOString());
+        assert('Sessions are due cards first, then new ones', dueCards(deck, 'u', { now: t0 }).map(c => c.id).join() === 'a,c,d');
+        assert('New cards per session are limited', dueCards(deck, 'u', { now: t0, newLimit: 1 }).length === 2);
+        assert('forUser() shows only that user\'s state', forUser(deck[3], 'u').review === null && !('reviews' in forUser(deck[3], 'u')));
+
+        // Store
+        const store = new FlashcardStore(dir);
+        const first = store.add('paper', [{ ...cards[0], anchor: 'sec-1', section: 'Intro', variables: ['d_k'] }, cards[1]], 'alice');
+        assert('Cards are stored per document', first.added === 2 && store.load('paper').cards.length === 2 && store.docIds().join() === 'paper');
+        const reviewed = store.review('paper', first.cards[0].id, 'alice', 4);
+        assert('Reviews are stored per user', reviewed.reviews.alice.repetitions === 1 && reviewed.docId === 'paper');
+        const again = store.add('paper', [{ front: '  what does the SCALING factor divide by? ', back: 'sqrt(d_k)' }]);
+        const kept = store.get('paper', first.cards[0].id);
+        assert('Re-adding a card with the same front updates it and keeps its reviews',
+            again.updated === 1 && kept.back === 'sqrt(d_k)' && kept.reviews.alice.repetitions === 1);
+        assert('cards() tags each card with its document', store.cards().every(c => c.docId === 'paper'));
+        let status = null;
+        try { store.update('paper', kept.id, { back: '' }); } catch (err) { status = err.status; }
+        assert('Cards need a front and a back', status === 400);
+        status = null;
+        try { store.load('../etc'); } catch (err) { status = err.status; }
+        assert('Invalid document ids are rejected', status === 400);
+
+        // Anki
+        const anki = toAnkiText([{ docId: 'paper', front: 'Say "hi"', back: 'a\tb\nc <d>', section: 'Intro', anchor: 'sec-1', variables: ['\\beta_1'] }],
+            { sourceLink: c => `http://x/?doc=${c.docId}#${c.anchor}` });
+        const [, , , line] = anki.split('\n');
+        const fields = line.split('\t');
+        assert('Anki export has the import headers', anki.startsWith('#separator:tab\n#html:true\n#tags column:3\n'));
+        assert('Fields are HTML with quotes doubled', fields[0] === '"Say ""hi"""' && fields[1].startsWith('"a b<br>c &lt;d&gt;<br><br><a href=""http://x/?doc=paper#sec-1"">Intro</a>'));
+        assert('Tags name the document and variables', fields[2] === 'scholarly-reader doc::paper var::beta_1');
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
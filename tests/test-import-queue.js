@@ -0,0 +1,194 @@
+/**
+ * Import job queue tests — tools/import-queue.js
+ *
+ * Drives the queue with fake runners in a temp directory.
+ *
+ * Usage: node tests/test-import-queue.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImportQueue, isTransientError } = require('../tools/import-queue');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function waitFor(queue, id, statuses = ['done', 'error', 'cancelled'], timeoutMs = 3000) {
+    const started = Date.now();
+    while (Date.now() - started < timeoutMs) {
+        const job = queue.get(id);
+        if (statuses.includes(job.status)) return job;
+        await sleep(10);
+    }
+    return queue.get(id);
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+async function run() {
+    console.log('\n🧪 Scholarly Reader — Import Queue Tests\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-queue-'));
+
+    try {
+        // Concurrency and per-key serialization
+        let active = 0;
+        let peak = 0;
+        const order = [];
+        const gates = [];
+        const runners = {
+            slow: async (job) => {
+                active++;
+                peak = Math.max(peak, active);
+                order.push(`start:${job.input.n}`);
+                const gate = deferred();
+                gates.push(gate);
+                await gate.promise;
+                active--;
+                order.push(`end:${job.input.n}`);
+                return { n: job.input.n };
+            },
+        };
+        let queue = new ImportQueue(dir, { runners, concurrency: 2 });
+        const a = queue.add('slow', { n: 1 }, { key: 'doc-a' });
+        const b = queue.add('slow', { n: 2 }, { key: 'doc-a' });
+        const c = queue.add('slow', { n: 3 }, { key: 'doc-c' });
+        await sleep(20);
+        assert('Jobs with the same key never run together', queue.get(b.id).status === 'queued' && queue.get(c.id).status === 'running');
+        while (gates.length < 3) {
+            gates.forEach(g => g.resolve());
+            await sleep(20);
+        }
+        gates.forEach(g => g.resolve());
+        await waitFor(queue, b.id);
+        assert('At most `concurrency` jobs run at once', peak === 2);
+        assert('Same-key jobs run in order', order.indexOf('end:1') < order.indexOf('start:2'));
+        assert('Results are stored on the job', queue.get(a.id).status === 'done' && queue.get(a.id).result.n === 1);
+
+        // Retry with backoff
+        let calls = 0;
+        queue = new ImportQueue(dir, {
+            retryDelayMs: 20,
+            runners: {
+                flaky: async () => {
+                    calls++;
+                    if (calls < 3) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+                    return { ok: true };
+                },
+                broken: async () => { throw new Error('No \\documentclass found'); },
+            },
+        });
+        const flaky = queue.add('flaky', {});
+        await sleep(5);
+        assert('A transient failure is re-queued with a retry time', queue.get(flaky.id).status === 'queued' && !!queue.get(flaky.id).nextAttemptAt);
+        const retried = await waitFor(queue, flaky.id);
+        assert('Transient failures are retried until they succeed', retried.status === 'done' && retried.attempts === 3 && retried.error === null);
+        const broken = await waitFor(queue, queue.add('broken', {}).id);
+        assert('Permanent failures are not retried', broken.status === 'error' && broken.attempts === 1);
+
+        const log = queue.readLog(flaky.id);
+        assert('Each attempt is logged', log.filter(e => /Attempt \d\/3 started/.test(e.message)).length === 3 && log.some(e => e.level === 'warn'));
+
+        // Cancellation
+        const hold = deferred();
+        queue = new ImportQueue(dir, {
+            concurrency: 1,
+            runners: {
+                staged: async (job, { progress, signal, linkLog }) => {
+                    linkLog('/docs/x/llm-log-1.jsonl');
+                    progress('Stage 1', { type: 'stage', step: 1 });
+                    await hold.promise;
+                    progress('Stage 2'); // throws once cancelled
+                    return { aborted: signal.aborted };
+                },
+            },
+        });
+        const emitted = [];
+        queue.on('event', (job, entry) => emitted.push(entry));
+        const running = queue.add('staged', {});
+        const waiting = queue.add('staged', {});
+        await sleep(10);
+        queue.cancel(waiting.id);
+        assert('Queued jobs are cancelled immediately', queue.get(waiting.id).status === 'cancelled');
+        queue.cancel(running.id);
+        hold.resolve();
+        const cancelled = await waitFor(queue, running.id);
+        assert('Running jobs stop at their next progress step', cancelled.status === 'cancelled' && cancelled.result === null);
+        assert('Agent LLM logs are linked to the job', cancelled.llmLogs[0] === '/docs/x/llm-log-1.jsonl');
+        const events = queue.readLog(running.id);
+        assert('Structured progress events are logged in order', events.some(e => e.type === 'stage' && e.step === 1 && e.message === 'Stage 1') &&
+            events.every((e, i) => e.seq === i + 1) && events[events.length - 1].type === 'result');
+        assert('Log entries are emitted live', emitted.filter(e => e.seq && e.type === 'stage').length === 1);
+        let conflict = null;
+        try { queue.cancel(running.id); } catch (err) { conflict = err; }
+        assert('Cancelling a finished job is a 409', conflict && conflict.status === 409);
+
+        // Runners that never check the signal: the slot frees at once, the key only once they return
+        const late = deferred();
+        const deaf = new ImportQueue(dir, {
+            concurrency: 1,
+            runners: { deaf: async (job) => (job.input.n === 1 ? late.promise : { n: job.input.n }) },
+        });
+        const ignoring = deaf.add('deaf', { n: 1 }, { key: 'doc' });
+        const sameDoc = deaf.add('deaf', { n: 2 }, { key: 'doc' });
+        const otherDoc = deaf.add('deaf', { n: 3 }, { key: 'other' });
+        await sleep(10);
+        deaf.cancel(ignoring.id);
+        assert('Cancelling a running job marks it cancelled at once', deaf.get(ignoring.id).status === 'cancelled');
+        const freed = await waitFor(deaf, otherDoc.id);
+        assert('Its slot goes to the next job while the runner is still busy',
+            freed.status === 'done' && deaf.get(sameDoc.id).status === 'queued');
+        late.resolve({ n: 1 });
+        const sameDocDone = await waitFor(deaf, sameDoc.id);
+        assert('Jobs for the same doc wait until the cancelled runner returns', sameDocDone.status === 'done');
+        assert('A late result does not undo the cancellation', deaf.get(ignoring.id).status === 'cancelled' && deaf.get(ignoring.id).result === null);
+
+        // Persistence and resume: rewrite a finished record as if the process died mid-run
+        const stuck = await waitFor(queue, queue.add('staged', {}).id);
+        const record = JSON.parse(fs.readFileSync(path.join(dir, `${stuck.id}.json`), 'utf-8'));
+        record.status = 'running';
+        fs.writeFileSync(path.join(dir, `${stuck.id}.json`), JSON.stringify(record));
+        const restarted = new ImportQueue(dir, { runners: { staged: async () => ({ resumed: true }) } });
+        assert('Job history survives a restart', restarted.list().length >= 8 && restarted.get(a.id).result.n === 1);
+        restarted.resume();
+        const resumed = await waitFor(restarted, stuck.id);
+        assert('Jobs interrupted mid-run are re-queued on resume', resumed.status === 'done' && resumed.result.resumed === true);
+
+        // Attachments and history limit
+        const small = new ImportQueue(dir, { historyLimit: 2, runners: { echo: async (job, { attachment }) => attachment().toString() } });
+        const echoed = await waitFor(small, small.add('echo', {}, { attachment: Buffer.from('payload') }).id);
+        assert('Attachments are handed to the runner and removed afterwards', echoed.result === 'payload' && !fs.existsSync(path.join(dir, `${echoed.id}.upload`)));
+        assert('Old finished jobs are pruned', small.list().length === 2 && !fs.existsSync(path.join(dir, `${a.id}.json`)));
+
+        assert('Rate limits count as transient', isTransientError({ status: 429, message: 'Too Many Requests' }));
+        assert('HTTP-shaped 5xx messages count as transient', isTransientError(new Error('Crossref answered HTTP 503')));
+        assert('Other numbers in messages do not', !isTransientError(new Error('LaTeX Error on line 500: Undefined control sequence')));
+        assert('err.transient overrides the heuristics', !isTransientError({ transient: false, message: 'ETIMEDOUT' }));
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
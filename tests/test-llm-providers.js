@@ -0,0 +1,81 @@
+/**
+ * LLM provider layer tests — tools/llm-providers.js
+ *
+ * Provider selection and message conversion; no network calls.
+ *
+ * Usage: node tests/test-llm-providers.js
+ */
+
+const { resolveProvider, describeProviders, defaultProviderName, toAnthropicMessages } = require('../tools/llm-providers');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+function errorOf(fn) {
+    try { fn(); } catch (err) { return err; }
+    return null;
+}
+
+async function collect(iterable) {
+    let text = '';
+    for await (const chunk of iterable) text += chunk;
+    return text;
+}
+
+async function run() {
+    console.log('\n🧪 Scholarly Reader — LLM Provider Tests\n');
+
+    try {
+        assert('No keys means no default provider', defaultProviderName({}) === null);
+        assert('OpenAI is the default when its key is set', defaultProviderName({ OPENAI_API_KEY: 'k', ANTHROPIC_API_KEY: 'k' }) === 'openai');
+        assert('Anthropic is used when only its key is set', defaultProviderName({ ANTHROPIC_API_KEY: 'k' }) === 'anthropic');
+        assert('LLM_PROVIDER overrides the default', defaultProviderName({ OPENAI_API_KEY: 'k', LLM_PROVIDER: 'ollama' }) === 'local');
+
+        assert('Unconfigured default is a 503', errorOf(() => resolveProvider({}, {})).status === 503);
+        assert('Missing API key for a named provider is a 503', errorOf(() => resolveProvider({ provider: 'anthropic' }, {})).status === 503);
+        assert('Unknown provider is a 400', errorOf(() => resolveProvider({ provider: 'bard' }, {})).status === 400);
+
+        const anthropic = resolveProvider({ provider: 'anthropic', model: 'claude-x' }, { ANTHROPIC_API_KEY: 'k' });
+        assert('Per-request model overrides the provider default', anthropic.name === 'anthropic' && anthropic.model === 'claude-x');
+        const local = resolveProvider({ provider: 'llama.cpp' }, {});
+        assert('Local aliases resolve to the OpenAI-compatible provider', local.name === 'local' && local.model === 'llama3.1');
+
+        const mock = resolveProvider({ provider: 'mock' }, {});
+        const messages = [{ role: 'system', content: 'sys' }, { role: 'user', content: 'Explain d_k' }];
+        assert('Mock provider streams an echo of the question', await collect(mock.stream(messages)) === '[mock:mock] Explain d_k');
+        assert('Mock provider completes with a fixed response when set',
+            await resolveProvider({ provider: 'mock' }, { MOCK_LLM_RESPONSE: 'fixed' }).complete(messages) === 'fixed');
+
+        const converted = toAnthropicMessages([
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'Passage' },
+            { role: 'user', content: 'Question' },
+            { role: 'assistant', content: 'Answer' },
+        ]);
+        assert('System prompts move to the top-level field', converted.system === 'Be brief.');
+        assert('Consecutive turns of one role are merged', converted.messages.length === 2 && converted.messages[0].content === 'Passage\n\nQuestion');
+        assert('Conversations always start with a user turn', toAnthropicMessages([{ role: 'assistant', content: 'Hi' }]).messages[0].role === 'user');
+
+        const described = describeProviders({ OPENAI_API_KEY: 'k' });
+        assert('describeProviders reports the default and what is configured',
+            described.default === 'openai' && described.providers.find(p => p.name === 'anthropic').configured === false);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
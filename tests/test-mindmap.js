@@ -0,0 +1,88 @@
+/**
+ * Mind map tests — tools/mindmap.js
+ *
+ * Outline parsing into a tree and OPML export.
+ *
+ * Usage: node tests/test-mindmap.js
+ */
+
+const { parseMindMap, walkMindMap, toOpml, cleanText } = require('../tools/mindmap');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const MARKDOWN = `# Attention Is All You Need
+
+## Core Problem
+- Sequential computation in RNNs
+  - No parallelism within a sequence
+  - Long paths between distant positions
+
+## Methodology
+- **Multi-head attention**
+    - Scaled dot-product
+        - Divide by $\\sqrt{d_k}$
+- Positional encodings
+
+Some prose the outline ignores.
+
+### Training
+1. WMT 2014 [data](https://example.org)
+2. Adam optimizer
+
+## Key Concepts
+- Attention → related to → Alignment
+`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Mind Map Tests\n');
+
+    try {
+        const root = parseMindMap(MARKDOWN);
+        assert('The single top heading is the root', root.text === 'Attention Is All You Need' && root.id === 'n0' && root.depth === 0);
+        assert('Headings become branches', root.children.map(c => c.text).join('|') === 'Core Problem|Methodology|Key Concepts');
+
+        const problem = root.children[0];
+        assert('List items nest by indentation', problem.children.length === 1 && problem.children[0].children.length === 2 &&
+            problem.children[0].children[1].text === 'Long paths between distant positions');
+
+        const method = root.children[1];
+        assert('Deeper indentation keeps nesting', method.children[0].text === 'Multi-head attention' &&
+            method.children[0].children[0].children[0].text === 'Divide by $\\sqrt{d_k}$');
+        assert('Subheadings nest under their heading, with their own lists',
+            method.children.map(c => c.text).join('|') === 'Multi-head attention|Positional encodings|Training' &&
+            method.children[2].children.map(c => c.text).join('|') === 'WMT 2014 data|Adam optimizer');
+        assert('Ids are paths and depths count from the root', method.children[2].children[1].id === 'n0.2.3.2' && method.children[2].children[1].depth === 3);
+        assert('Arrows are kept as text', root.children[2].children[0].text === 'Attention → related to → Alignment');
+        assert('walkMindMap() visits every node with its parent',
+            walkMindMap(root).length === 15 && walkMindMap(root).every(({ node, parent }) => !parent || parent.children.includes(node)));
+
+        const untitled = parseMindMap('## A\n- a1\n## B', { title: 'Fallback' });
+        assert('Without a single title the root is the given title', untitled.text === 'Fallback' && untitled.children.length === 2);
+        assert('Text without an outline gives null', parseMindMap('just a sentence') === null);
+        assert('cleanText() drops emphasis, code and link targets', cleanText('**Bold** _it_ `x` [t](http://a)') === 'Bold it x t' && cleanText('snake_case_name') === 'snake_case_name');
+
+        const opml = toOpml(untitled, { link: node => (node.text === 'a1' ? 'http://x/?doc=p#s&1' : null) });
+        assert('OPML nests outlines under the title', opml.startsWith('<?xml') && opml.includes('<title>Fallback</title>') &&
+            /<outline text="A">\n\s+<outline text="a1"[^>]*\/>\n\s+<\/outline>/.test(opml) && opml.includes('<outline text="B"/>'));
+        assert('Linked nodes carry an escaped url', opml.includes('type="link" url="http://x/?doc=p#s&amp;1"'));
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,112 @@
+/**
+ * Paper comparison tests — tools/paper-compare.js
+ *
+ * Section roles, outlines, notation and shared references.
+ *
+ * Usage: node tests/test-paper-compare.js
+ */
+
+const { comparePapers, paperOutline, sectionRole, paperVariables, compareNotation, descriptionSimilarity } = require('../tools/paper-compare');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const PAPER_A = `
+<h1>A Paper Title</h1>
+<h2 id="abstract">Abstract</h2>
+<p>We study sequence models.</p>
+<h2 id="intro">1. Introduction</h2>
+<p>Recurrent networks <span class="var" data-var="h_t" data-desc="Hidden state at step t">h_t</span> are slow.</p>
+<h2 id="model">2. Model Architecture</h2>
+<p>Keys have dimension <span class="var" data-var="d_k" data-desc="Key dimension">d_k</span>.</p>
+<h3 id="attn">2.1 Attention</h3>
+<p>Scaled dot products.</p>
+<h2 id="why">3. Why Self-Attention</h2>
+<p>Shorter paths.</p>
+<h2 id="exp">4. Experiments</h2>
+<p>WMT 2014.</p>
+<h2 id="limits">5. Limitations</h2>
+<p>Quadratic cost.</p>
+<h2 id="refs">References</h2>
+<ol class="references"><li id="ref-1">D. Bahdanau, K. Cho, and Y. Bengio. Neural machine translation by jointly learning to align and translate. arXiv:1409.0473, 2014.</li></ol>
+<h2 id="app">Attention Visualizations</h2>
+<p>Appendix figures.</p>`;
+
+const PAPER_B = `
+<h1 id="s1">Overview</h1>
+<p>A survey.</p>
+<h1 id="s2">Proposed Method</h1>
+<p>Our approach.</p>
+<h1 id="s3">Evaluation</h1>
+<p>Benchmarks.</p>`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Paper Comparison Tests\n');
+
+    try {
+        // Roles
+        assert('Headings map to roles, numbering ignored', sectionRole('3. Model Architecture') === 'method' &&
+            sectionRole('A. Related Work') === 'related' && sectionRole('5 Discussion and Limitations') === 'limitations' &&
+            sectionRole('Experimental Setup') === 'experiments' && sectionRole('Concluding Remarks') === 'conclusion');
+        assert('Back matter ends the paper and unknown headings have no role', sectionRole('References') === 'end' &&
+            sectionRole('Acknowledgments') === 'end' && sectionRole('Why Self-Attention') === null);
+
+        // Outlines
+        const outline = paperOutline(PAPER_A);
+        assert('A single h1 is the title, not a section', !Object.values(outline).flat().some(s => s.title === 'A Paper Title'));
+        assert('Top-level sections are grouped by role with their subsections',
+            outline.method.map(s => s.anchor).join() === 'model,why' && outline.method[0].subsections.join() === '2.1 Attention');
+        assert('Unnamed sections between introduction and experiments count as method', outline.method[1].title === '3. Why Self-Attention');
+        assert('Nothing after the references is compared', !Object.values(outline).flat().some(s => s.anchor === 'app'));
+        assert('Snippets include subsection text', outline.method[0].snippet.includes('Scaled dot products'));
+
+        const flat = paperOutline(PAPER_B, { abstract: 'From  metadata.' });
+        assert('Several h1s are the sections', flat.introduction[0].anchor === 's1' && flat.method[0].anchor === 's2' && flat.experiments[0].anchor === 's3');
+        assert('The metadata abstract stands in for a missing one', flat.abstract[0].snippet === 'From metadata.' && flat.abstract[0].anchor === null);
+
+        // Notation
+        const vars = paperVariables(PAPER_A, [{ symbol: 'd_k', description: 'Dimension of keys per head' }]);
+        assert('Registries merge metadata and annotated variables with their anchors',
+            vars.map(v => `${v.symbol}@${v.anchor}`).join() === 'd_k@model,h_t@intro' && vars[0].description === 'Dimension of keys per head');
+        assert('Similar descriptions overlap more than different ones',
+            descriptionSimilarity('Dimension of keys per head', 'Key dimension (d_k = 64), dimension per head') > 0.34 &&
+            descriptionSimilarity('Convolution kernel size', 'Fixed positional offset') === 0);
+        const notation = compareNotation([
+            { docId: 'a', variables: [{ symbol: 'd_k', description: 'Dimension of keys per head' }, { symbol: 'k', description: 'Kernel size' }, { symbol: 'N', description: 'Layers' }] },
+            { docId: 'b', variables: [{ symbol: '$d_{k}$', description: 'Key dimension per head' }, { symbol: 'k', description: 'Positional offset' }] },
+        ]);
+        assert('Shared symbols match across TeX spellings; differing meanings come first',
+            notation.shared.map(s => `${s.symbol}:${s.differs}`).join() === 'k:true,d_k:false');
+        assert('Symbols of one paper are listed as its own', notation.unique.a.map(v => v.symbol).join() === 'N' && notation.unique.b.length === 0);
+
+        // Comparison
+        const result = comparePapers([
+            { docId: 'a', title: 'A', year: 2017, html: PAPER_A, references: [{ num: 1, title: 'Neural machine translation by jointly learning to align and translate', arxivId: '1409.0473' }] },
+            { docId: 'b', title: 'B', html: PAPER_B, abstract: 'B abstract', references: [{ num: 4, title: 'NMT', arxivId: '1409.0473' }, { num: 5, title: 'Something else entirely here' }] },
+        ]);
+        assert('Rows follow reading order and skip roles no paper has',
+            result.sections.map(r => r.role).join() === 'abstract,introduction,method,experiments,limitations');
+        assert('Each row has a cell per paper', result.sections.find(r => r.role === 'limitations').cells.map(c => c.sections.length).join() === '1,0');
+        assert('Shared references and reference counts', result.references.shared.length === 1 &&
+            result.references.shared[0].entries.map(e => e.num).join() === '1,4' && result.references.counts.b === 2);
+        assert('Papers keep title and year', result.papers[0].year === 2017 && result.papers[1].year === null);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
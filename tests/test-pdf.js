@@ -0,0 +1,113 @@
+/**
+ * PDF structure recovery tests — tools/extract-pdf.js
+ *
+ * Runs on pdftotext-style page text, so poppler isn't needed.
+ *
+ * Usage: node tests/test-pdf.js
+ */
+
+const { structurePdfText, pdfStructureToHtml, linkCitations } = require('../tools/extract-pdf');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const RUNNING_HEADER = 'Preprint. Under review.';
+
+const PAGES = [
+    `Sparse Mixtures of Reading Experts
+Jane Doe, John Roe
+
+Abstract
+We study how readers skim papers. Our method com-
+bines attention with recall [2].
+
+1 Introduction
+Readers rarely read linearly [1, 2].
+
+1
+`,
+    `${RUNNING_HEADER}
+
+Most tools ignore this.
+1. a list item that is not a heading
+
+2 Method
+2.1 Skimming Model
+We model skims as jumps [1–2].
+
+Figure 1: The skimming model. Arrows are jumps.
+
+2
+`,
+    `${RUNNING_HEADER}
+
+3 Conclusion
+Skimming works.
+
+References
+[1] A. Author. On reading. 2020.
+[2] B. Writer. On skimming,
+continued title. 2021.
+
+A Proofs
+The proof is trivial.
+
+3
+`,
+    `${RUNNING_HEADER}
+
+A.1 Lemma
+Still trivial.
+
+4
+`,
+];
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — PDF Import Tests\n');
+
+    const doc = structurePdfText(PAGES);
+
+    assert('Title comes from the first lines of page 1', doc.title === 'Sparse Mixtures of Reading Experts');
+    assert('Authors come from the line under the title', doc.authors.join('|') === 'Jane Doe|John Roe');
+    assert('pdfinfo title wins when present', structurePdfText(PAGES, { title: 'Real Title' }).title === 'Real Title');
+    assert('Placeholder pdfinfo titles are ignored', structurePdfText(PAGES, { title: 'Microsoft Word - draft.docx' }).title !== 'Microsoft Word - draft.docx');
+    assert('pdfinfo author is split into authors', structurePdfText(PAGES, { author: 'Jane Doe, John Roe' }).authors.length === 2);
+    assert('Abstract is pulled out of the sections', doc.abstract.includes('combines attention') && !doc.sections.some(s => s.title === 'Abstract'));
+    assert('Line-end hyphenation is undone', doc.abstract.includes('combines'));
+
+    const titles = doc.sections.map(s => `${s.number} ${s.title}`.trim());
+    assert('Numbered headings become sections', ['1 Introduction', '2 Method', '2.1 Skimming Model', '3 Conclusion'].every(t => titles.includes(t)));
+    assert('Subsections are one level deeper', doc.sections.find(s => s.number === '2.1').level === 3);
+    assert('List items are not mistaken for headings', !titles.some(t => t.includes('list item')));
+    assert('Appendix headings after the references are kept', titles.includes('A Proofs') && doc.sections.find(s => s.number === 'A.1').level === 3);
+    assert('Running headers are dropped', !JSON.stringify(doc.sections).includes(RUNNING_HEADER));
+
+    assert('Figure captions are found with their page', doc.figures.length === 1 && doc.figures[0].page === 2 && doc.figures[0].caption.startsWith('The skimming model'));
+    assert('References are split on [n] markers', doc.references.length === 2 && doc.references[1].text === 'B. Writer. On skimming, continued title. 2021.');
+
+    const html = pdfStructureToHtml(doc, new Map([[1, 'page-2.png']]));
+    assert('HTML has h2/h3 headings for the TOC', html.includes('<h2>2. Method</h2>') && html.includes('<h3>2.1. Skimming Model</h3>'));
+    assert('HTML embeds figure renders', html.includes('<figure id="fig-1">') && html.includes('./figures/page-2.png'));
+    assert('Citations become ref badges', html.includes('<sup class="ref-badge" data-ref="2"'));
+    assert('Reference list is rendered', html.includes('<li id="ref-1" value="1">'));
+
+    const refs = new Map([[1, { text: 'one' }], [2, { text: 'two' }], [3, { text: 'three' }]]);
+    assert('Citation ranges expand', (linkCitations('see [1–3]', refs).match(/ref-badge/g) || []).length === 3);
+    assert('Unknown citation numbers are left alone', linkCitations('see [9]', refs) === 'see [9]');
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
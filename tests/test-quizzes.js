@@ -0,0 +1,147 @@
+/**
+ * Quiz tests — tools/quizzes.js
+ *
+ * Parsing, hidden answers, attempts and per-user, per-document scores.
+ *
+ * Usage: node tests/test-quizzes.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuizStore, parseQuiz, publicQuiz } = require('../tools/quizzes');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const MARKDOWN = `# Quiz: Attention Is All You Need
+
+## Question 1
+**How many attention heads does the base model use?**
+
+A) 4
+B) 8
+C) 12
+D) 16
+
+**Answer: B**
+**Explanation:** The base model uses h = 8 parallel heads.
+Each head has $d_k = 64$.
+
+---
+
+## Question 2
+**Why are dot products scaled?**
+(A) To save memory
+(B) To keep softmax gradients from vanishing
+
+**Answer:** B) To keep softmax gradients from vanishing
+
+---
+
+## Question 3
+**A question without an answer line**
+A) Yes
+B) No
+
+---
+
+What does the decoder mask prevent?
+a. Attending to later positions
+b. Attending to padding
+Correct answer: A
+Explanation: Masking keeps predictions auto-regressive.
+`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Quiz Tests\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-quizzes-'));
+
+    try {
+        // Parsing
+        const questions = parseQuiz(MARKDOWN);
+        assert('Questions with options and an answer are parsed; others are dropped', questions.length === 3);
+        assert('Question text loses its emphasis', questions[0].question === 'How many attention heads does the base model use?');
+        assert('Options keep their letters', questions[0].options.map(o => o.key).join('') === 'ABCD' && questions[0].options[1].text === '8');
+        assert('Explanations run over several lines', questions[0].answer === 'B' && questions[0].explanation === 'The base model uses h = 8 parallel heads.\nEach head has $d_k = 64$.');
+        assert('(A) options and "Answer:** B) text" are accepted', questions[1].options.length === 2 && questions[1].answer === 'B' && questions[1].explanation === '');
+        assert('Unheaded questions, lowercase options and "Correct answer:" are accepted',
+            questions[2].question === 'What does the decoder mask prevent?' && questions[2].answer === 'A' && questions[2].explanation.startsWith('Masking'));
+        assert('Text without questions parses to nothing', parseQuiz('[mock:x] nothing here').length === 0);
+
+        // Store
+        const store = new QuizStore(dir);
+        const quiz = store.create({
+            artifactId: 'art1', version: 1, title: 'Quiz', docIds: ['paper', 'other'],
+            questions: questions.map((q, i) => ({ ...q, docId: i === 2 ? 'other' : 'paper', anchor: `sec-${i}`, section: `Section ${i}` })),
+        }, 'alice');
+        assert('Quizzes are found by artifact version', store.forArtifact('art1', 1).id === quiz.id && store.forArtifact('art1', 2) === null);
+
+        const shown = publicQuiz(quiz, 'alice');
+        assert('Public quizzes hide answers and explanations',
+            shown.questions.every(q => !('answer' in q) && !('explanation' in q) && q.options.length >= 2));
+
+        const attempt = store.startAttempt(quiz.id, 'alice');
+        const [q1, q2, q3] = quiz.questions;
+        const right = store.answer(quiz.id, attempt.id, 'alice', q1.id, 'b');
+        assert('Answering reveals the answer, explanation and section', right.correct && right.answer === 'B' &&
+            right.explanation.startsWith('The base model') && right.anchor === 'sec-0' && right.section === 'Section 0');
+
+        let status = null;
+        try { store.answer(quiz.id, attempt.id, 'alice', q1.id, 'A'); } catch (err) { status = err.status; }
+        assert('A question is answered once per attempt', status === 409);
+        status = null;
+        try { store.answer(quiz.id, attempt.id, 'bob', q2.id, 'A'); } catch (err) { status = err.status; }
+        assert('Attempts belong to their user', status === 403);
+        status = null;
+        try { store.answer(quiz.id, attempt.id, 'alice', q2.id, 'Z'); } catch (err) { status = err.status; }
+        assert('Choices must be one of the options', status === 400);
+
+        store.answer(quiz.id, attempt.id, 'alice', q2.id, 'A');
+        const done = store.answer(quiz.id, attempt.id, 'alice', q3.id, 'A');
+        assert('The last answer finishes the attempt with its score', done.attempt.finishedAt && done.attempt.correct === 2 && done.attempt.total === 3);
+        assert('Quiz lists show the user\'s own attempts', store.list({ userId: 'alice' })[0].attempts.length === 1 &&
+            store.list({ userId: 'bob' })[0].attempts.length === 0 && store.list({ docId: 'nope' }).length === 0);
+
+        const bob = store.startAttempt(quiz.id, 'bob');
+        store.answer(quiz.id, bob.id, 'bob', q1.id, 'A');
+
+        const scores = store.scores();
+        const alicePaper = scores.find(r => r.userId === 'alice' && r.docId === 'paper');
+        const aliceOther = scores.find(r => r.userId === 'alice' && r.docId === 'other');
+        assert('Scores are summed per user and document', alicePaper.answered === 2 && alicePaper.correct === 1 &&
+            alicePaper.accuracy === 0.5 && aliceOther.correct === 1 && aliceOther.accuracy === 1);
+        assert('Finished attempts give a best score', alicePaper.best === 0.67 && alicePaper.finished === 1);
+        const bobRows = store.scores({ userId: 'bob', docId: 'paper' });
+        assert('Scores filter by user and document; unfinished attempts have no best',
+            bobRows.length === 1 && bobRows[0].correct === 0 && bobRows[0].attempts === 1 && bobRows[0].best === null);
+
+        status = null;
+        try { store.create({ title: 'Empty', questions: [] }); } catch (err) { status = err.status; }
+        assert('Quizzes need questions', status === 422);
+        store.remove(quiz.id);
+        status = null;
+        try { store.get(quiz.id); } catch (err) { status = err.status; }
+        assert('Removed quizzes are gone', status === 404);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,85 @@
+/**
+ * Reference tests — tools/references.js
+ *
+ * Reference lists and citation badges as entries, and matching the same
+ * work across papers.
+ *
+ * Usage: node tests/test-references.js
+ */
+
+const { extractReferences, groupReferences, referenceArxivId, arxivDocId, doiDocId, identifiers, normalizeTitle } = require('../tools/references');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const LIST_HTML = `
+<p>Recurrent models <sup class="ref-badge" data-ref="1">1</sup> and attention.</p>
+<ol class="references">
+  <li id="ref-1"><strong>Dzmitry Bahdanau, Kyunghyun Cho, and Yoshua Bengio.</strong> Neural machine translation by jointly learning to align and translate. <em>CoRR</em>, abs/1409.0473, 2014.</li>
+  <li id="ref-2">Sepp Hochreiter and Jürgen Schmidhuber. Long short-term memory. Neural computation, 9(8):1735–1780, 1997.</li>
+  <li id="ref-3">A. Author. “Deep residual learning for image recognition.” CVPR, 2016. doi:10.1109/CVPR.2016.90.</li>
+</ol>`;
+
+const BADGE_HTML = `
+<p>Alignment <sup class="ref-badge" data-ref="4" data-title="Neural Machine Translation by Jointly Learning to Align and Translate" data-url="https://arxiv.org/abs/1409.0473">4</sup>
+and memory <sup class="ref-badge" data-ref="7" data-title="Long Short-Term Memory" data-url="">7</sup>
+and more <sup class="ref-badge" data-ref="9" data-title="Reference 9">9</sup>.</p>`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Reference Tests\n');
+
+    try {
+        // Identifiers
+        const ids = identifiers('CoRR, abs/1409.0473, 2014. https://doi.org/10.1000/xyz123.');
+        assert('arXiv ids, DOIs and years are found', ids.arxivId === '1409.0473' && ids.doi === '10.1000/xyz123' && ids.year === 2014);
+        assert('arXiv URLs and old-style ids', identifiers('https://arxiv.org/abs/1706.03762v5').arxivId === '1706.03762' &&
+            identifiers('arXiv:hep-th/9901001').arxivId === 'hep-th/9901001');
+        assert('arXiv DOIs give the arXiv id', referenceArxivId({ doi: '10.48550/arXiv.1706.03762' }) === '1706.03762' &&
+            referenceArxivId({ doi: '10.1162/neco.1997.9.8.1735' }) === null && referenceArxivId({ arxivId: '1409.0473', doi: null }) === '1409.0473');
+        assert('arXiv ids map to one flat docs/ folder, old-style ids included', arxivDocId('1706.03762') === '1706-03762' &&
+            arxivDocId('hep-th/9901001') === 'hep-th-9901001' && arxivDocId('https://arxiv.org/abs/math.AG/0601001') === 'math-AG-0601001');
+        assert('DOIs map to a doi- folder', doiDocId('10.1109/CVPR.2016.90') === 'doi-10-1109-cvpr-2016-90');
+        assert('Titles normalize for matching', normalizeTitle('Long Short-Term Memory!') === 'long short term memory');
+
+        // Numbered lists
+        const list = extractReferences(LIST_HTML);
+        assert('Numbered reference lists are read in order', list.map(r => r.num).join() === '1,2,3');
+        assert('The title follows a bold author block', list[0].title === 'Neural machine translation by jointly learning to align and translate' &&
+            list[0].arxivId === '1409.0473' && list[0].year === 2014);
+        assert('The title follows a plain author list', list[1].title === 'Long short-term memory' && list[1].year === 1997);
+        assert('Quoted titles and DOIs', list[2].title === 'Deep residual learning for image recognition' && list[2].doi === '10.1109/cvpr.2016.90');
+
+        // Badges
+        const badges = extractReferences(BADGE_HTML);
+        assert('Citation badges give title and url', badges.length === 2 && badges[0].num === 4 &&
+            badges[0].title === 'Neural Machine Translation by Jointly Learning to Align and Translate' && badges[0].arxivId === '1409.0473');
+        assert('Badges with only a placeholder title are dropped', !badges.some(r => r.num === 9));
+
+        // Grouping
+        const groups = groupReferences([{ docId: 'a', references: list }, { docId: 'b', references: badges }]);
+        const shared = groups.filter(g => new Set(g.entries.map(e => e.docId)).size > 1);
+        assert('The same work is matched by arXiv id and by title', shared.length === 2 &&
+            shared.some(g => g.arxivId === '1409.0473' && g.entries.map(e => `${e.docId}${e.num}`).join() === 'a1,b4') &&
+            shared.some(g => g.entries.map(e => `${e.docId}${e.num}`).join() === 'a2,b7'));
+        assert('Works cited by more papers come first', new Set(groups[0].entries.map(e => e.docId)).size === 2 &&
+            groups.length === 3);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,103 @@
+/**
+ * Retrieval tests — tools/retrieval.js
+ *
+ * Chunks small synthetic documents and checks ranking, anchors and citations.
+ *
+ * Usage: node tests/test-retrieval.js
+ */
+
+const { PaperRetriever, chunkDocument, packParagraphs, formatExcerpts, toCitation } = require('../tools/retrieval');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const PAPER = `
+<p>Preface text before any heading.</p>
+<h2 id="sec-intro">1. Introduction</h2>
+<p>Recurrent networks process tokens one at a time.</p>
+<p>We propose a model based on <span class="var" data-var="\\alpha" data-desc="Learning rate of the optimizer">α</span> schedules.</p>
+<h2>2. Method</h2>
+<p>The loss is defined below.</p>
+<div class="math-display" data-raw="L = \\sum_i (y_i - \\hat{y}_i)^2 + \\lambda \\lVert w \\rVert">…</div>
+<p>Here <span class="var" data-var="\\lambda" data-desc="Weight decay coefficient">λ</span> controls regularization.</p>
+<h3>2.1 Optimizer</h3>
+<p>Momentum accelerates convergence of gradient descent.</p>
+<div class="math-display" id="eq-momentum" data-raw="v_t = \\beta v_{t-1} + g_t">…</div>
+`;
+
+const OTHER = `
+<h2 id="sec-data">Data</h2>
+<p>The corpus contains news articles about gradient descent in economics.</p>
+`;
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Retrieval Tests\n');
+
+    try {
+        // Packing
+        const paras = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} `.padEnd(300, 'x'));
+        const packed = packParagraphs(paras, 700);
+        assert('Paragraphs are packed up to the chunk size', packed.length > 1 && packed.every(c => c.length <= 700 + 4));
+        assert('Consecutive chunks overlap by a paragraph', packed[1].startsWith(packed[0].split('\n\n').pop()));
+        const long = packParagraphs(['word '.repeat(500).trim()], 400);
+        assert('Over-long paragraphs are cut at word boundaries', long.length >= 6 && long.every(c => c.length <= 400 && /^word( word)*$/.test(c)));
+
+        // Chunking
+        const chunks = chunkDocument(PAPER, { variables: [{ symbol: 'w', description: 'Model weights' }] });
+        const equations = chunks.filter(c => c.kind === 'equation');
+        assert('Each section becomes passage chunks under its TOC anchor',
+            chunks.some(c => c.kind === 'passage' && c.anchor === 'sec-intro') && chunks.some(c => c.kind === 'passage' && c.anchor === 'section-1'));
+        assert('Equations keep their TeX and the reader\'s eq-{n} anchor (or their own id)',
+            equations.length === 2 && equations[0].anchor === 'eq-0' && equations[1].anchor === 'eq-momentum' && equations[0].equation.startsWith('L = '));
+        assert('Equation chunks include the sentence that introduces them', /loss is defined below/.test(equations[0].text));
+        assert('Variables come from data-desc and metadata', chunks.some(c => c.variable === '\\lambda' && c.anchor === 'section-1') &&
+            chunks.some(c => c.variable === 'w' && c.anchor === null));
+
+        // Retrieval
+        const retriever = new PaperRetriever();
+        let loads = 0;
+        const load = (html, title) => () => { loads++; return { title, html, variables: [{ symbol: 'w', description: 'Model weights' }] }; };
+        retriever.ensure('paper', 'v1', load(PAPER, 'Paper'));
+        retriever.ensure('other', 'v1', load(OTHER, 'Other'));
+        retriever.ensure('paper', 'v1', load(PAPER, 'Paper'));
+        assert('Unchanged documents are not re-chunked', loads === 2);
+
+        const hits = retriever.retrieve('what is the loss with weight decay', { docIds: ['paper'] });
+        assert('Results are numbered from 1', hits.every((h, i) => h.n === i + 1));
+        assert('The matching equation is retrieved', hits.some(h => h.kind === 'equation' && h.anchor === 'eq-0'));
+        assert('Variables used in a retrieved equation come along', hits.some(h => h.variable === '\\lambda') && hits.some(h => h.variable === 'w'));
+        assert('Passages come first, then equations, then variables',
+            hits.map(h => ['passage', 'equation', 'variable'].indexOf(h.kind)).every((k, i, a) => i === 0 || a[i - 1] <= k));
+        assert('docIds restricts retrieval', retriever.retrieve('gradient descent', { docIds: ['paper'] }).every(h => h.docId === 'paper') &&
+            retriever.retrieve('gradient descent').some(h => h.docId === 'other'));
+        assert('Per-kind limits apply', retriever.retrieve('gradient descent momentum loss', { limits: { passage: 1 } }).filter(h => h.kind === 'passage').length === 1);
+
+        retriever.ensure('paper', 'v2', load(PAPER.replace('Momentum', 'Nesterov momentum'), 'Paper'));
+        assert('A new signature re-chunks the document', loads === 3 && retriever.retrieve('Nesterov').length > 0);
+        assert('Unmatched questions retrieve nothing', retriever.retrieve('zebra').length === 0);
+
+        // Prompt and citations
+        const excerpts = formatExcerpts(hits);
+        assert('Excerpts are labelled [n] with title and section', excerpts.startsWith('[1] Paper § ') && excerpts.includes(`[${hits.length}] `));
+        const citation = toCitation({ ...hits[0], text: 'x'.repeat(500) });
+        assert('Citations carry a short snippet instead of the full text', !('text' in citation) && citation.snippet.length < 250 && citation.anchor === hits[0].anchor);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
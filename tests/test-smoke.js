@@ -5,11 +5,16 @@
  */
 
 const http = require('http');
+const os = require('os');
 const { spawn } = require('child_process');
 const path = require('path');
+const fs = require('fs');
 
 const PORT = 3003;
+// The server runs against a scratch copy of data/ so a run leaves the real one as it was
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-data-'));
 let serverProc;
+let crossrefStub;
 let passed = 0;
 let failed = 0;
 
@@ -18,11 +23,31 @@ function fetch(urlPath) {
         http.get(`http://localhost:${PORT}${urlPath}`, (res) => {
             let body = '';
             res.on('data', (chunk) => body += chunk);
-            res.on('end', () => resolve({ status: res.statusCode, body }));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
         }).on('error', reject);
     });
 }
 
+function request(method, urlPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const req = http.request(`http://localhost:${PORT}${urlPath}`, {
+            method,
+            headers: {
+                ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+                ...headers,
+            },
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
 function assert(name, condition) {
     if (condition) {
         console.log(`  ✅ ${name}`);
@@ -33,13 +58,935 @@ function assert(name, condition) {
     }
 }
 
+async function testReanchor(docId) {
+    const annPath = path.join(DATA_DIR, 'annotations', `${docId}.json`);
+    const original = fs.existsSync(annPath) ? fs.readFileSync(annPath, 'utf-8') : null;
+
+    try {
+        const search = JSON.parse((await fetch(`/api/search?q=attention&docId=${docId}&kind=text`)).body);
+        const words = (search.hits[0]?.snippet || '').replace(/^…|…$/g, '').trim().split(' ');
+        const quote = words.slice(1, 6).join(' ');
+
+        const kept = JSON.parse((await request('POST', `/api/annotations/${docId}`, {
+            type: 'highlight',
+            selectedText: quote,
+            selectors: [
+                { type: 'TextQuoteSelector', exact: quote, prefix: '', suffix: '' },
+                { type: 'TextPositionSelector', start: 0, end: quote.length },
+            ],
+        })).body);
+        const lost = JSON.parse((await request('POST', `/api/annotations/${docId}`, {
+            type: 'highlight',
+            selectedText: 'text that was removed by the latest re-import',
+        })).body);
+        assert('POST /api/annotations stores W3C selectors', Array.isArray(kept.selectors) && kept.selectors.length === 2);
+
+        const res = await request('POST', `/api/annotations/${docId}/reanchor`);
+        assert('POST /api/annotations/:docId/reanchor returns 200', res.status === 200);
+        const report = JSON.parse(res.body);
+        assert('Re-anchoring keeps a surviving quote', !report.orphaned.includes(kept.id));
+        assert('Re-anchoring reports an orphaned annotation', report.orphaned.includes(lost.id));
+
+        const after = JSON.parse((await fetch(`/api/annotations/${docId}`)).body);
+        const refreshed = after.find(a => a.id === kept.id) || {};
+        const position = (refreshed.selectors || []).find(sel => sel.type === 'TextPositionSelector');
+        assert('Re-anchoring refreshes the text position', !!position && position.start > 0);
+    } finally {
+        if (original === null) fs.rmSync(annPath, { force: true });
+        else fs.writeFileSync(annPath, original);
+    }
+}
+
+async function testW3CRoundTrip(docId) {
+    const scratchId = 'smoke-w3c-roundtrip';
+    const scratchPath = path.join(DATA_DIR, 'annotations', `${scratchId}.json`);
+
+    try {
+        const exported = await fetch(`/api/annotations/${docId}/export?format=w3c`);
+        assert('GET /api/annotations/:docId/export?format=w3c returns 200', exported.status === 200);
+        const collection = JSON.parse(exported.body);
+        assert('Export is a W3C AnnotationCollection', collection.type === 'AnnotationCollection' && Array.isArray(collection.first.items));
+
+        const unsupported = await fetch(`/api/annotations/${docId}/export?format=csv`);
+        assert('Export with unknown format returns 400', unsupported.status === 400);
+
+        const imported = await request('POST', `/api/annotations/${scratchId}/import?mode=replace`, collection);
+        assert('POST /api/annotations/:docId/import returns 200', imported.status === 200);
+        const source = JSON.parse((await fetch(`/api/annotations/${docId}`)).body);
+        const copies = JSON.parse((await fetch(`/api/annotations/${scratchId}`)).body);
+        const importable = source.filter(a => a.selectedText || a.note);
+        assert('Import keeps every annotation with text', copies.length === importable.length);
+        assert('Import preserves ids, types and notes', importable.every(a => copies.some(c =>
+            c.id === a.id && c.type === a.type && c.note === a.note && c.selectedText === a.selectedText)));
+
+        const empty = await request('POST', `/api/annotations/${scratchId}/import`, { type: 'AnnotationCollection' });
+        assert('Import without annotations returns 400', empty.status === 400);
+    } finally {
+        fs.rmSync(scratchPath, { force: true });
+    }
+}
+
+async function testHistory() {
+    const docId = 'smoke-history';
+    try {
+        const missing = await fetch(`/api/history/${docId}`);
+        assert('GET /api/history/:docId without history returns 404', missing.status === 404);
+
+        const init = await request('POST', `/api/history/${docId}`, { baseHtml: '<p>hello world</p>', baseAnnotations: [] });
+        assert('POST /api/history/:docId starts a tree', init.status === 200);
+
+        const node = {
+            id: 'n1',
+            parentId: 'root',
+            description: 'Highlighted text',
+            patches: [{ start: 9, deleteCount: 5, insert: '<span class="user-hl">world</span>' }],
+            annotationDelta: { upserted: [{ id: 'a1', type: 'highlight', selectedText: 'world' }], removed: [] },
+        };
+        const added = await request('POST', `/api/history/${docId}/nodes`, node);
+        assert('POST /api/history/:docId/nodes appends a node', added.status === 200 && JSON.parse(added.body).headId === 'n1');
+        const orphan = await request('POST', `/api/history/${docId}/nodes`, { ...node, id: 'n2', parentId: 'nope' });
+        assert('Appending to an unknown parent returns 400', orphan.status === 400);
+        const protoParent = await request('POST', `/api/history/${docId}/nodes`, { ...node, id: 'n3', parentId: '__proto__' });
+        const protoHead = await request('PUT', `/api/history/${docId}/head`, { headId: 'constructor' });
+        const badId = await request('POST', `/api/history/${docId}/nodes`, { ...node, id: '../n4' });
+        assert('Prototype keys are not nodes and node ids must be slugs', protoParent.status === 400 && protoHead.status === 400 && badId.status === 400);
+        const retried = await request('POST', `/api/history/${docId}/nodes`, node);
+        const clash = await request('POST', `/api/history/${docId}/nodes`, { ...node, patches: [{ start: 0, deleteCount: 0, insert: 'x' }] });
+        assert('Retrying a node is idempotent; a different node under a taken id is 409', retried.status === 200 && clash.status === 409);
+
+        const big = 'x'.repeat(200 * 1024);
+        const bigBase = await request('POST', `/api/history/${docId}-big`, { baseHtml: `<p>${big}</p>` });
+        const bigNote = await request('POST', `/api/annotations/${docId}`, { type: 'human_note', note: big });
+        assert('Only history routes take large JSON bodies', bigBase.status === 200 && bigNote.status === 413);
+
+        const head = await request('PUT', `/api/history/${docId}/head`, { headId: 'root' });
+        assert('PUT /api/history/:docId/head moves the head', head.status === 200);
+
+        const tree = JSON.parse((await fetch(`/api/history/${docId}`)).body);
+        assert('History keeps the branch and head', tree.headId === 'root' && tree.nodes.root.childrenIds.includes('n1'));
+        assert('History nodes store diffs, not HTML snapshots', tree.nodes.n1.patches.length === 1 && tree.nodes.n1.html === undefined);
+    } finally {
+        await request('DELETE', `/api/history/${docId}`);
+        await request('DELETE', `/api/history/${docId}-big`);
+    }
+}
+
+async function testUsers() {
+    const docId = 'smoke-users';
+    const annPath = path.join(DATA_DIR, 'annotations', `${docId}.json`);
+    const usersPath = path.join(DATA_DIR, 'users.json');
+    const originalUsers = fs.existsSync(usersPath) ? fs.readFileSync(usersPath, 'utf-8') : null;
+    const alice = { 'X-Scholarly-User': 'Alice Smith' };
+    const bob = { 'X-Scholarly-User': 'bob' };
+
+    try {
+        const me = JSON.parse((await request('GET', '/api/me', undefined, alice)).body);
+        assert('GET /api/me resolves the identity header', me.id === 'alice-smith' && me.name === 'Alice Smith' && !!me.color);
+
+        const a = JSON.parse((await request('POST', `/api/annotations/${docId}`, { type: 'highlight', selectedText: 'alpha' }, alice)).body);
+        const b = JSON.parse((await request('POST', `/api/annotations/${docId}`, { type: 'human_note', selectedText: 'beta', note: 'mine' }, bob)).body);
+        assert('Annotations record their author', a.author === 'alice-smith' && b.author === 'bob');
+
+        const users = JSON.parse((await fetch('/api/users')).body);
+        assert('GET /api/users lists authors who wrote', ['alice-smith', 'bob'].every(id => users.some(u => u.id === id)));
+
+        const editOther = await request('PUT', `/api/annotations/${docId}/${a.id}`, { note: 'defaced' }, bob);
+        const deleteOther = await request('DELETE', `/api/annotations/${docId}/${a.id}`, undefined, bob);
+        const ownEdit = await request('PUT', `/api/annotations/${docId}/${b.id}`, { note: 'still mine' }, bob);
+        assert('Users cannot edit or delete another user\'s annotation', editOther.status === 403 && deleteOther.status === 403 &&
+            ownEdit.status === 200 && JSON.parse((await fetch(`/api/annotations/${docId}`)).body).some(x => x.id === a.id && !x.note));
+
+        await request('PUT', `/api/annotations/${docId}/all`, { annotations: [] }, bob);
+        const left = JSON.parse((await fetch(`/api/annotations/${docId}`)).body);
+        assert('Bulk replace only touches the caller\'s layer', left.length === 1 && left[0].id === a.id);
+
+        // W3C imports write into the caller's layer only
+        const forged = { type: 'Annotation', id: `http://localhost/api/annotations/${docId}#${a.id}`, creator: { type: 'Person', nickname: 'alice-smith' },
+            body: { type: 'TextualBody', value: 'taken over', purpose: 'commenting' },
+            target: { source: docId, selector: { type: 'TextQuoteSelector', exact: 'alpha' } } };
+        const merged = JSON.parse((await request('POST', `/api/annotations/${docId}/import`, forged, bob)).body);
+        let all = JSON.parse((await fetch(`/api/annotations/${docId}`)).body);
+        const alices = all.find(x => x.id === a.id);
+        assert('Importing another user\'s annotation id adds a new annotation under the caller',
+            merged.imported === 1 && merged.updated === 0 && alices.author === 'alice-smith' && alices.note !== 'taken over' &&
+            all.some(x => x.id !== a.id && x.author === 'bob' && x.note === 'taken over'));
+        await request('POST', `/api/annotations/${docId}/import?mode=replace`, { ...forged, id: undefined, body: { ...forged.body, value: 'fresh' } }, bob);
+        all = JSON.parse((await fetch(`/api/annotations/${docId}`)).body);
+        assert('Replace-mode imports drop only the caller\'s annotations', all.length === 2 &&
+            all.some(x => x.id === a.id && x.author === 'alice-smith') && all.some(x => x.author === 'bob' && x.note === 'fresh'));
+    } finally {
+        fs.rmSync(annPath, { force: true });
+        if (originalUsers === null) fs.rmSync(usersPath, { force: true });
+        else fs.writeFileSync(usersPath, originalUsers);
+    }
+}
+
+async function testStorage() {
+    const docId = 'smoke-storage';
+    const annDir = path.join(DATA_DIR, 'annotations');
+    const annPath = path.join(annDir, `${docId}.json`);
+    const backups = () => fs.readdirSync(annDir).filter(n => n.startsWith(`${docId}.json.corrupt-`));
+
+    try {
+        await Promise.all(Array.from({ length: 10 }, (_, i) =>
+            request('POST', `/api/annotations/${docId}`, { type: 'highlight', selectedText: `word ${i}` })));
+        const list = await fetch(`/api/annotations/${docId}`);
+        assert('Concurrent writes are all kept', JSON.parse(list.body).length === 10);
+        assert('GET annotations returns an ETag', !!list.headers.etag);
+
+        const fresh = await request('POST', `/api/annotations/${docId}`, { type: 'highlight', selectedText: 'fresh' }, { 'If-Match': list.headers.etag });
+        const stale = await request('POST', `/api/annotations/${docId}`, { type: 'highlight', selectedText: 'stale' }, { 'If-Match': list.headers.etag });
+        assert('If-Match with the current ETag is accepted', fresh.status === 200);
+        assert('If-Match with a stale ETag returns 412', stale.status === 412);
+
+        const ann = JSON.parse(fresh.body);
+        const put = await request('PUT', `/api/annotations/${docId}/${ann.id}`, { note: 'v2' }, { 'If-Match': fresh.headers.etag });
+        const lost = await request('PUT', `/api/annotations/${docId}/${ann.id}`, { note: 'v2 elsewhere' }, { 'If-Match': fresh.headers.etag });
+        assert('Annotation updates are versioned', put.status === 200 && lost.status === 412);
+
+        fs.writeFileSync(annPath, '[{"id": "trunc');
+        const corrupt = await fetch(`/api/annotations/${docId}`);
+        assert('Corrupted annotation files are backed up, not discarded', corrupt.status === 200 && backups().length === 1);
+    } finally {
+        fs.rmSync(annPath, { force: true });
+        backups().forEach(n => fs.rmSync(path.join(annDir, n), { force: true }));
+    }
+}
+
+function upload(urlPath, buffer) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`http://localhost:${PORT}${urlPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': buffer.length },
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: data }));
+        });
+        req.on('error', reject);
+        req.end(buffer);
+    });
+}
+
+async function waitForImport(jobId, timeoutMs = 30000) {
+    const started = Date.now();
+    while (Date.now() - started < timeoutMs) {
+        const job = JSON.parse((await fetch(`/api/import-status/${jobId}`)).body);
+        if (job.status !== 'running' && job.status !== 'queued') return job;
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+    return { status: 'timeout' };
+}
+
+async function testUpload() {
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-upload-'));
+    const archive = `${srcDir}.tar.gz`;
+    let docDir = null;
+
+    try {
+        fs.mkdirSync(path.join(srcDir, 'draft'));
+        fs.writeFileSync(path.join(srcDir, 'draft', 'main.tex'), [
+            '\\documentclass{article}',
+            '\\title{Smoke Upload Draft}',
+            '\\begin{document}',
+            '\\section{Introduction}',
+            'We study $x^2$ in detail.',
+            '\\input{method}',
+            '\\bibliographystyle{plainnat}',
+            '\\bibliography{refs}',
+            '\\end{document}',
+        ].join('\n'));
+        fs.writeFileSync(path.join(srcDir, 'draft', 'method.tex'), '\\section{Method}\nAn inlined section building on \\citet{vaswani2017}.\n');
+        fs.writeFileSync(path.join(srcDir, 'draft', 'refs.bib'), [
+            '@inproceedings{vaswani2017,',
+            '  author = {Vaswani, Ashish and Shazeer, Noam},',
+            '  title = {Attention Is All You {Need}},',
+            '  booktitle = {NeurIPS}, year = 2017,',
+            '  eprint = {1706.03762}, archivePrefix = {arXiv}',
+            '}',
+            '@article{unused, title = {Never Cited}}',
+        ].join('\n'));
+        execFileSync('tar', ['czf', archive, '-C', srcDir, 'draft']);
+
+        const rejected = await upload('/api/import-upload?filename=notes.txt', Buffer.from('plain text'));
+        assert('POST /api/import-upload rejects non-TeX files', rejected.status === 400);
+
+        const started = await upload('/api/import-upload?filename=smoke-upload.tar.gz', fs.readFileSync(archive));
+        const job = await waitForImport(JSON.parse(started.body).jobId);
+        assert('POST /api/import-upload imports a .tar.gz', job.status === 'done' && !!job.result.id);
+
+        const { jobs } = JSON.parse((await fetch('/api/import-jobs')).body);
+        assert('GET /api/import-jobs lists the upload', jobs.some(j => j.id === job.id && j.type === 'upload'));
+        const log = JSON.parse((await fetch(`/api/import-jobs/${job.id}/log`)).body);
+        assert('GET /api/import-jobs/:id/log has the progress steps', log.entries.some(e => e.message === 'Unpacking upload...'));
+        const stream = await fetch(`/api/import-jobs/${job.id}/events`);
+        const events = stream.body.split('\n').filter(l => l.startsWith('data: ')).map(l => JSON.parse(l.slice(6)));
+        assert('Import event stream has structured stages and sections',
+            stream.headers['content-type'] === 'text/event-stream' &&
+            events.some(e => e.type === 'stage' && e.stage === 'parse' && e.step === 2) &&
+            events.some(e => e.type === 'section' && e.index === 1 && e.total === 2));
+        assert('Import event stream ends with the result', events[events.length - 1].type === 'result' && events[events.length - 1].result.id === job.result.id);
+        const cancel = await request('POST', `/api/import-jobs/${job.id}/cancel`);
+        assert('Finished jobs cannot be cancelled', cancel.status === 409);
+        if (job.status !== 'done') return;
+
+        docDir = path.join(__dirname, '..', 'docs', job.result.id);
+        const meta = fs.readFileSync(path.join(docDir, 'metadata.yaml'), 'utf-8');
+        assert('Uploaded doc gets metadata.yaml with its title', meta.includes('Smoke Upload Draft') && meta.includes('source: upload'));
+        const doc = JSON.parse((await fetch(`/api/doc/${job.result.id}`)).body);
+        assert('Uploaded doc resolves \\input files', doc.content.includes('Method') && doc.content.includes('An inlined section'));
+        assert('Citations are resolved from the .bib into numbered badges and references',
+            doc.content.includes('<sup class="ref-badge" data-ref="1" data-title="Attention Is All You Need"') &&
+            /<li id="ref-1"><strong>Ashish Vaswani and Noam Shazeer\.<\/strong> Attention Is All You Need\./.test(doc.content) &&
+            !doc.content.includes('Never Cited') && meta.includes('reference_count: 1'));
+        const tex = JSON.parse((await fetch(`/api/doc/${job.result.id}?file=paper.tex`)).body);
+        assert('The saved TeX source renders with its bibliography', fs.existsSync(path.join(docDir, 'paper.bib')) &&
+            tex.content.includes('data-ref="1"') && tex.content.includes('<li id="ref-1">'));
+    } finally {
+        fs.rmSync(srcDir, { recursive: true, force: true });
+        fs.rmSync(archive, { force: true });
+        if (docDir) fs.rmSync(docDir, { recursive: true, force: true });
+    }
+}
+
+async function testUploadContainment() {
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-contain-'));
+    const secret = path.join(srcDir, 'secret.tex');
+    const archive = `${srcDir}.tar.gz`;
+    const escape = '../'.repeat(20) + secret.slice(1).replace(/\.tex$/, '');
+    let docDir = null;
+
+    try {
+        // Symlinks, ../ inputs and a file inputting itself must not leak or loop
+        fs.writeFileSync(secret, 'SMOKE-SECRET-CONTENT');
+        fs.mkdirSync(path.join(srcDir, 'draft'));
+        fs.writeFileSync(path.join(srcDir, 'draft', 'main.tex'), [
+            '\\documentclass{article}',
+            '\\title{Smoke Contained Draft}',
+            '\\begin{document}',
+            '\\section{Introduction}',
+            'Inside the folder.',
+            '\\input{linked}',
+            `\\input{${escape}}`,
+            '\\input{main}',
+            '\\end{document}',
+        ].join('\n'));
+        fs.symlinkSync(secret, path.join(srcDir, 'draft', 'linked.tex'));
+        execFileSync('tar', ['czf', archive, '-C', srcDir, 'draft']);
+
+        const started = await upload('/api/import-upload?filename=smoke-contained.tar.gz', fs.readFileSync(archive));
+        const job = await waitForImport(JSON.parse(started.body).jobId);
+        assert('Uploads with symlinks and ../ inputs still import', job.status === 'done');
+        if (job.status !== 'done') return;
+        docDir = path.join(__dirname, '..', 'docs', job.result.id);
+        const html = fs.readFileSync(path.join(docDir, 'paper.html'), 'utf-8');
+        const tex = fs.readFileSync(path.join(docDir, 'paper.tex'), 'utf-8');
+        assert('Symlinked and ../ inputs are not inlined', html.includes('Inside the folder') &&
+            !html.includes('SMOKE-SECRET-CONTENT') && !tex.includes('SMOKE-SECRET-CONTENT'));
+        const rendered = JSON.parse((await fetch(`/api/doc/${job.result.id}?file=paper.tex`)).body);
+        assert('The saved TeX source does not follow ../ inputs when rendered', !rendered.content.includes('SMOKE-SECRET-CONTENT'));
+    } finally {
+        fs.rmSync(srcDir, { recursive: true, force: true });
+        fs.rmSync(archive, { force: true });
+        if (docDir) fs.rmSync(docDir, { recursive: true, force: true });
+    }
+}
+
+async function testFailedUploadCleanup() {
+    const os = require('os');
+    const { execFileSync } = require('child_process');
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-broken-'));
+    const archive = `${srcDir}.tar.gz`;
+    const docDir = path.join(__dirname, '..', 'docs', 'smoke-broken-upload');
+
+    try {
+        // A folder named like an image fails the build after docs/{id} was created
+        fs.mkdirSync(path.join(srcDir, 'draft', 'plot.png'), { recursive: true });
+        fs.writeFileSync(path.join(srcDir, 'draft', 'main.tex'), [
+            '\\documentclass{article}',
+            '\\begin{document}',
+            '\\section{Results}',
+            '\\begin{figure}\\includegraphics{plot.png}\\caption{Plot}\\end{figure}',
+            '\\end{document}',
+        ].join('\n'));
+        execFileSync('tar', ['czf', archive, '-C', srcDir, 'draft']);
+
+        const started = await upload('/api/import-upload?filename=smoke-broken-upload.tar.gz', fs.readFileSync(archive));
+        const job = await waitForImport(JSON.parse(started.body).jobId);
+        assert('A failed upload leaves no partial docs/{id} behind', job.status === 'error' && !fs.existsSync(docDir));
+    } finally {
+        fs.rmSync(srcDir, { recursive: true, force: true });
+        fs.rmSync(archive, { force: true });
+        fs.rmSync(docDir, { recursive: true, force: true });
+    }
+}
+
+async function testPdfUpload() {
+    const docsDir = path.join(__dirname, '..', 'docs');
+    const embedDir = path.join(docsDir, 'smoke-pdf-embed');
+    let docDir = null;
+
+    try {
+        // A PDF is recognized by its magic bytes; without poppler the job fails with a clear message
+        const started = await upload('/api/import-upload?filename=scan', Buffer.from('%PDF-1.4\n%%EOF\n'));
+        assert('POST /api/import-upload accepts PDFs', started.status === 200);
+        const job = await waitForImport(JSON.parse(started.body).jobId);
+        assert('PDF import job finishes', job.status === 'done' || (job.status === 'error' && !!job.error));
+        if (job.status === 'done') docDir = path.join(docsDir, job.result.id);
+
+        fs.mkdirSync(embedDir, { recursive: true });
+        fs.writeFileSync(path.join(embedDir, 'paper.pdf'), '%PDF-1.4\n%%EOF\n');
+        fs.writeFileSync(path.join(embedDir, 'metadata.yaml'), [
+            'title: Smoke PDF',
+            'files:',
+            '  - name: paper.pdf',
+            '    format: pdf',
+            '    primary: true',
+        ].join('\n'));
+        const doc = JSON.parse((await fetch('/api/doc/smoke-pdf-embed')).body);
+        assert('PDF files are embedded in the reader', doc.content.includes('<iframe class="pdf-embed" src="/docs/smoke-pdf-embed/paper.pdf"'));
+    } finally {
+        fs.rmSync(embedDir, { recursive: true, force: true });
+        if (docDir) fs.rmSync(docDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Concatenate the { content } chunks of an SSE completion
+ */
+function readCompletion(body) {
+    const events = body.split('\n').filter(l => l.startsWith('data: ')).map(l => JSON.parse(l.slice(6)));
+    return { text: events.map(e => e.content || '').join(''), last: events[events.length - 1] || {} };
+}
+
+async function testLLMProviders() {
+    const { providers } = JSON.parse((await fetch('/api/llm/providers')).body);
+    assert('GET /api/llm/providers lists the mock provider', providers.some(p => p.name === 'mock' && p.configured));
+
+    const chat = await request('POST', '/api/chat', { question: 'What is attention?', provider: 'mock' });
+    const answer = readCompletion(chat.body);
+    assert('POST /api/chat streams from the provider picked per request',
+        answer.text === '[mock:mock] What is attention?' && answer.last.done && answer.last.provider === 'mock');
+
+    const studio = readCompletion((await request('POST', '/api/studio', { operation: 'summary', prompt: 'Summarize', provider: 'mock', model: 'tiny' })).body);
+    assert('POST /api/studio honours the requested model', studio.text === '[mock:tiny] Summarize');
+    if (studio.last.artifactId) await request('DELETE', `/api/artifacts/${studio.last.artifactId}`);
+
+    const unknown = await request('POST', '/api/chat', { question: 'hi', provider: 'nonexistent' });
+    assert('Unknown providers are rejected with 400', unknown.status === 400);
+}
+
+async function testChatRetrieval() {
+    const chat = await request('POST', '/api/chat', {
+        question: 'How is scaled dot-product attention computed?',
+        docId: '1706-03762',
+        provider: 'mock',
+    });
+    const events = chat.body.split('\n').filter(l => l.startsWith('data: ')).map(l => JSON.parse(l.slice(6)));
+    const citations = (events[0] && events[0].citations) || [];
+    assert('POST /api/chat with a docId sends citations before the answer', citations.length > 0 && events.some(e => e.content));
+    assert('Citations point at section anchors', citations.some(c => c.kind === 'passage' && c.anchor && /Scaled Dot-Product/.test(c.section)));
+    assert('Retrieval includes equations and the variables they use',
+        citations.some(c => c.kind === 'equation' && /^eq-\d+$/.test(c.anchor)) && citations.some(c => c.kind === 'variable' && c.variable === 'd_k'));
+
+    const plain = await request('POST', '/api/chat', { question: 'hi', docId: 'no-such-doc', provider: 'mock' });
+    assert('Unknown docIds fall back to a plain answer', !/citations/.test(plain.body) && readCompletion(plain.body).last.done);
+}
+
+async function testConversations() {
+    const alice = { 'X-Scholarly-User': 'smoke-alice' };
+    const created = await request('POST', '/api/conversations', { docIds: ['1706-03762'], origin: 'reader' }, alice);
+    const conv = JSON.parse(created.body);
+    assert('POST /api/conversations starts an empty thread', created.status === 201 && conv.id && conv.messages.length === 0 && conv.origin === 'reader');
+
+    try {
+        const first = readCompletion((await request('POST', '/api/chat', {
+            question: 'What is multi-head attention?', conversationId: conv.id, provider: 'mock',
+        }, alice)).body);
+        assert('Chat in a thread reports the stored message ids', first.last.done && first.last.conversationId === conv.id && first.last.messageIds.length === 2);
+        await request('POST', '/api/chat', { question: 'And why several heads?', conversationId: conv.id, provider: 'mock' }, alice);
+
+        const stored = JSON.parse((await request('GET', `/api/conversations/${conv.id}`, undefined, alice)).body);
+        assert('Both turns are stored in order', stored.messages.map(m => m.role).join() === 'user,assistant,user,assistant' &&
+            stored.messages[2].content === 'And why several heads?' && stored.messages[3].model === 'mock');
+        assert('Answers keep their citations and the thread its papers', stored.messages[1].citations.length > 0 && stored.docIds[0] === '1706-03762');
+        assert('Untitled threads are named after the first question', stored.title === 'What is multi-head attention?');
+
+        const listed = JSON.parse((await request('GET', '/api/conversations?docId=1706-03762&origin=reader', undefined, alice)).body);
+        assert('GET /api/conversations lists summaries per paper', listed.some(c => c.id === conv.id && c.messageCount === 4 && !c.messages));
+        const other = await request('GET', `/api/conversations/${conv.id}`, undefined, { 'X-Scholarly-User': 'smoke-bob' });
+        assert('Threads are private to their owner', other.status === 404);
+
+        const renamed = JSON.parse((await request('PATCH', `/api/conversations/${conv.id}`, { title: 'Heads' }, alice)).body);
+        assert('PATCH renames a thread', renamed.title === 'Heads');
+    } finally {
+        const removed = await request('DELETE', `/api/conversations/${conv.id}`, undefined, alice);
+        assert('DELETE removes a thread', removed.status === 200 &&
+            (await request('GET', `/api/conversations/${conv.id}`, undefined, alice)).status === 404);
+    }
+}
+
+async function testChatNotes() {
+    const docId = '1706-03762';
+    const annPath = path.join(DATA_DIR, 'annotations', `${docId}.json`);
+    const original = fs.existsSync(annPath) ? fs.readFileSync(annPath, 'utf-8') : null;
+    const alice = { 'X-Scholarly-User': 'smoke-alice' };
+    const conv = JSON.parse((await request('POST', '/api/conversations', { docIds: [docId], origin: 'reader' }, alice)).body);
+
+    try {
+        const passage = 'The Transformer follows this overall architecture';
+        const done = readCompletion((await request('POST', '/api/chat', {
+            question: 'Explain this passage', context: passage, conversationId: conv.id, provider: 'mock',
+        }, alice)).body).last;
+        const saved = await request('POST', `/api/conversations/${conv.id}/messages/${done.messageIds[1]}/annotation`, { docId }, alice);
+        const { annotation } = JSON.parse(saved.body);
+        assert('A chat answer is saved as an AI note', saved.status === 201 && annotation.type === 'ai_note' && annotation.note.startsWith('[mock:mock]'));
+        assert('The note is anchored to the passage asked about', annotation.selectedText === passage &&
+            annotation.selectors.some(s => s.type === 'TextPositionSelector' && s.start > 0));
+        assert('The note records model and prompt', annotation.ai.model === 'mock' && annotation.ai.provider === 'mock' &&
+            annotation.ai.prompt === 'Explain this passage' && annotation.ai.messageId === done.messageIds[1]);
+
+        const stored = JSON.parse((await request('GET', `/api/conversations/${conv.id}`, undefined, alice)).body);
+        assert('The answer remembers the note it was saved as', stored.messages[1].notes[0].annotationId === annotation.id);
+        const notAnAnswer = await request('POST', `/api/conversations/${conv.id}/messages/${done.messageIds[0]}/annotation`, {}, alice);
+        assert('Only answers can be saved as notes', notAnAnswer.status === 404);
+    } finally {
+        await request('DELETE', `/api/conversations/${conv.id}`, undefined, alice);
+        if (original === null) fs.rmSync(annPath, { force: true });
+        else fs.writeFileSync(annPath, original);
+    }
+}
+
+async function testStudioArtifacts() {
+    const docId = '1706-03762';
+    const alice = { 'X-Scholarly-User': 'smoke-alice' };
+    const first = readCompletion((await request('POST', '/api/studio', {
+        operation: 'summary', label: 'Summary Report', prompt: 'Summarize the paper', docIds: [docId], provider: 'mock',
+    }, alice)).body).last;
+    assert('A studio run is saved as version 1 of an artifact', first.done && first.artifactId && first.version === 1);
+    const id = first.artifactId;
+
+    try {
+        const listed = JSON.parse((await fetch(`/api/artifacts?docId=${docId}`)).body);
+        assert('GET /api/artifacts lists artifacts by source document', listed.some(a => a.id === id && a.versionCount === 1 &&
+            a.label === 'Summary Report' && a.createdBy === 'smoke-alice' && !a.versions));
+
+        const rerun = readCompletion((await request('POST', '/api/studio', {
+            artifactId: id, prompt: 'Summarize the paper\nIn three bullets', provider: 'mock',
+        })).body).last;
+        assert('Re-running an artifact appends a version', rerun.artifactId === id && rerun.version === 2);
+
+        const artifact = JSON.parse((await fetch(`/api/artifacts/${id}`)).body);
+        assert('Versions keep their output, prompt and model', artifact.versions.length === 2 && artifact.docIds[0] === docId &&
+            artifact.versions[1].prompt.endsWith('In three bullets') && artifact.versions[1].model === 'mock' && artifact.versions[0].content.startsWith('[mock:mock]'));
+
+        const diff = JSON.parse((await fetch(`/api/artifacts/${id}/diff`)).body);
+        assert('Versions can be diffed line by line', diff.from === 1 && diff.to === 2 && diff.added === 1 && diff.removed === 0 && diff.lines[1].text === 'In three bullets');
+        assert('Diffing a missing version is a 404', (await fetch(`/api/artifacts/${id}/diff?from=1&to=9`)).status === 404);
+
+        const doc = JSON.parse((await fetch(`/api/doc/artifact-${id}?file=v1.md`)).body);
+        assert('The reader opens an artifact version as a markdown document', doc.format === 'markdown' && doc.filename === 'v1.md' &&
+            /<h1[^>]*>Summary Report<\/h1>/.test(doc.content) && doc.content.includes(`/?doc=${docId}`));
+        const latest = JSON.parse((await fetch(`/api/doc/artifact-${id}`)).body);
+        assert('Without ?file= the latest version opens', latest.filename === 'v2.md');
+
+        const renamed = JSON.parse((await request('PATCH', `/api/artifacts/${id}`, { label: 'Attention summary' })).body);
+        assert('PATCH renames an artifact', renamed.label === 'Attention summary');
+    } finally {
+        const removed = await request('DELETE', `/api/artifacts/${id}`);
+        assert('DELETE removes an artifact', removed.status === 200 && (await fetch(`/api/artifacts/${id}`)).status === 404);
+    }
+}
+
+async function testStudioTemplates() {
+    const docId = '1706-03762';
+    const created = await request('POST', '/api/studio/templates', {
+        label: 'Section quiz', description: 'Quiz on one section', prompt: 'Quiz me on {{section}}',
+    });
+    const template = JSON.parse(created.body);
+    assert('POST /api/studio/templates saves a custom operation', created.status === 201 && template.id && template.base === null);
+    const ids = [template.id];
+
+    try {
+        const unknown = await request('POST', '/api/studio/templates', { label: 'Bad', prompt: 'Use {{nonsense}}' });
+        assert('Unknown template variables are rejected', unknown.status === 400 && /nonsense/.test(JSON.parse(unknown.body).error));
+
+        const listed = JSON.parse((await fetch('/api/studio/templates')).body);
+        assert('GET /api/studio/templates lists templates and variables', listed.templates.some(t => t.id === template.id) &&
+            ['sources', 'titles', 'section', 'annotations'].every(v => listed.variables[v]));
+
+        const sections = JSON.parse((await fetch(`/api/doc/${docId}/sections`)).body);
+        const scaled = sections.find(sec => /^3\.2 Attention/.test(sec.title));
+        assert('GET /api/doc/:id/sections lists titled sections with anchors', scaled && scaled.anchor);
+
+        const missing = await request('POST', '/api/studio', { templateId: template.id, docIds: [docId], provider: 'mock' });
+        assert('{{section}} operations need a section', missing.status === 400);
+
+        const run = readCompletion((await request('POST', '/api/studio', {
+            templateId: template.id, docIds: [docId], section: { docId, anchor: scaled.anchor }, provider: 'mock',
+        })).body);
+        assert('Running a template fills its variables', run.text.startsWith('[mock:mock] Quiz me on ## 3.2 Attention (Attention Is All You Need)'));
+        const artifact = JSON.parse((await fetch(`/api/artifacts/${run.last.artifactId}`)).body);
+        assert('The artifact records the template and section', artifact.templateId === template.id && artifact.operation === 'custom' &&
+            artifact.label === 'Section quiz' && artifact.section.anchor === scaled.anchor);
+        await request('DELETE', `/api/artifacts/${artifact.id}`);
+
+        const custom = JSON.parse((await request('POST', '/api/studio/templates', { base: 'summary', label: 'Short summary', prompt: 'Summarize {{titles}}' })).body);
+        ids.push(custom.id);
+        const again = await request('POST', '/api/studio/templates', { base: 'summary', label: 'Other', prompt: 'x' });
+        assert('A built-in can only be customized once', again.status === 409);
+
+        const patched = JSON.parse((await request('PATCH', `/api/studio/templates/${template.id}`, { description: 'Edited' })).body);
+        assert('PATCH edits a template', patched.description === 'Edited' && patched.prompt === 'Quiz me on {{section}}');
+
+        const exported = await fetch('/api/studio/templates/export');
+        const file = JSON.parse(exported.body);
+        assert('Templates export as a shareable file', file.format === 'scholarly-reader/studio-templates' &&
+            file.templates.some(t => t.label === 'Section quiz' && !t.id));
+
+        file.templates.push({ label: 'Glossary', prompt: 'Define the terms in {{sources}}' }, { label: 'Broken', prompt: '' });
+        const imported = JSON.parse((await request('POST', '/api/studio/templates/import', file)).body);
+        const after = JSON.parse((await fetch('/api/studio/templates')).body).templates;
+        ids.push(...after.filter(t => t.label === 'Glossary').map(t => t.id));
+        assert('Importing updates matching templates and adds new ones', imported.created === 1 && imported.updated >= 2 &&
+            imported.errors.length === 1 && after.filter(t => t.label === 'Section quiz').length === 1);
+    } finally {
+        for (const id of ids) await request('DELETE', `/api/studio/templates/${id}`);
+        const left = JSON.parse((await fetch('/api/studio/templates')).body).templates;
+        assert('DELETE removes templates', !left.some(t => ids.includes(t.id)));
+    }
+}
+
+async function testFlashcards() {
+    const docId = '1706-03762';
+    const deckPath = path.join(DATA_DIR, 'flashcards', `${docId}.json`);
+    const original = fs.existsSync(deckPath) ? fs.readFileSync(deckPath, 'utf-8') : null;
+    const alice = { 'X-Scholarly-User': 'smoke-alice' };
+
+    // The mock model echoes the prompt, so the prompt is the cards
+    const prompt = 'Cards:\n**Q:** What does d_k scale?\n**A:** The dot products of queries and keys, by 1/sqrt(d_k).\n---\n**Q:** How many heads?\n**A:** Eight parallel attention heads.';
+    const done = readCompletion((await request('POST', '/api/studio', { operation: 'flashcards', prompt, docIds: [docId], provider: 'mock' }, alice)).body).last;
+
+    try {
+        assert('A flashcards run adds its cards to the review deck', done.flashcards && done.flashcards.added === 2);
+
+        const { cards, stats } = JSON.parse((await request('GET', `/api/flashcards?docIds=${docId}`, undefined, alice)).body);
+        const dk = cards.find(c => /d_k/.test(c.front));
+        assert('Cards are parsed into front and back', dk && dk.back.startsWith('The dot products') && cards.every(c => c.docId === docId));
+        assert('Cards link to their source passage and variables', dk.anchor && dk.section && dk.variables.includes('d_k') && dk.artifactId === done.artifactId);
+        assert('New cards count as new in the stats', stats.new >= 2 && dk.review === null);
+
+        const session = JSON.parse((await request('GET', `/api/flashcards/review?docIds=${docId}`, undefined, alice)).body);
+        assert('The review session includes new cards', session.cards.some(c => c.id === dk.id));
+
+        const graded = JSON.parse((await request('POST', `/api/flashcards/${docId}/${dk.id}/review`, { grade: 4 }, alice)).body);
+        assert('Grading schedules the card with SM-2', graded.review.repetitions === 1 && graded.review.interval === 1 &&
+            Date.parse(graded.review.due) > Date.now());
+        const bad = await request('POST', `/api/flashcards/${docId}/${dk.id}/review`, { grade: 9 }, alice);
+        assert('Grades outside 0–5 are rejected', bad.status === 400);
+
+        const after = JSON.parse((await request('GET', `/api/flashcards/review?docIds=${docId}`, undefined, alice)).body);
+        assert('Reviewed cards leave the session until due', !after.cards.some(c => c.id === dk.id) && after.stats.learning >= 1 && after.stats.reviewedToday >= 1);
+        const bob = JSON.parse((await request('GET', `/api/flashcards?docIds=${docId}`, undefined, { 'X-Scholarly-User': 'smoke-bob' })).body);
+        assert('Review progress is per user', bob.cards.find(c => c.id === dk.id).review === null);
+
+        const again = JSON.parse((await request('POST', '/api/flashcards/import', { artifactId: done.artifactId }, alice)).body);
+        assert('Re-importing a version updates cards instead of duplicating them', again.added === 0 && again.updated === 2);
+
+        const anki = await fetch(`/api/flashcards/export?docIds=${docId}&format=anki`);
+        assert('Cards export to Anki\'s tab-separated format', anki.status === 200 && anki.body.startsWith('#separator:tab\n#html:true') &&
+            anki.body.split('\n').some(l => l.startsWith('What does d_k scale?\t') && l.includes(`doc::${docId}`) && l.includes(`/?doc=${docId}#`)));
+
+        const edited = JSON.parse((await request('PATCH', `/api/flashcards/${docId}/${dk.id}`, { back: 'By 1/√d_k.' }, alice)).body);
+        assert('PATCH edits a card', edited.back === 'By 1/√d_k.' && edited.review.repetitions === 1);
+        const removed = await request('DELETE', `/api/flashcards/${docId}/${dk.id}`);
+        assert('DELETE removes a card', removed.status === 200 && (await request('DELETE', `/api/flashcards/${docId}/${dk.id}`)).status === 404);
+    } finally {
+        if (done.artifactId) await request('DELETE', `/api/artifacts/${done.artifactId}`);
+        if (original === null) fs.rmSync(deckPath, { force: true });
+        else fs.writeFileSync(deckPath, original);
+    }
+}
+
+async function testQuizzes() {
+    const docId = '1706-03762';
+    const alice = { 'X-Scholarly-User': 'smoke-alice' };
+
+    // The mock model echoes the prompt, so the prompt is the quiz
+    const prompt = '## Question 1\n**How many attention heads?**\nA) 4\nB) 8\n**Answer: B**\n**Explanation:** Eight parallel attention heads.\n---\n## Question 2\n**Is there recurrence?**\nA) Yes\nB) No\n**Answer: B**';
+    const done = readCompletion((await request('POST', '/api/studio', { operation: 'quiz', prompt, docIds: [docId], provider: 'mock' }, alice)).body).last;
+
+    try {
+        assert('A quiz run parses into a runnable quiz', done.quiz && done.quiz.questions === 2);
+
+        const quiz = JSON.parse((await request('GET', `/api/quizzes/${done.quiz.id}`, undefined, alice)).body);
+        assert('Quiz questions come without their answers', quiz.questions.length === 2 &&
+            quiz.questions.every(q => q.answer === undefined && q.explanation === undefined) && quiz.questions[0].options.length === 2);
+        const same = await request('POST', '/api/quizzes', { artifactId: done.artifactId }, alice);
+        assert('Making a quiz from the same version returns the existing one', same.status === 201 && JSON.parse(same.body).id === quiz.id);
+
+        const attempt = JSON.parse((await request('POST', `/api/quizzes/${quiz.id}/attempts`, {}, alice)).body);
+        const [q1, q2] = quiz.questions;
+        const answerPath = `/api/quizzes/${quiz.id}/attempts/${attempt.id}/answers`;
+        const first = JSON.parse((await request('POST', answerPath, { questionId: q1.id, choice: 'B' }, alice)).body);
+        assert('Answering reveals the answer and links its section', first.correct && first.answer === 'B' &&
+            first.explanation.startsWith('Eight') && first.docId === docId && first.anchor && first.section);
+        const stolen = await request('POST', answerPath, { questionId: q2.id, choice: 'B' }, { 'X-Scholarly-User': 'smoke-bob' });
+        assert('Only the attempt\'s user can answer it', stolen.status === 403);
+        const second = JSON.parse((await request('POST', answerPath, { questionId: q2.id, choice: 'A' }, alice)).body);
+        assert('The last answer scores the attempt', !second.correct && second.attempt.finishedAt && second.attempt.correct === 1);
+
+        const scores = JSON.parse((await request('GET', `/api/quizzes/scores?docId=${docId}&mine=1`, undefined, alice)).body);
+        assert('Scores are kept per user and document', scores.length === 1 && scores[0].userId === 'smoke-alice' &&
+            scores[0].answered === 2 && scores[0].best === 0.5);
+        const listed = JSON.parse((await request('GET', `/api/quizzes?docId=${docId}`, undefined, alice)).body);
+        assert('Quiz lists carry the caller\'s attempts', listed.some(q => q.id === quiz.id && q.attempts.length === 1 && q.questionCount === 2));
+
+        const other = readCompletion((await request('POST', '/api/studio', { operation: 'summary', prompt: 'Summary', docIds: [docId], provider: 'mock' })).body).last;
+        const none = await request('POST', '/api/quizzes', { artifactId: other.artifactId });
+        await request('DELETE', `/api/artifacts/${other.artifactId}`);
+        assert('Artifacts without questions give 422', none.status === 422);
+    } finally {
+        if (done.quiz) await request('DELETE', `/api/quizzes/${done.quiz.id}`);
+        if (done.artifactId) await request('DELETE', `/api/artifacts/${done.artifactId}`);
+    }
+}
+
+async function testMindMap() {
+    const docId = '1706-03762';
+    // The mock model echoes the prompt, so the prompt is the outline
+    const prompt = '# Transformer\n## Attention\n- Multi-head attention\n  - Scaled dot-product attention\n## Training\n- Adam optimizer with warmup\n- Label smoothing';
+    const done = readCompletion((await request('POST', '/api/studio', { operation: 'mind_map', prompt, docIds: [docId], provider: 'mock' })).body).last;
+
+    try {
+        const map = JSON.parse((await fetch(`/api/artifacts/${done.artifactId}/mindmap`)).body);
+        const attention = map.root.children.find(n => n.text === 'Attention');
+        assert('Mind map artifacts parse into a tree', map.version === 1 && attention && attention.children[0].children[0].text === 'Scaled dot-product attention');
+        const scaled = attention.children[0].children[0];
+        assert('Mind map nodes link to paper sections', scaled.docId === docId && scaled.anchor && scaled.section);
+
+        const opml = await fetch(`/api/artifacts/${done.artifactId}/mindmap?format=opml&version=1`);
+        assert('Mind maps export as OPML with section links', opml.status === 200 && opml.body.includes('<outline text="Attention"') &&
+            opml.body.includes(`url="http://localhost:${PORT}/?doc=${docId}#`));
+        const bad = await fetch(`/api/artifacts/${done.artifactId}/mindmap?format=png`);
+        assert('Unknown mind map formats are rejected', bad.status === 400);
+    } finally {
+        if (done.artifactId) await request('DELETE', `/api/artifacts/${done.artifactId}`);
+    }
+}
+
+async function testDataTables() {
+    const docId = '1706-03762';
+    // The mock model echoes the prompt, so the prompt is the table
+    const prompt = 'Tables:\n### Main Results\n| Model | BLEU EN-DE | Notes |\n|---|---|---|\n| Transformer (big) | 28.4 | big |\n| ConvS2S | 25.16 | conv |';
+    const done = readCompletion((await request('POST', '/api/studio', { operation: 'data_table', prompt, docIds: [docId], provider: 'mock' })).body).last;
+
+    try {
+        const { tables } = JSON.parse((await fetch(`/api/artifacts/${done.artifactId}/tables`)).body);
+        const [results] = tables;
+        assert('Data table artifacts parse into structured tables', tables.length === 1 && results.title === 'Main Results' &&
+            results.columns.join() === 'Model,BLEU EN-DE,Notes' && results.rows[0].cells[1].value === 28.4);
+        const bleu = results.rows[0].cells[1].source;
+        assert('Numeric cells link to the paper table they come from', bleu && bleu.kind === 'table' && bleu.docId === docId && bleu.anchor === 'tab-wmt-results');
+        assert('Text cells share their row\'s source and rows know their paper',
+            results.rows[0].cells[2].source.anchor === 'tab-wmt-results' && results.rows.every(r => r.docId === docId));
+
+        const merged = JSON.parse((await fetch(`/api/tables?docIds=${docId},no-such-paper`)).body);
+        const comparison = merged.tables.find(t => t.title === 'Main Results');
+        assert('Comparison tables add a Paper column from each paper\'s latest data table', comparison &&
+            comparison.columns[0] === 'Paper' && comparison.rows.length === 2 && comparison.rows[0].cells[0].source.docId === docId &&
+            merged.sources[0].artifactId === done.artifactId);
+        assert('Papers without a data table are reported', merged.missing.join() === 'no-such-paper');
+        assert('Comparison needs docIds', (await fetch('/api/tables')).status === 400);
+    } finally {
+        if (done.artifactId) await request('DELETE', `/api/artifacts/${done.artifactId}`);
+    }
+}
+
+async function testComparePapers() {
+    const res = await fetch('/api/compare?docIds=1706-03762,attention-is-all-you-need');
+    const data = JSON.parse(res.body);
+    const role = name => data.sections.find(r => r.role === name);
+    assert('Papers line up by section role', res.status === 200 && data.papers.length === 2 &&
+        ['abstract', 'method', 'experiments'].every(r => role(r) && role(r).cells.every(c => c.sections.length)));
+    assert('Sections keep their anchors and snippets', role('method').cells[1].sections[0].anchor === 'model-architecture' &&
+        role('method').cells[0].sections[0].snippet.length > 0);
+    const dk = data.notation.shared.find(s => s.symbol === 'd_k');
+    assert('Shared notation is listed from both variable registries', dk && dk.entries.length === 2 && !dk.differs);
+    assert('Symbols used differently are flagged', data.notation.shared.some(s => s.differs));
+    const bahdanau = data.references.shared.find(r => r.arxivId === '1409.0473');
+    assert('References cited by both papers are shared', bahdanau && new Set(bahdanau.entries.map(e => e.docId)).size === 2 &&
+        bahdanau.entries.every(e => e.num > 0));
+    assert('Comparison needs two papers', (await fetch('/api/compare?docIds=1706-03762')).status === 400);
+}
+
+async function testCitationGraph() {
+    const res = await fetch('/api/graph');
+    const graph = JSON.parse(res.body);
+    const node = id => graph.nodes.find(n => n.id === id);
+    assert('The citation graph has every library document', res.status === 200 &&
+        node('1706-03762').inLibrary && node('attention-is-all-you-need').inLibrary && node('1706-03762').cites > 0);
+    const bahdanau = node('ref:arxiv:1409.0473');
+    assert('Works cited by several papers are one node', bahdanau && !bahdanau.inLibrary && bahdanau.citedBy === 2 &&
+        graph.edges.some(e => e.source === '1706-03762' && e.target === bahdanau.id && e.refs.length));
+
+    const around = JSON.parse((await fetch(`/api/graph/${encodeURIComponent(bahdanau.id)}`)).body);
+    assert('A node\'s neighbourhood lists the papers citing it', around.edges.length === 2 &&
+        around.edges.every(e => e.target === bahdanau.id) && around.nodes.length === 3);
+    const libraryOnly = JSON.parse((await fetch('/api/graph?external=0')).body);
+    assert('external=0 keeps library documents only', libraryOnly.nodes.every(n => n.inLibrary) && libraryOnly.edges.every(e => !e.target.startsWith('ref:')));
+    assert('Unknown graph nodes are 404', (await fetch('/api/graph/ref:arxiv:0000.00000')).status === 404);
+}
+
+async function testImportReference() {
+    const docId = '1706-03762';
+    const refs = JSON.parse((await fetch(`/api/doc/${docId}/references`)).body);
+    const bahdanau = refs.find(r => r.arxivId === '1409.0473');
+    assert('References list their arXiv id and whether they can be imported', bahdanau && bahdanau.importable && !bahdanau.docId &&
+        bahdanau.importDocId === '1409-0473');
+    assert('References without an arXiv id cannot be imported',
+        (await request('POST', `/api/doc/${docId}/references/${refs.find(r => !r.arxivId && !r.doi).num}/import`)).status === 422);
+    assert('Unknown references are 404', (await request('POST', `/api/doc/${docId}/references/999/import`)).status === 404);
+
+    // Once the cited paper is in the library, the reference resolves to it
+    const citedDir = path.join(__dirname, '..', 'docs', '1409-0473');
+    try {
+        fs.mkdirSync(citedDir, { recursive: true });
+        fs.writeFileSync(path.join(citedDir, 'paper.html'), '<h2 id="abstract">Abstract</h2><p>Alignment.</p>');
+        fs.writeFileSync(path.join(citedDir, 'metadata.yaml'), [
+            'title: "Neural Machine Translation by Jointly Learning to Align and Translate"',
+            'arxiv_id: "1409.0473"',
+            'files:',
+            '  - name: paper.html',
+            '    format: html',
+            '    primary: true',
+        ].join('\n'));
+        const resolved = JSON.parse((await fetch(`/api/doc/${docId}/references`)).body).find(r => r.num === bahdanau.num);
+        assert('A cited paper in the library resolves to its document', resolved.docId === '1409-0473' && !resolved.importable);
+        const again = await request('POST', `/api/doc/${docId}/references/${bahdanau.num}/import`);
+        assert('Importing a paper already in the library returns it', again.status === 200 && JSON.parse(again.body).docId === '1409-0473');
+    } finally {
+        fs.rmSync(citedDir, { recursive: true, force: true });
+    }
+
+    // DOIs outside arXiv are resolved through Crossref; old-style arXiv ids become flat doc ids
+    const citingDir = path.join(__dirname, '..', 'docs', 'smoke-cites-doi');
+    try {
+        fs.mkdirSync(citingDir, { recursive: true });
+        fs.writeFileSync(path.join(citingDir, 'paper.html'), [
+            '<h2 id="abstract">Abstract</h2><p>Residuals <sup class="ref-badge" data-ref="1">1</sup> and strings <sup class="ref-badge" data-ref="2">2</sup>.</p>',
+            '<ol class="references">',
+            '  <li id="ref-1">K. He. “Deep residual learning for image recognition.” CVPR, 2016. doi:10.1109/CVPR.2016.90.</li>',
+            '  <li id="ref-2">J. Maldacena. “The large N limit of superconformal field theories.” arXiv:hep-th/9711200, 1997.</li>',
+            '</ol>',
+        ].join('\n'));
+        fs.writeFileSync(path.join(citingDir, 'metadata.yaml'), [
+            'title: "Smoke Citing Paper"',
+            'files:',
+            '  - name: paper.html',
+            '    format: html',
+            '    primary: true',
+        ].join('\n'));
+        const [doiRef, oldStyle] = JSON.parse((await fetch('/api/doc/smoke-cites-doi/references')).body);
+        assert('References with only a DOI are importable', doiRef.doi === '10.1109/cvpr.2016.90' && doiRef.importable && doiRef.importDocId === null);
+        const queued = await request('POST', `/api/doc/smoke-cites-doi/references/${doiRef.num}/import`);
+        const doiJob = await waitForImport(JSON.parse(queued.body).jobId);
+        const doiLog = JSON.parse((await fetch(`/api/import-jobs/${doiJob.id}/log`)).body);
+        assert('DOI imports resolve through Crossref and fail clearly without an arXiv preprint or open PDF', queued.status === 202 &&
+            doiJob.type === 'doi' && doiJob.status === 'error' && /no arXiv preprint or open-access PDF/.test(doiJob.error) &&
+            doiLog.entries.some(e => e.type === 'stage' && e.stage === 'resolve'));
+        assert('Old-style arXiv ids import into a flat doc id', oldStyle.arxivId === 'hep-th/9711200' &&
+            oldStyle.importable && oldStyle.importDocId === 'hep-th-9711200');
+    } finally {
+        fs.rmSync(citingDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Open a collaboration socket and collect the messages it receives
+ */
+function openCollabSocket(docId, user) {
+    const WebSocket = require('ws');
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(`ws://localhost:${PORT}/ws?doc=${docId}&user=${user}`);
+        socket.messages = [];
+        socket.on('message', data => socket.messages.push(JSON.parse(data)));
+        socket.once('error', reject);
+        socket.once('open', () => resolve(socket));
+    });
+}
+
+function nextMessage(socket, predicate, timeoutMs = 2000) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        (function poll() {
+            const msg = socket.messages.find(predicate);
+            if (msg || Date.now() - started > timeoutMs) return resolve(msg || null);
+            setTimeout(poll, 20);
+        })();
+    });
+}
+
+async function testCollaboration() {
+    const docId = 'smoke-collab';
+    const annPath = path.join(DATA_DIR, 'annotations', `${docId}.json`);
+    const alice = await openCollabSocket(docId, 'alice');
+    const bob = await openCollabSocket(docId, 'bob');
+
+    try {
+        const welcome = await nextMessage(bob, m => m.type === 'welcome');
+        assert('WS welcome lists everyone in the room', welcome && welcome.peers.length === 2);
+
+        const aliceId = (await nextMessage(alice, m => m.type === 'welcome')).clientId;
+        const created = JSON.parse((await request('POST', `/api/annotations/${docId}`,
+            { type: 'highlight', selectedText: 'gamma' },
+            { 'X-Scholarly-User': 'alice', 'X-Collab-Client': aliceId })).body);
+        const event = await nextMessage(bob, m => m.type === 'annotation' && m.action === 'created');
+        assert('WS relays created annotations to peers', event && event.annotation.id === created.id && event.by === 'alice');
+
+        // Alice edits from another tab (no collab client id), so her socket gets the update too
+        await request('PUT', `/api/annotations/${docId}/${created.id}`, { note: 'edited' }, { 'X-Scholarly-User': 'alice' });
+        const updated = await nextMessage(alice, m => m.type === 'annotation' && m.action === 'updated');
+        assert('WS updates carry an increasing revision', updated && updated.annotation.rev === 2);
+        assert('WS does not echo changes to their origin', !alice.messages.some(m => m.action === 'created'));
+
+        bob.send(JSON.stringify({ type: 'pin', name: 'd_k' }));
+        const pin = await nextMessage(alice, m => m.type === 'pin');
+        assert('WS relays pinned variables', pin && pin.name === 'd_k' && pin.user.id === 'bob');
+    } finally {
+        alice.close();
+        bob.close();
+        fs.rmSync(annPath, { force: true });
+    }
+}
+
+/**
+ * Crossref stand-in for DOI imports: every work exists, none has a preprint or PDF
+ */
+function startCrossrefStub() {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ status: 'ok', message: { title: ['A Paywalled Paper'], relation: {}, link: [] } }));
+    });
+    return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
 async function runTests() {
     console.log('\n🧪 Scholarly Reader — Smoke Tests\n');
 
     // Start server
+    fs.cpSync(path.join(__dirname, '..', 'data', 'annotations'), path.join(DATA_DIR, 'annotations'), { recursive: true });
+    crossrefStub = await startCrossrefStub();
     serverProc = spawn('node', [path.join(__dirname, '..', 'server.js')], {
         stdio: 'pipe',
-        env: { ...process.env, PORT: String(PORT) },
+        env: {
+            ...process.env, PORT: String(PORT), SCHOLARLY_DATA_DIR: DATA_DIR,
+            CROSSREF_API_URL: `http://localhost:${crossrefStub.address().port}`, UNPAYWALL_EMAIL: '',
+        },
     });
 
     // Wait for server to start
@@ -64,13 +1011,100 @@ async function runTests() {
             const doc = await fetch(`/api/doc/${firstDoc.id}`);
             assert(`GET /api/doc/${firstDoc.id} returns 200`, doc.status === 200);
         }
+
+        // Test 4: GET /api/search ranks hits across the library
+        const search = await fetch('/api/search?q=attention');
+        assert('GET /api/search returns 200', search.status === 200);
+        const results = JSON.parse(search.body);
+        assert('GET /api/search returns hits', Array.isArray(results.hits) && results.hits.length > 0);
+        const hit = results.hits[0] || {};
+        assert('GET /api/search hits carry doc, anchor and snippet', !!(hit.docId && hit.anchor && hit.snippet));
+        const noQuery = await fetch('/api/search');
+        assert('GET /api/search without q returns 400', noQuery.status === 400);
+
+        // Test 5: re-anchoring keeps annotations whose quote survives, flags the rest
+        if (docList.length > 0) {
+            await testReanchor(docList[0].id);
+        }
+
+        // Test 6: W3C export → import round trip through the API
+        if (docList.length > 0) {
+            await testW3CRoundTrip(docList[0].id);
+        }
+
+        // Test 7: edit-history tree persists diffs per node
+        await testHistory();
+
+        // Test 8: annotations are attributed and layered per user
+        await testUsers();
+
+        // Test 9: readers in the same document see each other's changes live
+        await testCollaboration();
+
+        // Test 10: annotation storage survives concurrency and corruption
+        await testStorage();
+
+        // Test 11: TeX sources and PDFs can be uploaded instead of fetched from arXiv
+        await testUpload();
+        await testUploadContainment();
+        await testFailedUploadCleanup();
+        await testPdfUpload();
+
+        // Test 12: AI routes run against any provider, including the offline mock
+        await testLLMProviders();
+
+        // Test 13: chat retrieves cited passages from the open document
+        await testChatRetrieval();
+
+        // Test 14: chat threads persist and continue
+        await testConversations();
+
+        // Test 15: chat answers become anchored AI notes
+        await testChatNotes();
+
+        // Test 16: studio outputs are saved, re-run and diffed as artifacts
+        await testStudioArtifacts();
+
+        // Test 17: custom studio operations with variables, import and export
+        await testStudioTemplates();
+
+        // Test 18: flashcards are parsed, reviewed with SM-2 and exported to Anki
+        await testFlashcards();
+
+        // Test 19: quizzes run one question at a time and keep scores
+        await testQuizzes();
+
+        // Test 20: mind maps render as linked trees and export as OPML
+        await testMindMap();
+
+        // Test 21: data tables become linked, mergeable grids
+        await testDataTables();
+
+        // Test 22: papers compared by section, notation and shared references
+        await testComparePapers();
+
+        // Test 23: the library citation graph
+        await testCitationGraph();
+
+        // Test 24: cited papers resolve to library documents or import by arXiv id
+        await testImportReference();
+
+        // Test 25: requests without an identity header never record the default user
+        const usersPath = path.join(DATA_DIR, 'users.json');
+        const recorded = fs.existsSync(usersPath) ? JSON.parse(fs.readFileSync(usersPath, 'utf-8')) : [];
+        assert('The default user is not written to users.json', !recorded.some(u => u.id === 'local'));
     } catch (err) {
         console.error('  ❌ Test error:', err.message);
         failed++;
     }
 
     // Cleanup
-    serverProc.kill();
+    if (serverProc.exitCode === null) {
+        serverProc.kill();
+        await new Promise(resolve => serverProc.once('exit', resolve));
+    }
+    crossrefStub.close();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
 
     console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
     process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,94 @@
+/**
+ * Studio template tests — tools/studio-templates.js
+ *
+ * Creates, validates, renders and shares templates in a temp directory.
+ *
+ * Usage: node tests/test-studio-templates.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateStore, EXPORT_FORMAT, templateVariables, renderTemplate } = require('../tools/studio-templates');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+function statusOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (err) {
+        return err.status;
+    }
+}
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — Studio Template Tests\n');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sr-templates-'));
+
+    try {
+        // Variables
+        assert('templateVariables() lists each variable once, in order',
+            templateVariables('{{titles}} then {{ section }} and {{titles}}').join() === 'titles,section');
+        assert('renderTemplate() fills known values and keeps the rest',
+            renderTemplate('A {{titles}} B {{ section }} C {{other}}', { titles: 'T', section: 'S' }) === 'A T B S C {{other}}');
+        assert('Values are inserted literally', renderTemplate('{{sources}}', { sources: '$& $1' }) === '$& $1');
+
+        // Store
+        const store = new TemplateStore(dir);
+        const quiz = store.create({ label: '  Section\n quiz ', prompt: 'Quiz on {{section}}' }, 'alice');
+        assert('Templates are created with a normalized label', quiz.id && quiz.label === 'Section quiz' && quiz.base === null && quiz.createdBy === 'alice');
+        assert('A label and a prompt are required', statusOf(() => store.create({ prompt: 'x' })) === 400 && statusOf(() => store.create({ label: 'x' })) === 400);
+        assert('Unknown variables are rejected', statusOf(() => store.create({ label: 'x', prompt: '{{bogus}}' })) === 400);
+
+        const summary = store.create({ label: 'Short summary', prompt: 'Summarize {{titles}}', base: 'summary' });
+        assert('A built-in can be customized once', statusOf(() => store.create({ label: 'Again', prompt: 'x', base: 'summary' })) === 409);
+        assert('Customized built-ins are listed first', store.list().map(t => t.id).join() === [summary.id, quiz.id].join());
+
+        const edited = store.update(quiz.id, { description: 'One section at a time' });
+        assert('update() keeps fields that are not given', edited.prompt === 'Quiz on {{section}}' && edited.description === 'One section at a time');
+        assert('update() validates like create()', statusOf(() => store.update(quiz.id, { prompt: '{{nope}}' })) === 400);
+
+        // Sharing
+        const file = store.exportTemplates();
+        assert('Exports carry the format tag and no local ids', file.format === EXPORT_FORMAT && file.version === 1 &&
+            file.templates.length === 2 && file.templates.every(t => !t.id && !t.createdBy));
+        assert('Exports can be limited to some templates', store.exportTemplates([quiz.id]).templates.length === 1);
+
+        const other = new TemplateStore(path.join(dir, 'other'));
+        other.create({ label: 'section quiz', prompt: 'Old prompt' });
+        const result = other.importTemplates({ ...file, templates: [...file.templates, { label: 'No prompt' }] }, 'bob');
+        assert('Import updates same-label templates and adds the rest', result.created === 1 && result.updated === 1 &&
+            other.list().length === 2 && other.list().find(t => t.label === 'Section quiz').prompt === 'Quiz on {{section}}');
+        assert('Invalid entries are reported, not imported', result.errors.length === 1 && result.errors[0].index === 2);
+        assert('A customization replaces the existing one for its base',
+            other.importTemplates([{ label: 'Shorter', prompt: 'Be brief', base: 'summary' }]).updated === 1 &&
+            other.list().filter(t => t.base === 'summary').length === 1);
+        assert('Other formats are refused', statusOf(() => other.importTemplates({ format: 'something-else', templates: [] })) === 400);
+
+        store.remove(quiz.id);
+        assert('remove() deletes a template', statusOf(() => store.get(quiz.id)) === 404);
+        assert('Invalid ids are rejected', statusOf(() => store.get('../x')) === 400);
+    } catch (err) {
+        console.error('  ❌ Test error:', err.stack);
+        failed++;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
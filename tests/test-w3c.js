@@ -0,0 +1,180 @@
+/**
+ * W3C Web Annotation round-trip tests — tools/w3c-annotations.js
+ *
+ * Usage: node tests/test-w3c.js
+ */
+
+const { toW3C, toW3CCollection, fromW3C, extractW3CItems } = require('../tools/w3c-annotations');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+    if (condition) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+    } else {
+        console.error(`  ❌ ${name}`);
+        failed++;
+    }
+}
+
+const BASE_URL = 'http://localhost:3003';
+const DOC_ID = '1706-03762';
+
+const quote = (exact, prefix, suffix) => ({ type: 'TextQuoteSelector', exact, prefix, suffix });
+const position = (start, end) => ({ type: 'TextPositionSelector', start, end });
+
+const FIXTURES = [
+    {
+        id: 'a1b2c3d4',
+        type: 'highlight',
+        selectedText: 'Scaled Dot-Product Attention',
+        note: '',
+        color: 'background',
+        replacementText: '',
+        anchorSelector: '#section-3 > p:nth-of-type(2)',
+        anchorOffset: 14,
+        selectors: [quote('Scaled Dot-Product Attention', 'We call our particular attention "', '". The input consists'), position(5120, 5148)],
+        createdAt: '2025-01-02T03:04:05.000Z',
+        updatedAt: '2025-01-02T03:04:05.000Z',
+    },
+    {
+        id: 'e5f6a7b8',
+        type: 'human_note',
+        selectedText: 'multi-head attention',
+        note: 'Compare with grouped-query attention.',
+        color: 'note',
+        replacementText: '',
+        anchorSelector: '',
+        anchorOffset: 0,
+        selectors: [quote('multi-head attention', 'we found it beneficial to use ', ' to jointly attend'), position(6001, 6021)],
+        author: 'alice',
+        createdAt: '2025-02-01T00:00:00.000Z',
+        updatedAt: '2025-02-03T00:00:00.000Z',
+    },
+    {
+        id: 'c9d0e1f2',
+        type: 'ai_note',
+        selectedText: 'positional encodings',
+        note: 'Sinusoids let the model extrapolate to longer sequences.',
+        color: 'note',
+        replacementText: '',
+        anchorSelector: '',
+        anchorOffset: 0,
+        selectors: [quote('positional encodings', 'we add "', '" to the input')],
+        ai: { provider: 'openai', model: 'gpt-4o', prompt: 'Why sinusoids?' },
+        createdAt: '2025-03-01T00:00:00.000Z',
+        updatedAt: '2025-03-01T00:00:00.000Z',
+    },
+    {
+        id: '0a1b2c3d',
+        type: 'collapse',
+        selectedText: 'The encoder is composed of a stack of N = 6 identical layers.',
+        note: '',
+        color: '',
+        replacementText: '6-layer encoder',
+        anchorSelector: 'p:nth-of-type(9)',
+        anchorOffset: 0,
+        selectors: [],
+        createdAt: '2025-04-01T00:00:00.000Z',
+        updatedAt: '2025-04-01T00:00:00.000Z',
+    },
+];
+
+const ROUND_TRIP_FIELDS = [
+    'id', 'type', 'selectedText', 'note', 'color', 'replacementText',
+    'anchorSelector', 'anchorOffset', 'createdAt', 'updatedAt', 'author',
+];
+
+function sameSelectors(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function run() {
+    console.log('\n🧪 Scholarly Reader — W3C Web Annotation Tests\n');
+
+    // ── Export shape ──
+    const collection = toW3CCollection(FIXTURES, { docId: DOC_ID, baseUrl: BASE_URL, title: 'Attention Is All You Need' });
+    assert('Collection uses the anno.jsonld context', collection['@context'][0] === 'http://www.w3.org/ns/anno.jsonld');
+    assert('Collection is an AnnotationCollection', collection.type === 'AnnotationCollection');
+    assert('Collection total matches', collection.total === FIXTURES.length);
+
+    const [hl, note, aiNote, collapse] = collection.first.items;
+    assert('Highlight → motivation highlighting', hl.motivation === 'highlighting' && hl.body === undefined);
+    assert('Note → commenting TextualBody', note.motivation === 'commenting' && note.body.type === 'TextualBody' && note.body.value === FIXTURES[1].note);
+    assert('Target source points at the reader', hl.target.source === `${BASE_URL}/?doc=${DOC_ID}`);
+    assert('Target carries TextQuoteSelector with context', hl.target.selector.some(s => s.type === 'TextQuoteSelector' && s.prefix && s.suffix));
+    assert('Target carries TextPositionSelector', hl.target.selector.some(s => s.type === 'TextPositionSelector' && s.start === 5120));
+    assert('CSS anchor is refined by the offset', hl.target.selector.some(s => s.type === 'CssSelector' && s.refinedBy.start === 14));
+    assert('Collapse replacement → describing body', collapse.motivation === 'describing' && collapse.body.purpose === 'describing');
+    assert('Legacy selectedText becomes a TextQuoteSelector', collapse.target.selector[0].exact === FIXTURES[3].selectedText);
+    assert('AI notes keep their type', aiNote['sr:type'] === 'ai_note');
+    assert('Author → creator', note.creator && note.creator.type === 'Person' && note.creator.nickname === 'alice');
+
+    // ── Round trip ──
+    const roundTripped = extractW3CItems(JSON.parse(JSON.stringify(collection))).map(fromW3C);
+    assert('Round trip keeps every annotation', roundTripped.length === FIXTURES.length);
+    FIXTURES.forEach((orig, i) => {
+        const back = roundTripped[i] || {};
+        const mismatched = ROUND_TRIP_FIELDS.filter(f => back[f] !== orig[f]);
+        assert(`Round trip preserves ${orig.type} fields${mismatched.length ? ` (${mismatched.join(', ')})` : ''}`, mismatched.length === 0);
+    });
+    assert('Round trip preserves AI note provenance', roundTripped[2].ai && roundTripped[2].ai.model === 'gpt-4o' && roundTripped[2].ai.prompt === 'Why sinusoids?');
+    assert('Round trip preserves quote/position selectors', sameSelectors(roundTripped[0].selectors, FIXTURES[0].selectors));
+    assert('Round trip is stable (export → import → export)',
+        JSON.stringify(toW3C(roundTripped[1], { docId: DOC_ID, baseUrl: BASE_URL })) === JSON.stringify(note));
+
+    // ── Foreign annotations (e.g. Hypothesis) ──
+    const foreign = fromW3C({
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        id: 'https://hypothes.is/a/XyZ123',
+        type: 'Annotation',
+        motivation: 'oa:commenting',
+        creator: { type: 'Person', name: 'Bob' },
+        bodyValue: 'Nice ablation.',
+        target: [{
+            source: 'https://arxiv.org/abs/1706.03762',
+            selector: [
+                { type: 'RangeSelector', startSelector: { type: 'XPathSelector', value: '/p[3]' } },
+                quote('label smoothing', 'we employed ', ' of value'),
+            ],
+        }],
+    });
+    assert('Foreign annotation imports as a human note', foreign && foreign.type === 'human_note');
+    assert('Foreign annotation gets no local id', foreign && foreign.id === undefined);
+    assert('Foreign bodyValue becomes the note', foreign && foreign.note === 'Nice ablation.');
+    assert('Foreign creator becomes the author', foreign && foreign.author === 'Bob');
+    assert('Foreign quote becomes selectedText', foreign && foreign.selectedText === 'label smoothing');
+    assert('Unknown selectors are dropped', foreign && foreign.selectors.every(s => ['TextQuoteSelector', 'TextPositionSelector'].includes(s.type)));
+
+    // ── Untrusted fields ──
+    const tampered = fromW3C({
+        type: 'Annotation',
+        'sr:type': 'ai_note',
+        bodyValue: 'Looks right.',
+        target: { selector: quote('multi-head attention') },
+        'sr:ai': { provider: 'openai', model: 'gpt-4o', prompt: 'x'.repeat(20000), messageId: { $gt: '' }, injected: '<script>' },
+        created: 'yesterday-ish',
+        modified: 12345,
+    });
+    assert('Imported AI provenance is cleaned like a new note\'s', tampered.ai && tampered.ai.model === 'gpt-4o' &&
+        tampered.ai.prompt.length === 8000 && tampered.ai.messageId === '' && !('injected' in tampered.ai));
+    assert('AI provenance is only kept on AI notes',
+        fromW3C({ type: 'Annotation', bodyValue: 'Mine.', 'sr:ai': { model: 'gpt-4o', prompt: 'p' } }).ai === undefined);
+    assert('Provenance without a model or prompt is dropped',
+        fromW3C({ type: 'Annotation', 'sr:type': 'ai_note', bodyValue: 'Hm.', 'sr:ai': { provider: 42 } }).ai === undefined);
+    const age = Date.now() - Date.parse(tampered.createdAt);
+    assert('Unparseable created/modified fall back to now', age >= 0 && age < 60000 && !Number.isNaN(Date.parse(tampered.updatedAt)));
+    const offset = fromW3C({ type: 'Annotation', bodyValue: 'Dated.', created: '2025-05-01T12:00:00+02:00' });
+    assert('Parseable dates are normalized to ISO', offset.createdAt === '2025-05-01T10:00:00.000Z' && offset.updatedAt === offset.createdAt);
+
+    assert('Annotation without text or quote is rejected', fromW3C({ type: 'Annotation', motivation: 'bookmarking', target: 'https://example.org' }) === null);
+    assert('Single annotation payload is accepted', extractW3CItems({ type: 'Annotation' }).length === 1);
+    assert('Array payload is accepted', extractW3CItems([{}, {}]).length === 2);
+
+    console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -7,7 +7,8 @@
  * - \begin{equation}/\begin{align*} → math display
  * - Inline $...$ math
  * - \textbf, \textit, \emph, \texttt
- * - \citep, \cite → ref badges
+ * - \citep, \citet, \cite, … → numbered ref badges, resolved against the
+ *   .bib / .bbl files or thebibliography (tools/bibtex.js)
  * - \begin{itemize}/\begin{enumerate}
  * - \begin{table}/\begin{tabular}
  * - Comments (%)
@@ -16,6 +17,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { findBibliographySources, resolveBibliography, stripBibliography, replaceCitations, citationBadges, referencesHtml } = require('./tools/bibtex');
 
 function convertTexToHtml(mainTexPath) {
     const baseDir = path.dirname(mainTexPath);
@@ -29,6 +31,9 @@ function convertTexToHtml(mainTexPath) {
     // Apply macros
     tex = applyMacros(tex, macros);
 
+    // Number the cited references (\addbibresource sits in the preamble)
+    const bibliography = resolveBibliography(tex, findBibliographySources(tex, baseDir, mainTexPath));
+
     // Strip preamble (everything before \begin{document})
     const docMatch = tex.match(/\\begin\{document\}([\s\S]*?)\\end\{document\}/);
     if (docMatch) tex = docMatch[1];
@@ -54,6 +59,9 @@ function convertTexToHtml(mainTexPath) {
     // Process authors block
     body = body.replace(/\\author\{[\s\S]*?\}\s*/g, '');
 
+    // Strip the bibliography (rendered from `bibliography` below)
+    body = stripBibliography(body);
+
     // Build HTML
     if (titleMatch) {
         html += `<h1>${cleanText(titleMatch[1])}</h1>\n\n`;
@@ -79,7 +87,7 @@ function convertTexToHtml(mainTexPath) {
     body = convertTables(body);
 
     // Convert citations
-    body = convertCitations(body);
+    body = convertCitations(body, bibliography);
 
     // Convert figures
     body = convertFigures(body);
@@ -87,24 +95,12 @@ function convertTexToHtml(mainTexPath) {
     // Convert paragraphs
     body = convertParagraphs(body);
 
-    // Strip bibliography (we handle it separately)
-    const bibMatch = body.match(/\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/);
-    let refs = [];
-    if (bibMatch) {
-        refs = extractBibliography(bibMatch[0]);
-        body = body.replace(bibMatch[0], '');
-    }
-
     // Clean up remaining LaTeX commands
     body = cleanRemainingLatex(body);
 
     // Add reference section if we have refs
-    if (refs.length > 0) {
-        body += '\n<h2>References</h2>\n<ol class="references">\n';
-        refs.forEach(ref => {
-            body += `  <li id="ref-${ref.key}"><strong>${ref.authors}</strong> ${ref.title}. <em>${ref.venue}</em></li>\n`;
-        });
-        body += '</ol>\n';
+    if (bibliography.references.length > 0) {
+        body += `\n<h2>References</h2>\n${referencesHtml(bibliography)}`;
     }
 
     html += body;
@@ -122,28 +118,26 @@ function convertTexToHtml(mainTexPath) {
     return html;
 }
 
-function readAndResolveInputs(filePath, baseDir) {
+// \input / \subfile chains deeper than this are not followed
+const MAX_INPUT_DEPTH = 8;
+
+function readAndResolveInputs(filePath, baseDir, parents = []) {
     let content = fs.readFileSync(filePath, 'utf-8');
 
-    // Resolve \input{filename} (with or without .tex extension)
-    content = content.replace(/\\input\{([^}]+)\}/g, (match, filename) => {
-        let inputPath = path.join(baseDir, filename);
+    // Resolve \input{filename} and \subfile{filename} (with or without .tex extension),
+    // only inside baseDir and never into a file that is already being inlined
+    content = content.replace(/\\(input|subfile)\{([^}]+)\}/g, (match, command, filename) => {
+        let inputPath = path.resolve(baseDir, filename);
         if (!inputPath.endsWith('.tex')) inputPath += '.tex';
-        try {
-            return readAndResolveInputs(inputPath, baseDir);
-        } catch (e) {
-            return `<!-- Could not resolve \\input{${filename}} -->`;
+        const relative = path.relative(baseDir, inputPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative) || inputPath === path.resolve(filePath) ||
+            parents.includes(inputPath) || parents.length >= MAX_INPUT_DEPTH) {
+            return `<!-- Skipped \\${command}{${filename}} -->`;
         }
-    });
-
-    // Also handle \subfile{} the same way
-    content = content.replace(/\\subfile\{([^}]+)\}/g, (match, filename) => {
-        let inputPath = path.join(baseDir, filename);
-        if (!inputPath.endsWith('.tex')) inputPath += '.tex';
         try {
-            return readAndResolveInputs(inputPath, baseDir);
+            return readAndResolveInputs(inputPath, baseDir, [...parents, path.resolve(filePath)]);
         } catch (e) {
-            return `<!-- Could not resolve \\subfile{${filename}} -->`;
+            return `<!-- Could not resolve \\${command}{${filename}} -->`;
         }
     });
 
@@ -279,15 +273,9 @@ function convertTabular(content) {
     return html;
 }
 
-function convertCitations(tex) {
-    // Convert \citep{key1,key2} and \cite{key1,key2} to ref badges
-    tex = tex.replace(/\\cite[pt]?\{([^}]+)\}/g, (_, keys) => {
-        return keys.split(',').map(k => {
-            const key = k.trim();
-            return `<sup class="ref-badge" data-ref="${key}">[${key}]</sup>`;
-        }).join('');
-    });
-    return tex;
+function convertCitations(tex, bibliography) {
+    // \citep[see][p.~3]{key1,key2}, \citet{…}, \cite{…} → numbered ref badges; \nocite prints nothing
+    return replaceCitations(tex, (keys, command) => (command === 'nocite' ? '' : citationBadges(keys, bibliography)));
 }
 
 function convertFigures(tex) {
@@ -360,30 +348,6 @@ function convertParagraphs(tex) {
     return result;
 }
 
-function extractBibliography(bibTex) {
-    const refs = [];
-    const items = bibTex.split('\\bibitem{');
-
-    for (let i = 1; i < items.length; i++) {
-        const closeBrace = items[i].indexOf('}');
-        const key = items[i].substring(0, closeBrace);
-        let content = items[i].substring(closeBrace + 1).trim();
-
-        // Clean up newblock
-        content = content.replace(/\\newblock\s*/g, '');
-
-        // Extract parts
-        const parts = content.split('\n').map(l => l.trim()).filter(l => l);
-        const authors = cleanText(parts[0] || '');
-        const title = cleanText(parts[1] || '');
-        const venue = cleanText(parts.slice(2).join(' '));
-
-        refs.push({ key, authors, title, venue });
-    }
-
-    return refs;
-}
-
 function cleanRemainingLatex(tex) {
     // Remove remaining \begin/\end blocks we don't handle
     tex = tex.replace(/\\begin\{[^}]+\}(\[.*?\])?/g, '');
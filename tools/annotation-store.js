@@ -0,0 +1,195 @@
+/**
+ * annotation-store.js — Crash- and concurrency-safe annotation storage
+ *
+ * Annotations stay in `data/annotations/{docId}.json` (one JSON array per
+ * document, diff-friendly and tracked in git), but every write goes through
+ * this store:
+ *
+ *   - Atomic writes: data goes to a temp file in the same directory, is
+ *     fsync'd, then renamed over the original — a crash leaves either the old
+ *     or the new file, never half of one.
+ *   - Per-document locking: `update()` serializes read-modify-write cycles on
+ *     one document, so concurrent requests (including ones that await an LLM
+ *     in between) can't drop each other's changes. The lock is in-process;
+ *     the server and the Electron shell share one process.
+ *   - Versioning: `etag()` is a content hash of the stored file. `update()`
+ *     takes an `ifMatch` ETag and fails with status 412 if the document has
+ *     changed since the caller read it.
+ *   - Corruption: a file that no longer parses is moved aside to
+ *     `{docId}.json.corrupt-{timestamp}` (and logged) instead of being
+ *     silently replaced by an empty list on the next save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const EMPTY_ETAG = '"empty"';
+
+/**
+ * Write a file atomically (temp file + fsync + rename)
+ */
+function writeFileAtomic(filePath, data) {
+    const tmp = path.join(path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    try {
+        fs.renameSync(tmp, filePath);
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+}
+
+function hashETag(text) {
+    return `"${crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)}"`;
+}
+
+/**
+ * Does an If-Match header value accept the current ETag?
+ * Handles `*`, lists, and weak validators (W/"...").
+ */
+function etagMatches(ifMatch, etag) {
+    if (!ifMatch) return true;
+    return ifMatch.split(',').some(tag => {
+        tag = tag.trim().replace(/^W\//, '');
+        return tag === '*' || tag === etag;
+    });
+}
+
+/**
+ * ETag of a single annotation: its id plus the server-assigned revision
+ */
+function annotationETag(ann) {
+    return `"${ann.id}-r${ann.rev || 0}"`;
+}
+
+/**
+ * Provenance of an AI-written note: which model answered which prompt, and
+ * the chat message it came from
+ * @returns {Object|null} { provider, model, prompt, conversationId?, messageId? }
+ */
+function aiProvenance(ai) {
+    if (!ai || typeof ai !== 'object') return null;
+    const str = (v, max) => (typeof v === 'string' ? v.slice(0, max) : '');
+    const provenance = {
+        provider: str(ai.provider, 40),
+        model: str(ai.model, 120),
+        prompt: str(ai.prompt, 8000),
+    };
+    if (ai.conversationId) provenance.conversationId = str(ai.conversationId, 40);
+    if (ai.messageId) provenance.messageId = str(ai.messageId, 40);
+    return provenance.model || provenance.prompt ? provenance : null;
+}
+
+function preconditionFailed(message) {
+    const err = new Error(message);
+    err.status = 412;
+    return err;
+}
+
+class AnnotationStore {
+    /**
+     * @param {string} dir - Directory holding one {docId}.json per document
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.locks = new Map(); // docId → tail of that document's update queue
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(docId) {
+        // Sanitize docId to prevent path traversal
+        const safe = String(docId).replace(/[^a-zA-Z0-9_\-]/g, '_');
+        return path.join(this.dir, `${safe}.json`);
+    }
+
+    /**
+     * Read a document's annotations together with the file's ETag
+     * @returns {{annotations: Object[], etag: string}}
+     */
+    read(docId) {
+        const p = this.pathFor(docId);
+        let text;
+        try {
+            text = fs.readFileSync(p, 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return { annotations: [], etag: EMPTY_ETAG };
+            throw err;
+        }
+
+        try {
+            const annotations = JSON.parse(text);
+            if (!Array.isArray(annotations)) throw new Error('not an array');
+            return { annotations, etag: hashETag(text) };
+        } catch (err) {
+            const backup = `${p}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+            fs.renameSync(p, backup);
+            console.warn(`⚠️  Corrupted annotations for ${docId} (${err.message}) — moved to ${path.basename(backup)}`);
+            return { annotations: [], etag: EMPTY_ETAG };
+        }
+    }
+
+    load(docId) {
+        return this.read(docId).annotations;
+    }
+
+    etag(docId) {
+        return this.read(docId).etag;
+    }
+
+    /**
+     * Replace a document's annotations without taking the lock — only for
+     * callers already inside update()
+     * @returns {string} New ETag
+     */
+    save(docId, annotations) {
+        const text = JSON.stringify(annotations, null, 2);
+        writeFileAtomic(this.pathFor(docId), text);
+        return hashETag(text);
+    }
+
+    /**
+     * Read-modify-write one document under its lock.
+     *
+     * `mutate(annotations)` edits the array in place (or returns a new array)
+     * and may be async. Returning `false` skips the write. Errors thrown by
+     * `mutate` abort the update and are re-thrown unchanged.
+     *
+     * @param {string} docId
+     * @param {Function} mutate - (annotations) → void | Object[] | false
+     * @param {Object} [opts]
+     * @param {string} [opts.ifMatch] - Collection ETag the caller last saw (412 if stale)
+     * @returns {Promise<{annotations: Object[], etag: string}>}
+     */
+    update(docId, mutate, { ifMatch } = {}) {
+        const key = this.pathFor(docId);
+        const run = async () => {
+            const current = this.read(docId);
+            if (!etagMatches(ifMatch, current.etag)) {
+                throw preconditionFailed('Annotations were changed by someone else — reload and retry');
+            }
+            const returned = await mutate(current.annotations);
+            if (returned === false) return current;
+            const annotations = Array.isArray(returned) ? returned : current.annotations;
+            return { annotations, etag: this.save(docId, annotations) };
+        };
+
+        const previous = this.locks.get(key) || Promise.resolve();
+        const result = previous.then(run, run);
+        const tail = result.catch(() => { });
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) this.locks.delete(key);
+        });
+        return result;
+    }
+}
+
+module.exports = { AnnotationStore, writeFileAtomic, etagMatches, annotationETag, preconditionFailed, aiProvenance };
@@ -0,0 +1,264 @@
+/**
+ * artifact-store.js — Saved studio outputs
+ *
+ * Each artifact is `{dir}/{id}.json`:
+ *
+ *   { id, operation, label, docIds, prompt, section, templateId, createdBy, createdAt, updatedAt,
+ *     versions: [{ n, content, prompt, provider, model, createdBy, createdAt }] }
+ *
+ * An artifact is one studio operation (summary, quiz, …) over a set of
+ * source documents. Every run — the first and each re-run — appends a
+ * version, numbered from 1, so runs can be compared with diffLines().
+ * `section` ({ docId, anchor }) and `templateId` record what a custom
+ * operation ran on, so a re-run fills its prompt the same way.
+ * Artifacts belong to the library like the documents they're made from:
+ * any user can list, re-run or open them; `createdBy` records who ran what.
+ *
+ * The reader opens an artifact as the markdown document `artifact-{id}`
+ * (see ARTIFACT_DOC_PREFIX), one file per version: `v{n}.md`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const ARTIFACT_DOC_PREFIX = 'artifact-';
+const LABEL_CHARS = 120;
+const PROMPT_CHARS = 20000;
+const DIFF_MAX_CELLS = 4e6; // LCS table size beyond which a diff is all-removed/all-added
+
+function artifactError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function cleanDocIds(docIds) {
+    if (!Array.isArray(docIds)) return [];
+    return [...new Set(docIds.filter(id => typeof id === 'string' && /^[\w.-]+$/.test(id) && !id.includes('..')))];
+}
+
+function cleanLabel(label) {
+    return String(label || '').replace(/\s+/g, ' ').trim().slice(0, LABEL_CHARS);
+}
+
+/**
+ * What artifact lists show: everything but the prompt and version contents
+ */
+function summarize(artifact) {
+    const { versions, prompt, ...rest } = artifact;
+    const latest = versions[versions.length - 1];
+    return {
+        ...rest,
+        versionCount: versions.length,
+        latest: latest ? { n: latest.n, provider: latest.provider, model: latest.model, createdAt: latest.createdAt } : null,
+    };
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ *
+ * @returns {Object[]} [{ op: '=' | '-' | '+', text }] — '-' lines are only in `a`, '+' only in `b`
+ */
+function diffLines(a, b) {
+    const x = String(a || '').split('\n');
+    const y = String(b || '').split('\n');
+
+    // Common prefix and suffix don't need the table
+    let start = 0;
+    while (start < x.length && start < y.length && x[start] === y[start]) start++;
+    let endX = x.length;
+    let endY = y.length;
+    while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+
+    const head = x.slice(0, start).map(text => ({ op: '=', text }));
+    const tail = x.slice(endX).map(text => ({ op: '=', text }));
+    const xs = x.slice(start, endX);
+    const ys = y.slice(start, endY);
+    const rows = xs.length + 1;
+    const cols = ys.length + 1;
+
+    if (rows * cols > DIFF_MAX_CELLS) {
+        return [...head, ...xs.map(text => ({ op: '-', text })), ...ys.map(text => ({ op: '+', text })), ...tail];
+    }
+
+    // lcs[i][j] = LCS length of xs[i..] and ys[j..]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = xs.length - 1; i >= 0; i--) {
+        for (let j = ys.length - 1; j >= 0; j--) {
+            lcs[i * cols + j] = xs[i] === ys[j]
+                ? lcs[(i + 1) * cols + j + 1] + 1
+                : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < xs.length && j < ys.length) {
+        if (xs[i] === ys[j]) { middle.push({ op: '=', text: xs[i] }); i++; j++; }
+        else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) middle.push({ op: '-', text: xs[i++] });
+        else middle.push({ op: '+', text: ys[j++] });
+    }
+    while (i < xs.length) middle.push({ op: '-', text: xs[i++] });
+    while (j < ys.length) middle.push({ op: '+', text: ys[j++] });
+
+    return [...head, ...middle, ...tail];
+}
+
+class ArtifactStore {
+    /**
+     * @param {string} dir - Directory holding one JSON file per artifact
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(id) {
+        if (!/^[\w-]+$/.test(String(id))) throw artifactError(400, 'Invalid artifact id');
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    read(id) {
+        const p = this.pathFor(id);
+        if (!fs.existsSync(p)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(p, 'utf-8'));
+        } catch (err) {
+            console.warn(`⚠️  Unreadable artifact ${id}: ${err.message}`);
+            return null;
+        }
+    }
+
+    save(artifact) {
+        artifact.updatedAt = new Date().toISOString();
+        writeFileAtomic(this.pathFor(artifact.id), JSON.stringify(artifact, null, 2));
+        return artifact;
+    }
+
+    /**
+     * Artifacts, most recently run first
+     *
+     * @param {Object} [filter]
+     * @param {string} [filter.docId] - Only artifacts made from this document
+     * @param {string} [filter.operation] - e.g. 'summary'
+     * @returns {Object[]} Summaries (no version contents)
+     */
+    list({ docId = null, operation = null } = {}) {
+        const artifacts = [];
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!/^[\w-]+\.json$/.test(file)) continue;
+            const artifact = this.read(file.slice(0, -5));
+            if (!artifact) continue;
+            if (docId && !artifact.docIds.includes(docId)) continue;
+            if (operation && artifact.operation !== operation) continue;
+            artifacts.push(summarize(artifact));
+        }
+        return artifacts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @throws {Error} 404 when missing
+     */
+    get(id) {
+        const artifact = this.read(id);
+        if (!artifact) throw artifactError(404, 'Artifact not found');
+        return artifact;
+    }
+
+    /**
+     * One version of an artifact; the latest when `n` is omitted
+     * @throws {Error} 404 when the artifact or version doesn't exist
+     */
+    version(id, n = null) {
+        const artifact = this.get(id);
+        const version = n == null
+            ? artifact.versions[artifact.versions.length - 1]
+            : artifact.versions.find(v => v.n === Number(n));
+        if (!version) throw artifactError(404, 'Version not found');
+        return { artifact, version };
+    }
+
+    create({ operation, label, prompt, docIds, section, templateId, createdBy } = {}) {
+        if (!operation || !/^[\w-]+$/.test(String(operation))) throw artifactError(400, 'Invalid operation');
+        const now = new Date().toISOString();
+        return this.save({
+            id: uuidv4().slice(0, 8),
+            operation,
+            label: cleanLabel(label) || operation,
+            docIds: cleanDocIds(docIds),
+            prompt: String(prompt || '').slice(0, PROMPT_CHARS),
+            section: section && section.docId && section.anchor ? { docId: String(section.docId), anchor: String(section.anchor) } : null,
+            templateId: templateId || null,
+            createdBy: createdBy || null,
+            createdAt: now,
+            updatedAt: now,
+            versions: [],
+        });
+    }
+
+    /**
+     * Record a run's output as the next version
+     *
+     * @returns {Object} The stored version
+     */
+    addVersion(id, { content, prompt, provider, model, createdBy } = {}) {
+        const artifact = this.get(id);
+        const last = artifact.versions[artifact.versions.length - 1];
+        const version = {
+            n: last ? last.n + 1 : 1,
+            content: String(content || ''),
+            prompt: String(prompt || artifact.prompt).slice(0, PROMPT_CHARS),
+            provider: provider || null,
+            model: model || null,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString(),
+        };
+        artifact.versions.push(version);
+        this.save(artifact);
+        return version;
+    }
+
+    /**
+     * Rename an artifact or change its default prompt
+     */
+    update(id, { label, prompt } = {}) {
+        const artifact = this.get(id);
+        if (label !== undefined) artifact.label = cleanLabel(label) || artifact.operation;
+        if (prompt !== undefined) artifact.prompt = String(prompt).slice(0, PROMPT_CHARS);
+        return this.save(artifact);
+    }
+
+    /**
+     * Compare two versions (default: the latest against the one before it)
+     *
+     * @returns {Object} { from, to, added, removed, lines: [{ op, text }] }
+     */
+    diff(id, from = null, to = null) {
+        const artifact = this.get(id);
+        const latest = artifact.versions[artifact.versions.length - 1];
+        const toN = to == null ? (latest && latest.n) : Number(to);
+        const fromN = from == null ? toN - 1 : Number(from);
+        const a = artifact.versions.find(v => v.n === fromN);
+        const b = artifact.versions.find(v => v.n === toN);
+        if (!a || !b) throw artifactError(404, 'Version not found');
+
+        const lines = diffLines(a.content, b.content);
+        return {
+            from: a.n,
+            to: b.n,
+            added: lines.filter(l => l.op === '+').length,
+            removed: lines.filter(l => l.op === '-').length,
+            lines,
+        };
+    }
+
+    remove(id) {
+        this.get(id);
+        fs.rmSync(this.pathFor(id), { force: true });
+    }
+}
+
+module.exports = { ArtifactStore, ARTIFACT_DOC_PREFIX, diffLines, summarize };
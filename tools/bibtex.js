@@ -0,0 +1,546 @@
+/**
+ * bibtex.js — Bibliographies from .bib, .bbl and thebibliography
+ *
+ * arXiv sources cite with \cite / \citep / \citet (and biblatex's
+ * \parencite, \textcite, …) against a .bib database, usually shipped with
+ * the .bbl BibTeX or biber produced from it. resolveBibliography() reads
+ * all of them into numbered references:
+ *
+ *   { num, key, authors: ['Ashish Vaswani', …], title, venue, year, doi, url, arxivId }
+ *
+ * Numbers follow the .bbl (or an inline thebibliography), which is the
+ * order the compiled paper prints; with only a .bib they follow the order
+ * of first citation. The .bib fills in what a .bbl entry lacks (DOI, URL,
+ * arXiv id). citationBadges(), referencesHtml() and promptBibliography()
+ * render the result for tex2html.js, arxiv-pipeline.js and the import agent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { identifiers } = require('./references');
+
+const MONTHS = { jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December' };
+
+// \cite and friends: natbib (\citep, \citet, \citealp, \citeauthor, …),
+// biblatex (\parencite, \textcite, \autocite, …) and \nocite
+const CITE_COMMAND = /\\(nocite|[cC]ite[a-zA-Z]*|[pP]arencite|[tT]extcite|[aA]utocite|[fF]ootcite|[sS]martcite|[sS]upercite)\*?\s*((?:\[[^\]]*\]\s*){0,2})\{([^}]*)\}/g;
+
+// ─── TeX text ───────────────────────────────────────────────
+
+const ACCENTS = { '"': '̈', "'": '́', '`': '̀', '^': '̂', '~': '̃', '=': '̄', '.': '̇',
+    u: '̆', v: '̌', H: '̋', c: '̧', k: '̨', r: '̊' };
+const LETTERS = { ss: 'ß', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ' };
+
+/**
+ * Plain text of a BibTeX field: accents composed, braces and formatting
+ * commands dropped, dashes and ties converted
+ */
+function latexToText(value) {
+    let s = String(value || '');
+    s = s.replace(/\\(ss|aa|AA|ae|AE|oe|OE|o|O|l|L|i|j)(?![a-zA-Z])\s*/g, (_, name) => LETTERS[name]);
+    s = s.replace(/\\(["'`^~=.])\s*\{?\s*([a-zA-Zıȷ])\s*\}?/g, (_, accent, letter) => letter.replace(/[ıȷ]/, m => (m === 'ı' ? 'i' : 'j')) + ACCENTS[accent]);
+    s = s.replace(/\\([uvHckr])(?:\s+|\s*\{\s*)([a-zA-Zıȷ])\s*\}?/g, (_, accent, letter) => letter.replace(/[ıȷ]/, m => (m === 'ı' ? 'i' : 'j')) + ACCENTS[accent]);
+    s = s.replace(/\\(?:url|href)\{([^}]*)\}(?:\{([^}]*)\})?/g, (_, url, text) => text || url);
+    s = s.replace(/\\(?:textbf|textit|emph|textsc|texttt|textrm|textsf|mathrm|mathbf|mathit|mbox|text|bibinfo\{[^}]*\}|natexlab)\s*\{/g, '{');
+    s = s.replace(/\$([^$]*)\$/g, '$1');
+    s = s.replace(/\\([&%$#_{}])/g, '$1');
+    s = s.replace(/---/g, '—').replace(/--/g, '–');
+    s = s.replace(/``|''/g, '"');
+    s = s.replace(/(?<!\\)~/g, ' ');
+    s = s.replace(/\\[a-zA-Z]+\*?\s*/g, '');
+    s = s.replace(/[{}]/g, '');
+    return s.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The balanced {…} group starting at text[start]
+ *
+ * @returns {Object|null} { content, end } — end is the index after the closing brace
+ */
+function readGroup(text, start) {
+    if (text[start] !== '{') return null;
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') { i++; continue; }
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return { content: text.slice(start + 1, i), end: i + 1 };
+    }
+    return { content: text.slice(start + 1), end: text.length };
+}
+
+/**
+ * Split an author field into display names ("Last, First" → "First Last")
+ */
+function splitAuthors(field) {
+    const names = [];
+    let depth = 0;
+    let current = '';
+    const s = String(field || '');
+    for (let i = 0; i < s.length; i++) {
+        if (s[i] === '{') depth++;
+        if (s[i] === '}') depth--;
+        if (depth === 0 && /^\s+and\s+/i.test(s.slice(i)) && /\s/.test(s[i])) {
+            names.push(current);
+            current = '';
+            i += /^\s+and\s+/i.exec(s.slice(i))[0].length - 1;
+            continue;
+        }
+        current += s[i];
+    }
+    names.push(current);
+    return names
+        .map(name => {
+            if (/^\s*others\s*$/i.test(name)) return 'et al.';
+            const parts = splitTopLevel(name, ',');
+            const text = parts.length > 1 ? `${parts.slice(1).join(' ')} ${parts[0]}` : name;
+            return latexToText(text);
+        })
+        .filter(Boolean);
+}
+
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of String(text)) {
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+        if (ch === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current.trim());
+    return parts;
+}
+
+// ─── .bib ───────────────────────────────────────────────────
+
+/**
+ * Entries of a BibTeX / BibLaTeX database
+ *
+ * Handles @string macros (and the predefined month names), `#`
+ * concatenation, {…} and "…" values, parenthesized entries; @comment and
+ * @preamble are skipped.
+ *
+ * @returns {Object[]} [{ key, type, fields: { title, author, … } }] — field names lower-cased, values raw TeX
+ */
+function parseBibtex(text) {
+    const src = String(text || '');
+    const strings = { ...MONTHS };
+    const entries = [];
+    const at = /@\s*([a-zA-Z]+)\s*([{(])/g;
+    let m;
+
+    while ((m = at.exec(src)) !== null) {
+        const type = m[1].toLowerCase();
+        const close = m[2] === '{' ? '}' : ')';
+        let i = at.lastIndex;
+        if (type === 'comment' || type === 'preamble') {
+            // Skip to the matching close
+            let depth = 1;
+            for (; i < src.length && depth > 0; i++) {
+                if (src[i] === m[2]) depth++;
+                else if (src[i] === close) depth--;
+            }
+            at.lastIndex = i;
+            continue;
+        }
+
+        const skipSpace = () => { while (i < src.length && /[\s]/.test(src[i])) i++; };
+        const readValue = () => {
+            const parts = [];
+            for (;;) {
+                skipSpace();
+                if (src[i] === '{') {
+                    const group = readGroup(src, i);
+                    parts.push(group.content);
+                    i = group.end;
+                } else if (src[i] === '"') {
+                    let depth = 0;
+                    let j = i + 1;
+                    for (; j < src.length; j++) {
+                        if (src[j] === '\\') { j++; continue; }
+                        if (src[j] === '{') depth++;
+                        else if (src[j] === '}') depth--;
+                        else if (src[j] === '"' && depth === 0) break;
+                    }
+                    parts.push(src.slice(i + 1, j));
+                    i = j + 1;
+                } else {
+                    const word = /^[^\s,#})]+/.exec(src.slice(i));
+                    if (!word) break;
+                    const name = word[0];
+                    parts.push(/^\d+$/.test(name) ? name : (strings[name.toLowerCase()] !== undefined ? strings[name.toLowerCase()] : name));
+                    i += name.length;
+                }
+                skipSpace();
+                if (src[i] !== '#') break;
+                i++;
+            }
+            return parts.join('');
+        };
+        const readFields = (fields) => {
+            for (;;) {
+                skipSpace();
+                if (src[i] === ',') { i++; continue; }
+                if (i >= src.length || src[i] === close) { i++; break; }
+                const name = /^[^\s=,{}()]+/.exec(src.slice(i));
+                if (!name) { i++; continue; }
+                i += name[0].length;
+                skipSpace();
+                if (src[i] !== '=') continue;
+                i++;
+                fields[name[0].toLowerCase()] = readValue();
+            }
+        };
+
+        if (type === 'string') {
+            const fields = {};
+            readFields(fields);
+            Object.assign(strings, fields);
+        } else {
+            skipSpace();
+            const key = /^[^\s,})]+/.exec(src.slice(i));
+            if (key) {
+                i += key[0].length;
+                const fields = {};
+                readFields(fields);
+                entries.push({ key: key[0], type, fields });
+            }
+        }
+        at.lastIndex = i;
+    }
+    return entries;
+}
+
+/**
+ * A .bib entry as a reference
+ */
+function bibEntryReference({ key, type, fields: f }) {
+    const venue = f.journal || f.journaltitle || f.booktitle || f.howpublished || f.school || f.institution || f.publisher ||
+        (type === 'misc' && f.note) || '';
+    const eprint = f.eprint && /arxiv/i.test(`${f.archiveprefix || ''} ${f.eprinttype || ''}`) ? `arXiv:${f.eprint}` : '';
+    const ids = identifiers(`${eprint} ${f.url || ''} ${venue} ${f.note || ''}`);
+    const year = /\d{4}/.exec(f.year || f.date || '');
+    return {
+        key,
+        authors: splitAuthors(f.author || f.editor || ''),
+        title: latexToText(f.title || ''),
+        venue: latexToText(venue),
+        year: year ? Number(year[0]) : ids.year,
+        doi: f.doi ? latexToText(f.doi).replace(/^https?:\/\/(?:dx\.)?doi\.org\//i, '') : ids.doi,
+        url: f.url ? latexToText(f.url) : null,
+        arxivId: ids.arxivId,
+    };
+}
+
+// ─── .bbl and thebibliography ───────────────────────────────
+
+/**
+ * Entries of a .bbl file or thebibliography environment, in print order
+ *
+ * Reads BibTeX output (\bibitem[label]{key} … \newblock …) and biblatex /
+ * biber output (\entry{key}{type}{} … \endentry).
+ *
+ * @returns {Object[]} references without numbers, in the order printed
+ */
+function parseBbl(text) {
+    const src = String(text || '');
+    return /\\entry\s*\{/.test(src) ? parseBiblatexBbl(src) : parseBibitems(src);
+}
+
+function parseBibitems(src) {
+    const refs = [];
+    const body = src.replace(/\\end\{thebibliography\}[\s\S]*$/, '');
+    const items = body.split(/\\bibitem\s*/).slice(1);
+    for (const item of items) {
+        let rest = item;
+        // Optional [label] — may itself contain brackets and braces
+        if (rest.startsWith('[')) {
+            let depth = 0;
+            let j = 0;
+            for (; j < rest.length; j++) {
+                if (rest[j] === '{') depth++;
+                else if (rest[j] === '}') depth--;
+                else if (rest[j] === ']' && depth === 0) break;
+            }
+            rest = rest.slice(j + 1).trimStart();
+        }
+        const keyGroup = readGroup(rest, 0);
+        if (!keyGroup) continue;
+        const key = keyGroup.content.trim();
+        let content = rest.slice(keyGroup.end);
+
+        // Links before the text is flattened
+        const doi = /\\doi\s*\{([^}]*)\}|doi\.org\/([^\s}]+)|\bdoi:?\s*\{?(10\.\d{4,9}\/[^\s}]+)/i.exec(content);
+        const url = /\\url\s*\{([^}]*)\}|\\href\s*\{([^}]*)\}/.exec(content);
+        content = content.replace(/\\natexlab\{[^}]*\}|\\penalty0|\\urlprefix|\\providecommand[\s\S]*?\n/g, ' ');
+
+        const blocks = content
+            .replace(/\\(?:doi|url)\s*\{[^}]*\}|\\href\s*\{[^}]*\}\{[^}]*\}|\b(?:doi|URL):?\s*$/gim, '')
+            .split(/\\newblock\b/).map(b => latexToText(b).replace(/^[.,\s]+$/, '')).filter(Boolean);
+        const ids = identifiers(`${content} ${url ? url[1] || url[2] : ''}`);
+        const authorsText = blocks.length > 1 ? blocks[0].replace(/\.$/, '') : '';
+        refs.push({
+            key,
+            authors: authorsText ? authorsText.split(/\s*,\s*(?:and\s+)?|\s+and\s+/).map(a => a.trim()).filter(Boolean) : [],
+            title: (blocks.length > 1 ? blocks[1] : blocks[0] || '').replace(/[.,]$/, ''),
+            venue: blocks.slice(2).join(' ').replace(/^In\s+/, '').replace(/,?\s*(?:1[89]|20)\d{2}[a-z]?\.?$/, '').replace(/[.,]$/, '').trim(),
+            year: ids.year,
+            doi: doi ? (doi[1] || doi[2] || doi[3]).replace(/[.,;]+$/, '') : ids.doi,
+            url: url ? url[1] || url[2] : null,
+            arxivId: ids.arxivId,
+        });
+    }
+    return refs;
+}
+
+function parseBiblatexBbl(src) {
+    const refs = [];
+    const entryRe = /\\entry\s*\{([^}]*)\}\s*\{([^}]*)\}\s*\{[^}]*\}([\s\S]*?)\\endentry/g;
+    let m;
+    while ((m = entryRe.exec(src)) !== null) {
+        const [, key, type, body] = m;
+        const fields = {};
+        for (const f of body.matchAll(/\\(?:field|strng)\s*\{([^}]*)\}\s*\{/g)) {
+            const group = readGroup(body, f.index + f[0].length - 1);
+            if (group && !(f[1] in fields)) fields[f[1].toLowerCase()] = group.content;
+        }
+        for (const v of body.matchAll(/\\verb\s*\{([^}]*)\}\s*\n?\s*\\verb\s+([^\n]*)\n\s*\\endverb/g)) {
+            fields[v[1].toLowerCase()] = v[2].trim();
+        }
+
+        // \name{author}{n}{}{ {{hash=…}{family={…}, familyi={…}, given={…}, …}} … }
+        const authors = [];
+        const names = /\\name\s*\{(author|editor)\}\s*\{\d+\}\s*\{[^}]*\}\s*\{/.exec(body);
+        if (names) {
+            const group = readGroup(body, names.index + names[0].length - 1);
+            for (const person of group.content.split(/\{\{hash=/).slice(1)) {
+                const part = name => (new RegExp(`(?:^|[\\s,{])${name}=\\{((?:[^{}]|\\{[^{}]*\\})*)\\}`).exec(person) || [])[1];
+                const family = part('family');
+                if (family) authors.push(latexToText([part('given'), part('prefix'), family, part('suffix')].filter(Boolean).join(' ')));
+            }
+        }
+
+        const ref = bibEntryReference({ key, type: type.toLowerCase(), fields });
+        refs.push({ ...ref, authors: authors.length ? authors : ref.authors });
+    }
+    return refs;
+}
+
+// ─── Resolving citations ────────────────────────────────────
+
+/**
+ * Call `replace(keys, command)` for every citation command in TeX
+ */
+function replaceCitations(tex, replace) {
+    return String(tex || '').replace(CITE_COMMAND, (match, command, _opts, keys) =>
+        replace(keys.split(',').map(k => k.trim()).filter(Boolean), command, match));
+}
+
+/**
+ * Cited keys in order of first citation (\nocite{*} gives '*')
+ */
+function citedKeys(tex) {
+    const keys = [];
+    replaceCitations(String(tex || '').replace(/(?<!\\)%.*$/gm, ''), found => {
+        found.forEach(k => { if (!keys.includes(k)) keys.push(k); });
+        return '';
+    });
+    return keys;
+}
+
+/**
+ * Bibliography files a TeX source uses: \bibliography{a,b} and
+ * \addbibresource{a.bib}, the .bbl of the main file (or any .bbl), and
+ * the `{main}.bib` a flattened upload is saved with
+ *
+ * @param {string} tex - The flattened source
+ * @param {string} dir - Source directory
+ * @param {string} [mainFile] - Main .tex path
+ * @returns {Object} { bib: [text], bbl: [text] }
+ */
+function findBibliographySources(tex, dir, mainFile) {
+    const read = file => (fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf-8') : null);
+    const bibFiles = new Set();
+    for (const m of String(tex || '').matchAll(/\\(?:bibliography|addbibresource|addglobalbib)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g)) {
+        m[1].split(',').map(name => name.trim()).filter(Boolean)
+            .forEach(name => bibFiles.add(path.resolve(dir, name.endsWith('.bib') ? name : `${name}.bib`)));
+    }
+    const base = mainFile ? path.join(path.dirname(mainFile), path.basename(mainFile, path.extname(mainFile))) : null;
+    if (base) bibFiles.add(`${base}.bib`);
+    // Sources are untrusted: only .bib files inside their folder are read
+    const inside = file => !path.relative(dir, file).startsWith('..') && !path.isAbsolute(path.relative(dir, file));
+
+    const listDir = () => {
+        try {
+            return fs.readdirSync(dir);
+        } catch {
+            return [];
+        }
+    };
+    const bblFiles = base && fs.existsSync(`${base}.bbl`) ? [`${base}.bbl`] : listDir().filter(n => n.endsWith('.bbl')).map(n => path.join(dir, n));
+    return {
+        bib: [...bibFiles].filter(inside).map(read).filter(Boolean),
+        bbl: bblFiles.map(read).filter(Boolean),
+    };
+}
+
+/**
+ * Numbered references for the citations in a TeX source
+ *
+ * @param {string} tex - The flattened source (an inline thebibliography is read too)
+ * @param {Object} [sources] - { bib: [text], bbl: [text] } — see findBibliographySources()
+ * @returns {Object} { references: [{ num, key, … }], numbers: Map<key, num> }
+ */
+function resolveBibliography(tex, { bib = [], bbl = [] } = {}) {
+    const inline = /\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/.exec(String(tex || ''));
+    const printed = [...bbl, ...(inline ? [inline[0]] : [])].flatMap(parseBbl);
+    const database = new Map();
+    for (const text of bib) {
+        for (const entry of parseBibtex(text)) {
+            if (!database.has(entry.key)) database.set(entry.key, bibEntryReference(entry));
+        }
+    }
+
+    // Print order when the paper was compiled, else order of first citation
+    const cited = citedKeys(tex);
+    let order;
+    if (printed.length) {
+        order = printed.map(r => r.key);
+        cited.filter(k => k !== '*' && !order.includes(k) && database.has(k)).forEach(k => order.push(k));
+    } else {
+        order = cited.filter(k => k !== '*');
+        if (cited.includes('*')) database.forEach((_, k) => { if (!order.includes(k)) order.push(k); });
+    }
+
+    const byKey = new Map(printed.map(r => [r.key, r]));
+    const references = [];
+    const numbers = new Map();
+    for (const key of [...new Set(order)]) {
+        const fromBbl = byKey.get(key);
+        const fromBib = database.get(key);
+        if (!fromBbl && !fromBib) continue;
+        const ref = { ...(fromBib || {}), ...(fromBbl || {}) };
+        // The .bib knows the identifiers a formatted entry may leave out
+        for (const field of ['doi', 'url', 'arxivId', 'year', 'venue']) {
+            if (!ref[field] && fromBib && fromBib[field]) ref[field] = fromBib[field];
+        }
+        if (fromBib && fromBib.authors.length && !(fromBbl && fromBbl.authors.length)) ref.authors = fromBib.authors;
+        if (fromBib && fromBib.title && !(fromBbl && fromBbl.title)) ref.title = fromBib.title;
+        const num = references.length + 1;
+        references.push({ num, key, authors: [], title: key, venue: '', year: null, doi: null, url: null, arxivId: null, ...ref });
+        numbers.set(key, num);
+    }
+    return { references, numbers };
+}
+
+/**
+ * TeX without its bibliography: thebibliography, \bibliography{…},
+ * \bibliographystyle{…}, \addbibresource{…} and \printbibliography
+ */
+function stripBibliography(tex) {
+    return String(tex || '')
+        .replace(/\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/g, '')
+        .replace(/\\(?:bibliographystyle|bibliography|nobibliography|addbibresource|addglobalbib)\s*(?:\[[^\]]*\])?\s*\{[^}]*\}|\\printbibliography(?:\[[^\]]*\])?/g, '');
+}
+
+// ─── Output ─────────────────────────────────────────────────
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Where a reference can be read: its URL, else arXiv, else its DOI
+ */
+function referenceUrl(ref) {
+    if (ref.url) return ref.url;
+    if (ref.arxivId) return `https://arxiv.org/abs/${ref.arxivId}`;
+    return ref.doi ? `https://doi.org/${ref.doi}` : '';
+}
+
+function authorList(authors) {
+    if (authors[authors.length - 1] === 'et al.') return `${authors.slice(0, -1).join(', ')} et al.`;
+    if (authors.length <= 2) return authors.join(' and ');
+    return `${authors.slice(0, -1).join(', ')}, and ${authors[authors.length - 1]}`;
+}
+
+/**
+ * Reference badges for the keys of one citation; unknown keys stay as [key]
+ */
+function citationBadges(keys, bibliography) {
+    return keys.map(key => {
+        const num = bibliography.numbers.get(key);
+        if (!num) return `[${escapeHtml(key)}]`;
+        const ref = bibliography.references[num - 1];
+        return `<sup class="ref-badge" data-ref="${num}" data-title="${escapeHtml(ref.title)}" data-url="${escapeHtml(referenceUrl(ref))}">${num}</sup>`;
+    }).join('');
+}
+
+/**
+ * The numbered reference list (`<ol class="references">`), or '' when empty
+ */
+function referencesHtml(bibliography) {
+    if (!bibliography.references.length) return '';
+    const items = bibliography.references.map(ref => {
+        const parts = [];
+        if (ref.authors.length) parts.push(`<strong>${escapeHtml(authorList(ref.authors).replace(/\.?$/, '.'))}</strong>`);
+        parts.push(`${escapeHtml(ref.title)}.`);
+        const where = [ref.venue ? `<em>${escapeHtml(ref.venue)}</em>` : '', ref.year || ''].filter(Boolean).join(', ');
+        if (where) parts.push(`${where}.`);
+        if (ref.arxivId && !/arxiv/i.test(ref.venue)) parts.push(`arXiv:${escapeHtml(ref.arxivId)}.`);
+        const url = referenceUrl(ref);
+        if (url) parts.push(`<a href="${escapeHtml(url)}">${escapeHtml(ref.doi ? `doi:${ref.doi}` : url)}</a>`);
+        return `  <li id="ref-${ref.num}">${parts.join(' ')}</li>`;
+    });
+    return `<ol class="references">\n${items.join('\n')}\n</ol>\n`;
+}
+
+/**
+ * One line per reference — `[N] key: Authors. Title. Venue, Year. arXiv/DOI`
+ * — for prompts that turn \cite{key} into [^N]
+ */
+function promptBibliography(bibliography) {
+    return bibliography.references.map(ref => {
+        const ids = [ref.arxivId ? `arXiv:${ref.arxivId}` : '', ref.doi ? `doi:${ref.doi}` : ''].filter(Boolean).join(' ');
+        return [`[${ref.num}] ${ref.key}:`, ref.authors.length ? authorList(ref.authors).replace(/\.?$/, '.') : '', `${ref.title}.`,
+            [ref.venue, ref.year].filter(Boolean).join(', ').replace(/(.)$/, '$1.'), ids].filter(Boolean).join(' ');
+    }).join('\n');
+}
+
+/**
+ * The `<!-- @references -->` block of a markdown document for these references
+ *
+ * @param {Object} bibliography - resolveBibliography() result
+ * @param {Object} [quotes] - { [num]: quote } — the cited passages, when known
+ */
+function markdownReferences(bibliography, quotes = {}) {
+    if (!bibliography.references.length) return '';
+    const attr = value => String(value || '').replace(/"/g, "'");
+    return `<!-- @references -->\n${bibliography.references
+        .map(ref => `[^${ref.num}]: title="${attr(ref.title)}" url="${attr(referenceUrl(ref))}" quote="${attr(quotes[ref.num])}"`)
+        .join('\n')}\n`;
+}
+
+module.exports = {
+    parseBibtex,
+    parseBbl,
+    bibEntryReference,
+    latexToText,
+    splitAuthors,
+    citedKeys,
+    replaceCitations,
+    findBibliographySources,
+    resolveBibliography,
+    stripBibliography,
+    citationBadges,
+    referencesHtml,
+    promptBibliography,
+    markdownReferences,
+    referenceUrl,
+};
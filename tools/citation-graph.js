@@ -0,0 +1,128 @@
+/**
+ * citation-graph.js — Who cites whom across the library
+ *
+ * buildCitationGraph() resolves every document's references (references.js)
+ * against the library itself: a reference whose arXiv id, DOI or title
+ * matches a document's metadata becomes an edge to that document; the rest
+ * are grouped into external works shared by the papers citing them.
+ *
+ *   nodes: [{ id, docId, title, year, arxivId, doi, url, inLibrary, cites, citedBy }]
+ *   edges: [{ source, target, refs: [num] }]   — source is always a library document
+ *
+ * Library nodes are keyed by docId, external works by `ref:{key}`.
+ */
+
+const { referenceKeys, groupReferences, normalizeTitle } = require('./references');
+
+/**
+ * Keys a library document is known by, from its metadata
+ */
+function arxivIdOf(meta) {
+    return meta.arxiv_id ? String(meta.arxiv_id).replace(/v\d+$/, '') : null;
+}
+
+function documentKeys(meta = {}) {
+    return referenceKeys({
+        arxivId: arxivIdOf(meta),
+        doi: meta.doi ? String(meta.doi) : null,
+        title: meta.title || '',
+    });
+}
+
+function externalId(group) {
+    if (group.arxivId) return `ref:arxiv:${group.arxivId.toLowerCase()}`;
+    if (group.doi) return `ref:doi:${group.doi.toLowerCase()}`;
+    return `ref:title:${normalizeTitle(group.title)}`;
+}
+
+/**
+ * @param {Object[]} docs - [{ docId, meta, references }] — references from extractReferences()
+ * @returns {Object} { nodes, edges }
+ */
+function buildCitationGraph(docs) {
+    const byKey = new Map(); // key → [docId]
+    for (const { docId, meta } of docs) {
+        for (const key of documentKeys(meta)) {
+            if (!byKey.has(key)) byKey.set(key, []);
+            if (!byKey.get(key).includes(docId)) byKey.get(key).push(docId);
+        }
+    }
+
+    const nodes = new Map();
+    for (const { docId, meta = {} } of docs) {
+        nodes.set(docId, {
+            id: docId,
+            docId,
+            title: meta.short_title || meta.title || docId,
+            year: meta.year || null,
+            arxivId: arxivIdOf(meta),
+            doi: meta.doi ? String(meta.doi) : null,
+            url: meta.url || null,
+            inLibrary: true,
+        });
+    }
+
+    const edges = new Map(); // `${source}→${target}` → edge
+    const addEdge = (source, target, num) => {
+        const id = `${source}→${target}`;
+        if (!edges.has(id)) edges.set(id, { source, target, refs: [] });
+        if (!edges.get(id).refs.includes(num)) edges.get(id).refs.push(num);
+    };
+
+    // References to library documents; a paper never cites itself (or its duplicates)
+    const unresolved = [];
+    for (const { docId, meta, references } of docs) {
+        const own = new Set(documentKeys(meta));
+        const external = [];
+        for (const ref of references || []) {
+            const keys = referenceKeys(ref);
+            if (keys.some(k => own.has(k))) continue;
+            const targets = [...new Set(keys.flatMap(k => byKey.get(k) || []))].filter(id => id !== docId);
+            if (targets.length) targets.forEach(target => addEdge(docId, target, ref.num));
+            else external.push(ref);
+        }
+        unresolved.push({ docId, references: external });
+    }
+
+    // The rest: one node per work, however many papers cite it
+    for (const group of groupReferences(unresolved)) {
+        const id = externalId(group);
+        if (!nodes.has(id)) {
+            const arxivUrl = group.arxivId ? `https://arxiv.org/abs/${group.arxivId}` : null;
+            nodes.set(id, {
+                id,
+                docId: null,
+                title: group.title,
+                year: group.year,
+                arxivId: group.arxivId,
+                doi: group.doi,
+                url: arxivUrl || (group.doi ? `https://doi.org/${group.doi}` : null),
+                inLibrary: false,
+            });
+        }
+        group.entries.forEach(entry => addEdge(entry.docId, id, entry.num));
+    }
+
+    const cites = new Map();
+    const citedBy = new Map();
+    const edgeList = [...edges.values()].map(e => {
+        cites.set(e.source, (cites.get(e.source) || 0) + 1);
+        citedBy.set(e.target, (citedBy.get(e.target) || 0) + 1);
+        return { ...e, refs: e.refs.sort((a, b) => a - b) };
+    });
+    const nodeList = [...nodes.values()].map(node => ({ ...node, cites: cites.get(node.id) || 0, citedBy: citedBy.get(node.id) || 0 }));
+    return { nodes: nodeList, edges: edgeList };
+}
+
+/**
+ * The part of a graph within one citation of a node
+ *
+ * @returns {Object} { nodes, edges } — the node, what it cites and what cites it
+ */
+function neighbourhood(graph, id) {
+    const edges = graph.edges.filter(e => e.source === id || e.target === id);
+    const ids = new Set([id, ...edges.flatMap(e => [e.source, e.target])]);
+    return { nodes: graph.nodes.filter(n => ids.has(n.id)), edges };
+}
+
+module.exports = { buildCitationGraph, neighbourhood, documentKeys };
@@ -0,0 +1,150 @@
+/**
+ * collab-hub.js — Real-time collaborative reading sessions over WebSocket
+ *
+ * One room per document: readers connect to `/ws?doc={docId}&user={userId}`.
+ *
+ * Annotation changes never originate on the socket. The REST routes save
+ * first and then publish the stored annotation, so the server is the single
+ * sequencer: concurrent edits to one annotation apply in arrival order (last
+ * write wins) and each carries its `rev`, letting readers drop stale or
+ * out-of-order events and converge on the same state.
+ *
+ * Scroll positions and pinned variables are relayed peer to peer; a room
+ * remembers its pins so late joiners see what the others pinned.
+ *
+ * Messages (JSON):
+ *   client → server  { type: 'scroll', anchor, offset, ratio }
+ *                    { type: 'pin' | 'unpin', name }
+ *   server → client  { type: 'welcome', clientId, user, peers, pins }
+ *                    { type: 'presence', peers }
+ *                    { type: 'annotation', action, annotation | id | annotations, by }
+ *                    { type: 'scroll', clientId, user, anchor, offset, ratio }
+ *                    { type: 'pin' | 'unpin', clientId, user, name }
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_MESSAGE_BYTES = 4096;
+
+class CollabHub {
+    /**
+     * @param {Object} [opts]
+     * @param {string} [opts.path] - URL path of the WebSocket endpoint
+     * @param {Function} [opts.resolveUser] - (rawUserId) → { id, name, color }
+     */
+    constructor({ path = '/ws', resolveUser } = {}) {
+        this.path = path;
+        this.resolveUser = resolveUser || (raw => ({ id: raw || 'anonymous', name: raw || 'Anonymous' }));
+        this.rooms = new Map(); // docId → { clients: Map<clientId, { socket, user }>, pins: Set<string> }
+        this.wss = null;
+    }
+
+    /**
+     * Start accepting connections on an existing HTTP server
+     */
+    attach(httpServer) {
+        this.wss = new WebSocketServer({ server: httpServer, path: this.path, maxPayload: MAX_MESSAGE_BYTES });
+        this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+        return this;
+    }
+
+    getRoom(docId) {
+        if (!this.rooms.has(docId)) this.rooms.set(docId, { clients: new Map(), pins: new Set() });
+        return this.rooms.get(docId);
+    }
+
+    peers(room) {
+        return [...room.clients.entries()].map(([clientId, c]) => ({ clientId, user: c.user }));
+    }
+
+    handleConnection(socket, req) {
+        const url = new URL(req.url, 'http://localhost');
+        const docId = url.searchParams.get('doc');
+        if (!docId) {
+            socket.close(1008, 'doc required');
+            return;
+        }
+
+        const room = this.getRoom(docId);
+        const clientId = uuidv4().slice(0, 8);
+        const user = this.resolveUser(url.searchParams.get('user') || '');
+        room.clients.set(clientId, { socket, user });
+
+        this.send(socket, { type: 'welcome', clientId, user, peers: this.peers(room), pins: [...room.pins] });
+        this.broadcast(docId, { type: 'presence', peers: this.peers(room) }, clientId);
+
+        socket.on('message', raw => this.handleMessage(docId, clientId, raw));
+        socket.on('close', () => {
+            room.clients.delete(clientId);
+            if (room.clients.size === 0) {
+                this.rooms.delete(docId);
+            } else {
+                this.broadcast(docId, { type: 'presence', peers: this.peers(room) });
+            }
+        });
+    }
+
+    handleMessage(docId, clientId, raw) {
+        const room = this.rooms.get(docId);
+        const client = room && room.clients.get(clientId);
+        if (!client) return;
+
+        let msg;
+        try { msg = JSON.parse(raw); } catch { return; }
+        if (!msg || typeof msg !== 'object') return;
+
+        const from = { clientId, user: client.user };
+        switch (msg.type) {
+            case 'scroll': {
+                const ratio = Number(msg.ratio);
+                this.broadcast(docId, {
+                    type: 'scroll',
+                    ...from,
+                    anchor: typeof msg.anchor === 'string' ? msg.anchor.slice(0, 200) : null,
+                    offset: Number.isFinite(Number(msg.offset)) ? Number(msg.offset) : 0,
+                    ratio: Number.isFinite(ratio) ? Math.min(1, Math.max(0, ratio)) : 0,
+                }, clientId);
+                break;
+            }
+            case 'pin':
+            case 'unpin': {
+                if (typeof msg.name !== 'string' || !msg.name || msg.name.length > 200) return;
+                if (msg.type === 'pin') room.pins.add(msg.name);
+                else room.pins.delete(msg.name);
+                this.broadcast(docId, { type: msg.type, ...from, name: msg.name }, clientId);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Announce a stored annotation change to everyone reading the document
+     *
+     * @param {string} docId
+     * @param {string} action - 'created' | 'updated' | 'deleted' | 'replaced'
+     * @param {Object} payload - { annotation } | { id } | { annotations }
+     * @param {Object} [opts]
+     * @param {string} [opts.by] - Author of the change
+     * @param {string} [opts.origin] - clientId that made the change (gets no echo)
+     */
+    publishAnnotation(docId, action, payload, { by, origin } = {}) {
+        this.broadcast(docId, { type: 'annotation', action, ...payload, by: by || null }, origin);
+    }
+
+    broadcast(docId, message, exceptClientId) {
+        const room = this.rooms.get(docId);
+        if (!room) return;
+        const data = JSON.stringify(message);
+        for (const [clientId, { socket }] of room.clients) {
+            if (clientId !== exceptClientId) this.send(socket, data);
+        }
+    }
+
+    send(socket, message) {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+}
+
+module.exports = { CollabHub };
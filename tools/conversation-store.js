@@ -0,0 +1,183 @@
+/**
+ * conversation-store.js — Persistent chat threads
+ *
+ * Each conversation is `{dir}/{id}.json`:
+ *
+ *   { id, owner, title, docIds, origin, createdAt, updatedAt,
+ *     messages: [{ id, role, content, createdAt, citations?, context?, provider?, model?, notes? }] }
+ *
+ * `docIds` are the papers the thread is about (retrieval runs over them);
+ * `origin` is where it was started — 'reader' threads belong to one open
+ * paper, 'workspace' threads to a selection of sources. Threads are private
+ * to their owner (the request user); other users get a 404. `notes` lists
+ * the annotations an answer was saved as ([{ docId, annotationId }]).
+ *
+ * All file access is synchronous, so a read-modify-write of one thread can't
+ * interleave with another request's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const ORIGINS = new Set(['reader', 'workspace']);
+const TITLE_CHARS = 80;
+
+function conversationError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * A thread title from its first question: one line, at most TITLE_CHARS
+ */
+function titleFrom(text) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > TITLE_CHARS ? `${line.slice(0, TITLE_CHARS - 1).trim()}…` : line;
+}
+
+function cleanDocIds(docIds) {
+    if (!Array.isArray(docIds)) return [];
+    return [...new Set(docIds.filter(id => typeof id === 'string' && /^[\w.-]+$/.test(id) && !id.includes('..')))];
+}
+
+/**
+ * What thread lists show: everything but the messages
+ */
+function summarize(conv) {
+    const { messages, ...rest } = conv;
+    const last = messages[messages.length - 1];
+    return {
+        ...rest,
+        messageCount: messages.length,
+        preview: last ? titleFrom(last.content) : '',
+    };
+}
+
+class ConversationStore {
+    /**
+     * @param {string} dir - Directory holding one JSON file per conversation
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(id) {
+        if (!/^[\w-]+$/.test(String(id))) throw conversationError(400, 'Invalid conversation id');
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    read(id) {
+        const p = this.pathFor(id);
+        if (!fs.existsSync(p)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(p, 'utf-8'));
+        } catch (err) {
+            console.warn(`⚠️  Unreadable conversation ${id}: ${err.message}`);
+            return null;
+        }
+    }
+
+    save(conv) {
+        conv.updatedAt = new Date().toISOString();
+        writeFileAtomic(this.pathFor(conv.id), JSON.stringify(conv, null, 2));
+        return conv;
+    }
+
+    /**
+     * A user's threads, most recently active first
+     *
+     * @param {string} owner
+     * @param {Object} [filter]
+     * @param {string} [filter.docId] - Only threads about this paper
+     * @param {string} [filter.origin] - 'reader' | 'workspace'
+     * @returns {Object[]} Summaries (no messages)
+     */
+    list(owner, { docId = null, origin = null } = {}) {
+        const convs = [];
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!/^[\w-]+\.json$/.test(file)) continue;
+            const conv = this.read(file.slice(0, -5));
+            if (!conv || conv.owner !== owner) continue;
+            if (docId && !conv.docIds.includes(docId)) continue;
+            if (origin && conv.origin !== origin) continue;
+            convs.push(summarize(conv));
+        }
+        return convs.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @throws {Error} 404 when missing or owned by someone else
+     */
+    get(owner, id) {
+        const conv = this.read(id);
+        if (!conv || conv.owner !== owner) throw conversationError(404, 'Conversation not found');
+        return conv;
+    }
+
+    create(owner, { title, docIds, origin } = {}) {
+        const now = new Date().toISOString();
+        return this.save({
+            id: uuidv4().slice(0, 8),
+            owner,
+            title: titleFrom(title),
+            docIds: cleanDocIds(docIds),
+            origin: ORIGINS.has(origin) ? origin : 'workspace',
+            createdAt: now,
+            updatedAt: now,
+            messages: [],
+        });
+    }
+
+    /**
+     * Rename a thread or change the papers it's about
+     */
+    update(owner, id, { title, docIds } = {}) {
+        const conv = this.get(owner, id);
+        if (title !== undefined) conv.title = titleFrom(title);
+        if (docIds !== undefined) conv.docIds = cleanDocIds(docIds);
+        return this.save(conv);
+    }
+
+    /**
+     * Append messages ({ role, content, ... }); an untitled thread is named
+     * after its first question
+     *
+     * @returns {Object[]} The stored messages, with ids and timestamps
+     */
+    append(owner, id, messages) {
+        const conv = this.get(owner, id);
+        const now = new Date().toISOString();
+        const added = messages.map(m => ({ id: uuidv4().slice(0, 8), createdAt: now, ...m }));
+        conv.messages.push(...added);
+        if (!conv.title) {
+            const first = conv.messages.find(m => m.role === 'user');
+            if (first) conv.title = titleFrom(first.content);
+        }
+        this.save(conv);
+        return added;
+    }
+
+    /**
+     * Merge fields into one stored message
+     * @throws {Error} 404 when the message isn't in the thread
+     */
+    updateMessage(owner, id, messageId, fields) {
+        const conv = this.get(owner, id);
+        const message = conv.messages.find(m => m.id === messageId);
+        if (!message) throw conversationError(404, 'Message not found');
+        Object.assign(message, fields);
+        this.save(conv);
+        return message;
+    }
+
+    remove(owner, id) {
+        this.get(owner, id);
+        fs.rmSync(this.pathFor(id), { force: true });
+    }
+}
+
+module.exports = { ConversationStore, titleFrom, summarize };
@@ -0,0 +1,247 @@
+/**
+ * data-tables.js — Structured tables from the data_table studio operation
+ *
+ * parseTables() reads the markdown pipe tables a data_table run writes:
+ *
+ *   { title, columns: ['Model', 'BLEU'], rows: [{ cells: [{ text, value }] }] }
+ *
+ * `value` is the cell's number (null for text) so grids sort numerically.
+ * paperSources() lists what a paper states — its table rows and sentences —
+ * and linkCell() finds where an extracted value comes from, so each cell can
+ * link back to the table or sentence in the paper. mergeTables() combines
+ * tables with the same title from several papers into one comparison table.
+ */
+
+const { htmlToText, splitSections, getAttr } = require('./search-index');
+
+const CELL_CHARS = 500;
+const SOURCE_CHARS = 240;
+
+// ─── Parsing ────────────────────────────────────────────────
+
+function splitRow(line) {
+    const cells = [];
+    let current = '';
+    const body = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '\\' && body[i + 1] === '|') { current += '|'; i++; }
+        else if (body[i] === '|') { cells.push(current); current = ''; }
+        else current += body[i];
+    }
+    cells.push(current);
+    return cells.map(cleanCell);
+}
+
+function cleanCell(text) {
+    return String(text)
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, CELL_CHARS);
+}
+
+const SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+/**
+ * The number a cell states, for sorting: "~3.5 days" → 3.5, "65M" → 65e6,
+ * "27.3%" → 27.3, "1.0·10^20" or "1.0×10²⁰" → 1e20, "2e-4" → 0.0002
+ *
+ * @returns {number|null} null for text, ranges and dashes
+ */
+function parseNumber(text) {
+    const superscripts = { '⁰': 0, '¹': 1, '²': 2, '³': 3, '⁴': 4, '⁵': 5, '⁶': 6, '⁷': 7, '⁸': 8, '⁹': 9, '⁻': '-' };
+    const s = String(text || '')
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, m => `^${[...m].map(c => superscripts[c]).join('')}`)
+        .replace(/[$\\{}]/g, '')
+        .replace(/\s*(?:·|×|\*|x|\\times|\\cdot|times|cdot)\s*10\s*\^\s*/g, 'e')
+        .replace(/,(?=\d{3}\b)/g, '')
+        .trim();
+    const m = /^[~≈<>≤≥]?\s*([-−+]?\d*\.?\d+(?:e[-−+]?\d+)?)\s*([kKMBG]|%)?(?:\s+[A-Za-z/%]+)?$/.exec(s);
+    if (!m) return null;
+    let value = Number(m[1].replace(/−/g, '-'));
+    const scale = { k: 1e3, K: 1e3, M: 1e6, B: 1e9, G: 1e9 }[m[2]];
+    if (scale) value *= scale;
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Tables in markdown, each titled by the heading (or bold line) above it
+ *
+ * @returns {Object[]} [{ title, columns, rows: [{ cells: [{ text, value }] }] }] — tables without rows are dropped
+ */
+function parseTables(markdown) {
+    const lines = String(markdown || '').split('\n');
+    const tables = [];
+    let title = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const heading = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/.exec(line) || /^\s*(?:\*\*|__)(.+?)(?:\*\*|__):?\s*$/.exec(line);
+        if (heading) {
+            title = cleanCell(heading[1]);
+            continue;
+        }
+        if (!line.includes('|') || !SEPARATOR.test(lines[i + 1] || '')) continue;
+
+        const columns = splitRow(line);
+        const rows = [];
+        i += 2;
+        for (; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+            const cells = splitRow(lines[i]);
+            if (cells.every(c => !c || /^(?:\.{3}|…)$/.test(c))) continue;
+            while (cells.length < columns.length) cells.push('');
+            rows.push({ cells: cells.slice(0, columns.length).map(text => ({ text, value: parseNumber(text) })) });
+        }
+        i--;
+        if (rows.length) tables.push({ title: title || `Table ${tables.length + 1}`, columns, rows });
+    }
+    return tables;
+}
+
+// ─── Sources in the paper ───────────────────────────────────
+
+function numberTokens(text) {
+    return String(text || '').match(/\d+(?:[.,]\d+)*/g) || [];
+}
+
+function words(text) {
+    return new Set(String(text || '').toLowerCase().match(/[a-z][a-z-]{2,}/g) || []);
+}
+
+function cellText(html) {
+    return htmlToText(String(html).replace(/<sup\b[^>]*class="ref-badge"[^>]*>[\s\S]*?<\/sup>/gi, ''));
+}
+
+/**
+ * What a paper states, for linking cells: each table row (with the table's
+ * anchor, label and caption) and each sentence with a number outside tables
+ *
+ * @param {string} html - The document's HTML
+ * @param {string} docId
+ * @returns {Object} { docId, rows: [{ anchor, label, caption, text }], sentences: [{ anchor, section, text }] }
+ */
+function paperSources(html, docId = null) {
+    const rows = [];
+    const sentences = [];
+    for (const section of splitSections(html || '')) {
+        const tableRe = /<table\b([^>]*)>([\s\S]*?)<\/table>/gi;
+        let m;
+        let last = 0;
+        let prose = '';
+        while ((m = tableRe.exec(section.html)) !== null) {
+            const before = section.html.slice(last, m.index);
+            prose += `${before} `;
+            const captions = before.match(/<(?:p|div|figcaption)\b[^>]*class="[^"]*caption[^"]*"[^>]*>[\s\S]*?<\/(?:p|div|figcaption)>/gi) || [];
+            const caption = captions.length ? cellText(captions[captions.length - 1]) : '';
+            const label = (/^Table\s+\d+/i.exec(caption) || [section.title])[0];
+            const anchor = getAttr(`<table${m[1]}>`, 'id') || section.anchor;
+            for (const tr of m[2].match(/<tr\b[\s\S]*?<\/tr>/gi) || []) {
+                const text = (tr.match(/<t[dh]\b[^>]*>[\s\S]*?<\/t[dh]>/gi) || []).map(cellText).filter(Boolean).join(' | ');
+                if (text) rows.push({ anchor, label, caption, text });
+            }
+            last = tableRe.lastIndex;
+        }
+        prose += section.html.slice(last);
+        const text = cellText(prose);
+        for (const sentence of text.split(/(?<=[.!?])\s+(?=[A-Z(])/)) {
+            if (/\d/.test(sentence)) sentences.push({ anchor: section.anchor, section: section.title, text: sentence });
+        }
+    }
+    return { docId, rows, sentences };
+}
+
+/**
+ * Where in the papers a numeric cell's value is stated: the table row or
+ * sentence containing all its numbers that shares the most words with the
+ * cell's row and column (table rows win ties)
+ *
+ * @param {string} text - The cell
+ * @param {string} context - Its row and column header
+ * @param {Object[]} papers - paperSources() of each paper
+ * @returns {Object|null} { kind: 'table' | 'sentence', docId, anchor, label, text }
+ */
+function linkCell(text, context, papers) {
+    const numbers = numberTokens(text);
+    if (!numbers.length) return null;
+    const wanted = words(context);
+    let best = null;
+
+    const consider = (docId, kind, candidate, haystack, label) => {
+        const tokens = new Set(numberTokens(candidate.text));
+        if (!numbers.every(n => tokens.has(n))) return;
+        let score = kind === 'table' ? 0.5 : 0;
+        for (const w of words(haystack)) if (wanted.has(w)) score++;
+        if (!best || score > best.score) {
+            best = { score, kind, docId, anchor: candidate.anchor, label, text: candidate.text.slice(0, SOURCE_CHARS) };
+        }
+    };
+    for (const { docId, rows, sentences } of papers) {
+        for (const row of rows) consider(docId, 'table', row, `${row.text} ${row.caption}`, row.label);
+        for (const sentence of sentences) consider(docId, 'sentence', sentence, sentence.text, sentence.section);
+    }
+
+    if (!best) return null;
+    const { score, ...link } = best;
+    return link;
+}
+
+// ─── Merging ────────────────────────────────────────────────
+
+function normalizeTitle(text) {
+    return String(text || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * One comparison table per title from several papers' tables
+ *
+ * Columns are matched by name (case and punctuation ignored) and the first
+ * column always lines up with the first; a leading "Paper" column says where
+ * each row comes from.
+ *
+ * @param {Object[]} sets - [{ docId, title, tables }] — one per paper
+ * @returns {Object[]} [{ title, columns, papers, rows: [{ docId, cells }] }]
+ */
+function mergeTables(sets) {
+    const merged = new Map();
+    for (const { docId, title: paper, tables } of sets) {
+        for (const table of tables) {
+            const key = normalizeTitle(table.title);
+            if (!merged.has(key)) merged.set(key, { title: table.title, columns: ['Paper', table.columns[0]], keys: ['', '#first'], papers: [], rows: [] });
+            const target = merged.get(key);
+            if (!target.papers.includes(docId)) target.papers.push(docId);
+
+            // Where each of this table's columns goes in the merged one
+            const positions = table.columns.map((name, i) => {
+                const colKey = i === 0 ? '#first' : normalizeTitle(name);
+                let at = target.keys.indexOf(colKey);
+                if (at < 0) {
+                    target.keys.push(colKey);
+                    target.columns.push(name);
+                    at = target.keys.length - 1;
+                }
+                return at;
+            });
+
+            for (const row of table.rows) {
+                const cells = [];
+                cells[0] = { text: paper, value: null, source: { kind: 'paper', docId } };
+                row.cells.forEach((cell, i) => { cells[positions[i]] = cell; });
+                target.rows.push({ ...row, docId, cells });
+            }
+        }
+    }
+
+    return [...merged.values()].map(({ title, columns, papers, rows }) => ({
+        title,
+        columns,
+        papers,
+        rows: rows.map(row => ({
+            ...row,
+            cells: columns.map((_, i) => row.cells[i] || { text: '', value: null }),
+        })),
+    }));
+}
+
+module.exports = { parseTables, parseNumber, paperSources, linkCell, mergeTables };
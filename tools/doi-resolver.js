@@ -0,0 +1,129 @@
+/**
+ * doi-resolver.js — Find something importable behind a DOI
+ *
+ * Cited papers are imported from arXiv whenever possible, so a DOI is first
+ * resolved to an arXiv id, and only then to an open-access PDF:
+ *
+ *   1. arXiv DOIs (10.48550/arXiv.{id}) carry the id themselves
+ *   2. Crossref metadata (CROSSREF_API_URL, default https://api.crossref.org):
+ *      a `has-preprint` relation to an arXiv id or arXiv DOI
+ *   3. Unpaywall's best open-access PDF (only when UNPAYWALL_EMAIL is set —
+ *      its API asks for a contact address)
+ *   4. Crossref's own `application/pdf` links
+ *
+ * resolveDoi() gives { doi, arxivId, title } or { doi, pdfUrl, title };
+ * fetchPdf() downloads the PDF for the import pipeline. Network failures,
+ * 429 and 5xx are marked `transient`, so the import queue retries them.
+ */
+
+const DEFAULT_CROSSREF_URL = 'https://api.crossref.org';
+const ARXIV_DOI = /^10\.48550\/arxiv\.(.+)$/i;
+const USER_AGENT = 'scholarly-reader (https://github.com/GindaChen/scholarly-reader)';
+
+function resolveError(message, { status, transient = false } = {}) {
+    const err = new Error(message);
+    if (status) err.status = status;
+    err.transient = transient;
+    return err;
+}
+
+/**
+ * fetch() that turns network errors and HTTP failures into resolveErrors;
+ * 404 resolves to null
+ */
+async function request(url, { fetch, signal, accept }) {
+    let res;
+    try {
+        res = await fetch(url, { signal, headers: { Accept: accept, 'User-Agent': USER_AGENT }, redirect: 'follow' });
+    } catch (err) {
+        if (signal && signal.aborted) throw err;
+        throw resolveError(`Could not reach ${new URL(url).host}: ${err.message}`, { transient: true });
+    }
+    if (res.status === 404) return null;
+    if (!res.ok) {
+        throw resolveError(`${new URL(url).host} answered HTTP ${res.status}`,
+            { status: res.status, transient: res.status === 408 || res.status === 429 || res.status >= 500 });
+    }
+    return res;
+}
+
+/**
+ * arXiv id and PDF links in a Crossref work record (`message` of /works/{doi})
+ *
+ * @returns {{ arxivId: string|null, pdfUrls: string[], title: string }}
+ */
+function crossrefSources(work = {}) {
+    let arxivId = null;
+    const preprints = (work.relation && work.relation['has-preprint']) || [];
+    for (const rel of preprints) {
+        const id = String(rel.id || '').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').replace(/^https?:\/\/arxiv\.org\/abs\//i, '');
+        if (rel['id-type'] === 'arxiv') arxivId = id.replace(/^arxiv:/i, '');
+        else if (rel['id-type'] === 'doi' && ARXIV_DOI.test(id)) arxivId = ARXIV_DOI.exec(id)[1];
+        if (arxivId) break;
+    }
+    const pdfUrls = (work.link || [])
+        .filter(link => link && link.URL && /application\/pdf/i.test(link['content-type'] || ''))
+        .map(link => link.URL);
+    const title = Array.isArray(work.title) ? (work.title[0] || '') : String(work.title || '');
+    return { arxivId: arxivId ? arxivId.replace(/v\d+$/, '') : null, pdfUrls, title };
+}
+
+/**
+ * Where to import a DOI from
+ *
+ * @param {string} doi
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetch] - defaults to the global fetch
+ * @param {AbortSignal} [opts.signal]
+ * @param {string} [opts.crossrefUrl] - defaults to CROSSREF_API_URL
+ * @param {string} [opts.unpaywallEmail] - defaults to UNPAYWALL_EMAIL
+ * @returns {Promise<{doi: string, arxivId?: string, pdfUrl?: string, title: string}>}
+ */
+async function resolveDoi(doi, opts = {}) {
+    const {
+        fetch = globalThis.fetch,
+        signal,
+        crossrefUrl = process.env.CROSSREF_API_URL || DEFAULT_CROSSREF_URL,
+        unpaywallEmail = process.env.UNPAYWALL_EMAIL,
+    } = opts;
+    const clean = String(doi || '').trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').replace(/^doi:/i, '');
+    if (!/^10\.\d{4,9}\/\S+$/.test(clean)) throw resolveError(`Not a DOI: ${doi}`, { status: 400 });
+
+    const arxivDoi = ARXIV_DOI.exec(clean);
+    if (arxivDoi) return { doi: clean, arxivId: arxivDoi[1], title: '' };
+
+    const res = await request(`${crossrefUrl.replace(/\/+$/, '')}/works/${encodeURIComponent(clean)}`,
+        { fetch, signal, accept: 'application/json' });
+    const work = res ? ((await res.json()) || {}).message || {} : {};
+    const { arxivId, pdfUrls, title } = crossrefSources(work);
+    if (arxivId) return { doi: clean, arxivId, title };
+
+    if (unpaywallEmail) {
+        const oa = await request(`https://api.unpaywall.org/v2/${encodeURIComponent(clean)}?email=${encodeURIComponent(unpaywallEmail)}`,
+            { fetch, signal, accept: 'application/json' });
+        const best = oa ? ((await oa.json()) || {}).best_oa_location : null;
+        if (best && best.url_for_pdf) return { doi: clean, pdfUrl: best.url_for_pdf, title };
+    }
+    if (pdfUrls.length) return { doi: clean, pdfUrl: pdfUrls[0], title };
+
+    throw resolveError(res
+        ? `doi:${clean} has no arXiv preprint or open-access PDF — download its PDF and use Upload to import it`
+        : `doi:${clean} was not found — download its PDF and use Upload to import it`, { status: 422 });
+}
+
+/**
+ * Download a PDF, refusing anything that isn't one (paywalls answer with HTML)
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function fetchPdf(url, { fetch = globalThis.fetch, signal } = {}) {
+    const res = await request(url, { fetch, signal, accept: 'application/pdf' });
+    if (!res) throw resolveError(`PDF not found: ${url}`, { status: 422 });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.toString('latin1', 0, 5) !== '%PDF-') {
+        throw resolveError(`${url} is not an open-access PDF — download it yourself and use Upload to import it`, { status: 422 });
+    }
+    return buffer;
+}
+
+module.exports = { resolveDoi, fetchPdf, crossrefSources };
@@ -105,7 +105,10 @@ function extractFigures(texContent, texBaseDir, outputDir) {
             let resolved = null;
 
             for (const ext of extensions) {
-                const tryPath = path.join(texBaseDir, imgPath + ext);
+                const tryPath = path.resolve(texBaseDir, imgPath + ext);
+                // Only images inside the source folder (\includegraphics{../../etc/...} is not followed)
+                const relative = path.relative(texBaseDir, tryPath);
+                if (relative.startsWith('..') || path.isAbsolute(relative)) break;
                 if (fs.existsSync(tryPath)) {
                     resolved = tryPath;
                     break;
@@ -197,4 +200,4 @@ function escapeHtml(str) {
     return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
-module.exports = { extractFigures, figuresToHtml, replaceFiguresInText, convertPdfToPng };
+module.exports = { extractFigures, figuresToHtml, replaceFiguresInText, convertPdfToPng, hasPdftoppm };
@@ -0,0 +1,389 @@
+/**
+ * extract-pdf.js — Turn a PDF (no TeX source) into reader-ready HTML
+ *
+ * Uses poppler's command-line tools, all local:
+ *   - pdftotext  → page text (required)
+ *   - pdfinfo    → title / author metadata (optional)
+ *   - pdftoppm   → PNG renders of pages that carry a figure caption (optional)
+ *
+ * Structure is recovered heuristically from the plain text: numbered headings
+ * ("3", "3.1", "III.") and well-known unnumbered ones (Abstract, References…)
+ * become <h2>/<h3>/<h4> so buildTOC picks them up, "Figure N:" captions become
+ * <figure> blocks, and numeric citations ([12], [3, 5]) become ref badges
+ * linked to the parsed reference list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const KNOWN_HEADINGS = /^(abstract|introduction|related work|background|preliminaries|method(s|ology)?|experiments?|results|evaluation|discussion|limitations|conclusions?( and future work)?|acknowledge?ments?|references|bibliography|appendix(es)?)$/i;
+const REFERENCE_HEADINGS = /^(references|bibliography)$/i;
+const FIGURE_CAPTION = /^(?:Figure|Fig\.)\s*(\d+)\s*[:.]\s*/;
+const MAX_HEADING_WORDS = 12;
+
+function hasCommand(cmd) {
+    try {
+        execFileSync('which', [cmd], { stdio: 'pipe' });
+        return true;
+    } catch { return false; }
+}
+
+function hasPdftotext() {
+    return hasCommand('pdftotext');
+}
+
+/**
+ * Extract text per page (pdftotext separates pages with form feeds)
+ * @returns {string[]}
+ */
+function pdfToPages(pdfPath) {
+    if (!hasPdftotext()) {
+        throw new Error('pdftotext not found — install poppler-utils to import PDFs');
+    }
+    const text = execFileSync('pdftotext', ['-enc', 'UTF-8', pdfPath, '-'], {
+        timeout: 120000,
+        maxBuffer: 64 * 1024 * 1024,
+    }).toString('utf-8');
+    const pages = text.split('\f');
+    if (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+    return pages;
+}
+
+/**
+ * Document info dictionary via pdfinfo (empty object when unavailable)
+ * @returns {{title?: string, author?: string, pages?: number}}
+ */
+function pdfInfo(pdfPath) {
+    if (!hasCommand('pdfinfo')) return {};
+    try {
+        const out = execFileSync('pdfinfo', [pdfPath], { timeout: 30000, stdio: 'pipe' }).toString('utf-8');
+        const field = (name) => {
+            const m = out.match(new RegExp(`^${name}:\\s*(.+)$`, 'm'));
+            return m ? m[1].trim() : '';
+        };
+        return { title: field('Title'), author: field('Author'), pages: parseInt(field('Pages'), 10) || undefined };
+    } catch { return {}; }
+}
+
+// ─── Text structure ─────────────────────────────────────────
+
+/**
+ * Lines repeated at the top/bottom of most pages (running headers, footers)
+ */
+function findRunningLines(pages) {
+    if (pages.length < 3) return new Set();
+    const counts = new Map();
+    for (const page of pages) {
+        const lines = page.split('\n').map(l => l.trim()).filter(Boolean);
+        const edges = new Set([...lines.slice(0, 2), ...lines.slice(-2)].map(l => l.replace(/\d+/g, '#')));
+        for (const line of edges) counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    const threshold = Math.max(3, Math.ceil(pages.length / 2));
+    return new Set([...counts].filter(([, n]) => n >= threshold).map(([line]) => line));
+}
+
+/**
+ * Split pages into blocks of consecutive lines (blank lines end a block),
+ * dropping running headers/footers and bare page numbers
+ * @returns {{lines: string[], page: number}[]}
+ */
+function toBlocks(pages) {
+    const running = findRunningLines(pages);
+    const blocks = [];
+    pages.forEach((page, pageIdx) => {
+        let current = null;
+        for (const raw of page.split('\n')) {
+            const line = raw.trim();
+            const skip = /^\d{1,4}$/.test(line) || running.has(line.replace(/\d+/g, '#'));
+            if (!line || skip) {
+                if (current) { blocks.push(current); current = null; }
+                continue;
+            }
+            if (!current) current = { lines: [], page: pageIdx + 1 };
+            current.lines.push(line);
+        }
+        if (current) blocks.push(current);
+    });
+    return blocks;
+}
+
+/**
+ * Join wrapped lines into one paragraph, undoing end-of-line hyphenation
+ */
+function joinLines(lines) {
+    return lines.reduce((text, line) => {
+        if (!text) return line;
+        if (/[a-z]-$/.test(text) && /^[a-z]/.test(line)) return text.slice(0, -1) + line;
+        return `${text} ${line}`;
+    }, '');
+}
+
+/**
+ * Classify a line as a section heading
+ * @returns {{level: number, number: string, title: string}|null}
+ */
+function parseHeading(line, ctx) {
+    if (line.length > 100 || /[.:;,]$/.test(line)) return null;
+
+    const numbered = line.match(/^(\d{1,2}(?:\.\d{1,2}){0,2})\.?\s+([A-Z].*)$/);
+    if (numbered) {
+        const number = numbered[1];
+        const title = numbered[2].trim();
+        const parts = number.split('.').map(Number);
+        if (title.split(/\s+/).length > MAX_HEADING_WORDS || /\d{3,}/.test(title)) return null;
+        // Only accept numbering that continues the outline, which screens out list items and table rows
+        if (parts.length === 1 && parts[0] !== ctx.top && parts[0] !== ctx.top + 1) return null;
+        if (parts.length > 1 && parts[0] !== ctx.top) return null;
+        return { level: Math.min(parts.length + 1, 4), number, title };
+    }
+
+    const roman = line.match(/^([IVX]{1,5})\.\s+([A-Z][A-Z0-9 ,\-:&]+)$/);
+    if (roman) return { level: 2, number: roman[1], title: roman[2].trim() };
+
+    if (KNOWN_HEADINGS.test(line)) return { level: 2, number: '', title: line };
+
+    if (ctx.inAppendix) {
+        // No commas: keeps reference lines like "A. Vaswani, N. Shazeer" out
+        const appendix = line.match(/^([A-H](?:\.\d{1,2})*)\.?\s+([A-Z][^,]*)$/);
+        if (appendix && appendix[2].split(/\s+/).length <= 8) {
+            return { level: Math.min(appendix[1].split('.').length + 1, 4), number: appendix[1], title: appendix[2].trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Split the reference list into entries: "[n] …", "n. …", or one per block
+ * @returns {{num: number, text: string}[]}
+ */
+function parseReferences(blocks) {
+    const lines = blocks.flatMap(b => b.lines);
+    const bracketed = /^\[(\d+)\]\s*/;
+    const dotted = /^(\d+)\.\s+/;
+    const marker = lines.filter(l => bracketed.test(l)).length >= 2 ? bracketed
+        : lines.filter(l => dotted.test(l)).length >= 2 ? dotted : null;
+
+    if (!marker) {
+        return blocks.map((b, i) => ({ num: i + 1, text: joinLines(b.lines) }));
+    }
+
+    const refs = [];
+    for (const line of lines) {
+        const m = line.match(marker);
+        if (m) refs.push({ num: parseInt(m[1], 10), lines: [line.slice(m[0].length)] });
+        else if (refs.length) refs[refs.length - 1].lines.push(line);
+    }
+    return refs.map(r => ({ num: r.num, text: joinLines(r.lines) }));
+}
+
+/**
+ * Recover title, abstract, sections, figures and references from page text
+ *
+ * @param {string[]} pages - Text of each page (see pdfToPages)
+ * @param {Object} [info] - pdfinfo fields; a real Title beats the first-line guess
+ * @returns {{title: string, authors: string[], abstract: string,
+ *   sections: {level: number, number: string, title: string, blocks: Object[]}[],
+ *   figures: {id: number, caption: string, page: number}[],
+ *   references: {num: number, text: string}[]}}
+ */
+function structurePdfText(pages, info = {}) {
+    const blocks = toBlocks(pages);
+    const ctx = { top: 0, inAppendix: false };
+    const front = [];
+    const sections = [];
+    const referenceBlocks = [];
+    const figures = [];
+    let current = null;
+    let inReferences = false;
+
+    const startSection = (heading, page) => {
+        current = { ...heading, page, blocks: [] };
+        sections.push(current);
+        if (heading.level === 2 && /^\d+$/.test(heading.number)) ctx.top = parseInt(heading.number, 10);
+        inReferences = REFERENCE_HEADINGS.test(heading.title);
+        // Lettered headings (A, B.1, …) only count once we're past the references
+        if (inReferences || /^appendix/i.test(heading.title)) ctx.inAppendix = true;
+    };
+
+    const addLines = (lines, page) => {
+        if (!lines.length) return;
+        if (inReferences) { referenceBlocks.push({ lines, page }); return; }
+
+        const text = joinLines(lines);
+        const fig = text.match(FIGURE_CAPTION);
+        if (fig) {
+            const figure = { id: parseInt(fig[1], 10), caption: text.slice(fig[0].length), page };
+            if (!figures.some(f => f.id === figure.id)) figures.push(figure);
+            if (current) current.blocks.push({ figure: figure.id });
+        } else if (current) {
+            current.blocks.push({ text });
+        } else {
+            front.push({ text, lines });
+        }
+    };
+
+    for (const block of blocks) {
+        // pdftotext often runs a heading straight into its section's text, so
+        // look at every line; mid-block headings must follow a finished sentence
+        // or another heading, which keeps wrapped "… Section\n3 shows" lines out
+        let pending = [];
+        let afterBreak = true;
+        for (const line of block.lines) {
+            const heading = afterBreak ? parseHeading(line, ctx) : null;
+            if (heading) {
+                addLines(pending, block.page);
+                pending = [];
+                startSection(heading, block.page);
+            } else if (!sections.length && !pending.length && /^abstract\s*[—–:.-]\s*\S/i.test(line)) {
+                // "Abstract— We propose…" (IEEE) / "Abstract. We…" (LNCS)
+                addLines(pending, block.page);
+                startSection({ level: 2, number: '', title: 'Abstract' }, block.page);
+                pending = [line.replace(/^abstract\s*[—–:.-]\s*/i, '')];
+            } else {
+                pending.push(line);
+            }
+            afterBreak = !!heading || /[.!?:)\]]$/.test(line);
+        }
+        addLines(pending, block.page);
+    }
+
+    const infoTitle = info.title && !/^(untitled|microsoft word|.*\.(docx?|pdf|tex|dvi))/i.test(info.title) ? info.title : '';
+    // Page 1 opens with the title, then (usually) a comma-separated author line
+    const firstLines = front[0] ? front[0].lines : [];
+    let titleEnd = firstLines.findIndex((l, i) => i > 0 && /[,@]|\d/.test(l));
+    if (titleEnd === -1) titleEnd = Math.min(firstLines.length, 3);
+    const title = infoTitle || joinLines(firstLines.slice(0, titleEnd)) || 'Untitled Paper';
+    const authorLine = info.author || (firstLines[titleEnd] && !/@/.test(firstLines[titleEnd]) ? firstLines[titleEnd] : '');
+    const authors = authorLine
+        .split(/\s*(?:,|;|\band\b)\s*/)
+        .map(a => a.replace(/[\d*†‡]+$/, '').trim())
+        .filter(a => a && a.length < 60);
+
+    const abstractIdx = sections.findIndex(s => /^abstract$/i.test(s.title));
+    let abstract = '';
+    if (abstractIdx !== -1) {
+        abstract = sections[abstractIdx].blocks.filter(b => b.text).map(b => b.text).join('\n\n');
+        sections.splice(abstractIdx, 1);
+    }
+
+    return {
+        title,
+        authors,
+        abstract,
+        sections: sections.filter(s => !REFERENCE_HEADINGS.test(s.title)),
+        figures,
+        references: parseReferences(referenceBlocks),
+    };
+}
+
+// ─── Figures ────────────────────────────────────────────────
+
+/**
+ * Render each page that holds a figure caption to figures/page-N.png
+ * (pdftoppm draws the whole page; pdftotext can't tell us where the figure sits)
+ *
+ * @returns {Map<number, string>} figure id → image file name in figures/
+ */
+function renderFigurePages(pdfPath, figures, outputDir) {
+    const images = new Map();
+    if (!figures.length || !hasCommand('pdftoppm')) return images;
+
+    const figuresDir = path.join(outputDir, 'figures');
+    fs.mkdirSync(figuresDir, { recursive: true });
+    for (const page of new Set(figures.map(f => f.page))) {
+        const name = `page-${page}`;
+        try {
+            execFileSync('pdftoppm', ['-png', '-r', '110', '-f', String(page), '-l', String(page), '-singlefile',
+                pdfPath, path.join(figuresDir, name)], { timeout: 30000, stdio: 'pipe' });
+        } catch (e) {
+            console.warn(`  ⚠️  pdftoppm failed for page ${page}: ${e.message}`);
+            continue;
+        }
+        figures.filter(f => f.page === page).forEach(f => images.set(f.id, `${name}.png`));
+    }
+    return images;
+}
+
+// ─── HTML ───────────────────────────────────────────────────
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn numeric citations — [4], [2, 7], [3–5] — into ref badges (escaped text in, HTML out)
+ */
+function linkCitations(html, refsByNum) {
+    return html.replace(/\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g, (match, inner) => {
+        const nums = [];
+        for (const part of inner.split(',')) {
+            const range = part.trim().match(/^(\d+)\s*[–-]\s*(\d+)$/);
+            if (range) {
+                const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+                if (to - from > 20) return match;
+                for (let n = from; n <= to; n++) nums.push(n);
+            } else {
+                nums.push(parseInt(part, 10));
+            }
+        }
+        if (!nums.every(n => refsByNum.has(n))) return match;
+        return nums.map(n =>
+            `<sup class="ref-badge" data-ref="${n}" data-title="${escapeHtml(refsByNum.get(n).text.slice(0, 160))}">${n}</sup>`
+        ).join('');
+    });
+}
+
+/**
+ * Render the recovered structure as the reader's paper.html body
+ *
+ * @param {Object} doc - Result of structurePdfText
+ * @param {Map<number, string>} [images] - figure id → image file (see renderFigurePages)
+ * @returns {string}
+ */
+function pdfStructureToHtml(doc, images = new Map()) {
+    const refsByNum = new Map(doc.references.map(r => [r.num, r]));
+    const para = (text) => `<p>${linkCitations(escapeHtml(text), refsByNum)}</p>`;
+    const figuresById = new Map(doc.figures.map(f => [f.id, f]));
+
+    let html = `<h1>${escapeHtml(doc.title)}</h1>\n\n`;
+    if (doc.authors.length) html += `<p class="authors">${escapeHtml(doc.authors.join(', '))}</p>\n\n`;
+    if (doc.abstract) {
+        html += `<h2>Abstract</h2>\n${doc.abstract.split('\n\n').map(para).join('\n')}\n\n<hr>\n\n`;
+    }
+
+    for (const sec of doc.sections) {
+        const tag = `h${sec.level}`;
+        html += `<${tag}>${sec.number ? `${escapeHtml(sec.number)}. ` : ''}${escapeHtml(sec.title)}</${tag}>\n\n`;
+        for (const block of sec.blocks) {
+            if (block.figure !== undefined) {
+                const fig = figuresById.get(block.figure);
+                const img = images.get(fig.id);
+                html += `<figure id="fig-${fig.id}">\n`;
+                if (img) html += `<img src="./figures/${img}" alt="${escapeHtml(fig.caption)}" loading="lazy" style="max-width:100%">\n`;
+                html += `<figcaption><strong>Figure ${fig.id}.</strong> ${linkCitations(escapeHtml(fig.caption), refsByNum)}</figcaption>\n</figure>\n\n`;
+            } else {
+                html += `${para(block.text)}\n\n`;
+            }
+        }
+    }
+
+    if (doc.references.length) {
+        html += '<h2>References</h2>\n<ol class="references">\n';
+        for (const ref of doc.references) {
+            html += `<li id="ref-${ref.num}" value="${ref.num}">${escapeHtml(ref.text)}</li>\n`;
+        }
+        html += '</ol>\n';
+    }
+    return html;
+}
+
+module.exports = {
+    hasPdftotext,
+    pdfToPages,
+    pdfInfo,
+    structurePdfText,
+    renderFigurePages,
+    pdfStructureToHtml,
+    linkCitations,
+};
@@ -0,0 +1,358 @@
+/**
+ * flashcards.js — Structured flashcards with SM-2 spaced repetition
+ *
+ * The `flashcards` studio operation writes markdown cards:
+ *
+ *   ## Flashcard 1
+ *   **Q:** What scales the dot products?
+ *   **A:** 1/√d_k
+ *
+ * parseFlashcards() turns that into { front, back } pairs. Cards are kept per
+ * document in `{dir}/{docId}.json`:
+ *
+ *   { docId, cards: [{ id, front, back, anchor, section, variables,
+ *                      artifactId, version, createdBy, createdAt, updatedAt,
+ *                      reviews: { [userId]: { ease, interval, repetitions, lapses, due, lastReviewed, reviewCount } } }] }
+ *
+ * `anchor`/`section` point at the source passage (a reader TOC anchor) and
+ * `variables` lists the symbols the card is about. Cards are shared; review
+ * state is per user, scheduled with SM-2 (review()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MATURE_DAYS = 21;
+const NEW_PER_SESSION = 20;
+const CARD_CHARS = 4000;
+
+function flashcardError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// ─── Parsing ────────────────────────────────────────────────
+
+const QUESTION = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*(?:Q|Question|Front)\s*(?:\d+)?\s*[:.]\s*(?:\*\*|__)?\s*/i;
+const ANSWER = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*(?:A|Answer|Back)\s*(?:\d+)?\s*[:.]\s*(?:\*\*|__)?\s*/i;
+const SEPARATOR = /^\s*(?:#{1,6}\s|---+\s*$|\*\*\*+\s*$)/;
+
+/**
+ * Cards from the flashcards operation's markdown
+ *
+ * Accepts `**Q:** … **A:** …` (also `Q:`/`Question:`/`Front:`), with answers
+ * running over several lines until the next card, heading or rule.
+ *
+ * @returns {Object[]} [{ front, back }]
+ */
+function parseFlashcards(markdown) {
+    const cards = [];
+    let card = null;
+    let field = null;
+
+    const finish = () => {
+        if (card && card.front.trim() && card.back.trim()) {
+            cards.push({ front: cleanText(card.front), back: cleanText(card.back) });
+        }
+        card = null;
+        field = null;
+    };
+
+    for (const line of String(markdown || '').split('\n')) {
+        if (QUESTION.test(line)) {
+            finish();
+            card = { front: line.replace(QUESTION, ''), back: '' };
+            field = 'front';
+        } else if (card && ANSWER.test(line)) {
+            card.back = line.replace(ANSWER, '');
+            field = 'back';
+        } else if (SEPARATOR.test(line)) {
+            finish();
+        } else if (card && field) {
+            card[field] += `\n${line}`;
+        }
+    }
+    finish();
+    return cards;
+}
+
+function cleanText(text) {
+    return text.replace(/\n{3,}/g, '\n\n').trim().slice(0, CARD_CHARS);
+}
+
+/**
+ * Whether card text mentions a variable: `d_k`, `$d_{k}$` and `\alpha`/`alpha` all count
+ */
+function mentionsSymbol(text, symbol) {
+    // d_{k} → d_k, \sqrt{x} → " sqrt x "
+    const flat = (s) => String(s || '')
+        .replace(/([_^])\{([^{}]*)\}/g, '$1$2')
+        .replace(/\\([a-zA-Z]+)/g, ' $1 ')
+        .replace(/[{}$]/g, ' ');
+    const sym = flat(symbol).trim();
+    if (!sym) return false;
+    const escaped = sym.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'u').test(flat(text));
+}
+
+// ─── Scheduling ─────────────────────────────────────────────
+
+/**
+ * SM-2: the next review state after answering with `grade`
+ *
+ * 0–2 is a lapse (the card starts over tomorrow, ease unchanged); 3–5 is a
+ * pass (1 day, then 6, then interval × ease). Ease moves by
+ * 0.1 − (5 − grade)(0.08 + (5 − grade) · 0.02), never below 1.3.
+ *
+ * @param {Object|null} state - The user's current state for the card
+ * @param {number} grade - 0 (blackout) … 5 (perfect)
+ * @param {number} [now] - ms timestamp
+ */
+function review(state, grade, now = Date.now()) {
+    const q = Number(grade);
+    if (!Number.isInteger(q) || q < 0 || q > 5) throw flashcardError(400, 'grade must be an integer from 0 to 5');
+
+    const prev = state || { ease: INITIAL_EASE, interval: 0, repetitions: 0, lapses: 0, reviewCount: 0 };
+    const next = { ...prev, reviewCount: (prev.reviewCount || 0) + 1, lastReviewed: new Date(now).toISOString() };
+
+    if (q < 3) {
+        next.repetitions = 0;
+        next.interval = 1;
+        if (prev.repetitions > 0) next.lapses = (prev.lapses || 0) + 1;
+    } else {
+        next.repetitions = prev.repetitions + 1;
+        next.interval = next.repetitions === 1 ? 1 : next.repetitions === 2 ? 6 : Math.round(prev.interval * prev.ease);
+        next.ease = Math.max(MIN_EASE, prev.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+        next.ease = Math.round(next.ease * 100) / 100;
+    }
+    next.due = new Date(now + next.interval * DAY_MS).toISOString();
+    return next;
+}
+
+/**
+ * A user's progress over a set of cards
+ *
+ * @returns {Object} { total, new, due, learning, mature, reviewedToday, nextDue }
+ */
+function deckStats(cards, userId, now = Date.now()) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    const stats = { total: cards.length, new: 0, due: 0, learning: 0, mature: 0, reviewedToday: 0, nextDue: null };
+
+    for (const card of cards) {
+        const state = card.reviews && card.reviews[userId];
+        if (!state) { stats.new++; continue; }
+        if (Date.parse(state.due) <= now) stats.due++;
+        else if (!stats.nextDue || state.due < stats.nextDue) stats.nextDue = state.due;
+        if (state.interval >= MATURE_DAYS) stats.mature++;
+        else stats.learning++;
+        if (Date.parse(state.lastReviewed) >= startOfDay.getTime()) stats.reviewedToday++;
+    }
+    return stats;
+}
+
+/**
+ * What a user should review now: due cards (most overdue first), then up to
+ * `newLimit` cards they've never seen
+ */
+function dueCards(cards, userId, { now = Date.now(), newLimit = NEW_PER_SESSION } = {}) {
+    const due = cards
+        .filter(c => c.reviews && c.reviews[userId] && Date.parse(c.reviews[userId].due) <= now)
+        .sort((a, b) => a.reviews[userId].due.localeCompare(b.reviews[userId].due));
+    const fresh = cards.filter(c => !(c.reviews && c.reviews[userId])).slice(0, newLimit);
+    return [...due, ...fresh];
+}
+
+/**
+ * A card as one user sees it: their review state instead of everyone's
+ */
+function forUser(card, userId) {
+    const { reviews, ...rest } = card;
+    return { ...rest, review: (reviews && reviews[userId]) || null };
+}
+
+// ─── Anki export ────────────────────────────────────────────
+
+function ankiHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/\t/g, ' ')
+        .replace(/\r?\n/g, '<br>');
+}
+
+// Fields with quotes are quoted, inner quotes doubled (Anki reads the file as CSV)
+function ankiField(html) {
+    return html.includes('"') ? `"${html.replace(/"/g, '""')}"` : html;
+}
+
+/**
+ * Anki's tab-separated import format (File → Import): front, back, tags
+ *
+ * @param {Object[]} cards - Stored cards (with docId)
+ * @param {Object} [opts]
+ * @param {Function} [opts.sourceLink] - card → URL of the source passage, linked from the back
+ */
+function toAnkiText(cards, { sourceLink = null } = {}) {
+    const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+    for (const card of cards) {
+        let back = ankiHtml(card.back);
+        const link = sourceLink ? sourceLink(card) : null;
+        if (link) back += `<br><br><a href="${link}">${ankiHtml(card.section || 'Source')}</a>`;
+        const tags = ['scholarly-reader', `doc::${card.docId}`, ...(card.variables || []).map(v => `var::${v.replace(/[\s\\{}]/g, '')}`)];
+        lines.push([ankiField(ankiHtml(card.front)), ankiField(back), tags.join(' ')].join('\t'));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// ─── Store ──────────────────────────────────────────────────
+
+class FlashcardStore {
+    /**
+     * @param {string} dir - Directory holding one JSON deck per document
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(docId) {
+        if (!/^[\w.-]+$/.test(String(docId)) || String(docId).includes('..')) throw flashcardError(400, 'Invalid document id');
+        return path.join(this.dir, `${docId}.json`);
+    }
+
+    load(docId) {
+        const p = this.pathFor(docId);
+        if (!fs.existsSync(p)) return { docId, cards: [] };
+        try {
+            return JSON.parse(fs.readFileSync(p, 'utf-8'));
+        } catch (err) {
+            console.warn(`⚠️  Unreadable flashcards for ${docId}: ${err.message}`);
+            return { docId, cards: [] };
+        }
+    }
+
+    save(deck) {
+        writeFileAtomic(this.pathFor(deck.docId), JSON.stringify(deck, null, 2));
+        return deck;
+    }
+
+    /**
+     * Documents that have cards
+     */
+    docIds() {
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json') && !name.startsWith('.'))
+            .map(name => name.slice(0, -5));
+    }
+
+    /**
+     * Cards of some documents (all when `docIds` is null), each with its docId
+     */
+    cards(docIds = null) {
+        return (docIds || this.docIds()).flatMap(docId => this.load(docId).cards.map(card => ({ ...card, docId })));
+    }
+
+    /**
+     * Add cards to a document's deck; a card whose front matches an existing
+     * one (ignoring case and spacing) updates it and keeps its review history
+     *
+     * @param {Object[]} cards - [{ front, back, anchor?, section?, variables?, artifactId?, version? }]
+     * @returns {Object} { added, updated, cards } — `cards` are the stored versions
+     */
+    add(docId, cards, createdBy = null) {
+        const deck = this.load(docId);
+        const key = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+        const now = new Date().toISOString();
+        const result = { added: 0, updated: 0, cards: [] };
+
+        for (const fields of cards) {
+            const existing = deck.cards.find(c => key(c.front) === key(fields.front));
+            if (existing) {
+                Object.assign(existing, cleanCard(fields), { updatedAt: now });
+                result.updated++;
+                result.cards.push(existing);
+            } else {
+                const card = { id: uuidv4().slice(0, 8), ...cleanCard(fields), createdBy, createdAt: now, updatedAt: now, reviews: {} };
+                deck.cards.push(card);
+                result.added++;
+                result.cards.push(card);
+            }
+        }
+        this.save(deck);
+        return result;
+    }
+
+    get(docId, cardId) {
+        const card = this.load(docId).cards.find(c => c.id === cardId);
+        if (!card) throw flashcardError(404, 'Card not found');
+        return card;
+    }
+
+    /**
+     * Edit a card's front or back
+     */
+    update(docId, cardId, { front, back } = {}) {
+        return this.modify(docId, cardId, card => {
+            if (front !== undefined) card.front = cleanText(String(front));
+            if (back !== undefined) card.back = cleanText(String(back));
+            if (!card.front || !card.back) throw flashcardError(400, 'front and back required');
+            card.updatedAt = new Date().toISOString();
+        });
+    }
+
+    /**
+     * Record a user's answer and reschedule the card for them
+     */
+    review(docId, cardId, userId, grade, now = Date.now()) {
+        return this.modify(docId, cardId, card => {
+            card.reviews = card.reviews || {};
+            card.reviews[userId] = review(card.reviews[userId], grade, now);
+        });
+    }
+
+    remove(docId, cardId) {
+        const deck = this.load(docId);
+        const index = deck.cards.findIndex(c => c.id === cardId);
+        if (index === -1) throw flashcardError(404, 'Card not found');
+        deck.cards.splice(index, 1);
+        this.save(deck);
+    }
+
+    modify(docId, cardId, fn) {
+        const deck = this.load(docId);
+        const card = deck.cards.find(c => c.id === cardId);
+        if (!card) throw flashcardError(404, 'Card not found');
+        fn(card);
+        this.save(deck);
+        return { ...card, docId };
+    }
+}
+
+function cleanCard({ front, back, anchor, section, variables, artifactId, version }) {
+    return {
+        front: cleanText(String(front || '')),
+        back: cleanText(String(back || '')),
+        anchor: anchor || null,
+        section: section || null,
+        variables: Array.isArray(variables) ? variables.map(String) : [],
+        artifactId: artifactId || null,
+        version: version || null,
+    };
+}
+
+module.exports = {
+    FlashcardStore,
+    parseFlashcards,
+    mentionsSymbol,
+    review,
+    deckStats,
+    dueCards,
+    forUser,
+    toAnkiText,
+};
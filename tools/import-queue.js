@@ -0,0 +1,370 @@
+/**
+ * import-queue.js — Persistent import job queue
+ *
+ * Every import (arXiv pipeline, import agent, uploads) is a job stored as
+ * `{dir}/{jobId}.json`, so running jobs and the import history survive a
+ * restart. The queue:
+ *
+ *   - runs at most `concurrency` jobs at once, and never two jobs with the
+ *     same key side by side — the key is the target doc id, and two imports
+ *     of one paper would otherwise write the same docs/{id} folder;
+ *   - retries transient failures (network errors, timeouts, rate limits,
+ *     5xx) with exponential backoff, up to `maxAttempts` attempts;
+ *   - cancels jobs at once: a running job is marked cancelled and gives up
+ *     its slot, and its runner is told through the AbortSignal (progress()
+ *     also throws, so pipelines stop at their next stage). Until the runner
+ *     returns its key stays taken, and whatever it returns is discarded;
+ *   - keeps a per-job event log (`{jobId}.log.jsonl`) and links to the
+ *     `llm-log-*.jsonl` files the import agent writes;
+ *   - re-queues jobs that were running when the process stopped.
+ *
+ * Runners are registered per job type: `runners[type](job, ctx)` resolves to
+ * the job's result, with ctx = { attempt, signal, progress(message, event),
+ * linkLog(url), attachment() }.
+ *
+ * Log entries are events: { seq, ts, attempt, level, type, message, ... }.
+ * Runners report 'stage' / 'section' / 'tool' / 'warning' / … events through
+ * progress(); the queue adds 'queued', 'attempt', 'retry' and a final
+ * 'result' ({ status, result, error }). Every entry is also emitted as
+ * `queue.on('event', (job, entry) => …)` for live streams.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const TERMINAL = new Set(['done', 'error', 'cancelled']);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ENETUNREACH']);
+// Status codes only count in HTTP-shaped text ("HTTP 503", "status code 502"), not as any number
+const TRANSIENT_MESSAGE = /timed? ?out|ETIMEDOUT|ECONNRESET|EAI_AGAIN|socket hang up|network|rate.?limit|overloaded|too many requests|\b(?:HTTP(?:\/[\d.]+)?|status(?: code)?:?)\s*(?:408|429|5\d\d)\b/i;
+
+/**
+ * Is a failure worth retrying? Errors can decide for themselves with
+ * `err.transient`; otherwise HTTP status, errno code and message are checked.
+ */
+function isTransientError(err) {
+    if (!err) return false;
+    if (typeof err.transient === 'boolean') return err.transient;
+    if (err.status && (err.status === 408 || err.status === 429 || err.status >= 500)) return true;
+    if (err.code && TRANSIENT_CODES.has(err.code)) return true;
+    return TRANSIENT_MESSAGE.test(err.message || '');
+}
+
+function jobError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+class ImportQueue extends EventEmitter {
+    /**
+     * @param {string} dir - Directory for job records, logs and uploaded files
+     * @param {Object} opts
+     * @param {Object<string, Function>} opts.runners - job type → async (job, ctx) → result
+     * @param {number} [opts.concurrency=2] - Jobs running at once
+     * @param {number} [opts.maxAttempts=3] - Attempts per job, including the first
+     * @param {number} [opts.retryDelayMs=5000] - Backoff before the first retry (doubles each time)
+     * @param {number} [opts.maxRetryDelayMs=300000]
+     * @param {number} [opts.historyLimit=200] - Finished jobs kept on disk
+     */
+    constructor(dir, { runners, concurrency = 2, maxAttempts = 3, retryDelayMs = 5000, maxRetryDelayMs = 300000, historyLimit = 200 } = {}) {
+        super();
+        this.dir = dir;
+        this.runners = runners || {};
+        this.concurrency = Math.max(1, concurrency);
+        this.maxAttempts = Math.max(1, maxAttempts);
+        this.retryDelayMs = retryDelayMs;
+        this.maxRetryDelayMs = maxRetryDelayMs;
+        this.historyLimit = historyLimit;
+        this.jobs = new Map();    // jobId → job record
+        this.running = new Map(); // jobId → AbortController
+        this.draining = new Map(); // jobId → key of a cancelled job whose runner hasn't returned yet
+        this.seqs = new Map();    // jobId → entries in its log so far
+        this.timer = null;
+        fs.mkdirSync(dir, { recursive: true });
+        this.load();
+    }
+
+    // ─── Persistence ─────────────────────────────────────
+
+    jobPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    logPath(id) {
+        return path.join(this.dir, `${id}.log.jsonl`);
+    }
+
+    attachmentPath(id) {
+        return path.join(this.dir, `${id}.upload`);
+    }
+
+    load() {
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!/^[\w-]+\.json$/.test(file)) continue;
+            try {
+                const job = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+                if (job && job.id) this.jobs.set(job.id, job);
+            } catch (err) {
+                console.warn(`⚠️  Skipping unreadable import job ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    save(job) {
+        job.updatedAt = new Date().toISOString();
+        writeFileAtomic(this.jobPath(job.id), JSON.stringify(job, null, 2));
+    }
+
+    /**
+     * Append an event to the job's log and announce it
+     * @param {Object} [fields] - { type, level, ... } merged into the entry
+     */
+    log(job, message, fields = {}) {
+        if (!this.seqs.has(job.id)) this.seqs.set(job.id, this.readLog(job.id).length);
+        const seq = this.seqs.get(job.id) + 1;
+        this.seqs.set(job.id, seq);
+        const entry = {
+            seq,
+            ts: new Date().toISOString(),
+            attempt: job.attempts,
+            level: fields.type === 'warning' ? 'warn' : 'info',
+            type: 'log',
+            ...fields,
+            message: String(message),
+        };
+        fs.appendFileSync(this.logPath(job.id), JSON.stringify(entry) + '\n');
+        this.emit('event', job, entry);
+        return entry;
+    }
+
+    /**
+     * Pick up jobs left behind by a previous process: ones that were running
+     * go back in the queue (that attempt is lost), then the queue starts.
+     */
+    resume() {
+        for (const job of this.jobs.values()) {
+            if (job.status !== 'running') continue;
+            job.status = 'queued';
+            job.progress = 'Re-queued after restart';
+            job.nextAttemptAt = null;
+            this.log(job, 'Interrupted by a restart — re-queued', { type: 'retry', level: 'warn' });
+            this.save(job);
+        }
+        this.pump();
+        return this;
+    }
+
+    // ─── Public API ──────────────────────────────────────
+
+    /**
+     * Queue a job
+     *
+     * @param {string} type - Runner name
+     * @param {Object} input - Runner arguments (stored with the job)
+     * @param {Object} [opts]
+     * @param {string} [opts.key] - Jobs sharing a key never run concurrently
+     * @param {Buffer} [opts.attachment] - Payload kept on disk until the job finishes (uploads)
+     * @returns {Object} The job record
+     */
+    add(type, input, { key, attachment } = {}) {
+        if (!this.runners[type]) throw jobError(400, `Unknown import type: ${type}`);
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4().slice(0, 8),
+            type,
+            key: key || null,
+            input,
+            status: 'queued',
+            progress: 'Queued',
+            result: null,
+            error: null,
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            nextAttemptAt: null,
+            llmLogs: [],
+        };
+        if (attachment) fs.writeFileSync(this.attachmentPath(job.id), attachment);
+        this.jobs.set(job.id, job);
+        this.log(job, `Queued ${type} import`, { type: 'queued' });
+        this.save(job);
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Jobs, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.status]
+     */
+    list({ status } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * A job's log entries (oldest first)
+     */
+    readLog(id) {
+        let text;
+        try {
+            text = fs.readFileSync(this.logPath(id), 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        return text.split('\n').filter(Boolean).map(line => {
+            try { return JSON.parse(line); } catch { return null; }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Cancel a queued or running job. Either is marked cancelled right away.
+     * A running job's runner is aborted and its slot freed for the next job;
+     * its key stays taken until the runner returns (it may still be writing
+     * the target doc), and its late result is discarded.
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) throw jobError(404, 'Job not found');
+        if (TERMINAL.has(job.status)) throw jobError(409, `Job already ${job.status}`);
+
+        const controller = this.running.get(id);
+        if (controller) {
+            this.log(job, 'Cancellation requested', { type: 'cancel', level: 'warn' });
+            controller.abort();
+            this.running.delete(id);
+            if (job.key) this.draining.set(id, job.key);
+        }
+        this.finish(job, 'cancelled', { error: 'Cancelled' });
+        this.pump();
+        return job;
+    }
+
+    // ─── Scheduling ──────────────────────────────────────
+
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const busyKeys = new Set([...this.running.keys()].map(id => this.jobs.get(id).key).filter(Boolean));
+        this.draining.forEach(key => busyKeys.add(key));
+        const queued = this.list({ status: 'queued' })
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt)); // oldest first
+        let nextWake = Infinity;
+
+        for (const job of queued) {
+            if (this.running.size >= this.concurrency) break;
+            const due = job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0;
+            if (due > now) {
+                nextWake = Math.min(nextWake, due);
+                continue;
+            }
+            if (job.key && busyKeys.has(job.key)) continue;
+            if (job.key) busyKeys.add(job.key);
+            this.execute(job);
+        }
+
+        if (nextWake !== Infinity) {
+            this.timer = setTimeout(() => this.pump(), Math.max(0, nextWake - now));
+            this.timer.unref();
+        }
+    }
+
+    async execute(job) {
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.running.set(job.id, controller);
+
+        job.status = 'running';
+        job.attempts++;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        job.nextAttemptAt = null;
+        job.progress = 'Starting...';
+        this.log(job, `Attempt ${job.attempts}/${job.maxAttempts} started`, { type: 'attempt', maxAttempts: job.maxAttempts });
+        this.save(job);
+
+        const ctx = {
+            attempt: job.attempts,
+            signal,
+            progress: (msg, event = {}) => {
+                if (signal.aborted) throw jobError(499, 'Cancelled');
+                job.progress = msg;
+                this.log(job, msg, event);
+                this.save(job);
+            },
+            linkLog: (url) => {
+                if (!url || job.llmLogs.includes(url)) return;
+                job.llmLogs.push(url);
+                this.save(job);
+            },
+            attachment: () => fs.readFileSync(this.attachmentPath(job.id)),
+        };
+
+        // Once aborted, cancel() has already finished the job: late results and errors are dropped
+        try {
+            const result = await this.runners[job.type](job, ctx);
+            if (!signal.aborted) this.finish(job, 'done', { result });
+        } catch (err) {
+            if (signal.aborted) return;
+            if (job.attempts < job.maxAttempts && isTransientError(err)) {
+                const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** (job.attempts - 1));
+                job.status = 'queued';
+                job.error = err.message;
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                job.progress = `Retrying in ${Math.round(delay / 1000)}s (attempt ${job.attempts + 1}/${job.maxAttempts}): ${err.message}`;
+                this.log(job, `Attempt ${job.attempts} failed (${err.message}) — retrying in ${delay}ms`,
+                    { type: 'retry', level: 'warn', error: err.message, delayMs: delay, nextAttemptAt: job.nextAttemptAt });
+                this.save(job);
+            } else {
+                this.finish(job, 'error', { error: err.message });
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.draining.delete(job.id);
+            this.pump();
+        }
+    }
+
+    finish(job, status, { result = null, error = null } = {}) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.nextAttemptAt = null;
+        job.finishedAt = new Date().toISOString();
+        if (status !== 'error') job.progress = status === 'done' ? 'Done' : 'Cancelled';
+        const message = { done: 'Finished', cancelled: 'Cancelled', error: `Failed: ${error}` }[status];
+        this.log(job, message, { type: 'result', level: status === 'error' ? 'error' : 'info', status, result, error });
+        this.save(job);
+        this.seqs.delete(job.id);
+        fs.rmSync(this.attachmentPath(job.id), { force: true });
+        this.prune();
+    }
+
+    /**
+     * Keep the newest `historyLimit` finished jobs
+     */
+    prune() {
+        const finished = this.list().filter(job => TERMINAL.has(job.status));
+        for (const job of finished.slice(this.historyLimit)) {
+            this.jobs.delete(job.id);
+            for (const file of [this.jobPath(job.id), this.logPath(job.id), this.attachmentPath(job.id)]) {
+                fs.rmSync(file, { force: true });
+            }
+        }
+    }
+}
+
+module.exports = { ImportQueue, isTransientError };
@@ -0,0 +1,228 @@
+/**
+ * llm-providers.js — One interface over the chat models Scholarly Reader talks to
+ *
+ * Chat, studio and the pipeline's LLM annotation all go through
+ * `resolveProvider()` instead of constructing an SDK client themselves:
+ *
+ *   openai     — OpenAI API (OPENAI_API_KEY, OPENAI_MODEL, optional OPENAI_BASE_URL)
+ *   anthropic  — Anthropic Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+ *   local      — any OpenAI-compatible server: Ollama, llama.cpp, vLLM…
+ *                (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, optional LOCAL_LLM_API_KEY);
+ *                `ollama` and `llamacpp` are aliases with their default ports
+ *   mock       — deterministic offline replies, for tests and demos
+ *
+ * The default is LLM_PROVIDER, else the first of openai / anthropic with an
+ * API key. Callers may pick another provider (and model) per request.
+ *
+ * Messages use the OpenAI shape: [{ role: 'system'|'user'|'assistant', content }].
+ * A provider has { name, model, stream(messages, opts) → async iterable of
+ * text chunks, complete(messages, opts) → string }.
+ */
+
+const PROVIDERS = ['openai', 'anthropic', 'local', 'mock'];
+
+const LOCAL_DEFAULTS = {
+    local: 'http://localhost:11434/v1',
+    ollama: 'http://localhost:11434/v1',
+    llamacpp: 'http://localhost:8080/v1',
+};
+
+function llmError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// ─── OpenAI & OpenAI-compatible ─────────────────────────────
+
+function openAIProvider(name, { apiKey, baseURL, model }) {
+    const OpenAI = require('openai');
+    const client = new OpenAI({ apiKey, baseURL });
+
+    return {
+        name,
+        model,
+        async *stream(messages, { maxTokens = 1024, temperature, signal } = {}) {
+            const stream = await client.chat.completions.create({
+                model,
+                messages,
+                stream: true,
+                max_tokens: maxTokens,
+                ...(temperature !== undefined && { temperature }),
+            }, { signal });
+            for await (const chunk of stream) {
+                const content = chunk.choices[0]?.delta?.content;
+                if (content) yield content;
+            }
+        },
+        async complete(messages, { maxTokens = 1024, temperature, signal } = {}) {
+            const response = await client.chat.completions.create({
+                model,
+                messages,
+                max_tokens: maxTokens,
+                ...(temperature !== undefined && { temperature }),
+            }, { signal });
+            return response.choices[0]?.message?.content || '';
+        },
+    };
+}
+
+// ─── Anthropic ──────────────────────────────────────────────
+
+/**
+ * OpenAI-style messages → Anthropic's { system, messages }: system prompts
+ * move to the top-level field and consecutive turns of one role are merged
+ * (the Messages API requires user/assistant alternation, starting with user).
+ */
+function toAnthropicMessages(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = [];
+    for (const m of messages) {
+        if (m.role === 'system') continue;
+        const role = m.role === 'assistant' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) last.content += `\n\n${m.content}`;
+        else turns.push({ role, content: m.content });
+    }
+    if (turns.length && turns[0].role !== 'user') turns.unshift({ role: 'user', content: '(continue)' });
+    return { system: system || undefined, messages: turns };
+}
+
+function anthropicProvider({ apiKey, model }) {
+    const { Anthropic } = require('@anthropic-ai/sdk');
+    const client = new Anthropic({ apiKey });
+
+    return {
+        name: 'anthropic',
+        model,
+        async *stream(messages, { maxTokens = 1024, temperature, signal } = {}) {
+            const stream = client.messages.stream({
+                model,
+                max_tokens: maxTokens,
+                ...toAnthropicMessages(messages),
+                ...(temperature !== undefined && { temperature }),
+            }, { signal });
+            for await (const event of stream) {
+                if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    yield event.delta.text;
+                }
+            }
+        },
+        async complete(messages, { maxTokens = 1024, temperature, signal } = {}) {
+            const response = await client.messages.create({
+                model,
+                max_tokens: maxTokens,
+                ...toAnthropicMessages(messages),
+                ...(temperature !== undefined && { temperature }),
+            }, { signal });
+            return response.content.filter(b => b.type === 'text').map(b => b.text).join('');
+        },
+    };
+}
+
+// ─── Mock ───────────────────────────────────────────────────
+
+/**
+ * Replies with a fixed text (MOCK_LLM_RESPONSE) or an echo of the last user
+ * message, streamed word by word — enough to exercise every AI route offline.
+ */
+function mockProvider({ model, response }) {
+    const reply = (messages) => {
+        if (response) return response;
+        const last = [...messages].reverse().find(m => m.role === 'user');
+        return `[mock:${model}] ${(last ? last.content : '').slice(0, 200)}`;
+    };
+
+    return {
+        name: 'mock',
+        model,
+        async *stream(messages) {
+            for (const word of reply(messages).split(/(?<= )/)) yield word;
+        },
+        async complete(messages) {
+            return reply(messages);
+        },
+    };
+}
+
+// ─── Resolution ─────────────────────────────────────────────
+
+function isConfigured(name, env = process.env) {
+    switch (name) {
+        case 'openai': return !!env.OPENAI_API_KEY;
+        case 'anthropic': return !!env.ANTHROPIC_API_KEY;
+        case 'local': return !!(env.LOCAL_LLM_BASE_URL || env.LOCAL_LLM_MODEL || env.LLM_PROVIDER === 'local');
+        case 'mock': return true;
+        default: return false;
+    }
+}
+
+function canonicalName(name) {
+    const key = String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+    return key in LOCAL_DEFAULTS ? 'local' : key;
+}
+
+/**
+ * Provider the server uses when a request doesn't name one
+ * @returns {string|null}
+ */
+function defaultProviderName(env = process.env) {
+    if (env.LLM_PROVIDER) return canonicalName(env.LLM_PROVIDER);
+    return ['openai', 'anthropic'].find(name => isConfigured(name, env)) || null;
+}
+
+/**
+ * Build a provider
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.provider] - openai | anthropic | local | ollama | llamacpp | mock (default: defaultProviderName())
+ * @param {string} [opts.model] - Override the provider's default model
+ * @param {Object} [env] - Where keys and defaults come from
+ * @throws {Error} status 400 for an unknown provider, 503 when it isn't configured
+ */
+function resolveProvider({ provider, model } = {}, env = process.env) {
+    const requested = String(provider || env.LLM_PROVIDER || '').toLowerCase().replace(/[^a-z]/g, '');
+    const name = provider ? canonicalName(provider) : defaultProviderName(env);
+    if (!name) {
+        throw llmError(503, 'No LLM provider configured. Set OPENAI_API_KEY, ANTHROPIC_API_KEY or LLM_PROVIDER in .env.');
+    }
+    if (!PROVIDERS.includes(name)) {
+        throw llmError(400, `Unknown LLM provider "${provider}" (expected ${PROVIDERS.join(', ')})`);
+    }
+
+    switch (name) {
+        case 'openai':
+            if (!env.OPENAI_API_KEY) throw llmError(503, 'No OPENAI_API_KEY configured. Add it to .env file.');
+            return openAIProvider('openai', {
+                apiKey: env.OPENAI_API_KEY,
+                baseURL: env.OPENAI_BASE_URL || undefined,
+                model: model || env.OPENAI_MODEL || 'gpt-4o',
+            });
+        case 'anthropic':
+            if (!env.ANTHROPIC_API_KEY) throw llmError(503, 'No ANTHROPIC_API_KEY configured. Add it to .env file.');
+            return anthropicProvider({
+                apiKey: env.ANTHROPIC_API_KEY,
+                model: model || env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+            });
+        case 'local':
+            return openAIProvider('local', {
+                apiKey: env.LOCAL_LLM_API_KEY || 'local',
+                baseURL: env.LOCAL_LLM_BASE_URL || LOCAL_DEFAULTS[requested] || LOCAL_DEFAULTS.local,
+                model: model || env.LOCAL_LLM_MODEL || 'llama3.1',
+            });
+        case 'mock':
+            return mockProvider({ model: model || 'mock', response: env.MOCK_LLM_RESPONSE });
+    }
+}
+
+/**
+ * What /api/llm/providers reports: each provider, whether it can be used, and the default
+ */
+function describeProviders(env = process.env) {
+    return {
+        default: defaultProviderName(env),
+        providers: PROVIDERS.map(name => ({ name, configured: isConfigured(name, env) })),
+    };
+}
+
+module.exports = { resolveProvider, describeProviders, defaultProviderName, toAnthropicMessages };
@@ -0,0 +1,139 @@
+/**
+ * mindmap.js — Mind map outlines as trees, and their OPML export
+ *
+ * The `mind_map` studio operation writes a markdown outline: a `#` title,
+ * `##`/`###` branches and nested `-` items under them. parseMindMap() turns
+ * it into one tree:
+ *
+ *   { id: 'n0', text, depth: 0, children: [{ id: 'n0.1', text, depth: 1, children: [...] }, ...] }
+ *
+ * Ids are paths, so they stay the same for the same outline (the workspace
+ * keeps which nodes are collapsed by id). The server adds the section each
+ * node is about ({ docId, anchor, section }) before sending the tree.
+ */
+
+const MAX_TEXT = 300;
+
+/**
+ * Plain text of an outline line: no emphasis, code ticks or link targets
+ */
+function cleanText(text) {
+    return String(text || '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](\S(?:.*?\S)?)[*_](?![\w*])/g, '$1$2')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/^\[(.*)\]$/, '$1')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_TEXT);
+}
+
+/**
+ * The tree of a markdown outline
+ *
+ * Headings nest by level and list items by indentation under the heading
+ * before them. The first top-level heading is the root; without one (or
+ * with several) the root is `title`.
+ *
+ * @param {string} markdown
+ * @param {Object} [opts]
+ * @param {string} [opts.title] - Root text when the outline has no single title
+ * @returns {Object|null} The root node, or null when nothing parses
+ */
+function parseMindMap(markdown, { title = 'Mind map' } = {}) {
+    const items = []; // { level, text } — headings are levels 1–6, list items 7+ by indentation
+    let listBase = null; // indentation levels of the current list, outermost first
+
+    for (const raw of String(markdown || '').split('\n')) {
+        const line = raw.replace(/\t/g, '    ');
+        let m;
+        if ((m = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line))) {
+            items.push({ level: m[1].length, text: cleanText(m[2]) });
+            listBase = null;
+        } else if ((m = /^(\s*)(?:[-*+]|\d+[.)])\s+(.+)$/.exec(line))) {
+            const indent = m[1].length;
+            if (!listBase) listBase = [];
+            while (listBase.length && listBase[listBase.length - 1] > indent) listBase.pop();
+            if (!listBase.length || listBase[listBase.length - 1] < indent) listBase.push(indent);
+            items.push({ level: 6 + listBase.length, text: cleanText(m[2]) });
+        }
+    }
+
+    const kept = items.filter(item => item.text);
+    if (!kept.length) return null;
+
+    const titles = kept.filter(item => item.level === Math.min(...kept.map(i => i.level)));
+    const root = { id: 'n0', text: cleanText(title) || 'Mind map', depth: 0, children: [] };
+    let body = kept;
+    if (titles.length === 1 && kept[0] === titles[0]) {
+        root.text = titles[0].text;
+        body = kept.slice(1);
+    }
+
+    // Each item hangs under the closest item before it with a lower level
+    const stack = [{ level: 0, node: root }];
+    for (const item of body) {
+        while (stack.length > 1 && stack[stack.length - 1].level >= item.level) stack.pop();
+        const parent = stack[stack.length - 1].node;
+        const node = { id: `${parent.id}.${parent.children.length + 1}`, text: item.text, depth: parent.depth + 1, children: [] };
+        parent.children.push(node);
+        stack.push({ level: item.level, node });
+    }
+    return root;
+}
+
+/**
+ * Every node of a tree, depth first, with its parent
+ *
+ * @returns {Object[]} [{ node, parent }]
+ */
+function walkMindMap(root) {
+    const out = [];
+    const visit = (node, parent) => {
+        out.push({ node, parent });
+        node.children.forEach(child => visit(child, node));
+    };
+    if (root) visit(root, null);
+    return out;
+}
+
+function xmlEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * OPML 2.0 outline of a tree; linked nodes carry their section link as `url`
+ *
+ * @param {Object} root
+ * @param {Object} [opts]
+ * @param {Function} [opts.link] - node => URL of its section, or null
+ * @returns {string}
+ */
+function toOpml(root, { link = () => null } = {}) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${xmlEscape(root.text)}</title>`,
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>',
+    ];
+    const visit = (node, indent) => {
+        const url = link(node);
+        const attrs = `text="${xmlEscape(node.text)}"${url ? ` type="link" url="${xmlEscape(url)}"` : ''}`;
+        if (!node.children.length) {
+            lines.push(`${indent}<outline ${attrs}/>`);
+            return;
+        }
+        lines.push(`${indent}<outline ${attrs}>`);
+        node.children.forEach(child => visit(child, `${indent}  `));
+        lines.push(`${indent}</outline>`);
+    };
+    visit(root, '    ');
+    lines.push('  </body>', '</opml>', '');
+    return lines.join('\n');
+}
+
+module.exports = { parseMindMap, walkMindMap, toOpml, cleanText };
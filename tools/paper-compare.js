@@ -0,0 +1,207 @@
+/**
+ * paper-compare.js — Side-by-side comparison of papers
+ *
+ * comparePapers() lines papers up without a model:
+ *
+ *   - sections, by role (abstract, method, experiments, limitations, …)
+ *     guessed from their headings
+ *   - notation from the papers' variable registries (metadata `variables`
+ *     and the `span.var` annotations in the text): symbols they share — flagged when their descriptions disagree — and
+ *     symbols only one paper uses
+ *   - references cited by more than one paper (references.js)
+ */
+
+const { splitSections, extractVariables } = require('./search-index');
+const { groupReferences } = require('./references');
+
+const SNIPPET_CHARS = 360;
+
+// Checked in order: the first matching pattern names a section's role
+const SECTION_ROLES = [
+    { role: 'abstract', label: 'Abstract', pattern: /\babstract\b/i },
+    { role: 'conclusion', label: 'Conclusion', pattern: /\bconclu|\bsummary\b/i },
+    { role: 'limitations', label: 'Limitations & Discussion', pattern: /\blimitation|\bdiscussion\b|\bfuture work\b|\bbroader impact|\bthreats to validity|\bethic/i },
+    { role: 'introduction', label: 'Introduction', pattern: /\bintroduction\b|\bmotivation\b|\boverview\b/i },
+    { role: 'related', label: 'Background & Related Work', pattern: /\brelated work|\bbackground\b|\bprior work|\bpreliminar|\bliterature\b/i },
+    { role: 'experiments', label: 'Experiments', pattern: /\bexperiment|\bevaluation\b|\bsetup\b|\btraining\b|\bimplementation\b|\bdatasets?\b|\bbenchmark/i },
+    { role: 'results', label: 'Results', pattern: /\bresults?\b|\banalysis\b|\bablation|\bfindings\b/i },
+    { role: 'method', label: 'Method', pattern: /\bmethod|\bapproach\b|\bmodel\b|\barchitecture\b|\balgorithm|\bframework\b|\bproposed\b|\bdesign\b|\bformulation\b/i },
+];
+
+const SKIPPED = /\breferences\b|\bbibliography\b|\backnowledg|\bappendix\b|\bsupplementary\b/i;
+
+/**
+ * The role of a section heading: a SECTION_ROLES role, 'end' for back
+ * matter (references, appendix, …) or null when none fits
+ */
+function sectionRole(title) {
+    const bare = String(title || '').replace(/^\s*(?:[A-Z]|\d+)(?:\.\d+)*\.?\s+/, '');
+    if (!bare) return null;
+    if (SKIPPED.test(bare)) return 'end';
+    const found = SECTION_ROLES.find(r => r.pattern.test(bare));
+    return found ? found.role : null;
+}
+
+/**
+ * A paper's top-level sections grouped by role, each with its subsection
+ * titles and the start of its text. Sections without a telling heading
+ * between the introduction and the experiments count as method; nothing
+ * after the references is compared.
+ *
+ * @param {string} html
+ * @param {Object} [opts]
+ * @param {string} [opts.abstract] - Metadata abstract, used when no section is the abstract
+ * @returns {Object} { [role]: [{ title, anchor, subsections, snippet }] }
+ */
+function paperOutline(html, { abstract = '' } = {}) {
+    const sections = splitSections(html || '').filter(s => s.title);
+    // A single h1 is the paper's title; several are its sections
+    const top = sections.filter(s => s.level === 1).length > 1 ? 1 : 2;
+    const outline = {};
+    const seen = new Set();
+    let current = null;
+
+    for (const sec of sections) {
+        if (sec.level < top) {
+            current = null;
+        } else if (sec.level === top) {
+            let role = sectionRole(sec.title);
+            if (role === 'end') break;
+            if (!role && (seen.has('introduction') || seen.has('related')) &&
+                !['experiments', 'results', 'limitations', 'conclusion'].some(r => seen.has(r))) role = 'method';
+            current = role ? { title: sec.title, anchor: sec.anchor, subsections: [], text: sec.text } : null;
+            if (current) {
+                (outline[role] = outline[role] || []).push(current);
+                seen.add(role);
+            }
+        } else if (current) {
+            current.subsections.push(sec.title);
+            if (current.text.length < SNIPPET_CHARS) current.text = `${current.text} ${sec.text}`.trim();
+        }
+    }
+
+    if (!outline.abstract && abstract) {
+        outline.abstract = [{ title: 'Abstract', anchor: null, subsections: [], text: String(abstract).replace(/\s+/g, ' ').trim() }];
+    }
+    for (const list of Object.values(outline)) {
+        for (const sec of list) {
+            sec.snippet = sec.text.length > SNIPPET_CHARS ? `${sec.text.slice(0, SNIPPET_CHARS).replace(/\s+\S*$/, '')}…` : sec.text;
+            delete sec.text;
+        }
+    }
+    return outline;
+}
+
+// ─── Notation ───────────────────────────────────────────────
+
+function symbolKey(symbol) {
+    return String(symbol || '').replace(/[{}\\\s$]/g, '');
+}
+
+function descriptionWords(text) {
+    return new Set((String(text || '').toLowerCase().replace(/\([^)]*\)/g, ' ').match(/[a-z]{3,}/g) || [])
+        .filter(w => !['the', 'and', 'for', 'with', 'each', 'per', 'from', 'shape', 'default', 'vector', 'vectors', 'matrix'].includes(w)));
+}
+
+/**
+ * A paper's variable registry: metadata variables first, then symbols only
+ * annotated in the text, each with the anchor of the section first using it
+ *
+ * @returns {Object[]} [{ symbol, description, anchor }]
+ */
+function paperVariables(html, variables = []) {
+    const annotated = extractVariables(splitSections(html || ''));
+    const found = (variables || []).filter(v => v && v.symbol).map(v => ({
+        symbol: String(v.symbol),
+        description: v.description || '',
+        anchor: (annotated.get(String(v.symbol)) || {}).anchor || null,
+    }));
+    const known = new Set(found.map(v => symbolKey(v.symbol)));
+    for (const [symbol, { desc, anchor }] of annotated) {
+        if (known.has(symbolKey(symbol))) continue;
+        known.add(symbolKey(symbol));
+        found.push({ symbol, description: desc, anchor });
+    }
+    return found;
+}
+
+/**
+ * How alike two descriptions are (word overlap, 0–1)
+ */
+function descriptionSimilarity(a, b) {
+    const x = descriptionWords(a);
+    const y = descriptionWords(b);
+    if (!x.size || !y.size) return 0;
+    let common = 0;
+    x.forEach(w => { if (y.has(w)) common++; });
+    return common / Math.min(x.size, y.size);
+}
+
+/**
+ * Shared and paper-specific notation
+ *
+ * @param {Object[]} papers - [{ docId, variables: [{ symbol, description, anchor? }] }]
+ * @returns {Object} { shared: [{ symbol, differs, entries: [{ docId, symbol, description, anchor }] }], unique: { [docId]: [{ symbol, description, anchor }] } }
+ */
+function compareNotation(papers) {
+    const bySymbol = new Map();
+    for (const { docId, variables } of papers) {
+        for (const v of variables || []) {
+            if (!v || !v.symbol) continue;
+            const key = symbolKey(v.symbol);
+            if (!bySymbol.has(key)) bySymbol.set(key, []);
+            const list = bySymbol.get(key);
+            if (!list.some(e => e.docId === docId)) list.push({ docId, symbol: v.symbol, description: v.description || '', anchor: v.anchor || null });
+        }
+    }
+
+    const shared = [];
+    const unique = Object.fromEntries(papers.map(p => [p.docId, []]));
+    for (const entries of bySymbol.values()) {
+        if (entries.length === 1) {
+            const { docId, ...variable } = entries[0];
+            unique[docId].push(variable);
+            continue;
+        }
+        // Descriptions disagree when some pair barely overlaps
+        let differs = false;
+        for (let i = 0; i < entries.length && !differs; i++) {
+            for (let j = i + 1; j < entries.length && !differs; j++) {
+                if (entries[i].description && entries[j].description && descriptionSimilarity(entries[i].description, entries[j].description) < 0.34) differs = true;
+            }
+        }
+        shared.push({ symbol: entries[0].symbol, differs, entries });
+    }
+    shared.sort((a, b) => (b.differs - a.differs) || b.entries.length - a.entries.length || a.symbol.localeCompare(b.symbol));
+    return { shared, unique };
+}
+
+// ─── Comparison ─────────────────────────────────────────────
+
+/**
+ * @param {Object[]} papers - [{ docId, title, year, html, abstract, variables, references }]
+ * @returns {Object} { papers, sections: [{ role, label, cells: [{ docId, sections }] }], notation, references: { shared, counts } }
+ */
+function comparePapers(papers) {
+    const outlines = papers.map(p => paperOutline(p.html, { abstract: p.abstract }));
+    const sections = SECTION_ROLES
+        .map(({ role, label }) => ({ role, label, cells: papers.map((p, i) => ({ docId: p.docId, sections: outlines[i][role] || [] })) }))
+        .filter(row => row.cells.some(cell => cell.sections.length));
+    const order = ['abstract', 'introduction', 'related', 'method', 'experiments', 'results', 'limitations', 'conclusion'];
+    sections.sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role));
+
+    const groups = groupReferences(papers.map(p => ({ docId: p.docId, references: p.references || [] })));
+    const shared = groups.filter(g => new Set(g.entries.map(e => e.docId)).size > 1);
+
+    return {
+        papers: papers.map(({ docId, title, year }) => ({ docId, title, year: year || null })),
+        sections,
+        notation: compareNotation(papers.map(p => ({ docId: p.docId, variables: paperVariables(p.html, p.variables) }))),
+        references: {
+            shared,
+            counts: Object.fromEntries(papers.map(p => [p.docId, (p.references || []).length])),
+        },
+    };
+}
+
+module.exports = { comparePapers, paperOutline, sectionRole, paperVariables, compareNotation, descriptionSimilarity, SECTION_ROLES };
@@ -0,0 +1,325 @@
+/**
+ * quizzes.js — Structured multiple-choice quizzes with scored attempts
+ *
+ * The `quiz` studio operation writes markdown questions:
+ *
+ *   ## Question 1
+ *   **How many heads does the base model use?**
+ *   A) 4
+ *   B) 8
+ *   **Answer: B**
+ *   **Explanation:** …
+ *
+ * parseQuiz() turns that into questions; a quiz is one artifact version's
+ * questions, stored as `{dir}/{id}.json`:
+ *
+ *   { id, artifactId, version, title, docIds, createdBy, createdAt,
+ *     questions: [{ id, question, options: [{ key, text }], answer, explanation, docId, anchor, section }],
+ *     attempts: [{ id, userId, startedAt, finishedAt, answers: [{ questionId, choice, correct, at }], correct, total }] }
+ *
+ * Each question is linked to the paper section its explanation comes from.
+ * Clients get questions without `answer`/`explanation` (publicQuiz) and see
+ * them only after answering. Attempts are per user; scores() sums them per
+ * user and document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const TEXT_CHARS = 2000;
+
+function quizError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// ─── Parsing ────────────────────────────────────────────────
+
+const HEADING = /^\s*#{1,6}\s+(?:Question|Q)\b\s*\d*\s*[:.]?\s*(.*)$/i;
+const OPTION = /^\s*(?:[-*]\s*)?\(?([A-Ha-h])[).:]\s+(.+)$/;
+const ANSWER = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*(?:Correct\s+)?Answer\s*:?\s*(?:\*\*|__)?\s*:?\s*\(?([A-Ha-h])\b[).]?\s*(.*)$/i;
+const EXPLANATION = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*Explanation\s*:?\s*(?:\*\*|__)?\s*:?\s*(.*)$/i;
+const RULE = /^\s*(?:---+|\*\*\*+)\s*$/;
+
+function stripEmphasis(text) {
+    return text.replace(/^\s*(?:\*\*|__)\s*/, '').replace(/\s*(?:\*\*|__)\s*$/, '').replace(/^\[(.*)\]$/, '$1').trim();
+}
+
+/**
+ * Questions from the quiz operation's markdown
+ *
+ * A question is a `## Question n` block (or text followed by lettered
+ * options) with options `A)`/`A.`/`(A)`, an `Answer: X` line and an optional
+ * `Explanation:` that may run over several lines. Questions without options
+ * or without a valid answer are dropped.
+ *
+ * @returns {Object[]} [{ question, options: [{ key, text }], answer, explanation }]
+ */
+function parseQuiz(markdown) {
+    const questions = [];
+    let q = null;
+    let inExplanation = false;
+
+    const finish = () => {
+        if (q && q.question && q.options.length >= 2 && q.options.some(o => o.key === q.answer)) {
+            questions.push({
+                question: q.question.trim().slice(0, TEXT_CHARS),
+                options: q.options,
+                answer: q.answer,
+                explanation: q.explanation.trim().slice(0, TEXT_CHARS),
+            });
+        }
+        q = null;
+        inExplanation = false;
+    };
+    const start = (text = '') => {
+        finish();
+        q = { question: stripEmphasis(text), options: [], answer: null, explanation: '' };
+    };
+
+    for (const line of String(markdown || '').split('\n')) {
+        let m;
+        if ((m = HEADING.exec(line))) {
+            start(m[1]);
+        } else if (RULE.test(line)) {
+            finish();
+        } else if (q && (m = ANSWER.exec(line))) {
+            q.answer = m[1].toUpperCase();
+            inExplanation = false;
+        } else if (q && (m = EXPLANATION.exec(line))) {
+            q.explanation = m[1];
+            inExplanation = true;
+        } else if (q && !q.answer && (m = OPTION.exec(line))) {
+            q.options.push({ key: m[1].toUpperCase(), text: stripEmphasis(m[2]) });
+        } else if (inExplanation) {
+            q.explanation += `\n${line}`;
+        } else if (line.trim()) {
+            // Question text: the line(s) before the options
+            if (!q || q.answer) start(line);
+            else if (!q.options.length) q.question = `${q.question}${q.question ? '\n' : ''}${stripEmphasis(line)}`;
+        }
+    }
+    finish();
+    return questions;
+}
+
+// ─── Store ──────────────────────────────────────────────────
+
+/**
+ * A quiz as clients see it before answering: no answers or explanations
+ */
+function publicQuiz(quiz, userId = null) {
+    const { attempts, questions, ...rest } = quiz;
+    const mine = userId ? attempts.filter(a => a.userId === userId) : [];
+    return {
+        ...rest,
+        questions: questions.map(({ answer, explanation, ...q }) => q),
+        attempts: mine.map(summarizeAttempt),
+    };
+}
+
+function summarizeAttempt(attempt) {
+    const { answers, ...rest } = attempt;
+    return { ...rest, answered: answers.length };
+}
+
+class QuizStore {
+    /**
+     * @param {string} dir - Directory holding one JSON file per quiz
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(id) {
+        if (!/^[\w-]+$/.test(String(id))) throw quizError(400, 'Invalid quiz id');
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    read(id) {
+        const p = this.pathFor(id);
+        if (!fs.existsSync(p)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(p, 'utf-8'));
+        } catch (err) {
+            console.warn(`⚠️  Unreadable quiz ${id}: ${err.message}`);
+            return null;
+        }
+    }
+
+    save(quiz) {
+        writeFileAtomic(this.pathFor(quiz.id), JSON.stringify(quiz, null, 2));
+        return quiz;
+    }
+
+    all() {
+        return fs.readdirSync(this.dir)
+            .filter(file => /^[\w-]+\.json$/.test(file))
+            .map(file => this.read(file.slice(0, -5)))
+            .filter(Boolean);
+    }
+
+    /**
+     * Quizzes (optionally about one document), newest first, with the
+     * user's attempts summarized
+     */
+    list({ docId = null, userId = null } = {}) {
+        return this.all()
+            .filter(quiz => !docId || quiz.docIds.includes(docId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(quiz => {
+                const { questions, ...rest } = publicQuiz(quiz, userId);
+                return { ...rest, questionCount: questions.length };
+            });
+    }
+
+    /**
+     * @throws {Error} 404 when missing
+     */
+    get(id) {
+        const quiz = this.read(id);
+        if (!quiz) throw quizError(404, 'Quiz not found');
+        return quiz;
+    }
+
+    /**
+     * The quiz made from an artifact version, if any
+     */
+    forArtifact(artifactId, version) {
+        return this.all().find(q => q.artifactId === artifactId && q.version === version) || null;
+    }
+
+    /**
+     * @param {Object} fields - { artifactId, version, title, docIds, questions: [{ question, options, answer, explanation, docId?, anchor?, section? }] }
+     * @throws {Error} 422 when there are no questions
+     */
+    create({ artifactId = null, version = null, title, docIds = [], questions }, createdBy = null) {
+        if (!Array.isArray(questions) || !questions.length) throw quizError(422, 'No multiple-choice questions found');
+        return this.save({
+            id: uuidv4().slice(0, 8),
+            artifactId,
+            version,
+            title: String(title || 'Quiz').slice(0, 120),
+            docIds,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            questions: questions.map(q => ({
+                id: uuidv4().slice(0, 8),
+                question: q.question,
+                options: q.options,
+                answer: q.answer,
+                explanation: q.explanation || '',
+                docId: q.docId || null,
+                anchor: q.anchor || null,
+                section: q.section || null,
+            })),
+            attempts: [],
+        });
+    }
+
+    startAttempt(id, userId) {
+        const quiz = this.get(id);
+        const attempt = {
+            id: uuidv4().slice(0, 8),
+            userId,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            answers: [],
+            correct: 0,
+            total: quiz.questions.length,
+        };
+        quiz.attempts.push(attempt);
+        this.save(quiz);
+        return attempt;
+    }
+
+    /**
+     * Record one answer of an attempt and reveal the question's answer
+     *
+     * @returns {Object} { correct, answer, explanation, docId, anchor, section, attempt }
+     * @throws {Error} 404 unknown attempt/question, 403 someone else's attempt, 409 answered twice, 400 no such option
+     */
+    answer(id, attemptId, userId, questionId, choice) {
+        const quiz = this.get(id);
+        const attempt = quiz.attempts.find(a => a.id === attemptId);
+        if (!attempt) throw quizError(404, 'Attempt not found');
+        if (attempt.userId !== userId) throw quizError(403, 'Not your attempt');
+        const question = quiz.questions.find(q => q.id === questionId);
+        if (!question) throw quizError(404, 'Question not found');
+        if (attempt.answers.some(a => a.questionId === questionId)) throw quizError(409, 'Question already answered');
+        const key = String(choice || '').toUpperCase();
+        if (!question.options.some(o => o.key === key)) throw quizError(400, `No option ${choice}`);
+
+        const correct = key === question.answer;
+        attempt.answers.push({ questionId, choice: key, correct, at: new Date().toISOString() });
+        attempt.correct += correct ? 1 : 0;
+        if (attempt.answers.length === quiz.questions.length) attempt.finishedAt = new Date().toISOString();
+        this.save(quiz);
+
+        return {
+            correct,
+            answer: question.answer,
+            explanation: question.explanation,
+            docId: question.docId,
+            anchor: question.anchor,
+            section: question.section,
+            attempt: summarizeAttempt(attempt),
+        };
+    }
+
+    /**
+     * Answers summed per user and document (a question counts for the
+     * document its explanation links to)
+     *
+     * @param {Object} [filter] - { docId, userId }
+     * @returns {Object[]} [{ userId, docId, quizzes, attempts, finished, answered, correct, accuracy, best }]
+     */
+    scores({ docId = null, userId = null } = {}) {
+        const rows = new Map();
+        for (const quiz of this.all()) {
+            const docOf = new Map(quiz.questions.map(q => [q.id, q.docId || quiz.docIds[0] || null]));
+            for (const attempt of quiz.attempts) {
+                if (userId && attempt.userId !== userId) continue;
+                const touched = new Set();
+                for (const a of attempt.answers) {
+                    const doc = docOf.get(a.questionId);
+                    if (!doc || (docId && doc !== docId)) continue;
+                    const key = `${attempt.userId}\n${doc}`;
+                    if (!rows.has(key)) {
+                        rows.set(key, { userId: attempt.userId, docId: doc, quizzes: new Set(), attempts: 0, finished: 0, answered: 0, correct: 0, best: null });
+                    }
+                    const row = rows.get(key);
+                    row.answered++;
+                    row.correct += a.correct ? 1 : 0;
+                    row.quizzes.add(quiz.id);
+                    touched.add(key);
+                }
+                for (const key of touched) {
+                    const row = rows.get(key);
+                    row.attempts++;
+                    if (attempt.finishedAt) {
+                        row.finished++;
+                        const score = attempt.correct / attempt.total;
+                        if (row.best === null || score > row.best) row.best = Math.round(score * 100) / 100;
+                    }
+                }
+            }
+        }
+        return [...rows.values()].map(row => ({
+            ...row,
+            quizzes: row.quizzes.size,
+            accuracy: row.answered ? Math.round((row.correct / row.answered) * 100) / 100 : null,
+        }));
+    }
+
+    remove(id) {
+        this.get(id);
+        fs.rmSync(this.pathFor(id), { force: true });
+    }
+}
+
+module.exports = { QuizStore, parseQuiz, publicQuiz };
@@ -0,0 +1,189 @@
+/**
+ * references.js — A paper's reference list as structured entries
+ *
+ * Documents carry their references two ways: imported HTML has a numbered
+ * list (`<ol class="references"><li id="ref-N">…</li>`), and markdown
+ * documents turn their `@references` block into citation badges
+ * (`<sup class="ref-badge" data-ref="N" data-title data-url>`). Both are read
+ * into
+ *
+ *   { num, title, text, year, arxivId, doi, url }
+ *
+ * and groupReferences() finds the same work across papers by arXiv id, DOI
+ * or title.
+ */
+
+const { htmlToText, getAttr } = require('./search-index');
+
+const ARXIV_ID = /(?:arxiv(?:\.org\/(?:abs|pdf))?[:/\s]*|\babs\/)((?:\d{4}\.\d{4,5})|(?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7}))(?:v\d+)?/i;
+const DOI = /\b(10\.\d{4,9}\/[^\s"<>]+)/;
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().normalize('NFKD').replace(/[̀-ͯ]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * arXiv id, DOI and year found in a reference string or URL
+ */
+function identifiers(text) {
+    const arxiv = ARXIV_ID.exec(text || '');
+    const doi = DOI.exec(text || '');
+    const year = /\b(1[89]\d{2}|20\d{2})\b/.exec(text || '');
+    return {
+        arxivId: arxiv ? arxiv[1] : null,
+        doi: doi ? doi[1].replace(/[.,;)\]]+$/, '').toLowerCase() : null,
+        year: year ? Number(year[1]) : null,
+    };
+}
+
+/**
+ * The title in a formatted reference: a quoted title, the text after a bold
+ * author block, or the segment after the author list
+ */
+function referenceTitle(html, text) {
+    const quoted = /[“"]([^”"]{8,})[”"]/.exec(text);
+    if (quoted) return quoted[1].replace(/[.,]$/, '').trim();
+
+    const afterAuthors = /<\/(?:strong|b)>\s*([\s\S]*)$/i.exec(html);
+    const rest = afterAuthors ? htmlToText(afterAuthors[1].replace(/<(em|i)\b[\s\S]*$/i, '')) : null;
+    if (rest) return rest.split(/\.\s/)[0].replace(/\.$/, '').trim();
+
+    const parts = text.split(/\.\s+/);
+    const looksLikeAuthors = part => /,|\band\b|\bet al\b|\(\d{4}\)/.test(part);
+    return (parts.length > 1 && looksLikeAuthors(parts[0]) ? parts[1] : parts[0]).replace(/\.$/, '').trim();
+}
+
+/**
+ * References of a rendered document, by number
+ *
+ * @param {string} html
+ * @returns {Object[]} [{ num, title, text, year, arxivId, doi, url }] in number order
+ */
+function extractReferences(html) {
+    const byNum = new Map();
+    const entry = num => {
+        if (!byNum.has(num)) byNum.set(num, { num, title: '', text: '', year: null, arxivId: null, doi: null, url: null });
+        return byNum.get(num);
+    };
+
+    // The numbered list
+    const list = /<ol\b[^>]*class="[^"]*\breferences\b[^"]*"[^>]*>([\s\S]*?)<\/ol>/i.exec(html || '');
+    if (list) {
+        let n = 0;
+        for (const m of list[1].matchAll(/<li\b([^>]*)>([\s\S]*?)<\/li>/gi)) {
+            n++;
+            const id = getAttr(`<li${m[1]}>`, 'id');
+            const num = id && /(\d+)$/.test(id) ? Number(/(\d+)$/.exec(id)[1]) : n;
+            const ref = entry(num);
+            ref.text = htmlToText(m[2]);
+            ref.title = referenceTitle(m[2], ref.text);
+            const href = /<a\b[^>]*href="([^"]+)"/i.exec(m[2]);
+            if (href) ref.url = href[1];
+        }
+    }
+
+    // Citation badges (the only source in markdown documents)
+    for (const m of String(html || '').matchAll(/<sup\b[^>]*class="ref-badge"[^>]*>/gi)) {
+        const num = Number(getAttr(m[0], 'data-ref'));
+        if (!num) continue;
+        const ref = entry(num);
+        const title = getAttr(m[0], 'data-title');
+        const url = getAttr(m[0], 'data-url');
+        if (title && !/^Reference \d+$/.test(title) && (!ref.title || !ref.text)) ref.title = title;
+        if (url && !ref.url) ref.url = url;
+    }
+
+    return [...byNum.values()]
+        .map(ref => {
+            const ids = identifiers(`${ref.text} ${ref.url || ''}`);
+            return { ...ref, title: ref.title || ref.text.slice(0, 160), ...ids };
+        })
+        .filter(ref => ref.title || ref.text)
+        .sort((a, b) => a.num - b.num);
+}
+
+/**
+ * The arXiv id of a reference, also when only its arXiv DOI
+ * (10.48550/arXiv.{id}) is given
+ */
+function referenceArxivId(ref) {
+    if (ref.arxivId) return ref.arxivId;
+    const arxivDoi = /^10\.48550\/arxiv\.(.+)$/i.exec(ref.doi || '');
+    return arxivDoi ? arxivDoi[1] : null;
+}
+
+/**
+ * The docs/{id} folder an arXiv paper is imported into: "1706.03762" →
+ * "1706-03762", old-style "hep-th/9901001" → "hep-th-9901001"
+ */
+function arxivDocId(arxivId) {
+    return String(arxivId).replace('https://arxiv.org/abs/', '').replace('https://arxiv.org/pdf/', '').trim().replace(/[./]/g, '-');
+}
+
+/**
+ * The docs/{id} folder a DOI-only paper is imported into: "10.1109/CVPR.2016.90" →
+ * "doi-10-1109-cvpr-2016-90"
+ */
+function doiDocId(doi) {
+    return `doi-${String(doi).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`.slice(0, 80);
+}
+
+/**
+ * Keys under which a reference matches others: arXiv id, DOI, title
+ */
+function referenceKeys(ref) {
+    const keys = [];
+    const arxivId = referenceArxivId(ref);
+    if (arxivId) keys.push(`arxiv:${arxivId.toLowerCase()}`);
+    if (ref.doi) keys.push(`doi:${ref.doi.toLowerCase()}`);
+    const title = normalizeTitle(ref.title);
+    if (title.split(' ').length >= 3) keys.push(`title:${title}`);
+    return keys;
+}
+
+/**
+ * The works cited by several papers
+ *
+ * @param {Object[]} lists - [{ docId, references }]
+ * @returns {Object[]} [{ title, arxivId, doi, year, entries: [{ docId, num, title }] }] — every group, most-cited first
+ */
+function groupReferences(lists) {
+    const groups = [];
+    const byKey = new Map();
+
+    for (const { docId, references } of lists) {
+        for (const ref of references) {
+            const keys = referenceKeys(ref);
+            const found = [...new Set(keys.map(k => byKey.get(k)).filter(Boolean))];
+            let group = found[0];
+            if (!group) {
+                group = { keys: new Set(), entries: [] };
+                groups.push(group);
+            }
+            // A reference can join groups that were separate so far
+            for (const other of found.slice(1)) {
+                other.keys.forEach(k => { group.keys.add(k); byKey.set(k, group); });
+                group.entries.push(...other.entries);
+                groups.splice(groups.indexOf(other), 1);
+            }
+            keys.forEach(k => { group.keys.add(k); byKey.set(k, group); });
+            group.entries.push({ docId, ...ref });
+        }
+    }
+
+    return groups
+        .map(({ entries }) => {
+            const best = entries.find(e => e.arxivId || e.doi) || entries[0];
+            return {
+                title: entries.map(e => e.title).sort((a, b) => b.length - a.length)[0],
+                arxivId: (entries.find(e => e.arxivId) || {}).arxivId || null,
+                doi: (entries.find(e => e.doi) || {}).doi || null,
+                year: best.year || (entries.find(e => e.year) || {}).year || null,
+                entries: entries.map(({ docId, num, title }) => ({ docId, num, title })),
+            };
+        })
+        .sort((a, b) => new Set(b.entries.map(e => e.docId)).size - new Set(a.entries.map(e => e.docId)).size);
+}
+
+module.exports = { extractReferences, referenceKeys, referenceArxivId, arxivDocId, doiDocId, groupReferences, identifiers, normalizeTitle };
@@ -0,0 +1,254 @@
+/**
+ * retrieval.js — Passage retrieval for chat grounded in whole papers
+ *
+ * Chat used to see at most a few thousand characters of a paper. Instead,
+ * each document is cut into chunks the model can quote and cite:
+ *
+ *   - passage:  section text packed into ~CHUNK_CHARS pieces at paragraph
+ *               boundaries, overlapping by one paragraph
+ *   - equation: a display equation's TeX with the sentence that introduces
+ *               it; anchored at `eq-{n}`, the id the reader's equation panel
+ *               gives the n-th .math-display
+ *   - variable: a variable definition (data-desc / metadata.yaml), anchored
+ *               where the variable is first used
+ *
+ * Chunks are ranked with the library search's BM25 (SearchIndex.rank).
+ * Variables that occur in a retrieved equation are pulled in with it, so
+ * the model sees what the symbols mean. Anchors follow the reader's TOC ids,
+ * so a citation links to `/?doc={id}#{anchor}`.
+ */
+
+const { SearchIndex, htmlToText, splitSections, extractVariables, getAttr } = require('./search-index');
+
+const CHUNK_CHARS = 1200;
+const EQUATION_LEAD_CHARS = 240;
+const DEFAULT_LIMITS = { passage: 5, equation: 3, variable: 6 };
+const SNIPPET_CHARS = 200;
+
+const BLOCK_END = /<\/(?:p|li|blockquote|figure|figcaption|table|pre|h[1-6])>|<br\s*\/?>/i;
+const MATH_DISPLAY = /<(div|span)\b[^>]*\bclass="(?:[^"]*\s)?math-display(?:\s[^"]*)?"[^>]*>/gi;
+
+// ─── Chunking ───────────────────────────────────────────────
+
+/**
+ * Split a section's HTML into plain-text paragraphs
+ */
+function paragraphs(html) {
+    return html.split(BLOCK_END).map(htmlToText).filter(Boolean);
+}
+
+/**
+ * Pack paragraphs into chunks of about `size` characters; each chunk after
+ * the first repeats the previous chunk's last paragraph for context
+ */
+function packParagraphs(paras, size = CHUNK_CHARS) {
+    const pieces = [];
+    for (const p of paras) {
+        if (p.length <= size) { pieces.push(p); continue; }
+        // Over-long paragraph: cut at word boundaries
+        for (let start = 0; start < p.length;) {
+            let end = Math.min(p.length, start + size);
+            if (end < p.length) end = p.lastIndexOf(' ', end) > start ? p.lastIndexOf(' ', end) : end;
+            pieces.push(p.slice(start, end).trim());
+            start = end;
+        }
+    }
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    for (const piece of pieces) {
+        if (current.length && length + piece.length > size) {
+            chunks.push(current.join('\n\n'));
+            const overlap = current[current.length - 1];
+            current = overlap.length < size / 2 ? [overlap] : [];
+            length = current.reduce((n, c) => n + c.length, 0);
+        }
+        current.push(piece);
+        length += piece.length;
+    }
+    if (current.length) chunks.push(current.join('\n\n'));
+    return chunks;
+}
+
+/**
+ * Cut a document into retrievable chunks
+ *
+ * @param {string} html - Rendered document (what the reader displays)
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.variables] - metadata.yaml variables [{ symbol, description }]
+ * @returns {Object[]} [{ kind, section, anchor, text, equation?, variable? }]
+ */
+function chunkDocument(html, { variables = [] } = {}) {
+    const sections = splitSections(html || '');
+    const chunks = [];
+    let equationIndex = 0;
+
+    for (const sec of sections) {
+        for (const text of packParagraphs(paragraphs(sec.html))) {
+            chunks.push({ kind: 'passage', section: sec.title, anchor: sec.anchor, text });
+        }
+
+        MATH_DISPLAY.lastIndex = 0;
+        let m;
+        while ((m = MATH_DISPLAY.exec(sec.html)) !== null) {
+            const anchor = getAttr(m[0], 'id') || `eq-${equationIndex}`;
+            equationIndex++;
+            const tex = getAttr(m[0], 'data-raw') || htmlToText(sec.html.slice(m.index, m.index + 2000)).slice(0, 300);
+            const lead = htmlToText(sec.html.slice(Math.max(0, m.index - 4 * EQUATION_LEAD_CHARS), m.index)).slice(-EQUATION_LEAD_CHARS);
+            chunks.push({
+                kind: 'equation',
+                section: sec.title,
+                anchor,
+                equation: tex,
+                text: `${lead ? `${lead} ` : ''}$$${tex}$$`,
+            });
+        }
+    }
+
+    const vars = extractVariables(sections);
+    for (const v of variables) {
+        if (!v || !v.symbol) continue;
+        const existing = vars.get(v.symbol);
+        if (!existing) vars.set(v.symbol, { desc: v.description || '', anchor: null, section: '' });
+        else if (!existing.desc) existing.desc = v.description || '';
+    }
+    for (const [name, v] of vars) {
+        if (!v.desc) continue;
+        chunks.push({ kind: 'variable', section: v.section, anchor: v.anchor, variable: name, text: `${name}: ${v.desc}` });
+    }
+
+    return chunks;
+}
+
+// ─── Retrieval ──────────────────────────────────────────────
+
+class PaperRetriever {
+    constructor() {
+        this.docs = new Map(); // docId → { signature, title, chunks }
+        this.index = null;     // SearchIndex over every cached doc's chunks
+    }
+
+    /**
+     * (Re)chunk a document unless `signature` says it hasn't changed
+     *
+     * @param {string} docId
+     * @param {string} signature - Changes whenever the document does (e.g. file mtimes)
+     * @param {Function} load - () → { title, html, variables }
+     */
+    ensure(docId, signature, load) {
+        const cached = this.docs.get(docId);
+        if (cached && cached.signature === signature) return;
+        const { title, html, variables } = load();
+        this.docs.set(docId, { signature, title, chunks: chunkDocument(html, { variables }) });
+        this.index = null;
+    }
+
+    /**
+     * A cached document's variable definitions ([{ variable, text, anchor, section }])
+     */
+    variables(docId) {
+        const doc = this.docs.get(docId);
+        return doc ? doc.chunks.filter(c => c.kind === 'variable') : [];
+    }
+
+    buildIndex() {
+        const index = new SearchIndex();
+        for (const [docId, { title, chunks }] of this.docs) {
+            chunks.forEach((chunk, ref) => index.addUnit({
+                docId,
+                docTitle: title,
+                kind: chunk.kind,
+                // A definition should match on its symbol, not on the heading above it
+                section: chunk.kind === 'variable' ? chunk.variable : chunk.section,
+                text: chunk.text,
+                ref,
+            }));
+        }
+        return index;
+    }
+
+    /**
+     * Best chunks for a question, numbered for citation: passages first, then
+     * equations, then variable definitions, each best-first
+     *
+     * @param {string} question
+     * @param {Object} [opts]
+     * @param {string[]} [opts.docIds] - Restrict to these documents (must have been ensure()d)
+     * @param {Object} [opts.limits] - Max chunks per kind ({ passage, equation, variable })
+     * @returns {Object[]} [{ n, docId, docTitle, kind, section, anchor, text, score, equation?, variable? }]
+     */
+    retrieve(question, { docIds = null, limits = {} } = {}) {
+        if (!this.index) this.index = this.buildIndex();
+        const max = { ...DEFAULT_LIMITS, ...limits };
+        const allowed = docIds ? new Set(docIds) : null;
+
+        const picked = { passage: [], equation: [], variable: [] };
+        const seen = new Set();
+        const take = (docId, ref, score) => {
+            const chunk = this.docs.get(docId).chunks[ref];
+            seen.add(`${docId}:${ref}`);
+            picked[chunk.kind].push({ docId, docTitle: this.docs.get(docId).title, ...chunk, score });
+        };
+
+        const { ranked } = this.index.rank(question);
+        for (const { unit, score } of ranked) {
+            if (allowed && !allowed.has(unit.docId)) continue;
+            if (picked[unit.kind].length >= max[unit.kind]) continue;
+            take(unit.docId, unit.ref, score);
+        }
+
+        // Define the symbols used in the equations we're about to show
+        for (const eq of [...picked.equation]) {
+            const symbols = new Set(texSymbols(eq.equation));
+            this.docs.get(eq.docId).chunks.forEach((chunk, ref) => {
+                if (chunk.kind !== 'variable' || seen.has(`${eq.docId}:${ref}`)) return;
+                if (picked.variable.length >= max.variable * 2) return;
+                const parts = texSymbols(chunk.variable);
+                if (parts.length && parts.every(p => symbols.has(p))) take(eq.docId, ref, 0);
+            });
+        }
+
+        return [...picked.passage, ...picked.equation, ...picked.variable].map((c, i) => ({
+            n: i + 1,
+            docId: c.docId,
+            docTitle: c.docTitle,
+            kind: c.kind,
+            section: c.section,
+            anchor: c.anchor,
+            text: c.text,
+            score: Math.round(c.score * 1000) / 1000,
+            ...(c.equation ? { equation: c.equation } : {}),
+            ...(c.variable ? { variable: c.variable } : {}),
+        }));
+    }
+}
+
+/**
+ * Identifiers in a TeX string, case kept (Q and q are different symbols);
+ * control words like \frac are not symbols
+ */
+function texSymbols(tex) {
+    return String(tex || '').replace(/\\[a-zA-Z]+/g, ' ').match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Numbered excerpts for the prompt: "[n] Title § Section (kind)\ntext"
+ */
+function formatExcerpts(chunks) {
+    return chunks.map(c => {
+        const where = [c.docTitle, c.section && `§ ${c.section}`].filter(Boolean).join(' ');
+        return `[${c.n}] ${where} (${c.kind})\n${c.text}`;
+    }).join('\n\n');
+}
+
+/**
+ * What the client gets back: enough to label and link each citation
+ */
+function toCitation(chunk) {
+    const snippet = chunk.text.length > SNIPPET_CHARS ? `${chunk.text.slice(0, SNIPPET_CHARS).trim()}…` : chunk.text;
+    const { text, score, ...rest } = chunk;
+    return { ...rest, snippet };
+}
+
+module.exports = { PaperRetriever, chunkDocument, packParagraphs, formatExcerpts, toCitation };
@@ -0,0 +1,357 @@
+/**
+ * search-index.js — Full-text search over the document library
+ *
+ * Builds an in-memory inverted index over three kinds of units:
+ *   - text:     document sections, split on <h1>–<h4> headings of the rendered HTML
+ *   - note:     annotation notes (plus the passage they were attached to)
+ *   - variable: variable descriptions from data-desc attributes / metadata.yaml
+ *
+ * Hits are ranked with BM25; heading words count extra, and an exact phrase
+ * match gets a bonus. Section anchors mirror the ids the reader's buildTOC()
+ * assigns, so `/?doc={id}#{anchor}` scrolls straight to the hit.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 3;
+const PHRASE_BONUS = 1.5;
+const SNIPPET_RADIUS = 90;
+const MAX_PREFIX_EXPANSIONS = 20;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'were', 'which', 'with',
+]);
+
+// ─── Text helpers ───────────────────────────────────────────
+
+/**
+ * Split text into lowercase index terms (letters, digits, underscores)
+ */
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+        .filter(t => !STOPWORDS.has(t));
+}
+
+function decodeEntities(str) {
+    return str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Remove every element whose opening tag matches `openPattern`, including
+ * nested children of the same tag name (regex alone can't balance tags).
+ */
+function stripElements(html, openPattern, tagName) {
+    const tagRe = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+    let result = '';
+    let cursor = 0;
+    let match;
+    const opener = new RegExp(openPattern.source, 'gi');
+
+    while ((match = opener.exec(html)) !== null) {
+        if (match.index < cursor) continue;
+        result += html.slice(cursor, match.index);
+        tagRe.lastIndex = match.index + match[0].length;
+        let depth = 1;
+        let tag;
+        while (depth > 0 && (tag = tagRe.exec(html)) !== null) {
+            depth += tag[1] ? -1 : 1;
+        }
+        cursor = tag ? tagRe.lastIndex : html.length;
+        opener.lastIndex = cursor;
+    }
+    return result + html.slice(cursor);
+}
+
+/**
+ * Convert rendered document HTML into plain searchable text.
+ * KaTeX output is reduced to its TeX source; hidden raw-math views are dropped.
+ */
+function htmlToText(html) {
+    let s = String(html || '');
+    s = s.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ');
+    s = s.replace(/<span class="katex-mathml">[\s\S]*?<annotation encoding="application\/x-tex">([\s\S]*?)<\/annotation>[\s\S]*?<\/span>/gi, (_, tex) => ` ${tex} `);
+    s = stripElements(s, /<span\b[^>]*class="katex-html"[^>]*>/, 'span');
+    s = stripElements(s, /<(?:div|span)\b[^>]*class="math-raw-view[^"]*"[^>]*>/, '(?:div|span)');
+    s = s.replace(/<[^>]+>/g, ' ');
+    return decodeEntities(s).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text of an HTML fragment as the browser's `textContent` would report it
+ * (no whitespace collapsing, math left as rendered), so character offsets
+ * line up with those recorded by the reader.
+ */
+function htmlTextContent(html) {
+    const s = String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(s);
+}
+
+function getAttr(tag, name) {
+    const m = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return m ? decodeEntities(m[1]) : null;
+}
+
+/**
+ * Split rendered HTML into sections at <h1>–<h4> headings.
+ *
+ * Anchors follow the reader's buildTOC(): an h2/h3 keeps its id, otherwise it
+ * becomes `section-{n}` where n counts h2/h3 headings in document order.
+ * h1/h4 headings without an id inherit the enclosing h2/h3 anchor.
+ *
+ * @param {string} html - Rendered document fragment
+ * @returns {Object[]} Array of { title, anchor, level, html, text } — level 0 for text before the first heading
+ */
+function splitSections(html) {
+    const headingRe = /<h([1-4])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+    const sections = [];
+    let tocIndex = 0;
+    let currentAnchor = null;
+    let current = { title: '', anchor: null, level: 0, start: 0 };
+    let m;
+
+    while ((m = headingRe.exec(html)) !== null) {
+        current.html = html.slice(current.start, m.index);
+        sections.push(current);
+
+        const level = parseInt(m[1], 10);
+        const id = getAttr(`<h${level}${m[2]}>`, 'id');
+        if (level === 2 || level === 3) {
+            currentAnchor = id || `section-${tocIndex}`;
+            tocIndex++;
+        }
+        current = {
+            title: htmlToText(m[3]),
+            anchor: id || currentAnchor,
+            level,
+            start: headingRe.lastIndex,
+        };
+    }
+    current.html = html.slice(current.start);
+    sections.push(current);
+
+    return sections
+        .map(({ title, anchor, level, html: body }) => ({ title, anchor, level, html: body, text: htmlToText(body) }))
+        .filter(s => s.title || s.text);
+}
+
+/**
+ * Collect variables annotated in HTML as <span class="var" data-var data-desc>
+ *
+ * @returns {Map<string, {desc: string, anchor: string|null, section: string}>}
+ */
+function extractVariables(sections) {
+    const vars = new Map();
+    for (const sec of sections) {
+        const spanRe = /<span\b[^>]*\bclass="var"[^>]*>/g;
+        let m;
+        while ((m = spanRe.exec(sec.html)) !== null) {
+            const name = getAttr(m[0], 'data-var');
+            if (!name || vars.has(name)) continue;
+            vars.set(name, { desc: getAttr(m[0], 'data-desc') || '', anchor: sec.anchor, section: sec.title });
+        }
+    }
+    return vars;
+}
+
+function normalizeForMatch(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// ─── Index ──────────────────────────────────────────────────
+
+class SearchIndex {
+    constructor() {
+        this.units = [];
+        this.postings = new Map(); // term → Map<unitIdx, weighted tf>
+        this.totalLength = 0;
+        this.sectionsByDoc = new Map();
+    }
+
+    addUnit(unit) {
+        const idx = this.units.length;
+        const titleTerms = tokenize(unit.section);
+        const bodyTerms = tokenize(unit.text);
+        const tf = new Map();
+        for (const t of titleTerms) tf.set(t, (tf.get(t) || 0) + TITLE_WEIGHT);
+        for (const t of bodyTerms) tf.set(t, (tf.get(t) || 0) + 1);
+
+        const length = titleTerms.length * TITLE_WEIGHT + bodyTerms.length;
+        this.units.push({ ...unit, length, normText: normalizeForMatch(`${unit.section} ${unit.text}`) });
+        this.totalLength += length;
+
+        for (const [term, count] of tf) {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(idx, count);
+        }
+    }
+
+    /**
+     * Index a document's rendered HTML plus metadata-declared variables.
+     *
+     * @param {string} docId
+     * @param {Object} doc - { title, html, variables?: [{ symbol, description }] }
+     */
+    addDocument(docId, { title, html, variables = [] }) {
+        const sections = splitSections(html || '');
+        this.sectionsByDoc.set(docId, sections.map(s => ({ title: s.title, anchor: s.anchor, norm: normalizeForMatch(s.text) })));
+
+        for (const sec of sections) {
+            if (!sec.text) continue;
+            this.addUnit({ docId, docTitle: title, kind: 'text', section: sec.title, anchor: sec.anchor, text: sec.text });
+        }
+
+        const vars = extractVariables(sections);
+        for (const v of variables) {
+            if (!v || !v.symbol) continue;
+            const existing = vars.get(v.symbol);
+            if (!existing) vars.set(v.symbol, { desc: v.description || '', anchor: null, section: '' });
+            else if (!existing.desc) existing.desc = v.description || '';
+        }
+        for (const [name, v] of vars) {
+            if (!v.desc) continue;
+            this.addUnit({
+                docId, docTitle: title, kind: 'variable',
+                section: name, anchor: v.anchor, text: v.desc, variable: name,
+            });
+        }
+    }
+
+    /**
+     * Index annotation notes for a document. Must run after addDocument()
+     * so each note can be placed in the section that contains its passage.
+     */
+    addAnnotations(docId, docTitle, annotations) {
+        const sections = this.sectionsByDoc.get(docId) || [];
+        for (const ann of annotations || []) {
+            const note = (ann.note || '').trim();
+            if (!note) continue;
+            const quote = normalizeForMatch(ann.selectedText).slice(0, 80);
+            const sec = quote ? sections.find(s => s.norm.includes(quote)) : null;
+            this.addUnit({
+                docId, docTitle, kind: 'note',
+                section: sec ? sec.title : '',
+                anchor: sec ? sec.anchor : null,
+                text: ann.selectedText ? `${note} — “${ann.selectedText}”` : note,
+                annotationId: ann.id,
+            });
+        }
+    }
+
+    expandTerms(terms) {
+        // Search-as-you-type: the last term also matches indexed terms it prefixes
+        const expanded = terms.map(t => [t]);
+        const last = terms[terms.length - 1];
+        if (last && last.length >= 2) {
+            for (const term of this.postings.keys()) {
+                if (expanded[expanded.length - 1].length > MAX_PREFIX_EXPANSIONS) break;
+                if (term !== last && term.startsWith(last)) expanded[expanded.length - 1].push(term);
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * BM25-score every unit matching the query, best first
+     *
+     * @param {string} query
+     * @param {Object} [opts] - { docId, kind } filters
+     * @returns {{ terms: string[], ranked: {unit: Object, score: number}[] }}
+     */
+    rank(query, { docId = null, kind = null } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || this.units.length === 0) return { terms, ranked: [] };
+
+        const n = this.units.length;
+        const avgLength = this.totalLength / n || 1;
+        const scores = new Map();
+        const matchedTerms = new Set();
+
+        for (const group of this.expandTerms(terms)) {
+            for (const term of group) {
+                const posting = this.postings.get(term);
+                if (!posting) continue;
+                matchedTerms.add(term);
+                const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+                for (const [idx, tf] of posting) {
+                    const unit = this.units[idx];
+                    const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * unit.length / avgLength));
+                    scores.set(idx, (scores.get(idx) || 0) + idf * norm);
+                }
+            }
+        }
+
+        const phrase = normalizeForMatch(query);
+        const ranked = [];
+        for (const [idx, score] of scores) {
+            const unit = this.units[idx];
+            if (docId && unit.docId !== docId) continue;
+            if (kind && unit.kind !== kind) continue;
+            const bonus = terms.length > 1 && unit.normText.includes(phrase) ? PHRASE_BONUS : 1;
+            ranked.push({ unit, score: score * bonus });
+        }
+        ranked.sort((a, b) => b.score - a.score);
+        return { terms: [...matchedTerms], ranked };
+    }
+
+    /**
+     * Rank units against a free-text query.
+     *
+     * @param {string} query
+     * @param {Object} [opts] - { limit, docId, kind }
+     * @returns {{ terms: string[], total: number, hits: Object[] }}
+     */
+    search(query, { limit = 20, docId = null, kind = null } = {}) {
+        const { terms: highlightTerms, ranked } = this.rank(query, { docId, kind });
+        return {
+            terms: highlightTerms,
+            total: ranked.length,
+            hits: ranked.slice(0, limit).map(({ unit, score }) => ({
+                docId: unit.docId,
+                docTitle: unit.docTitle,
+                kind: unit.kind,
+                section: unit.section,
+                anchor: unit.anchor,
+                snippet: makeSnippet(unit.text, highlightTerms),
+                score: Math.round(score * 1000) / 1000,
+                ...(unit.annotationId ? { annotationId: unit.annotationId } : {}),
+                ...(unit.variable ? { variable: unit.variable } : {}),
+            })),
+        };
+    }
+}
+
+/**
+ * Cut a window of text around the first occurrence of any query term
+ */
+function makeSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    let pos = -1;
+    for (const t of terms) {
+        const re = new RegExp(`(?<![\\p{L}\\p{N}_])${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u');
+        const m = re.exec(lower);
+        if (m && (pos === -1 || m.index < pos)) pos = m.index;
+    }
+    if (pos === -1) pos = 0;
+
+    let start = Math.max(0, pos - SNIPPET_RADIUS);
+    let end = Math.min(text.length, pos + SNIPPET_RADIUS);
+    // Snap to word boundaries
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > pos ? text.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = { SearchIndex, tokenize, htmlToText, htmlTextContent, splitSections, extractVariables, getAttr, makeSnippet };
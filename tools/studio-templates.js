@@ -0,0 +1,213 @@
+/**
+ * studio-templates.js — User-defined studio operations
+ *
+ * Each template is `{dir}/{id}.json`:
+ *
+ *   { id, label, description, prompt, base, createdBy, createdAt, updatedAt }
+ *
+ * A template with `base: null` is a custom operation with its own studio
+ * card; `base: 'summary'` (or another built-in operation) customizes that
+ * built-in's prompt — at most one template per base. Templates are shared by
+ * everyone using the library, like the documents and artifacts.
+ *
+ * Prompts may use `{{variable}}` placeholders (TEMPLATE_VARIABLES), filled in
+ * by the server when the operation runs. Templates travel between libraries
+ * as an export file: { format: EXPORT_FORMAT, version: 1, templates: [...] }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./annotation-store');
+
+const TEMPLATE_VARIABLES = {
+    sources: 'Text of the selected sources (the first few thousand characters of each)',
+    titles: 'Titles of the selected sources, one per line',
+    section: 'The section picked when the operation runs',
+    annotations: 'Highlights and notes on the selected sources',
+};
+
+const EXPORT_FORMAT = 'scholarly-reader/studio-templates';
+const LABEL_CHARS = 60;
+const DESCRIPTION_CHARS = 200;
+const PROMPT_CHARS = 20000;
+const PLACEHOLDER = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+function templateError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Variable names a prompt uses, in order of first use
+ */
+function templateVariables(prompt) {
+    const names = [];
+    for (const m of String(prompt || '').matchAll(PLACEHOLDER)) {
+        if (!names.includes(m[1])) names.push(m[1]);
+    }
+    return names;
+}
+
+/**
+ * Replace each {{name}} with values[name]; placeholders without a value are left as written
+ */
+function renderTemplate(prompt, values) {
+    return String(prompt || '').replace(PLACEHOLDER, (whole, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : whole);
+}
+
+/**
+ * Validate and normalize template fields (create, update and import)
+ *
+ * @param {Object} fields - { label, description, prompt, base }
+ * @param {Object} [existing] - The template being updated; missing fields keep its values
+ * @throws {Error} 400 for a missing label or prompt, or an unknown variable
+ */
+function cleanTemplate(fields, existing = {}) {
+    const pick = (key) => (fields[key] !== undefined ? fields[key] : existing[key]);
+    const label = String(pick('label') || '').replace(/\s+/g, ' ').trim().slice(0, LABEL_CHARS);
+    const description = String(pick('description') || '').replace(/\s+/g, ' ').trim().slice(0, DESCRIPTION_CHARS);
+    const prompt = String(pick('prompt') || '').trim();
+    const base = pick('base') || null;
+
+    if (!label) throw templateError(400, 'label required');
+    if (!prompt) throw templateError(400, 'prompt required');
+    if (prompt.length > PROMPT_CHARS) throw templateError(400, `prompt is longer than ${PROMPT_CHARS} characters`);
+    if (base !== null && !/^[\w-]+$/.test(String(base))) throw templateError(400, 'Invalid base operation');
+    const unknown = templateVariables(prompt).filter(name => !TEMPLATE_VARIABLES[name]);
+    if (unknown.length) throw templateError(400, `Unknown template variable${unknown.length > 1 ? 's' : ''}: ${unknown.map(n => `{{${n}}}`).join(', ')}`);
+
+    return { label, description, prompt, base };
+}
+
+class TemplateStore {
+    /**
+     * @param {string} dir - Directory holding one JSON file per template
+     */
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(id) {
+        if (!/^[\w-]+$/.test(String(id))) throw templateError(400, 'Invalid template id');
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    read(id) {
+        const p = this.pathFor(id);
+        if (!fs.existsSync(p)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(p, 'utf-8'));
+        } catch (err) {
+            console.warn(`⚠️  Unreadable studio template ${id}: ${err.message}`);
+            return null;
+        }
+    }
+
+    save(template) {
+        template.updatedAt = new Date().toISOString();
+        writeFileAtomic(this.pathFor(template.id), JSON.stringify(template, null, 2));
+        return template;
+    }
+
+    /**
+     * All templates: built-in customizations first, then custom operations by label
+     */
+    list() {
+        const templates = [];
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!/^[\w-]+\.json$/.test(file)) continue;
+            const template = this.read(file.slice(0, -5));
+            if (template) templates.push(template);
+        }
+        return templates.sort((a, b) => (a.base ? 0 : 1) - (b.base ? 0 : 1) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * @throws {Error} 404 when missing
+     */
+    get(id) {
+        const template = this.read(id);
+        if (!template) throw templateError(404, 'Template not found');
+        return template;
+    }
+
+    /**
+     * @throws {Error} 409 when `base` is already customized
+     */
+    create(fields, createdBy = null) {
+        const clean = cleanTemplate(fields);
+        if (clean.base && this.list().some(t => t.base === clean.base)) {
+            throw templateError(409, `"${clean.base}" is already customized`);
+        }
+        const now = new Date().toISOString();
+        return this.save({ id: uuidv4().slice(0, 8), ...clean, createdBy, createdAt: now, updatedAt: now });
+    }
+
+    update(id, fields) {
+        const template = this.get(id);
+        const clean = cleanTemplate(fields, template);
+        if (clean.base && this.list().some(t => t.base === clean.base && t.id !== id)) {
+            throw templateError(409, `"${clean.base}" is already customized`);
+        }
+        return this.save({ ...template, ...clean });
+    }
+
+    remove(id) {
+        this.get(id);
+        fs.rmSync(this.pathFor(id), { force: true });
+    }
+
+    /**
+     * The shareable export file (all templates, or those in `ids`)
+     */
+    exportTemplates(ids = null) {
+        const templates = this.list().filter(t => !ids || ids.includes(t.id));
+        return {
+            format: EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            templates: templates.map(({ label, description, prompt, base }) => ({ label, description, prompt, base })),
+        };
+    }
+
+    /**
+     * Merge an export file (or a bare array of templates) into the store. A
+     * template replaces the existing one with the same base, or — for custom
+     * operations — the same label; anything else is added.
+     *
+     * @returns {Object} { created, updated, errors: [{ index, label, error }] }
+     */
+    importTemplates(data, createdBy = null) {
+        const entries = Array.isArray(data) ? data : data && data.templates;
+        if (!Array.isArray(entries)) throw templateError(400, 'Expected { templates: [...] }');
+        if (!Array.isArray(data) && data.format && data.format !== EXPORT_FORMAT) {
+            throw templateError(400, `Unsupported format: ${data.format}`);
+        }
+
+        const result = { created: 0, updated: 0, errors: [] };
+        entries.forEach((entry, index) => {
+            try {
+                const clean = cleanTemplate(entry || {});
+                const existing = this.list().find(t => clean.base
+                    ? t.base === clean.base
+                    : !t.base && t.label.toLowerCase() === clean.label.toLowerCase());
+                if (existing) {
+                    this.save({ ...existing, ...clean });
+                    result.updated++;
+                } else {
+                    this.create(clean, createdBy);
+                    result.created++;
+                }
+            } catch (err) {
+                result.errors.push({ index, label: entry && entry.label, error: err.message });
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = { TemplateStore, TEMPLATE_VARIABLES, EXPORT_FORMAT, templateVariables, renderTemplate, cleanTemplate };
@@ -0,0 +1,217 @@
+/**
+ * w3c-annotations.js — Map reader annotations to/from W3C Web Annotations
+ *
+ * Converts the private `data/annotations/{docId}.json` schema to the W3C
+ * Web Annotation Data Model (JSON-LD) so highlights can be exchanged with
+ * Hypothesis and other annotation tools, and back again.
+ *
+ * Field mapping:
+ *   type             → motivation (+ sr:type for a lossless round-trip)
+ *   note             → TextualBody, purpose "commenting"
+ *   replacementText  → TextualBody, purpose "describing" (collapsed blocks)
+ *   color            → sr:color
+ *   author           → creator (Person, nickname = user id)
+ *   ai               → sr:ai ({ provider, model, prompt } of an AI-written note)
+ *   selectors        → target.selector (TextQuoteSelector, TextPositionSelector)
+ *   anchorSelector   → target.selector CssSelector, refinedBy TextPositionSelector (anchorOffset)
+ */
+
+const TextAnchor = require('../public/text-anchor');
+const { aiProvenance } = require('./annotation-store');
+
+const ANNO_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+const SR_NAMESPACE = 'https://github.com/GindaChen/scholarly-reader/ns#';
+const CONTEXT = [ANNO_CONTEXT, { sr: SR_NAMESPACE }];
+
+const MOTIVATIONS = {
+    highlight: 'highlighting',
+    note: 'commenting',
+    human_note: 'commenting',
+    ai_note: 'commenting',
+    collapse: 'describing',
+};
+
+const KNOWN_TYPES = new Set(Object.keys(MOTIVATIONS));
+
+/**
+ * IRI of one annotation; the local id is kept in the fragment so our own
+ * exports re-import onto the same annotations.
+ */
+function annotationIri(baseUrl, docId, id) {
+    return `${baseUrl}/api/annotations/${encodeURIComponent(docId)}#${id}`;
+}
+
+/**
+ * Convert one reader annotation to a W3C Web Annotation
+ *
+ * @param {Object} ann - Annotation from data/annotations/{docId}.json
+ * @param {Object} opts
+ * @param {string} opts.docId - Document the annotation belongs to
+ * @param {string} opts.baseUrl - Server origin, e.g. http://localhost:3003
+ * @param {Object} [opts.users] - Map of user id → { name } for creator names
+ * @returns {Object} W3C Annotation (without @context; see toW3CCollection)
+ */
+function toW3C(ann, { docId, baseUrl, users = {} }) {
+    const body = [];
+    if (ann.note) {
+        body.push({ type: 'TextualBody', value: ann.note, format: 'text/plain', purpose: 'commenting' });
+    }
+    if (ann.replacementText) {
+        body.push({ type: 'TextualBody', value: ann.replacementText, format: 'text/plain', purpose: 'describing' });
+    }
+
+    const selector = TextAnchor.normalizeSelectors(ann.selectors);
+    if (!TextAnchor.getSelector(selector, 'TextQuoteSelector') && ann.selectedText) {
+        selector.unshift({ type: 'TextQuoteSelector', exact: ann.selectedText });
+    }
+    if (ann.anchorSelector) {
+        const offset = Number(ann.anchorOffset) || 0;
+        selector.push({
+            type: 'CssSelector',
+            value: ann.anchorSelector,
+            refinedBy: {
+                type: 'TextPositionSelector',
+                start: offset,
+                end: offset + (ann.selectedText || '').length,
+            },
+        });
+    }
+
+    const w3c = {
+        id: annotationIri(baseUrl, docId, ann.id),
+        type: 'Annotation',
+        motivation: MOTIVATIONS[ann.type] || 'commenting',
+        created: ann.createdAt,
+        modified: ann.updatedAt,
+        'sr:type': ann.type,
+    };
+    if (ann.author) {
+        w3c.creator = { type: 'Person', nickname: ann.author };
+        if (users[ann.author] && users[ann.author].name) w3c.creator.name = users[ann.author].name;
+    }
+    if (ann.color) w3c['sr:color'] = ann.color;
+    if (ann.ai) w3c['sr:ai'] = ann.ai;
+    if (body.length === 1) w3c.body = body[0];
+    else if (body.length > 1) w3c.body = body;
+    w3c.target = {
+        source: `${baseUrl}/?doc=${encodeURIComponent(docId)}`,
+        selector,
+    };
+    return w3c;
+}
+
+/**
+ * Wrap a document's annotations in a W3C AnnotationCollection
+ */
+function toW3CCollection(annotations, { docId, baseUrl, title, users }) {
+    const items = annotations.map(ann => toW3C(ann, { docId, baseUrl, users }));
+    return {
+        '@context': CONTEXT,
+        id: `${baseUrl}/api/annotations/${encodeURIComponent(docId)}/export?format=w3c`,
+        type: 'AnnotationCollection',
+        label: title ? `Annotations on ${title}` : `Annotations on ${docId}`,
+        total: items.length,
+        first: {
+            type: 'AnnotationPage',
+            startIndex: 0,
+            items,
+        },
+    };
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function firstMotivation(value) {
+    return asArray(value).map(m => String(m).replace(/^oa:/, ''))[0] || '';
+}
+
+/**
+ * Normalize a W3C `created`/`modified` timestamp; null when it doesn't parse
+ */
+function isoDate(value) {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Convert one W3C Web Annotation to the reader's schema.
+ *
+ * Accepts annotations from other tools: a single or array target/selector/body,
+ * `bodyValue` shorthand, and prefixed or bare motivations.
+ *
+ * @param {Object} w3c - W3C Annotation
+ * @returns {Object|null} Reader annotation fields (id only when it is one of ours,
+ *   author when the annotation names a creator), or null if unusable
+ */
+function fromW3C(w3c) {
+    if (!w3c || typeof w3c !== 'object') return null;
+
+    const target = asArray(w3c.target)[0];
+    const rawSelectors = target && typeof target === 'object' ? asArray(target.selector) : [];
+    const selectors = TextAnchor.normalizeSelectors(rawSelectors);
+    const quote = TextAnchor.getSelector(selectors, 'TextQuoteSelector');
+    const css = rawSelectors.find(s => s && s.type === 'CssSelector' && typeof s.value === 'string');
+
+    const bodies = asArray(w3c.body);
+    if (typeof w3c.bodyValue === 'string') bodies.push({ type: 'TextualBody', value: w3c.bodyValue });
+    const textBodies = bodies
+        .map(b => (typeof b === 'string' ? { type: 'TextualBody', value: b } : b))
+        .filter(b => b && typeof b.value === 'string');
+    const describing = textBodies.find(b => b.purpose === 'describing');
+    const commenting = textBodies.filter(b => b !== describing && b.purpose !== 'tagging');
+
+    const motivation = firstMotivation(w3c.motivation);
+    let type = KNOWN_TYPES.has(w3c['sr:type']) ? w3c['sr:type'] : null;
+    if (!type) {
+        if (motivation === 'highlighting' && commenting.length === 0) type = 'highlight';
+        else if (motivation === 'describing' && describing && quote) type = 'collapse';
+        else type = 'human_note';
+    }
+
+    const note = commenting.map(b => b.value).join('\n\n');
+    const selectedText = quote ? quote.exact : '';
+    if (!selectedText && !note) return null;
+
+    const idMatch = typeof w3c.id === 'string' ? w3c.id.match(/\/api\/annotations\/[^#]+#([A-Za-z0-9_-]+)$/) : null;
+    const ann = {
+        type,
+        selectedText,
+        note,
+        color: typeof w3c['sr:color'] === 'string' ? w3c['sr:color'] : '',
+        replacementText: describing ? describing.value : '',
+        anchorSelector: css ? css.value : '',
+        anchorOffset: css && css.refinedBy && Number.isInteger(css.refinedBy.start) ? css.refinedBy.start : 0,
+        selectors,
+        createdAt: isoDate(w3c.created) || new Date().toISOString(),
+        updatedAt: isoDate(w3c.modified) || isoDate(w3c.created) || new Date().toISOString(),
+    };
+    if (idMatch) ann.id = idMatch[1];
+    const provenance = type === 'ai_note' ? aiProvenance(w3c['sr:ai']) : null;
+    if (provenance) ann.ai = provenance;
+    const creator = asArray(w3c.creator)[0];
+    if (creator) {
+        const author = typeof creator === 'string' ? creator : (creator.nickname || creator.name);
+        if (typeof author === 'string' && author) ann.author = author;
+    }
+    return ann;
+}
+
+/**
+ * Pull the list of annotations out of any W3C container shape:
+ * AnnotationCollection (embedded first page), AnnotationPage, array, or single Annotation.
+ */
+function extractW3CItems(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || typeof payload !== 'object') return [];
+    if (payload.type === 'AnnotationCollection' || payload.first) {
+        const first = payload.first;
+        return first && typeof first === 'object' ? asArray(first.items) : [];
+    }
+    if (payload.type === 'AnnotationPage' || payload.items) return asArray(payload.items);
+    return [payload];
+}
+
+module.exports = { toW3C, toW3CCollection, fromW3C, extractW3CItems, CONTEXT };